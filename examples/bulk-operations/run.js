@@ -0,0 +1,57 @@
+/**
+ * Run the bulk operation price update against the stand-in shop
+ *   node examples/bulk-operations/run.js [--dry-run] [--fail <productId>]
+ * Reprices catalog.json at the rates below through bulkOperationUpdatePrices, printing the phases, progress
+ * and results, then the variant prices the stand-in shop ends up with. Nothing is sent to Shopify
+ */
+
+import { readFile } from 'fs/promises';
+import { ShopifyAPI } from '../../server/utils/shopifyAPI.js';
+import { PriceCalculator } from '../../server/utils/priceCalculator.js';
+import { createStandInBulkTransport } from './standInTransport.js';
+
+const RATES = {
+  gold24kt: 6620,
+  gold22kt: 6065,
+  gold18kt: 4965,
+  gold14kt: 3873,
+  silver: 76.5,
+  platinum: 2850
+};
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const failIndex = args.indexOf('--fail');
+const failProductIds = failIndex === -1 ? [] : [args[failIndex + 1]];
+
+const catalog = JSON.parse(await readFile(new URL('./catalog.json', import.meta.url), 'utf8'));
+const transport = createStandInBulkTransport(catalog, { pollsToComplete: 2, failProductIds });
+
+const shopifyAPI = new ShopifyAPI('stand-in.myshopify.com', 'stand-in');
+shopifyAPI.bulkTransport = transport;
+// The stand-in shop has no discount rules (they are read with regular queries, which would go to Shopify)
+shopifyAPI.getAllDiscountRules = async () => [];
+
+const products = await shopifyAPI.getAllConfiguredProductsBulk(null, operation => {
+  console.log(`reading: ${operation.status} (${operation.objectCount} lines)`);
+});
+
+const results = await shopifyAPI.bulkOperationUpdatePrices(RATES, new PriceCalculator(RATES), (processed, total, updates) => {
+  console.log(`progress: ${processed}/${total}, ${updates.length} results`);
+}, null, {
+  products,
+  stonePricing: {},
+  dryRun,
+  onPhase: phase => console.log(`phase: ${phase}`)
+});
+
+console.log('\nResults');
+results.forEach(result => {
+  const outcome = result.success ? `${result.oldPrice} -> ${result.newPrice}` : result.error;
+  console.log(`  ${result.sku || result.productId}  ${result.productTitle}: ${outcome}`);
+});
+
+console.log('\nStand-in shop prices');
+transport.products().forEach(product => {
+  product.variants.forEach(variant => console.log(`  ${variant.sku}  ${variant.price}`));
+});
@@ -0,0 +1,177 @@
+/**
+ * Stand-in bulk operation transport for testing
+ * Answers the bulk operation requests BulkOperationRunner sends (bulkOperationRunQuery, stagedUploadsCreate,
+ * bulkOperationRunMutation and the status poll) from an in-memory shop, so the bulk refresh pipeline runs
+ * without a store:
+ *   shopifyAPI.bulkTransport = createStandInBulkTransport(catalog, { failProductIds: [...] })
+ * The shop is a list of products ({ id, title, status, vendor, variants, collections, metafields }, as in
+ * catalog.json). Bulk queries return it as JSONL lines; productVariantsBulkUpdate and metafieldsSet change it.
+ * An operation reports RUNNING with a growing objectCount for a few polls before it completes
+ */
+
+// Polls an operation stays RUNNING before it completes
+const DEFAULT_POLLS_TO_COMPLETE = 3;
+
+/**
+ * The shop's products as bulk query result lines: each product, then its variants, collections and
+ * jewelry_config metafields pointing back with __parentId
+ */
+function toBulkQueryLines(products) {
+  return products.flatMap(product => {
+    const discount = product.metafields.find(field => field.namespace === 'pricing' && field.key === 'discount');
+    return [
+      {
+        id: product.id,
+        title: product.title,
+        status: product.status,
+        vendor: product.vendor,
+        discountMetafield: discount ? { id: discount.id, value: discount.value } : null
+      },
+      ...product.variants.map(variant => ({
+        id: variant.id,
+        title: variant.title,
+        price: variant.price,
+        sku: variant.sku,
+        variantConfig: variant.variantConfig ? { value: variant.variantConfig } : null,
+        __parentId: product.id
+      })),
+      ...product.collections.map(collectionId => ({ id: collectionId, __parentId: product.id })),
+      ...product.metafields
+        .filter(field => field.namespace === 'jewelry_config')
+        .map(field => ({ id: field.id, key: field.key, value: field.value, __parentId: product.id }))
+    ];
+  });
+}
+
+/**
+ * Create a stand-in transport over a copy of a catalog
+ * @param {Array} catalog - Products ({ id, title, status, vendor, variants, collections, metafields })
+ * @param {Object} options - { pollsToComplete, failProductIds }
+ *   failProductIds: products whose variant price update comes back with a userError
+ * @returns {Object} { graphql, upload, download } for ShopifyAPI.bulkTransport, plus products() to inspect the shop
+ */
+export function createStandInBulkTransport(catalog, { pollsToComplete = DEFAULT_POLLS_TO_COMPLETE, failProductIds = [] } = {}) {
+  const products = structuredClone(catalog).map(product => ({
+    status: 'ACTIVE',
+    vendor: '',
+    collections: [],
+    metafields: [],
+    ...product
+  }));
+  const uploads = new Map();
+  const operations = new Map();
+  const results = new Map();
+  let nextId = 1;
+
+  const findProduct = (productId) => products.find(product => product.id === productId);
+
+  const startOperation = (lines) => {
+    const id = `gid://shopify/BulkOperation/${nextId++}`;
+    operations.set(id, { id, lines, polls: 0 });
+    return { bulkOperation: { id, status: 'CREATED' }, userErrors: [] };
+  };
+
+  const setMetafield = ({ ownerId, namespace, key, type, value }) => {
+    const product = findProduct(ownerId);
+    if (!product) {
+      return { field: ['ownerId'], message: `Owner ${ownerId} not found` };
+    }
+    const existing = product.metafields.find(field => field.namespace === namespace && field.key === key);
+    if (existing) {
+      Object.assign(existing, { type, value });
+    } else {
+      product.metafields.push({ id: `gid://shopify/Metafield/${nextId++}`, namespace, key, type, value });
+    }
+    return null;
+  };
+
+  const runMutationLine = (mutation, variables) => {
+    if (mutation.includes('productVariantsBulkUpdate')) {
+      const product = findProduct(variables.productId);
+      if (!product || failProductIds.includes(variables.productId)) {
+        return { productVariantsBulkUpdate: { productVariants: [], userErrors: [{ field: ['productId'], message: 'Stand-in rejected the update' }] } };
+      }
+      variables.variants.forEach(({ id, price }) => {
+        const variant = product.variants.find(v => v.id === id);
+        if (variant) variant.price = price;
+      });
+      return { productVariantsBulkUpdate: { productVariants: variables.variants, userErrors: [] } };
+    }
+
+    if (mutation.includes('metafieldsSet')) {
+      const userErrors = variables.metafields.map(setMetafield).filter(Boolean);
+      return { metafieldsSet: { userErrors } };
+    }
+
+    throw new Error('The bulk stand-in only runs productVariantsBulkUpdate and metafieldsSet mutations');
+  };
+
+  return {
+    async graphql(query, variables = {}) {
+      if (query.includes('bulkOperationRunQuery(')) {
+        return { bulkOperationRunQuery: startOperation(toBulkQueryLines(products)) };
+      }
+
+      if (query.includes('stagedUploadsCreate(')) {
+        const key = `stand-in/uploads/${nextId++}/bulk_op_vars.jsonl`;
+        return {
+          stagedUploadsCreate: {
+            stagedTargets: [{ url: 'stand-in://uploads', resourceUrl: `stand-in://${key}`, parameters: [{ name: 'key', value: key }] }],
+            userErrors: []
+          }
+        };
+      }
+
+      if (query.includes('bulkOperationRunMutation(')) {
+        const contents = uploads.get(variables.stagedUploadPath);
+        if (contents === undefined) {
+          return { bulkOperationRunMutation: { bulkOperation: null, userErrors: [{ field: ['stagedUploadPath'], message: 'Nothing was uploaded there' }] } };
+        }
+        const lines = contents.split('\n').filter(line => line.trim()).map((line, index) => ({
+          data: runMutationLine(variables.mutation, JSON.parse(line)),
+          __lineNumber: index
+        }));
+        return { bulkOperationRunMutation: startOperation(lines) };
+      }
+
+      if (query.includes('BulkOperationStatus')) {
+        const operation = operations.get(variables.id);
+        if (!operation) {
+          return { node: null };
+        }
+        operation.polls++;
+        const done = operation.polls >= pollsToComplete;
+        if (done && operation.lines.length > 0) {
+          results.set(`stand-in://results/${operation.id}`, operation.lines);
+        }
+        return {
+          node: {
+            id: operation.id,
+            status: done ? 'COMPLETED' : 'RUNNING',
+            errorCode: null,
+            objectCount: String(Math.round(operation.lines.length * Math.min(1, operation.polls / pollsToComplete))),
+            url: done && operation.lines.length > 0 ? `stand-in://results/${operation.id}` : null,
+            partialDataUrl: null
+          }
+        };
+      }
+
+      throw new Error('The bulk stand-in only answers bulk operation requests');
+    },
+
+    async upload(target, contents) {
+      uploads.set(target.parameters.find(parameter => parameter.name === 'key').value, contents);
+    },
+
+    async download(url) {
+      if (!results.has(url)) {
+        throw new Error('Bulk operation result returned HTTP 404');
+      }
+      return results.get(url).map(line => `${JSON.stringify(line)}\n`).join('');
+    },
+
+    products: () => products
+  };
+}
+
+export default createStandInBulkTransport;
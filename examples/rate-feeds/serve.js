@@ -0,0 +1,43 @@
+/**
+ * Stand-in rate feed server for testing
+ * Serves the example feeds in this folder over HTTP:
+ *   node examples/rate-feeds/serve.js [port]
+ *   http://localhost:3020/rates.json, /rates.csv, /ibja-bulletin.txt
+ * Files are read on every request, so edit them to simulate a rate change
+ */
+
+import http from 'http';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const directory = path.dirname(fileURLToPath(import.meta.url));
+const port = parseInt(process.argv[2]) || 3020;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain'
+};
+
+http.createServer(async (req, res) => {
+  const name = path.basename(new URL(req.url, 'http://localhost').pathname);
+  const contentType = CONTENT_TYPES[path.extname(name)];
+
+  if (!contentType) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  try {
+    const body = await readFile(path.join(directory, name), 'utf8');
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+}).listen(port, () => {
+  console.log(`Rate feed stand-in serving ${directory} on http://localhost:${port}`);
+});
@@ -6,14 +6,10 @@ const API = window.API || {};
 
 function App() {
     const [activeTab, setActiveTab] = useState('dashboard');
-    const [metalPrices, setMetalPrices] = useState({
-        gold24kt: '',
-        gold22kt: '',
-        gold18kt: '',
-        gold14kt: '',
-        platinum: '',
-        silver: ''
-    });
+    const [metalPrices, setMetalPrices] = useState({});
+    const [metalCatalog, setMetalCatalog] = useState([]);
+    const [rateDerivation, setRateDerivation] = useState({ enabled: false });
+    const [priceRefresh, setPriceRefresh] = useState({ autoRefreshOnRateUpdate: false });
     const [showSuccess, setShowSuccess] = useState(false);
     const [products, setProducts] = useState([]);
     const [selectedProduct, setSelectedProduct] = useState(null);
@@ -29,6 +25,7 @@ function App() {
 
     // Load metal prices on mount
     useEffect(() => {
+        loadMetalCatalog();
         loadMetalPrices();
         loadProducts();
         loadStonePrices();
@@ -45,6 +42,17 @@ function App() {
         }
     };
 
+    const loadMetalCatalog = async () => {
+        try {
+            const result = await API.fetchSettings();
+            setMetalCatalog(result.settings.metalCatalog || []);
+            setRateDerivation(result.settings.rateDerivation || { enabled: false });
+            setPriceRefresh(result.settings.priceRefresh || { autoRefreshOnRateUpdate: false });
+        } catch (error) {
+            console.error('Error loading metal catalog:', error);
+        }
+    };
+
     const loadProducts = async (page = 1, cursor = null) => {
         try {
             setLoading(true);
@@ -120,16 +128,26 @@ function App() {
         }));
     };
 
-    const handleUpdateMetalPrices = async () => {
+    // options: extra request fields, e.g. { overrides } for derived karat rates
+    const handleUpdateMetalPrices = async (options = {}) => {
         try {
             setLoading(true);
-            await API.updateMetalPrices(metalPrices);
+            const result = await API.updateMetalPrices({ ...metalPrices, ...options });
+            // Derived rates are computed on the server, so reload what was saved
+            await loadMetalPrices();
+            if (result.refreshJobId) {
+                // The server already started refreshing product prices; follow its progress
+                handleRefreshStarted(result.refreshJobId);
+                return true;
+            }
             setShowSuccess(true);
             alert('Metal prices saved successfully!');
             setTimeout(() => setShowSuccess(false), 3000);
+            return true;
         } catch (error) {
             console.error('Error updating metal prices:', error);
             alert('Error: Error updating metal prices: ' + error.message);
+            return false;
         } finally {
             setLoading(false);
         }
@@ -137,6 +155,8 @@ function App() {
 
     const [refreshJobId, setRefreshJobId] = useState(null);
     const [showRefreshModal, setShowRefreshModal] = useState(false);
+    const [showRefreshScopeModal, setShowRefreshScopeModal] = useState(false);
+    const [heldPricesRefreshKey, setHeldPricesRefreshKey] = useState(0);
     const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', onConfirm: null });
 
     const showConfirm = (title, message, onConfirm) => {
@@ -152,60 +172,62 @@ function App() {
     };
 
     const handleRefreshPrices = () => {
-        showConfirm(
-            'Refresh Product Prices',
-            'This will update all product prices based on current metal rates. This may take several minutes for large catalogs. Continue?',
-            async () => {
-                try {
-                    // Show modal immediately with loading state (before API call completes)
-                    setShowRefreshModal(true);
-                    setLoading(true);
-                    
-                    const data = await API.refreshPrices();
+        // Staff pick what to reprice (changed, all or a scope) before the job starts
+        setShowRefreshScopeModal(true);
+    };
+
+    const handleStartRefresh = async (options = {}) => {
+        setShowRefreshScopeModal(false);
+        try {
+            // Show modal immediately with loading state (before API call completes)
+            setShowRefreshModal(true);
+            setLoading(true);
             
-                    // Update with job ID once received
-                    if (data && data.success) {
-                        const jobId = data.data?.jobId;
-                        
-                        if (jobId) {
-                            setRefreshJobId(jobId);
-                        } else {
-                            console.error('No jobId in response:', data);
-                            setShowRefreshModal(false);
-                            alert('Error: No job ID received from server');
-                        }
-                    } else {
-                        console.error('API response not successful:', data);
-                        setShowRefreshModal(false);
-                        alert('Error: Error starting refresh prices: ' + (data?.error || 'Unknown error'));
-                    }
-                } catch (error) {
-                    console.error('Error starting refresh prices:', error);
+            const data = await API.refreshPrices(options);
+    
+            // Update with job ID once received
+            if (data && data.success) {
+                const jobId = data.data?.jobId;
+                
+                if (jobId) {
+                    setRefreshJobId(jobId);
+                } else {
+                    console.error('No jobId in response:', data);
                     setShowRefreshModal(false);
-                    alert('Error: Error starting refresh prices: ' + error.message);
-                } finally {
-                    setLoading(false);
+                    alert('Error: No job ID received from server');
                 }
+            } else {
+                console.error('API response not successful:', data);
+                setShowRefreshModal(false);
+                alert('Error: Error starting refresh prices: ' + (data?.error || 'Unknown error'));
             }
-        );
+        } catch (error) {
+            console.error('Error starting refresh prices:', error);
+            setShowRefreshModal(false);
+            alert('Error: Error starting refresh prices: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Open the progress modal for a refresh job started by the server (e.g. after saving rates)
+    const handleRefreshStarted = (jobId) => {
+        setRefreshJobId(jobId);
+        setShowRefreshModal(true);
     };
 
     const handleRefreshModalClose = (wasSuccessful = false) => {
         setShowRefreshModal(false);
         setRefreshJobId(null);
-        // Reload products to show updated prices
+        // Reload products to show updated prices, and any prices the guardrails held back
         loadProducts();
+        setHeldPricesRefreshKey(key => key + 1);
         
         if (wasSuccessful) {
             alert('Product prices refreshed successfully!');
         }
     };
 
-    const handleRefreshCancel = () => {
-        setShowRefreshModal(false);
-        setRefreshJobId(null);
-    };
-
 
     return (
         <div className="app-container">
@@ -235,6 +257,12 @@ function App() {
                 >
                     Discounts
                 </button>
+                <button 
+                    className={`tab ${activeTab === 'history' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('history')}
+                >
+                    Refresh History
+                </button>
                 <button 
                     className={`tab ${activeTab === 'settings' ? 'active' : ''}`}
                     onClick={() => setActiveTab('settings')}
@@ -246,6 +274,14 @@ function App() {
             {activeTab === 'dashboard' && (
                 <window.DashboardTab
                     metalPrices={metalPrices}
+                    metalCatalog={metalCatalog}
+                    rateDerivation={rateDerivation}
+                    onRateDerivationChange={setRateDerivation}
+                    priceRefresh={priceRefresh}
+                    onPriceRefreshChange={setPriceRefresh}
+                    onRefreshStarted={handleRefreshStarted}
+                    heldPricesRefreshKey={heldPricesRefreshKey}
+                    loadMetalPrices={loadMetalPrices}
                     handleMetalPriceChange={handleMetalPriceChange}
                     handleUpdateMetalPrices={handleUpdateMetalPrices}
                     handleRefreshPrices={handleRefreshPrices}
@@ -281,6 +317,19 @@ function App() {
                 />
             )}
 
+            {activeTab === 'history' && (
+                <window.RefreshHistoryTab
+                    onOpenJob={handleRefreshStarted}
+                />
+            )}
+
+            {activeTab === 'settings' && (
+                <window.SettingsTab
+                    collections={collections}
+                    onMetalCatalogChange={setMetalCatalog}
+                />
+            )}
+
             {selectedProduct && (
                 <window.ProductConfigModal
                     product={selectedProduct}
@@ -291,6 +340,7 @@ function App() {
                         loadProducts(currentPage, cursor);
                     }}
                     metalPrices={metalPrices}
+                    metalCatalog={metalCatalog}
                     calculatePrice={API.calculatePrice}
                     configureProduct={API.configureProduct}
                     fetchStonePrices={API.fetchStonePrices}
@@ -315,9 +365,18 @@ function App() {
                         key={refreshJobId || 'loading-' + Date.now()}
                         jobId={refreshJobId}
                         onClose={(success) => handleRefreshModalClose(success)}
-                        onCancel={handleRefreshCancel}
                         getRefreshStatus={API.getRefreshStatus}
                         cancelRefresh={API.cancelRefresh}
+                        pauseRefresh={API.pauseRefresh}
+                        resumeRefresh={API.resumeRefresh}
+                        promoteRefresh={API.promoteRefresh}
+                        onPromoted={handleRefreshStarted}
+                        retryFailedRefresh={API.retryFailedRefresh}
+                        onRetryStarted={handleRefreshStarted}
+                        rollbackRefresh={API.rollbackRefresh}
+                        onRollbackStarted={handleRefreshStarted}
+                        getReportUrl={API.getRefreshReportUrl}
+                        getEventsUrl={API.getRefreshEventsUrl}
                     />
                 ) : (
                     <div className="modal" key="fallback-modal">
@@ -348,6 +407,14 @@ function App() {
                 )
             )}
 
+            {showRefreshScopeModal && window.RefreshScopeModal && (
+                <window.RefreshScopeModal
+                    metalCatalog={metalCatalog}
+                    onConfirm={handleStartRefresh}
+                    onCancel={() => setShowRefreshScopeModal(false)}
+                />
+            )}
+
             {/* Confirmation Modal */}
             {confirmModal.isOpen && (
                 window.ConfirmModal ? (
@@ -1,7 +1,104 @@
 const { useState, useEffect } = React;
 
-function DashboardTab({ metalPrices, handleMetalPriceChange, handleUpdateMetalPrices, handleRefreshPrices, showSuccess, loading, stonePrices, setShowStoneModal, setSelectedStone, loadStonePrices, deleteStonePricing }) {
+const DASHBOARD_UNIT_LABELS = {
+    'g': 'Gram',
+    '10g': '10 Grams',
+    'kg': 'Kg'
+};
+
+function DashboardTab({ metalPrices, metalCatalog = [], rateDerivation = { enabled: false }, onRateDerivationChange, priceRefresh = { autoRefreshOnRateUpdate: false }, onPriceRefreshChange, onRefreshStarted, heldPricesRefreshKey = 0, loadMetalPrices, handleMetalPriceChange, handleUpdateMetalPrices, handleRefreshPrices, showSuccess, loading, stonePrices, setShowStoneModal, setSelectedStone, loadStonePrices, deleteStonePricing }) {
     const [deleteConfirm, setDeleteConfirm] = useState({ isOpen: false, stone: null });
+    const [overrides, setOverrides] = useState({});
+    const [derivePreview, setDerivePreview] = useState(null);
+    const [deriveError, setDeriveError] = useState('');
+    const [staffName, setStaffName] = useState(window.localStorage.getItem('staffName') || '');
+    const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+
+    const activeMetals = metalCatalog
+        .filter(metal => metal.active !== false)
+        .sort((a, b) => a.displayOrder - b.displayOrder);
+    const derivationEnabled = rateDerivation.enabled === true;
+    const isDerived = (metal) => derivationEnabled && !!metal.baseMetal;
+    const autoRefreshEnabled = priceRefresh.autoRefreshOnRateUpdate === true;
+    const baseRatesKey = activeMetals.filter(metal => !metal.baseMetal).map(metal => metal.key + ':' + (metalPrices[metal.key] ?? '')).join(',');
+
+    // Preview derived karat rates as the base rates and overrides change
+    useEffect(() => {
+        if (!derivationEnabled) {
+            setDerivePreview(null);
+            setDeriveError('');
+            return;
+        }
+
+        const API = window.API || {};
+        const timer = setTimeout(async () => {
+            try {
+                const preview = await API.deriveMetalPrices({ ...metalPrices, overrides });
+                setDerivePreview(preview);
+                setDeriveError('');
+            } catch (error) {
+                setDerivePreview(null);
+                setDeriveError(error.message);
+            }
+        }, 300);
+
+        return () => clearTimeout(timer);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [derivationEnabled, baseRatesKey, JSON.stringify(overrides), metalCatalog]);
+
+    const handleToggleDerivation = async (enabled) => {
+        try {
+            const API = window.API || {};
+            const result = await API.updateSettings({ rateDerivation: { enabled } });
+            if (onRateDerivationChange) {
+                onRateDerivationChange(result.data.rateDerivation);
+            }
+        } catch (error) {
+            console.error('Error saving rate derivation setting:', error);
+            alert('Error: Error saving rate derivation setting: ' + error.message);
+        }
+    };
+
+    // The price refresh settings are saved together, so send the ones not being changed as well
+    const handlePriceRefreshSetting = async (changes) => {
+        try {
+            const API = window.API || {};
+            const result = await API.updateSettings({ priceRefresh: { ...priceRefresh, ...changes } });
+            if (onPriceRefreshChange) {
+                onPriceRefreshChange(result.data.priceRefresh);
+            }
+        } catch (error) {
+            console.error('Error saving price refresh setting:', error);
+            alert('Error: Error saving price refresh setting: ' + error.message);
+        }
+    };
+
+    const handleRatesApplied = (refreshJobId) => {
+        if (loadMetalPrices) loadMetalPrices();
+        setHistoryRefreshKey(key => key + 1);
+        if (refreshJobId && onRefreshStarted) {
+            onRefreshStarted(refreshJobId);
+        }
+    };
+
+    const handleSaveMetalPrices = async () => {
+        const saved = await handleUpdateMetalPrices({
+            ...(derivationEnabled ? { overrides } : {}),
+            autoRefresh: autoRefreshEnabled
+        });
+        // Overrides apply to one save; the next base rate change derives fresh rates
+        if (saved) {
+            setOverrides({});
+            setHistoryRefreshKey(key => key + 1);
+        }
+    };
+
+    const handleStaffNameChange = (value) => {
+        setStaffName(value);
+        window.localStorage.setItem('staffName', value.trim());
+    };
+
+    const getDerivedRow = (metalKey) => derivePreview?.derived?.find(row => row.key === metalKey);
 
     const handleDeleteStone = (stone) => {
         setDeleteConfirm({ isOpen: true, stone });
@@ -30,6 +127,33 @@ function DashboardTab({ metalPrices, handleMetalPriceChange, handleUpdateMetalPr
                     Enter the latest metal prices to calculate and update the product prices.
                 </p>
 
+                <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px'}}>
+                    <input
+                        type="checkbox"
+                        checked={derivationEnabled}
+                        onChange={(e) => handleToggleDerivation(e.target.checked)}
+                    />
+                    Derive karat rates from base metal rates (purity and markup are set in Settings → Metal Catalog)
+                </label>
+
+                <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px'}}>
+                    <input
+                        type="checkbox"
+                        checked={autoRefreshEnabled}
+                        onChange={(e) => handlePriceRefreshSetting({ autoRefreshOnRateUpdate: e.target.checked })}
+                    />
+                    Refresh product prices automatically after saving new rates
+                </label>
+
+                <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px'}}>
+                    <input
+                        type="checkbox"
+                        checked={priceRefresh.useBulkOperations === true}
+                        onChange={(e) => handlePriceRefreshSetting({ useBulkOperations: e.target.checked })}
+                    />
+                    Refresh with Shopify bulk operations (faster for catalogs with thousands of products)
+                </label>
+
                 {showSuccess && (
                     <div className="success-message">
                         ✓ Metal prices saved successfully! Click "Refresh Prices" to update all products.
@@ -37,83 +161,77 @@ function DashboardTab({ metalPrices, handleMetalPriceChange, handleUpdateMetalPr
                 )}
 
                 <div className="form-grid">
-                    <div className="form-group">
-                        <label>Gold Price 24K / Gram *</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.gold24kt}
-                                onChange={(e) => handleMetalPriceChange('gold24kt', e.target.value)}
-                                placeholder="11869.00"
-                            />
-                        </div>
-                    </div>
+                    {activeMetals.map(metal => {
+                        const unitLabel = DASHBOARD_UNIT_LABELS[metal.unit] || metal.unit;
 
-                    <div className="form-group">
-                        <label>Gold Price 22K / Gram</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.gold22kt}
-                                onChange={(e) => handleMetalPriceChange('gold22kt', e.target.value)}
-                                placeholder="10820"
-                            />
-                        </div>
-                    </div>
+                        if (isDerived(metal)) {
+                            const derivedRow = getDerivedRow(metal.key);
+                            const baseLabel = metalCatalog.find(m => m.key === metal.baseMetal)?.label || metal.baseMetal;
+                            return (
+                                <div className="form-group" key={metal.key}>
+                                    <label>{metal.label} / {unitLabel} (derived)</label>
+                                    <div className="input-suffix" data-suffix="INR">
+                                        <input
+                                            type="number"
+                                            value={overrides[metal.key] ?? ''}
+                                            onChange={(e) => setOverrides({ ...overrides, [metal.key]: e.target.value })}
+                                            placeholder={derivedRow ? String(derivedRow.derivedRate) : '0.00'}
+                                        />
+                                    </div>
+                                    <small style={{color: '#6d7175', fontSize: '12px'}}>
+                                        {baseLabel} × {metal.purity}{metal.markupPercent ? ` + ${metal.markupPercent}%` : ''}
+                                        {overrides[metal.key] ? ' · overridden' : ' · type to override'}
+                                    </small>
+                                </div>
+                            );
+                        }
 
-                    <div className="form-group">
-                        <label>Gold Price 18K / Gram</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.gold18kt}
-                                onChange={(e) => handleMetalPriceChange('gold18kt', e.target.value)}
-                                placeholder="9900"
-                            />
-                        </div>
-                    </div>
+                        return (
+                            <div className="form-group" key={metal.key}>
+                                <label>{metal.label} / {unitLabel} *</label>
+                                <div className="input-suffix" data-suffix="INR">
+                                    <input
+                                        type="number"
+                                        value={metalPrices[metal.key] ?? ''}
+                                        onChange={(e) => handleMetalPriceChange(metal.key, e.target.value)}
+                                        placeholder="0.00"
+                                    />
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
 
-                    <div className="form-group">
-                        <label>Gold Price 14K / Gram</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.gold14kt}
-                                onChange={(e) => handleMetalPriceChange('gold14kt', e.target.value)}
-                                placeholder="6923.66"
-                            />
-                        </div>
+                {deriveError && (
+                    <div style={{background: '#fff4f4', border: '1px solid #d72c0d', borderRadius: '4px', padding: '8px 12px', marginBottom: '12px', fontSize: '13px', color: '#d72c0d'}}>
+                        {deriveError}
                     </div>
+                )}
 
-                    <div className="form-group">
-                        <label>Silver Price / Gram</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.silver}
-                                onChange={(e) => handleMetalPriceChange('silver', e.target.value)}
-                                placeholder="158"
-                            />
-                        </div>
+                {derivePreview?.issues?.length > 0 && (
+                    <div style={{background: '#fff4f4', border: '1px solid #d72c0d', borderRadius: '4px', padding: '8px 12px', marginBottom: '12px', fontSize: '13px', color: '#d72c0d'}}>
+                        <strong>These rates can't be saved:</strong>
+                        <ul style={{margin: '4px 0 0 16px'}}>
+                            {derivePreview.issues.map((issue, idx) => <li key={idx}>{issue}</li>)}
+                        </ul>
                     </div>
+                )}
 
-                    <div className="form-group">
-                        <label>Platinum Price / Gram</label>
-                        <div className="input-suffix" data-suffix="INR">
-                            <input
-                                type="number"
-                                value={metalPrices.platinum}
-                                onChange={(e) => handleMetalPriceChange('platinum', e.target.value)}
-                                placeholder="5500"
-                            />
-                        </div>
-                    </div>
-                </div>
+                {metalCatalog.length === 0 && (
+                    <div className="loading">Loading metals...</div>
+                )}
 
-                <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px'}}>
+                <div style={{display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '12px'}}>
+                    <input
+                        type="text"
+                        value={staffName}
+                        onChange={(e) => handleStaffNameChange(e.target.value)}
+                        placeholder="Your name (for rate history)"
+                        style={{maxWidth: '220px'}}
+                    />
                     <button 
                         className="btn btn-secondary"
-                        onClick={handleUpdateMetalPrices}
+                        onClick={handleSaveMetalPrices}
                         disabled={loading}
                     >
                         💾 Save Metal Prices
@@ -126,8 +244,42 @@ function DashboardTab({ metalPrices, handleMetalPriceChange, handleUpdateMetalPr
                         🔄 Refresh Prices
                     </button>
                 </div>
+
+                {window.RateSchedulePanel && (
+                    <window.RateSchedulePanel
+                        metalPrices={metalPrices}
+                        overrides={overrides}
+                        derivationEnabled={derivationEnabled}
+                        metalCatalog={metalCatalog}
+                        onScheduleApplied={() => {
+                            if (loadMetalPrices) loadMetalPrices();
+                            setHistoryRefreshKey(key => key + 1);
+                        }}
+                    />
+                )}
             </div>
 
+            {window.RateFeedPanel && (
+                <window.RateFeedPanel
+                    metalCatalog={metalCatalog}
+                    onRatesApplied={handleRatesApplied}
+                />
+            )}
+
+            {window.HeldPricesPanel && (
+                <window.HeldPricesPanel
+                    refreshKey={heldPricesRefreshKey}
+                    onRefreshStarted={onRefreshStarted}
+                />
+            )}
+
+            {window.RateHistoryChart && (
+                <window.RateHistoryChart
+                    metalCatalog={metalCatalog}
+                    refreshKey={historyRefreshKey}
+                />
+            )}
+
             <div className="card">
                 <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
                     <h2>STONE PRICES</h2>
@@ -0,0 +1,146 @@
+const { useState, useEffect } = React;
+
+function HeldPricesPanel({ refreshKey = 0, onRefreshStarted }) {
+    const [held, setHeld] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [working, setWorking] = useState(false);
+
+    const API = window.API || {};
+
+    useEffect(() => {
+        loadHeldPrices();
+        // Pick up prices held by scheduled or feed-triggered refreshes while the page is open
+        const timer = setInterval(loadHeldPrices, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [refreshKey]);
+
+    const loadHeldPrices = async () => {
+        try {
+            const result = await API.fetchHeldPrices();
+            setHeld(result);
+            // Drop selections of products that are no longer held
+            setSelected(ids => ids.filter(id => result.some(entry => entry.productId === id)));
+        } catch (error) {
+            console.error('Error loading held prices:', error);
+        }
+    };
+
+    const toggle = (productId) => {
+        setSelected(selected.includes(productId) ? selected.filter(id => id !== productId) : [...selected, productId]);
+    };
+
+    const toggleAll = () => {
+        setSelected(selected.length === held.length ? [] : held.map(entry => entry.productId));
+    };
+
+    const handleApprove = async () => {
+        try {
+            setWorking(true);
+            const result = await API.approveHeldPrices(selected);
+            setSelected([]);
+            if (onRefreshStarted) {
+                onRefreshStarted(result.jobId);
+            }
+        } catch (error) {
+            console.error('Error approving held prices:', error);
+            alert('Error: Error approving held prices: ' + error.message);
+        } finally {
+            setWorking(false);
+            loadHeldPrices();
+        }
+    };
+
+    const handleReject = async () => {
+        try {
+            setWorking(true);
+            await API.rejectHeldPrices(selected);
+            setSelected([]);
+        } catch (error) {
+            console.error('Error rejecting held prices:', error);
+            alert('Error: Error rejecting held prices: ' + error.message);
+        } finally {
+            setWorking(false);
+            loadHeldPrices();
+        }
+    };
+
+    // Nothing to show until a refresh holds a price
+    if (held.length === 0) {
+        return null;
+    }
+
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+    return (
+        <div className="card">
+            <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px'}}>
+                <h2>PRICES WAITING FOR APPROVAL ({held.length})</h2>
+                <div style={{display: 'flex', gap: '12px'}}>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleReject}
+                        disabled={working || selected.length === 0}
+                    >
+                        ✕ Reject Selected
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleApprove}
+                        disabled={working || selected.length === 0}
+                    >
+                        {working ? 'Working...' : `✓ Approve Selected (${selected.length})`}
+                    </button>
+                </div>
+            </div>
+            <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 12px 0'}}>
+                These prices broke a price guardrail and were not written. Approving reprices the products at the
+                current rates; rejecting keeps their current prices.
+            </p>
+
+            <table className="stone-table">
+                <thead>
+                    <tr>
+                        <th>
+                            <input
+                                type="checkbox"
+                                checked={selected.length === held.length}
+                                onChange={toggleAll}
+                            />
+                        </th>
+                        <th>Product</th>
+                        <th>Current</th>
+                        <th>New</th>
+                        <th>Why it was held</th>
+                        <th>Held</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {held.map(entry => (
+                        <tr key={entry.productId}>
+                            <td>
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(entry.productId)}
+                                    onChange={() => toggle(entry.productId)}
+                                />
+                            </td>
+                            <td>
+                                {entry.productTitle}
+                                {entry.sku && <div style={{fontSize: '12px', color: '#6d7175'}}>{entry.sku}</div>}
+                            </td>
+                            <td>{formatAmount(entry.oldPrice)}</td>
+                            <td>{formatAmount(entry.newPrice)}</td>
+                            <td style={{fontSize: '13px', color: '#d72c0d'}}>
+                                {entry.violations.map((violation, idx) => <div key={idx}>{violation}</div>)}
+                            </td>
+                            <td style={{fontSize: '13px'}}>{new Date(entry.heldAt).toLocaleString('en-IN')}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// Make available globally
+window.HeldPricesPanel = HeldPricesPanel;
@@ -1,6 +1,13 @@
 const { useState, useEffect, useRef } = React;
 
-function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePrice, configureProduct, fetchStonePrices }) {
+// Grams per metal catalog rate unit, to compare metals quoted in different units
+const MODAL_UNIT_GRAMS = {
+    'g': 1,
+    '10g': 10,
+    'kg': 1000
+};
+
+function ProductConfigModal({ product, onClose, onSave, metalPrices, metalCatalog = [], calculatePrice, configureProduct, fetchStonePrices }) {
     // Initialize stones array from configuration
     const initializeStones = () => {
         if (product.configuration?.stones) {
@@ -32,8 +39,52 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
         stones: initializeStones(),
         netWeight: product.configuration?.net_weight || '',
         grossWeight: product.configuration?.gross_weight || '',
-        taxPercent: product.configuration?.tax_percent || '3'
+        taxPercent: product.configuration?.tax_percent || '3',
+        taxRates: product.configuration?.tax_rates || {},
+        extraCharges: (product.configuration?.extra_charges || []).map(extra => ({
+            label: extra.label || '',
+            amount: extra.amount ?? '',
+            taxPercent: extra.taxPercent ?? '',
+            discountEligible: extra.discountEligible === true
+        })),
+        metals: (product.configuration?.metals || []).map(metal => ({
+            metalType: metal.metalType || 'gold22kt',
+            metalWeight: metal.metalWeight ?? '',
+            makingChargePercent: metal.makingChargePercent ?? '',
+            wastageType: metal.wastageType || '',
+            wastageValue: metal.wastageValue ?? ''
+        }))
     });
+    const [showMultiMetal, setShowMultiMetal] = useState(
+        (product.configuration?.metals || []).length > 0
+    );
+    const [showComponentTax, setShowComponentTax] = useState(
+        Object.keys(product.configuration?.tax_rates || {}).length > 0
+    );
+
+    // Initialize per-variant overrides (size/length variants with their own weight and stones)
+    const initializeVariants = () => {
+        return (product.variants || []).map(variant => {
+            const variantConfig = variant.config || {};
+            const hasCustomStones = Array.isArray(variantConfig.stones);
+            return {
+                variantId: variant.id,
+                title: variant.title,
+                sku: variant.sku || '',
+                metalWeight: variantConfig.metalWeight ?? '',
+                useCustomStones: hasCustomStones,
+                stones: hasCustomStones ? variantConfig.stones.map(stone => ({
+                    stoneType: stone.stoneType || '',
+                    stoneWeight: stone.stoneWeight ?? '',
+                    stoneCost: stone.stoneCost ?? '',
+                    stoneCount: stone.stoneCount ?? 1
+                })) : []
+            };
+        });
+    };
+
+    const [variantConfigs, setVariantConfigs] = useState(initializeVariants());
+    const hasMultipleVariants = variantConfigs.length > 1;
 
     const [calculation, setCalculation] = useState(null);
     const [availableStones, setAvailableStones] = useState([]);
@@ -172,7 +223,112 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
             }
             calculatePricePreview();
         }
-    }, [config.metalWeight, config.metalType, config.makingChargePercent, config.labourType, config.labourValue, config.wastageType, config.wastageValue, config.taxPercent, config.stones.map(s => s.stoneCost).join(','), isLoadingDiscount]);
+    }, [config.metalWeight, config.metalType, config.makingChargePercent, config.labourType, config.labourValue, config.wastageType, config.wastageValue, config.taxPercent, JSON.stringify(config.taxRates), JSON.stringify(config.extraCharges), JSON.stringify(config.metals), showMultiMetal, config.stones.map(s => s.stoneCost).join(','), variantConfigs.map(v => `${v.metalWeight}-${v.useCustomStones}-${v.stones.map(s => s.stoneCost).join('/')}`).join(','), isLoadingDiscount]);
+
+    // Build the override object saved in a variant's variant_config metafield
+    const buildVariantOverride = (variant) => {
+        const override = {};
+        if (variant.metalWeight !== '' && variant.metalWeight !== null && variant.metalWeight !== undefined) {
+            override.metalWeight = variant.metalWeight;
+        }
+        if (variant.useCustomStones) {
+            override.stones = variant.stones.map(stone => {
+                const selectedStone = availableStones.find(s => s.stone_id === stone.stoneType);
+                return {
+                    stoneType: stone.stoneType || '',
+                    actualStoneType: selectedStone?.stone_type || '',
+                    stoneWeight: stone.stoneWeight === '' ? '0' : stone.stoneWeight,
+                    stoneCost: stone.stoneCost === '' ? '0' : stone.stoneCost,
+                    stoneCount: parseInt(stone.stoneCount) || 1
+                };
+            });
+        }
+        return override;
+    };
+
+    const updateVariant = (variantIndex, changes) => {
+        setVariantConfigs(prev => prev.map((variant, idx) => idx === variantIndex ? { ...variant, ...changes } : variant));
+    };
+
+    const updateVariantStone = (variantIndex, stoneIndex, changes) => {
+        const variant = variantConfigs[variantIndex];
+        const newStones = variant.stones.map((stone, idx) => {
+            if (idx !== stoneIndex) return stone;
+            const updatedStone = { ...stone, ...changes };
+            // Diamonds are priced from slabs, same as product-level stones
+            const selectedStone = availableStones.find(s => s.stone_id === updatedStone.stoneType);
+            if (selectedStone?.stone_type?.toLowerCase() === 'diamond' && updatedStone.stoneWeight && !('stoneCost' in changes)) {
+                return calculateStoneCostForIndex(updatedStone, selectedStone, idx);
+            }
+            return updatedStone;
+        });
+        updateVariant(variantIndex, { stones: newStones });
+    };
+
+    // Metals offered in the selects: active catalog metals, plus the saved one if it has been deactivated
+    const getMetalOptions = (currentKey) => metalCatalog
+        .filter(metal => metal.active !== false || metal.key === currentKey)
+        .sort((a, b) => a.displayOrder - b.displayOrder);
+
+    const getMetalLabel = (metalKey) => metalCatalog.find(metal => metal.key === metalKey)?.label || metalKey;
+
+    const getRatePerGram = (metalKey) => {
+        const metal = metalCatalog.find(m => m.key === metalKey);
+        return (parseFloat(metalPrices?.[metalKey]) || 0) / (MODAL_UNIT_GRAMS[metal?.unit] || 1);
+    };
+
+    // Keep the product weight and type in step with the metal rows: total weight, and the
+    // metal contributing the most value as the type (used for discount and rounding rules)
+    const updateMetals = (metals) => {
+        const totalWeight = metals.reduce((sum, metal) => sum + (parseFloat(metal.metalWeight) || 0), 0);
+        let dominantType = config.metalType;
+        let dominantValue = -1;
+        metals.forEach(metal => {
+            const value = (parseFloat(metal.metalWeight) || 0) * getRatePerGram(metal.metalType);
+            if (metal.metalType && value > dominantValue) {
+                dominantValue = value;
+                dominantType = metal.metalType;
+            }
+        });
+        setConfig({
+            ...config,
+            metals,
+            metalWeight: totalWeight > 0 ? String(parseFloat(totalWeight.toFixed(3))) : '',
+            metalType: dominantType
+        });
+    };
+
+    const updateMetalRow = (metalIndex, changes) => {
+        updateMetals(config.metals.map((metal, idx) => idx === metalIndex ? { ...metal, ...changes } : metal));
+    };
+
+    const handleToggleMultiMetal = (enabled) => {
+        setShowMultiMetal(enabled);
+        if (enabled && config.metals.length === 0) {
+            // Start from the current single metal so the price doesn't jump
+            updateMetals([{
+                metalType: config.metalType,
+                metalWeight: config.metalWeight,
+                makingChargePercent: '',
+                wastageType: '',
+                wastageValue: ''
+            }]);
+        }
+    };
+
+    // Metal rows sent to the API; blank per-metal rules fall back to the product rules
+    const buildMetalsPayload = () => {
+        if (!showMultiMetal) return [];
+        return config.metals
+            .filter(metal => metal.metalType && parseFloat(metal.metalWeight) > 0)
+            .map(metal => ({
+                metalType: metal.metalType,
+                metalWeight: metal.metalWeight,
+                makingChargePercent: metal.makingChargePercent === '' ? null : metal.makingChargePercent,
+                wastageType: metal.wastageType && metal.wastageValue !== '' ? metal.wastageType : null,
+                wastageValue: metal.wastageType && metal.wastageValue !== '' ? metal.wastageValue : null
+            }));
+    };
 
     const calculatePricePreview = async () => {
         try {
@@ -185,9 +341,21 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
             // Create config for API call with total stone cost
             const configForAPI = {
                 ...config,
-                stoneCost: totalStoneCost
+                stoneCost: totalStoneCost,
+                metals: buildMetalsPayload(),
+                collectionIds: product.collectionIds || [] // Collection rounding policy overrides
             };
 
+            // Preview every variant's price when the product has several variants
+            if (hasMultipleVariants) {
+                configForAPI.variants = variantConfigs.map(variant => ({
+                    id: variant.variantId,
+                    title: variant.title,
+                    sku: variant.sku,
+                    config: buildVariantOverride(variant)
+                }));
+            }
+
             // Include product discount if it exists
             // Convert product discount to discount config format if needed
             let discountConfig = null;
@@ -241,9 +409,19 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                 stones: normalizedStones,
                 netWeight: config.netWeight === '' ? '0' : config.netWeight,
                 grossWeight: config.grossWeight === '' ? '0' : config.grossWeight,
-                taxPercent: config.taxPercent === '' ? '3' : config.taxPercent
+                taxPercent: config.taxPercent === '' ? '3' : config.taxPercent,
+                taxRates: showComponentTax ? config.taxRates : {},
+                extraCharges: config.extraCharges.filter(extra => extra.label || extra.amount !== ''),
+                metals: buildMetalsPayload()
             };
 
+            if (hasMultipleVariants) {
+                configToSend.variantConfigs = variantConfigs.map(variant => ({
+                    variantId: variant.variantId,
+                    ...buildVariantOverride(variant)
+                }));
+            }
+
             const data = await configureProduct(product.id, configToSend);
             if (data.success) {
                 alert('Product configured successfully!');
@@ -318,6 +496,7 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                                     step="0.01"
                                     value={config.metalWeight}
                                     onChange={(e) => setConfig({...config, metalWeight: e.target.value})}
+                                    disabled={showMultiMetal}
                                 />
                             </div>
                         </div>
@@ -327,13 +506,14 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                             <select
                                 value={config.metalType}
                                 onChange={(e) => setConfig({...config, metalType: e.target.value})}
+                                disabled={showMultiMetal}
                             >
-                                <option value="gold24kt">Gold 24K</option>
-                                <option value="gold22kt">Gold 22K</option>
-                                <option value="gold18kt">Gold 18K</option>
-                                <option value="gold14kt">Gold 14K</option>
-                                <option value="platinum">Platinum</option>
-                                <option value="silver">Silver</option>
+                                {getMetalOptions(config.metalType).map(metal => (
+                                    <option key={metal.key} value={metal.key}>{metal.label}</option>
+                                ))}
+                                {!metalCatalog.some(metal => metal.key === config.metalType) && (
+                                    <option value={config.metalType}>{config.metalType}</option>
+                                )}
                             </select>
                         </div>
 
@@ -416,6 +596,51 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                         </div>
                     </div>
 
+                    {/* Component-wise GST */}
+                    <div style={{marginTop: '8px'}}>
+                        <label style={{display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px'}}>
+                            <input
+                                type="checkbox"
+                                checked={showComponentTax}
+                                onChange={(e) => {
+                                    setShowComponentTax(e.target.checked);
+                                    if (!e.target.checked) {
+                                        setConfig({...config, taxRates: {}});
+                                    }
+                                }}
+                            />
+                            Different GST rate per component (e.g. job work on making)
+                        </label>
+                        {showComponentTax && (
+                            <div className="form-grid" style={{marginTop: '8px'}}>
+                                {[
+                                    { key: 'metal', label: 'Metal GST' },
+                                    { key: 'stone', label: 'Stone GST' },
+                                    { key: 'making', label: 'Making GST' },
+                                    { key: 'labour', label: 'Labour GST' },
+                                    { key: 'wastage', label: 'Wastage GST' },
+                                    { key: 'extra', label: 'Extra Charges GST' }
+                                ].map(component => (
+                                    <div className="form-group" key={component.key}>
+                                        <label>{component.label}</label>
+                                        <div className="input-suffix" data-suffix="%">
+                                            <input
+                                                type="number"
+                                                step="0.1"
+                                                value={config.taxRates?.[component.key] ?? ''}
+                                                onChange={(e) => setConfig({
+                                                    ...config,
+                                                    taxRates: { ...config.taxRates, [component.key]: e.target.value }
+                                                })}
+                                                placeholder={config.taxPercent || '3'}
+                                            />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
                     {/* Stones Section */}
                     <div style={{marginTop: '24px', borderTop: '1px solid #e0e0e0', paddingTop: '16px'}}>
                         <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px'}}>
@@ -600,6 +825,302 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                         })}
                     </div>
 
+                    {/* Multi-metal Section - two-tone and mixed-metal pieces */}
+                    <div style={{marginTop: '24px', borderTop: '1px solid #e0e0e0', paddingTop: '16px'}}>
+                        <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px'}}>
+                            <label style={{display: 'flex', alignItems: 'center', gap: '8px', margin: 0, fontSize: '16px', fontWeight: 600}}>
+                                <input
+                                    type="checkbox"
+                                    checked={showMultiMetal}
+                                    onChange={(e) => handleToggleMultiMetal(e.target.checked)}
+                                />
+                                Multiple metals (two-tone)
+                            </label>
+                            {showMultiMetal && (
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => updateMetals([
+                                        ...config.metals,
+                                        { metalType: getMetalOptions()[0]?.key || config.metalType, metalWeight: '', makingChargePercent: '', wastageType: '', wastageValue: '' }
+                                    ])}
+                                    style={{padding: '6px 12px', fontSize: '13px'}}
+                                >
+                                    + Add Metal
+                                </button>
+                            )}
+                        </div>
+                        {showMultiMetal && (
+                            <>
+                                <p style={{color: '#6d7175', fontSize: '13px', margin: '0 0 12px 0'}}>
+                                    Each metal is priced at its own rate. Leave making or wastage empty to use the product values.
+                                    Net weight and metal type follow these rows.
+                                </p>
+                                {config.metals.map((metal, metalIndex) => (
+                                    <div key={metalIndex} style={{display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px'}}>
+                                        <select
+                                            value={metal.metalType}
+                                            onChange={(e) => updateMetalRow(metalIndex, { metalType: e.target.value })}
+                                            style={{flex: 2}}
+                                        >
+                                            {getMetalOptions(metal.metalType).map(type => (
+                                                <option key={type.key} value={type.key}>{type.label}</option>
+                                            ))}
+                                        </select>
+                                        <div className="input-suffix" data-suffix="g" style={{flex: 2}}>
+                                            <input
+                                                type="number"
+                                                step="0.001"
+                                                value={metal.metalWeight}
+                                                onChange={(e) => updateMetalRow(metalIndex, { metalWeight: e.target.value })}
+                                                placeholder="0"
+                                            />
+                                        </div>
+                                        <div className="input-suffix" data-suffix="% making" style={{flex: 2}}>
+                                            <input
+                                                type="number"
+                                                step="0.1"
+                                                value={metal.makingChargePercent}
+                                                onChange={(e) => updateMetalRow(metalIndex, { makingChargePercent: e.target.value })}
+                                                placeholder={config.makingChargePercent || '0'}
+                                            />
+                                        </div>
+                                        <select
+                                            value={metal.wastageType}
+                                            onChange={(e) => updateMetalRow(metalIndex, { wastageType: e.target.value })}
+                                            style={{flex: 2}}
+                                        >
+                                            <option value="">Product wastage</option>
+                                            <option value="percentage">Percentage</option>
+                                            <option value="fixed">Fixed</option>
+                                            <option value="weight">Weight</option>
+                                        </select>
+                                        <input
+                                            type="number"
+                                            step="0.1"
+                                            value={metal.wastageValue}
+                                            onChange={(e) => updateMetalRow(metalIndex, { wastageValue: e.target.value })}
+                                            placeholder="0"
+                                            disabled={!metal.wastageType}
+                                            style={{flex: 1}}
+                                        />
+                                        <button
+                                            type="button"
+                                            className="btn btn-secondary"
+                                            onClick={() => updateMetals(config.metals.filter((_, idx) => idx !== metalIndex))}
+                                            style={{padding: '4px 8px', fontSize: '12px'}}
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                ))}
+                            </>
+                        )}
+                    </div>
+
+                    {/* Extra Charges Section */}
+                    <div style={{marginTop: '24px', borderTop: '1px solid #e0e0e0', paddingTop: '16px'}}>
+                        <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px'}}>
+                            <h3 style={{margin: 0, fontSize: '16px'}}>Extra Charges (Optional)</h3>
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => setConfig({
+                                    ...config,
+                                    extraCharges: [...config.extraCharges, { label: '', amount: '', taxPercent: '', discountEligible: false }]
+                                })}
+                                style={{padding: '6px 12px', fontSize: '13px'}}
+                            >
+                                + Add Charge
+                            </button>
+                        </div>
+                        {config.extraCharges.length === 0 && (
+                            <p style={{color: '#6d7175', fontSize: '14px', margin: 0}}>
+                                No extra charges. Add hallmarking, certification, packaging or engraving fees here.
+                            </p>
+                        )}
+                        {config.extraCharges.map((extra, extraIndex) => {
+                            const updateExtra = (changes) => {
+                                const newExtras = config.extraCharges.map((item, idx) => idx === extraIndex ? { ...item, ...changes } : item);
+                                setConfig({ ...config, extraCharges: newExtras });
+                            };
+                            return (
+                                <div key={extraIndex} style={{display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px'}}>
+                                    <input
+                                        type="text"
+                                        value={extra.label}
+                                        onChange={(e) => updateExtra({ label: e.target.value })}
+                                        placeholder="e.g. BIS Hallmarking"
+                                        style={{flex: 3}}
+                                    />
+                                    <div className="input-suffix" data-suffix="INR" style={{flex: 2}}>
+                                        <input
+                                            type="number"
+                                            step="0.01"
+                                            value={extra.amount}
+                                            onChange={(e) => updateExtra({ amount: e.target.value })}
+                                            placeholder="0"
+                                        />
+                                    </div>
+                                    <div className="input-suffix" data-suffix="% GST" style={{flex: 2}}>
+                                        <input
+                                            type="number"
+                                            step="0.1"
+                                            value={extra.taxPercent}
+                                            onChange={(e) => updateExtra({ taxPercent: e.target.value })}
+                                            placeholder={config.taxRates?.extra || config.taxPercent || '3'}
+                                        />
+                                    </div>
+                                    <label style={{display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px', whiteSpace: 'nowrap'}}>
+                                        <input
+                                            type="checkbox"
+                                            checked={extra.discountEligible}
+                                            onChange={(e) => updateExtra({ discountEligible: e.target.checked })}
+                                        />
+                                        Discountable
+                                    </label>
+                                    <button
+                                        type="button"
+                                        className="btn btn-secondary"
+                                        onClick={() => setConfig({
+                                            ...config,
+                                            extraCharges: config.extraCharges.filter((_, idx) => idx !== extraIndex)
+                                        })}
+                                        style={{padding: '4px 8px', fontSize: '12px'}}
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {/* Variants Section - per-variant weight and stones */}
+                    {hasMultipleVariants && (
+                        <div style={{marginTop: '24px', borderTop: '1px solid #e0e0e0', paddingTop: '16px'}}>
+                            <h3 style={{margin: '0 0 8px 0', fontSize: '16px'}}>Variants</h3>
+                            <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 12px 0'}}>
+                                Leave metal weight empty to use the product weight. Enable custom stones for variants that carry different stones.
+                            </p>
+                            {variantConfigs.map((variant, variantIndex) => {
+                                const variantPrice = calculation?.variantPrices?.find(v => v.variantId === variant.variantId);
+                                return (
+                                    <div key={variant.variantId} style={{
+                                        marginBottom: '12px',
+                                        padding: '12px',
+                                        border: '1px solid #e0e0e0',
+                                        borderRadius: '4px',
+                                        backgroundColor: '#fafafa'
+                                    }}>
+                                        <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px'}}>
+                                            <h4 style={{margin: 0, fontSize: '14px', fontWeight: '600'}}>
+                                                {variant.title}
+                                                {variant.sku && (
+                                                    <span style={{fontSize: '12px', color: '#6d7175', fontWeight: 'normal', marginLeft: '8px'}}>{variant.sku}</span>
+                                                )}
+                                            </h4>
+                                            {variantPrice && (
+                                                <span style={{fontWeight: '600'}}>₹{variantPrice.roundedPrice}</span>
+                                            )}
+                                        </div>
+                                        <div className="form-grid">
+                                            <div className="form-group">
+                                                <label>Metal Weight</label>
+                                                <div className="input-suffix" data-suffix="Grams">
+                                                    <input
+                                                        type="number"
+                                                        step="0.01"
+                                                        value={variant.metalWeight}
+                                                        placeholder={config.metalWeight || '0'}
+                                                        onChange={(e) => updateVariant(variantIndex, { metalWeight: e.target.value })}
+                                                    />
+                                                </div>
+                                            </div>
+                                            <div className="form-group">
+                                                <label style={{display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer'}}>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={variant.useCustomStones}
+                                                        onChange={(e) => updateVariant(variantIndex, {
+                                                            useCustomStones: e.target.checked,
+                                                            stones: e.target.checked && variant.stones.length === 0
+                                                                ? config.stones.map(stone => ({ ...stone }))
+                                                                : variant.stones
+                                                        })}
+                                                    />
+                                                    Custom stones for this variant
+                                                </label>
+                                            </div>
+                                        </div>
+                                        {variant.useCustomStones && (
+                                            <div style={{marginTop: '8px'}}>
+                                                {variant.stones.map((stone, stoneIndex) => (
+                                                    <div key={stoneIndex} style={{display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px'}}>
+                                                        <select
+                                                            value={stone.stoneType}
+                                                            onChange={(e) => updateVariantStone(variantIndex, stoneIndex, { stoneType: e.target.value })}
+                                                            style={{flex: 2}}
+                                                        >
+                                                            <option value="">Select Stone</option>
+                                                            {availableStones.map((s, idx) => (
+                                                                <option key={idx} value={s.stone_id}>
+                                                                    {s.stone_type} (ID: {s.stone_id})
+                                                                </option>
+                                                            ))}
+                                                        </select>
+                                                        <input
+                                                            type="number"
+                                                            step="0.01"
+                                                            value={stone.stoneWeight}
+                                                            placeholder="Carat"
+                                                            onChange={(e) => updateVariantStone(variantIndex, stoneIndex, { stoneWeight: e.target.value })}
+                                                            style={{flex: 1}}
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            min="1"
+                                                            value={stone.stoneCount}
+                                                            placeholder="Count"
+                                                            onChange={(e) => updateVariantStone(variantIndex, stoneIndex, { stoneCount: e.target.value })}
+                                                            style={{flex: 1}}
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            step="0.01"
+                                                            value={stone.stoneCost}
+                                                            placeholder="Cost ₹"
+                                                            onChange={(e) => updateVariantStone(variantIndex, stoneIndex, { stoneCost: e.target.value })}
+                                                            style={{flex: 1}}
+                                                        />
+                                                        <button
+                                                            type="button"
+                                                            className="btn btn-secondary"
+                                                            onClick={() => updateVariant(variantIndex, {
+                                                                stones: variant.stones.filter((_, idx) => idx !== stoneIndex)
+                                                            })}
+                                                            style={{padding: '4px 8px', fontSize: '12px'}}
+                                                        >
+                                                            Remove
+                                                        </button>
+                                                    </div>
+                                                ))}
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-secondary"
+                                                    onClick={() => updateVariant(variantIndex, {
+                                                        stones: [...variant.stones, { stoneType: '', stoneWeight: '', stoneCost: '', stoneCount: 1 }]
+                                                    })}
+                                                    style={{padding: '4px 12px', fontSize: '12px'}}
+                                                >
+                                                    + Add Stone
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
 
                     {calculation && (
                         <div className="calculation-result">
@@ -608,6 +1129,12 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                                 <span>Metal Cost</span>
                                 <span>₹{calculation.metalCost.toFixed(2)}</span>
                             </div>
+                            {(calculation.breakdown?.metals || []).length > 1 && calculation.breakdown.metals.map((metal, idx) => (
+                                <div key={idx} className="calculation-row" style={{fontSize: '13px', color: '#6d7175', paddingLeft: '12px'}}>
+                                    <span>{getMetalLabel(metal.metalType)} · {metal.metalWeight}g @ ₹{metal.metalRate}/g</span>
+                                    <span>₹{metal.metalCost.toFixed(2)}</span>
+                                </div>
+                            ))}
                             <div className="calculation-row">
                                 <span>Making Charge</span>
                                 <span>₹{calculation.makingCharge.toFixed(2)}</span>
@@ -624,6 +1151,12 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                                 <span>Stone Cost</span>
                                 <span>₹{calculation.stoneCost.toFixed(2)}</span>
                             </div>
+                            {(calculation.breakdown?.extraCharges || []).map((extra, idx) => (
+                                <div key={idx} className="calculation-row">
+                                    <span>{extra.label}</span>
+                                    <span>₹{extra.amount.toFixed(2)}</span>
+                                </div>
+                            ))}
                             
                             {/* Show Subtotal */}
                             <div className="calculation-row" style={{
@@ -665,16 +1198,28 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                                         <span style={{textDecoration: 'line-through', color: '#999'}}>₹{(calculation.priceBeforeDiscount || calculation.finalPrice).toFixed(2)}</span>
                                     </div>
                                     <div className="calculation-row">
-                                        <span>Tax Amount ({config.taxPercent}%)</span>
+                                        <span>Tax Amount {showComponentTax ? '(component-wise)' : `(${config.taxPercent}%)`}</span>
                                         <span>₹{calculation.taxAmount.toFixed(2)}</span>
                                     </div>
                                 </>
                             ) : (
                                 <div className="calculation-row">
-                                    <span>Tax Amount ({config.taxPercent}%)</span>
+                                    <span>Tax Amount {showComponentTax ? '(component-wise)' : `(${config.taxPercent}%)`}</span>
                                     <span>₹{calculation.taxAmount.toFixed(2)}</span>
                                 </div>
                             )}
+
+                            {/* Tax per component when component-wise GST or extra charges are used */}
+                            {(showComponentTax || config.extraCharges.length > 0) && calculation.taxBreakdown && Object.entries(calculation.taxBreakdown)
+                                .filter(([, row]) => row.amount > 0)
+                                .map(([component, row]) => (
+                                    <div key={component} className="calculation-row" style={{fontSize: '13px', color: '#6d7175', paddingLeft: '12px'}}>
+                                        <span style={{textTransform: row.label ? 'none' : 'capitalize'}}>
+                                            {row.label || component} GST ({row.rate}% on ₹{row.taxableAmount.toFixed(2)})
+                                        </span>
+                                        <span>₹{row.taxAmount.toFixed(2)}</span>
+                                    </div>
+                                ))}
                             
                             <div className="calculation-row total" style={{
                                 borderTop: calculation.discount && calculation.discount.discountAmount > 0 ? '2px solid #28a745' : '2px solid #333',
@@ -690,6 +1235,12 @@ function ProductConfigModal({ product, onClose, onSave, metalPrices, calculatePr
                                     ₹{(calculation.finalPriceAfterDiscount || calculation.finalPrice).toFixed(2)}
                                 </span>
                             </div>
+                            {calculation.roundedPrice !== undefined && (
+                                <div className="calculation-row" style={{fontSize: '13px', color: '#6d7175'}}>
+                                    <span>Store Price (rounding: {calculation.roundingPolicy})</span>
+                                    <span>₹{calculation.roundedPrice}</span>
+                                </div>
+                            )}
                         </div>
                     )}
 
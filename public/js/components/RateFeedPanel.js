@@ -0,0 +1,178 @@
+const { useState, useEffect } = React;
+
+function RateFeedPanel({ metalCatalog = [], onRatesApplied }) {
+    const [feed, setFeed] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    const API = window.API || {};
+
+    useEffect(() => {
+        loadFeed();
+    }, []);
+
+    const loadFeed = async () => {
+        try {
+            setFeed(await API.fetchRateFeed());
+        } catch (error) {
+            console.error('Error loading rate feed:', error);
+        }
+    };
+
+    const handleFetch = async () => {
+        try {
+            setWorking(true);
+            const result = await API.runRateFeed();
+            if (result.data.outcome === 'applied' && onRatesApplied) {
+                onRatesApplied(result.refreshJobId);
+            }
+            alert(result.message);
+        } catch (error) {
+            console.error('Error fetching feed rates:', error);
+            alert('Error: Error fetching feed rates: ' + error.message);
+        } finally {
+            setWorking(false);
+            loadFeed();
+        }
+    };
+
+    const handleApprove = async () => {
+        try {
+            setWorking(true);
+            const result = await API.approveRateFeed();
+            if (onRatesApplied) {
+                onRatesApplied(result.refreshJobId);
+            }
+            alert(result.message);
+        } catch (error) {
+            console.error('Error applying feed rates:', error);
+            alert('Error: Error applying feed rates: ' + error.message);
+        } finally {
+            setWorking(false);
+            loadFeed();
+        }
+    };
+
+    const handleReject = async () => {
+        try {
+            setWorking(true);
+            await API.rejectRateFeed();
+        } catch (error) {
+            console.error('Error discarding feed rates:', error);
+            alert('Error: Error discarding feed rates: ' + error.message);
+        } finally {
+            setWorking(false);
+            loadFeed();
+        }
+    };
+
+    // Nothing to show until a feed is set up in Settings
+    if (!feed || (!feed.settings.enabled && !feed.staged)) {
+        return null;
+    }
+
+    const staged = feed.staged;
+    const lastRun = feed.lastRun;
+    const unitOf = (metalKey) => metalCatalog.find(metal => metal.key === metalKey)?.unit || 'g';
+
+    return (
+        <div className="card">
+            <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px'}}>
+                <h2>RATE FEED</h2>
+                <button
+                    className="btn btn-secondary"
+                    onClick={handleFetch}
+                    disabled={working}
+                >
+                    {working ? 'Working...' : '⬇ Fetch Rates Now'}
+                </button>
+            </div>
+            <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 12px 0'}}>
+                {feed.settings.source} · {feed.settings.mode === 'auto' ? 'applied automatically' : 'held for approval'}
+                {feed.settings.intervalMinutes > 0 ? ` · every ${feed.settings.intervalMinutes} min` : ''}
+            </p>
+
+            {lastRun && (
+                <p style={{fontSize: '13px', margin: '0 0 12px 0', color: lastRun.outcome === 'failed' ? '#d72c0d' : '#6d7175'}}>
+                    Last fetch: {new Date(lastRun.at).toLocaleString('en-IN')} ({lastRun.trigger}) · {lastRun.outcome}
+                    {lastRun.error ? ` · ${lastRun.error}` : ''}
+                </p>
+            )}
+
+            {staged && (
+                <>
+                    <h3 style={{fontSize: '14px', margin: '0 0 8px 0'}}>
+                        WAITING FOR APPROVAL · fetched {new Date(staged.fetchedAt).toLocaleString('en-IN')}
+                        {staged.asOf ? ` · feed time ${staged.asOf}` : ''}
+                    </h3>
+
+                    {staged.issues.length > 0 && (
+                        <div style={{background: '#fff4f4', border: '1px solid #d72c0d', borderRadius: '4px', padding: '8px 12px', marginBottom: '12px', fontSize: '13px', color: '#d72c0d'}}>
+                            <strong>These rates can't be saved:</strong>
+                            <ul style={{margin: '4px 0 0 16px'}}>
+                                {staged.issues.map((issue, idx) => <li key={idx}>{issue}</li>)}
+                            </ul>
+                        </div>
+                    )}
+
+                    {staged.alerts.length > 0 && (
+                        <div style={{background: '#fff3cd', border: '1px solid #856404', borderRadius: '4px', padding: '8px 12px', marginBottom: '12px', fontSize: '13px', color: '#856404'}}>
+                            <strong>Check before approving:</strong>
+                            <ul style={{margin: '4px 0 0 16px'}}>
+                                {staged.alerts.map((alertText, idx) => <li key={idx}>{alertText}</li>)}
+                            </ul>
+                        </div>
+                    )}
+
+                    <table className="stone-table">
+                        <thead>
+                            <tr>
+                                <th>Metal</th>
+                                <th>Current</th>
+                                <th>Feed</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {staged.changes.map(change => (
+                                <tr key={change.key}>
+                                    <td>{change.label}{!change.quoted && <small style={{color: '#6d7175'}}> (not in feed)</small>}</td>
+                                    <td>₹{change.current.toLocaleString('en-IN')} / {unitOf(change.key)}</td>
+                                    <td>₹{change.proposed.toLocaleString('en-IN')} / {unitOf(change.key)}</td>
+                                    <td style={{color: change.percent > 0 ? '#008060' : change.percent < 0 ? '#d72c0d' : '#6d7175'}}>
+                                        {change.percent === null ? '—' : `${change.percent > 0 ? '+' : ''}${change.percent}%`}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {staged.warnings.length > 0 && (
+                        <p style={{fontSize: '12px', color: '#6d7175', margin: '8px 0 0 0'}}>
+                            {staged.warnings.join(' · ')}
+                        </p>
+                    )}
+
+                    <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '12px'}}>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handleReject}
+                            disabled={working}
+                        >
+                            Discard
+                        </button>
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleApprove}
+                            disabled={working || staged.issues.length > 0}
+                        >
+                            ✓ Approve &amp; Save Rates
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// Make available globally
+window.RateFeedPanel = RateFeedPanel;
@@ -0,0 +1,185 @@
+const { useState, useEffect } = React;
+
+const RATE_HISTORY_RANGES = [
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+    { days: 90, label: '90 days' },
+    { days: 365, label: '1 year' }
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 32;
+
+function RateHistoryChart({ metalCatalog = [], refreshKey }) {
+    const activeMetals = metalCatalog
+        .filter(metal => metal.active !== false)
+        .sort((a, b) => a.displayOrder - b.displayOrder);
+
+    const [rangeDays, setRangeDays] = useState(30);
+    const [selectedMetal, setSelectedMetal] = useState('');
+    const [history, setHistory] = useState({ entries: [], daily: [] });
+    const [loading, setLoading] = useState(false);
+    const [importing, setImporting] = useState(false);
+
+    const API = window.API || {};
+    const metalKey = selectedMetal || activeMetals[0]?.key || '';
+    const metal = metalCatalog.find(m => m.key === metalKey);
+
+    useEffect(() => {
+        loadHistory();
+    }, [rangeDays, refreshKey]);
+
+    const loadHistory = async () => {
+        try {
+            setLoading(true);
+            const from = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const result = await API.fetchMetalPriceHistory(from);
+            setHistory(result);
+        } catch (error) {
+            console.error('Error loading rate history:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            setImporting(true);
+            const csv = await file.text();
+            const result = await API.importMetalPriceHistory(csv);
+            alert(result.message || 'Rate history imported');
+            loadHistory();
+        } catch (error) {
+            console.error('Error importing rate history:', error);
+            alert('Error: Error importing rate history: ' + error.message);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const points = history.daily
+        .filter(day => day.rates[metalKey] !== undefined)
+        .map(day => ({ date: day.date, rate: day.rates[metalKey], change: day.changes[metalKey] }));
+
+    const renderChart = () => {
+        if (points.length === 0) {
+            return (
+                <p style={{color: '#6d7175', fontSize: '14px', textAlign: 'center', padding: '24px 0'}}>
+                    No rate changes recorded for {metal?.label || metalKey} in this period.
+                </p>
+            );
+        }
+
+        const rates = points.map(point => point.rate);
+        const min = Math.min(...rates);
+        const max = Math.max(...rates);
+        const span = max - min || 1;
+        const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+        const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+        const x = (index) => CHART_PADDING + (points.length === 1 ? innerWidth / 2 : (index / (points.length - 1)) * innerWidth);
+        const y = (rate) => CHART_PADDING + innerHeight - ((rate - min) / span) * innerHeight;
+
+        return (
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{width: '100%', height: 'auto', background: '#fafbfb', borderRadius: '4px'}}>
+                <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} stroke="#e1e3e5" />
+                <text x={CHART_PADDING} y={CHART_PADDING - 10} fontSize="11" fill="#6d7175">₹{max.toLocaleString('en-IN')}</text>
+                <text x={CHART_PADDING} y={CHART_HEIGHT - CHART_PADDING + 14} fontSize="11" fill="#6d7175">₹{min.toLocaleString('en-IN')} · {points[0].date}</text>
+                <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - CHART_PADDING + 14} fontSize="11" fill="#6d7175" textAnchor="end">{points[points.length - 1].date}</text>
+                <polyline
+                    fill="none"
+                    stroke="#008060"
+                    strokeWidth="2"
+                    points={points.map((point, index) => `${x(index)},${y(point.rate)}`).join(' ')}
+                />
+                {points.map((point, index) => (
+                    <circle key={point.date} cx={x(index)} cy={y(point.rate)} r="3" fill="#008060">
+                        <title>{point.date}: ₹{point.rate.toLocaleString('en-IN')}</title>
+                    </circle>
+                ))}
+            </svg>
+        );
+    };
+
+    const renderChange = (change) => {
+        if (!change) return <span style={{color: '#6d7175'}}>—</span>;
+        const color = change.amount > 0 ? '#008060' : change.amount < 0 ? '#d72c0d' : '#6d7175';
+        const sign = change.amount > 0 ? '+' : '';
+        return (
+            <span style={{color}}>
+                {sign}₹{change.amount.toLocaleString('en-IN')} ({sign}{change.percent}%)
+            </span>
+        );
+    };
+
+    return (
+        <div className="card">
+            <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px'}}>
+                <h2>RATE HISTORY</h2>
+                <div style={{display: 'flex', gap: '8px', alignItems: 'center'}}>
+                    <select value={metalKey} onChange={(e) => setSelectedMetal(e.target.value)}>
+                        {activeMetals.map(m => (
+                            <option key={m.key} value={m.key}>{m.label}</option>
+                        ))}
+                    </select>
+                    <select value={rangeDays} onChange={(e) => setRangeDays(parseInt(e.target.value))}>
+                        {RATE_HISTORY_RANGES.map(range => (
+                            <option key={range.days} value={range.days}>{range.label}</option>
+                        ))}
+                    </select>
+                    <label className="btn btn-secondary" style={{padding: '6px 12px', fontSize: '13px', cursor: 'pointer', margin: 0}}>
+                        {importing ? 'Importing...' : '⬆ Import CSV'}
+                        <input type="file" accept=".csv,text/csv" onChange={handleImport} disabled={importing} style={{display: 'none'}} />
+                    </label>
+                </div>
+            </div>
+            <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 12px 0'}}>
+                Closing rate per day. Import past rates with a CSV: first column <code>date</code> (YYYY-MM-DD), then one column per metal key.
+            </p>
+
+            {loading ? <div className="loading">Loading rate history...</div> : renderChart()}
+
+            {points.length > 0 && (
+                <table className="stone-table" style={{marginTop: '16px'}}>
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>{metal?.label || metalKey}</th>
+                            <th>Day-over-day</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {[...points].reverse().slice(0, 10).map(point => (
+                            <tr key={point.date}>
+                                <td>{point.date}</td>
+                                <td>₹{point.rate.toLocaleString('en-IN')}</td>
+                                <td>{renderChange(point.change)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {history.entries.length > 0 && (
+                <div style={{marginTop: '16px', fontSize: '13px', color: '#6d7175'}}>
+                    <strong>Recent changes:</strong>
+                    <ul style={{margin: '4px 0 0 16px'}}>
+                        {[...history.entries].reverse().slice(0, 5).map(entry => (
+                            <li key={entry.id}>
+                                {new Date(entry.effectiveAt).toLocaleString('en-IN')} · {entry.author || 'unknown'} · {entry.source}
+                                {entry.rates[metalKey] !== undefined && ` · ₹${entry.rates[metalKey].toLocaleString('en-IN')}`}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Make available globally
+window.RateHistoryChart = RateHistoryChart;
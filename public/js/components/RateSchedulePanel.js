@@ -0,0 +1,182 @@
+const { useState, useEffect, useRef } = React;
+
+const SCHEDULE_STATUS_BADGES = {
+    pending: 'badge-pending',
+    applied: 'badge-success',
+    cancelled: 'badge-cancelled',
+    failed: 'badge-failed'
+};
+
+function RateSchedulePanel({ metalPrices, overrides = {}, derivationEnabled = false, metalCatalog = [], onScheduleApplied }) {
+    const [effectiveAt, setEffectiveAt] = useState('');
+    const [autoRefresh, setAutoRefresh] = useState(true);
+    const [schedules, setSchedules] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [cancelConfirm, setCancelConfirm] = useState({ isOpen: false, schedule: null });
+    const pendingIdsRef = useRef(null);
+
+    const API = window.API || {};
+
+    useEffect(() => {
+        loadSchedules();
+        // Pick up schedules applied by the server while the page is open
+        const timer = setInterval(loadSchedules, 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const loadSchedules = async () => {
+        try {
+            const result = await API.fetchMetalPriceSchedules();
+            // Reload the current rates when a schedule that was pending has been applied
+            const newlyApplied = pendingIdsRef.current && result.some(schedule =>
+                schedule.status === 'applied' && pendingIdsRef.current.includes(schedule.id)
+            );
+            pendingIdsRef.current = result.filter(schedule => schedule.status === 'pending').map(schedule => schedule.id);
+            setSchedules(result);
+            if (newlyApplied && onScheduleApplied) {
+                onScheduleApplied();
+            }
+        } catch (error) {
+            console.error('Error loading rate schedules:', error);
+        }
+    };
+
+    const handleSchedule = async () => {
+        if (!effectiveAt) {
+            alert('Choose when the rates should take effect');
+            return;
+        }
+
+        try {
+            setSaving(true);
+            // datetime-local is in the browser's time zone; the server stores UTC
+            await API.scheduleMetalPrices({
+                ...metalPrices,
+                ...(derivationEnabled ? { overrides } : {}),
+                effectiveAt: new Date(effectiveAt).toISOString(),
+                autoRefresh
+            });
+            setEffectiveAt('');
+            loadSchedules();
+            alert('Metal prices scheduled successfully!');
+        } catch (error) {
+            console.error('Error scheduling metal prices:', error);
+            alert('Error: Error scheduling metal prices: ' + error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const confirmCancel = async () => {
+        if (!cancelConfirm.schedule) return;
+
+        try {
+            await API.cancelMetalPriceSchedule(cancelConfirm.schedule.id);
+            loadSchedules();
+        } catch (error) {
+            console.error('Error cancelling schedule:', error);
+            alert('Error: Error cancelling schedule: ' + error.message);
+        } finally {
+            setCancelConfirm({ isOpen: false, schedule: null });
+        }
+    };
+
+    const formatRates = (rates) => metalCatalog
+        .filter(metal => rates[metal.key] !== undefined)
+        .sort((a, b) => a.displayOrder - b.displayOrder)
+        .map(metal => `${metal.label} ₹${Number(rates[metal.key]).toLocaleString('en-IN')}`)
+        .join(' · ');
+
+    // Pending first (soonest at the top), then the latest few that already ran
+    const pending = schedules.filter(schedule => schedule.status === 'pending');
+    const recent = schedules
+        .filter(schedule => schedule.status !== 'pending')
+        .slice(-5)
+        .reverse();
+
+    return (
+        <div style={{borderTop: '1px solid #e1e3e5', marginTop: '16px', paddingTop: '16px'}}>
+            <h3 style={{fontSize: '14px', margin: '0 0 8px 0'}}>SCHEDULE THESE RATES</h3>
+            <div style={{display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap'}}>
+                <input
+                    type="datetime-local"
+                    value={effectiveAt}
+                    onChange={(e) => setEffectiveAt(e.target.value)}
+                    style={{maxWidth: '220px'}}
+                />
+                <label style={{display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px'}}>
+                    <input
+                        type="checkbox"
+                        checked={autoRefresh}
+                        onChange={(e) => setAutoRefresh(e.target.checked)}
+                    />
+                    Refresh product prices when they take effect
+                </label>
+                <button
+                    className="btn btn-secondary"
+                    onClick={handleSchedule}
+                    disabled={saving}
+                >
+                    {saving ? 'Scheduling...' : '⏰ Schedule'}
+                </button>
+            </div>
+
+            {(pending.length > 0 || recent.length > 0) && (
+                <table className="stone-table" style={{marginTop: '12px'}}>
+                    <thead>
+                        <tr>
+                            <th>Effective</th>
+                            <th>Rates</th>
+                            <th>By</th>
+                            <th>Status</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {[...pending, ...recent].map(schedule => (
+                            <tr key={schedule.id}>
+                                <td>{new Date(schedule.effectiveAt).toLocaleString('en-IN')}</td>
+                                <td style={{fontSize: '13px'}}>{formatRates(schedule.rates)}</td>
+                                <td>{schedule.author || 'unknown'}</td>
+                                <td>
+                                    <span className={`badge ${SCHEDULE_STATUS_BADGES[schedule.status] || ''}`}>{schedule.status}</span>
+                                    {schedule.autoRefresh && <small style={{color: '#6d7175'}}> + refresh</small>}
+                                    {schedule.result?.error && (
+                                        <div style={{color: '#d72c0d', fontSize: '12px'}}>{schedule.result.error}</div>
+                                    )}
+                                </td>
+                                <td>
+                                    {schedule.status === 'pending' && (
+                                        <button
+                                            className="link-button"
+                                            onClick={() => setCancelConfirm({ isOpen: true, schedule })}
+                                            style={{color: '#d72c0d'}}
+                                        >
+                                            Cancel
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {cancelConfirm.isOpen && cancelConfirm.schedule && window.ConfirmModal && (
+                <window.ConfirmModal
+                    isOpen={cancelConfirm.isOpen}
+                    title="Cancel Scheduled Rates"
+                    message={`Cancel the rates scheduled for ${new Date(cancelConfirm.schedule.effectiveAt).toLocaleString('en-IN')}?`}
+                    onConfirm={confirmCancel}
+                    onCancel={() => setCancelConfirm({ isOpen: false, schedule: null })}
+                    confirmText="Cancel Schedule"
+                    cancelText="Keep"
+                    confirmButtonClass="btn-secondary"
+                />
+            )}
+        </div>
+    );
+}
+
+// Make available globally
+window.RateSchedulePanel = RateSchedulePanel;
@@ -0,0 +1,143 @@
+const { useState, useEffect } = React;
+
+// How often the list is reloaded while a job is queued or running
+const ACTIVE_JOB_POLL_MS = 5000;
+
+function RefreshHistoryTab({ onOpenJob }) {
+    const [jobs, setJobs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const API = window.API || {};
+
+    const hasActiveJob = jobs.some(job => job.status === 'queued' || job.status === 'processing');
+
+    useEffect(() => {
+        loadJobs();
+    }, []);
+
+    useEffect(() => {
+        if (!hasActiveJob) {
+            return undefined;
+        }
+        const timer = setInterval(loadJobs, ACTIVE_JOB_POLL_MS);
+        return () => clearInterval(timer);
+    }, [hasActiveJob]);
+
+    const loadJobs = async () => {
+        try {
+            setJobs(await API.fetchRefreshJobs());
+            setError(null);
+        } catch (loadError) {
+            console.error('Error loading refresh jobs:', loadError);
+            setError(loadError.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const describeKind = (job) => {
+        if (job.rollbackOf) return 'Rollback';
+        if (job.retryOf) return 'Retry of failed';
+        if (job.dryRun) return 'Dry run';
+        if (job.promotedFrom) return 'Applied dry run';
+        return job.full ? 'Full refresh' : 'Refresh';
+    };
+
+    const describeStatus = (job) => {
+        if (job.status === 'queued' && job.queuePosition != null) {
+            return `Queued (#${job.queuePosition})`;
+        }
+        return job.status.charAt(0).toUpperCase() + job.status.slice(1);
+    };
+
+    const statusColor = {
+        completed: '#28a745',
+        failed: '#dc3545',
+        cancelled: '#963',
+        paused: '#963',
+        processing: '#005bd3',
+        queued: '#6d7175'
+    };
+
+    // Reports are written once a job has stopped
+    const hasReport = (job) => job.status !== 'queued' && job.status !== 'processing';
+
+    return (
+        <div className="card">
+            <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px'}}>
+                <h2>REFRESH HISTORY</h2>
+                <button className="btn btn-secondary" onClick={loadJobs} disabled={loading}>
+                    ↻ Reload
+                </button>
+            </div>
+            <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 12px 0'}}>
+                Refresh, dry run and rollback jobs, newest first. Each stopped job has a report of every product:
+                SKU, metal, rate used, old and new price, discount and error.
+            </p>
+
+            {error && (
+                <div style={{color: '#dc3545', fontSize: '13px', marginBottom: '12px'}}>Error: {error}</div>
+            )}
+
+            {loading ? (
+                <div className="loading">Loading jobs...</div>
+            ) : jobs.length === 0 ? (
+                <p style={{fontSize: '13px', color: '#6d7175'}}>No refresh jobs yet.</p>
+            ) : (
+                <table className="stone-table">
+                    <thead>
+                        <tr>
+                            <th>Started</th>
+                            <th>Job</th>
+                            <th>Status</th>
+                            <th>Products</th>
+                            <th>Updated</th>
+                            <th>Failed</th>
+                            <th>Held</th>
+                            <th>Report</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {jobs.map(job => (
+                            <tr key={job.id}>
+                                <td style={{fontSize: '13px'}}>{new Date(job.createdAt).toLocaleString('en-IN')}</td>
+                                <td>
+                                    {describeKind(job)}
+                                    <div style={{fontSize: '11px', color: '#6d7175', fontFamily: 'monospace'}}>{job.id}</div>
+                                </td>
+                                <td style={{color: statusColor[job.status] || '#202223', fontWeight: '500'}}>
+                                    {describeStatus(job)}
+                                </td>
+                                <td>{job.processed} / {job.total}</td>
+                                <td>{job.successCount}</td>
+                                <td style={{color: job.failCount > 0 ? '#dc3545' : undefined}}>{job.failCount}</td>
+                                <td>{job.heldCount}</td>
+                                <td style={{fontSize: '13px', whiteSpace: 'nowrap'}}>
+                                    {hasReport(job) ? (
+                                        <React.Fragment>
+                                            <a href={API.getRefreshReportUrl(job.id, 'csv')} download>CSV</a>
+                                            {' · '}
+                                            <a href={API.getRefreshReportUrl(job.id, 'xlsx')} download>Excel</a>
+                                        </React.Fragment>
+                                    ) : '—'}
+                                </td>
+                                <td>
+                                    {onOpenJob && (
+                                        <button className="btn btn-secondary" onClick={() => onOpenJob(job.id)}>
+                                            View
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+// Make available globally
+window.RefreshHistoryTab = RefreshHistoryTab;
@@ -1,9 +1,18 @@
-const { useState, useEffect } = React;
+const { useState, useEffect, useRef } = React;
 
-function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, cancelRefresh }) {
+// Most entries kept in the live log
+const MAX_LIVE_LOG_ENTRIES = 200;
+
+function RefreshProgressModal({ jobId, onClose, getRefreshStatus, cancelRefresh, pauseRefresh, resumeRefresh, promoteRefresh, onPromoted, retryFailedRefresh, onRetryStarted, rollbackRefresh, onRollbackStarted, getReportUrl, getEventsUrl }) {
     const [status, setStatus] = useState(null);
+    // Following the job: over its event stream, or by polling when there is none or it dropped
     const [polling, setPolling] = useState(true);
+    const [streamFailed, setStreamFailed] = useState(false);
     const [error, setError] = useState(null);
+    const [liveLog, setLiveLog] = useState([]);
+    const liveLogRef = useRef(null);
+
+    const canStream = Boolean(getEventsUrl) && typeof EventSource !== 'undefined' && !streamFailed;
 
     // Format time in seconds to human readable
     const formatTime = (seconds) => {
@@ -14,17 +23,61 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
         return `${minutes}m ${secs}s`;
     };
 
+    const addLogEntry = (entry) => {
+        setLiveLog(prev => [...prev, entry].slice(-MAX_LIVE_LOG_ENTRIES));
+    };
+
+    // Follow the job over its event stream
+    useEffect(() => {
+        if (!jobId || !polling || !canStream) return;
+
+        const source = new EventSource(getEventsUrl(jobId));
+        const read = (handler) => (event) => handler(JSON.parse(event.data));
+        const mergeStatus = read(data => setStatus(prev => ({ ...prev, ...data })));
+
+        source.addEventListener('status', mergeStatus);
+        source.addEventListener('progress', mergeStatus);
+        source.addEventListener('product', read(product => addLogEntry({ type: 'product', ...product })));
+        source.addEventListener('warning', read(warning => addLogEntry({ type: 'warning', ...warning })));
+        source.addEventListener('done', async () => {
+            source.close();
+            // The full status has the per-product results and the report
+            try {
+                setStatus(await getRefreshStatus(jobId));
+            } catch (err) {
+                console.error('Error fetching final status:', err);
+                setError(err.message);
+            }
+            setPolling(false);
+        });
+
+        // The stream dropped: poll instead
+        source.onerror = () => {
+            source.close();
+            setStreamFailed(true);
+        };
+
+        return () => source.close();
+    }, [jobId, polling, canStream, getEventsUrl, getRefreshStatus]);
+
+    // Keep the newest log entry in view
+    useEffect(() => {
+        if (liveLogRef.current) {
+            liveLogRef.current.scrollTop = liveLogRef.current.scrollHeight;
+        }
+    }, [liveLog]);
+
     // Poll for status updates
     useEffect(() => {
-        if (!jobId || !polling) return;
+        if (!jobId || !polling || canStream) return;
 
         const pollStatus = async () => {
             try {
                 const jobStatus = await getRefreshStatus(jobId);
                 setStatus(jobStatus);
 
-                // Stop polling if job is completed, failed, or cancelled
-                if (['completed', 'failed', 'cancelled'].includes(jobStatus.status)) {
+                // Stop polling if job is completed, failed, cancelled or paused
+                if (['completed', 'failed', 'cancelled', 'paused'].includes(jobStatus.status)) {
                     setPolling(false);
                 }
             } catch (err) {
@@ -41,30 +94,111 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
         const interval = setInterval(pollStatus, 2000);
 
         return () => clearInterval(interval);
-    }, [jobId, polling, getRefreshStatus]);
+    }, [jobId, polling, canStream, getRefreshStatus]);
+
+    // Follow the job again after pausing, resuming or cancelling it; the stream is tried again first
+    const followJob = () => {
+        setStreamFailed(false);
+        setPolling(true);
+    };
 
     const [showCancelConfirm, setShowCancelConfirm] = useState(false);
     const [showFailedProducts, setShowFailedProducts] = useState(false);
+    const [showNotProcessed, setShowNotProcessed] = useState(false);
+    const [promoting, setPromoting] = useState(false);
+    const [retrying, setRetrying] = useState(false);
+    const [showRollbackConfirm, setShowRollbackConfirm] = useState(false);
+    const [rollingBack, setRollingBack] = useState(false);
+    const [showChangedSince, setShowChangedSince] = useState(false);
+
+    // Run a completed dry run for real; the modal then follows the new job
+    const handlePromote = async () => {
+        try {
+            setPromoting(true);
+            const result = await promoteRefresh(jobId);
+            if (onPromoted) {
+                onPromoted(result.jobId);
+            }
+        } catch (err) {
+            console.error('Error applying dry run:', err);
+            alert('Error: Failed to apply the dry run: ' + err.message);
+        } finally {
+            setPromoting(false);
+        }
+    };
+
+    // Reprice only the failed products in a child job; the modal then follows that job
+    const handleRetryFailed = async () => {
+        try {
+            setRetrying(true);
+            const result = await retryFailedRefresh(jobId);
+            if (onRetryStarted) {
+                onRetryStarted(result.jobId);
+            }
+        } catch (err) {
+            console.error('Error retrying failed products:', err);
+            alert('Error: Failed to retry failed products: ' + err.message);
+        } finally {
+            setRetrying(false);
+        }
+    };
+
+    // Put back the prices this job wrote in a rollback job; the modal then follows that job
+    const confirmRollback = async () => {
+        setShowRollbackConfirm(false);
+        try {
+            setRollingBack(true);
+            const result = await rollbackRefresh(jobId);
+            if (onRollbackStarted) {
+                onRollbackStarted(result.jobId);
+            }
+        } catch (err) {
+            console.error('Error rolling back job:', err);
+            alert('Error: Failed to roll back job: ' + err.message);
+        } finally {
+            setRollingBack(false);
+        }
+    };
+
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+    const formatPercent = (percent) => percent === null || percent === undefined ? '—' : `${percent > 0 ? '+' : ''}${percent}%`;
 
     const handleCancel = () => {
         setShowCancelConfirm(true);
     };
 
+    // The job stops after the batch in progress; keep polling until it has
     const confirmCancel = async () => {
         setShowCancelConfirm(false);
         try {
             await cancelRefresh(jobId);
-            setPolling(false);
-            alert('Job cancelled successfully');
-            if (onCancel) {
-                onCancel();
-            }
+            followJob();
         } catch (err) {
             console.error('Error cancelling job:', err);
             alert('Error: Failed to cancel job: ' + err.message);
         }
     };
 
+    const handlePause = async () => {
+        try {
+            await pauseRefresh(jobId);
+            followJob();
+        } catch (err) {
+            console.error('Error pausing job:', err);
+            alert('Error: Failed to pause job: ' + err.message);
+        }
+    };
+
+    const handleResume = async () => {
+        try {
+            await resumeRefresh(jobId);
+            followJob();
+        } catch (err) {
+            console.error('Error resuming job:', err);
+            alert('Error: Failed to resume job: ' + err.message);
+        }
+    };
+
     if (!status && !jobId) {
         return (
             <div className="modal">
@@ -105,18 +239,30 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
     const isComplete = status.status === 'completed';
     const isFailed = status.status === 'failed';
     const isCancelled = status.status === 'cancelled';
+    const isPaused = status.status === 'paused';
     const isProcessing = status.status === 'processing' || status.status === 'queued';
+    // Waiting in the price job queue behind another job that writes prices
+    const isWaiting = status.status === 'queued' && status.queuePosition != null;
+    const isStopped = isComplete || isCancelled || isPaused;
+    const isRollback = Boolean(status.rollbackOf);
+    const canRollBack = !status.dryRun && !isRollback && !status.rollbackJobId && (isComplete || isCancelled || isFailed) && status.successCount > 0;
 
     return (
         <div className="modal">
             <div className="modal-content" style={{ maxWidth: '600px' }}>
                 <div className="modal-header">
-                    <h2>🔄 Refreshing Product Prices</h2>
+                    <h2>{status.dryRun ? '🔍 Price Refresh Dry Run' : isRollback ? '↩ Rolling Back Prices' : '🔄 Refreshing Product Prices'}</h2>
                     {!isProcessing && (
-                        <button className="close-btn" onClick={onClose}>×</button>
+                        <button className="close-btn" onClick={() => onClose && onClose(isComplete && !status.dryRun)}>×</button>
                     )}
                 </div>
 
+                {status.dryRun && (
+                    <p style={{ fontSize: '13px', color: '#6d7175', margin: '0 0 16px 0' }}>
+                        Prices are calculated but nothing is saved to Shopify.
+                    </p>
+                )}
+
                 {error && (
                     <div style={{
                         padding: '12px',
@@ -152,10 +298,49 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                         marginBottom: '20px',
                         color: '#963'
                     }}>
-                        Job was cancelled
+                        Job was cancelled. Products already updated keep their new prices; the rest were not updated.
+                    </div>
+                )}
+
+                {isPaused && (
+                    <div style={{
+                        padding: '12px',
+                        background: '#ffe',
+                        border: '1px solid #fc9',
+                        borderRadius: '6px',
+                        marginBottom: '20px',
+                        color: '#963'
+                    }}>
+                        Job is paused. Resume to update the remaining products.
+                    </div>
+                )}
+
+                {isWaiting && (
+                    <div style={{
+                        padding: '12px',
+                        background: '#f1f8ff',
+                        border: '1px solid #b4d5fe',
+                        borderRadius: '6px',
+                        marginBottom: '20px',
+                        color: '#0b4f9c'
+                    }}>
+                        Waiting for its turn: {status.queuePosition === 1 ? 'next in the queue' : `position ${status.queuePosition} in the queue`}.
+                        {status.waitingFor && ` Running now: ${status.waitingFor.label}.`}
                     </div>
                 )}
 
+                {status.mergedRequests > 0 && (
+                    <p style={{ fontSize: '13px', color: '#6d7175', margin: '0 0 16px 0' }}>
+                        The same refresh was requested {status.mergedRequests} more {status.mergedRequests === 1 ? 'time' : 'times'} while this job was queued; this job covers {status.mergedRequests === 1 ? 'that request' : 'those requests'}.
+                    </p>
+                )}
+
+                {isProcessing && status.stopRequested && (
+                    <p style={{ fontSize: '13px', color: '#963', margin: '0 0 16px 0' }}>
+                        {status.stopRequested === 'pause' ? 'Pausing' : 'Cancelling'} after the current batch...
+                    </p>
+                )}
+
                 {/* Progress Bar */}
                 <div style={{ marginBottom: '24px' }}>
                     <div style={{
@@ -165,7 +350,7 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                         marginBottom: '8px'
                     }}>
                         <span style={{ fontSize: '14px', fontWeight: '500' }}>
-                            {isComplete ? 'Completed' : isFailed ? 'Failed' : isCancelled ? 'Cancelled' : 'Processing'}
+                            {isComplete ? 'Completed' : isFailed ? 'Failed' : isCancelled ? 'Cancelled' : isPaused ? 'Paused' : isWaiting ? 'Queued' : 'Processing'}
                         </span>
                         <span style={{ fontSize: '14px', color: '#6d7175' }}>
                             {progress}%
@@ -182,13 +367,41 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                         <div style={{
                             width: `${progress}%`,
                             height: '100%',
-                            background: isComplete ? '#28a745' : isFailed ? '#dc3545' : isCancelled ? '#ffc107' : '#005bd3',
+                            background: isComplete ? '#28a745' : isFailed ? '#dc3545' : isCancelled || isPaused ? '#ffc107' : '#005bd3',
                             transition: 'width 0.3s ease',
                             borderRadius: '12px'
                         }} />
                     </div>
                 </div>
 
+                {isProcessing && status.phase && (
+                    <p style={{ fontSize: '13px', color: '#6d7175', margin: '0 0 16px 0' }}>
+                        Shopify bulk operation: {{
+                            reading: 'reading the catalog',
+                            calculating: 'calculating prices',
+                            'writing metafields': 'writing price details',
+                            'writing prices': 'writing variant prices'
+                        }[status.phase] || status.phase}...
+                    </p>
+                )}
+
+                {/* Scope: which products this run reprices */}
+                {status.mode && (
+                    <p style={{ fontSize: '13px', color: '#6d7175', margin: '0 0 16px 0' }}>
+                        {isRollback
+                            ? `Putting back the prices of the ${status.total} products updated by job ${status.rollbackOf}`
+                            : status.retryOf
+                            ? `Retrying the ${status.total} products that failed in an earlier run`
+                            : status.mode === 'full'
+                            ? `All products${status.reason ? ` (${status.reason})` : ''}`
+                            : status.mode === 'scoped'
+                            ? `Scope: ${status.reason}`
+                            : status.changedMetals?.length > 0 || status.stonesChanged
+                                ? `Only products affected by changes to: ${[...(status.changedMetals || []), ...(status.stonesChanged ? ['stone pricing'] : [])].join(', ')}`
+                                : status.reason || 'Only products that failed last time'}
+                    </p>
+                )}
+
                 {/* Stats */}
                 <div style={{
                     display: 'grid',
@@ -237,6 +450,51 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                         </div>
                     )}
 
+                    {status.heldCount > 0 && (
+                        <div style={{
+                            padding: '16px',
+                            background: '#f6f6f7',
+                            borderRadius: '6px'
+                        }}>
+                            <div style={{ fontSize: '12px', color: '#6d7175', marginBottom: '4px' }}>
+                                Held for approval
+                            </div>
+                            <div style={{ fontSize: '20px', fontWeight: '600', color: '#856404' }}>
+                                {status.heldCount}
+                            </div>
+                        </div>
+                    )}
+
+                    {status.changedSinceCount > 0 && (
+                        <div style={{
+                            padding: '16px',
+                            background: '#f6f6f7',
+                            borderRadius: '6px'
+                        }}>
+                            <div style={{ fontSize: '12px', color: '#6d7175', marginBottom: '4px' }}>
+                                Changed since (left as is)
+                            </div>
+                            <div style={{ fontSize: '20px', fontWeight: '600', color: '#856404' }}>
+                                {status.changedSinceCount}
+                            </div>
+                        </div>
+                    )}
+
+                    {status.skippedCount > 0 && (
+                        <div style={{
+                            padding: '16px',
+                            background: '#f6f6f7',
+                            borderRadius: '6px'
+                        }}>
+                            <div style={{ fontSize: '12px', color: '#6d7175', marginBottom: '4px' }}>
+                                {status.mode === 'scoped' ? 'Skipped (outside scope)' : 'Skipped (not affected)'}
+                            </div>
+                            <div style={{ fontSize: '20px', fontWeight: '600', color: '#6d7175' }}>
+                                {status.skippedCount}
+                            </div>
+                        </div>
+                    )}
+
                     {isProcessing && status.eta !== null && (
                         <div style={{
                             padding: '16px',
@@ -253,8 +511,43 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                     )}
                 </div>
 
-                {/* Summary (when completed) */}
-                {isComplete && status.updates && (
+                {/* Live log: products as they are repriced */}
+                {liveLog.length > 0 && (
+                    <div style={{ marginBottom: '24px' }}>
+                        <div style={{ fontSize: '13px', fontWeight: '600', marginBottom: '8px' }}>
+                            Live log
+                        </div>
+                        <div
+                            ref={liveLogRef}
+                            style={{
+                                maxHeight: '180px',
+                                overflowY: 'auto',
+                                padding: '8px 12px',
+                                background: '#f6f6f7',
+                                borderRadius: '6px',
+                                fontSize: '12px',
+                                fontFamily: 'monospace',
+                                lineHeight: '1.6'
+                            }}
+                        >
+                            {liveLog.map((entry, index) => (
+                                entry.type === 'warning' ? (
+                                    <div key={index} style={{ color: '#963' }}>⚠ {entry.message}</div>
+                                ) : (
+                                    <div key={index} style={{ color: entry.success ? '#202223' : entry.held || entry.changedSince ? '#856404' : '#dc3545' }}>
+                                        {entry.success ? '✓' : entry.held ? '⏸' : entry.changedSince ? '↷' : '✗'} {entry.productTitle || entry.productId}
+                                        {entry.success && entry.newPrice !== null && ` ${formatAmount(entry.oldPrice)} → ${formatAmount(entry.newPrice)}`}
+                                        {entry.held && ' held for approval'}
+                                        {!entry.success && !entry.held && entry.error && `: ${entry.error}`}
+                                    </div>
+                                )
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* Summary (when completed, paused or cancelled) */}
+                {isStopped && status.updates && (
                     <div style={{
                         marginTop: '24px',
                         padding: '16px',
@@ -263,7 +556,82 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                         fontSize: '14px'
                     }}>
                         <div style={{ fontWeight: '600', marginBottom: '8px' }}>Summary:</div>
-                        <div>✓ {status.successCount} products updated successfully</div>
+                        <div>✓ {status.successCount} products {status.dryRun ? 'priced' : isRollback ? 'rolled back' : 'updated successfully'}</div>
+                        {status.skippedCount > 0 && (
+                            <div style={{ color: '#6d7175', marginTop: '4px' }}>
+                                ↷ {status.skippedCount} of {status.catalogTotal} products skipped ({status.mode === 'scoped' ? 'outside the scope' : 'prices unaffected'})
+                            </div>
+                        )}
+                        {status.heldCount > 0 && (
+                            <div style={{ color: '#856404', marginTop: '4px' }}>
+                                ⏸ {status.heldCount} products {status.dryRun ? 'would be' : 'were'} held by the price guardrails
+                                {status.dryRun ? '' : ' (approve or reject them on the Dashboard)'}
+                            </div>
+                        )}
+                        {status.changedSinceCount > 0 && (
+                            <div style={{ color: '#856404', marginTop: '4px' }}>
+                                ⚠ {status.changedSinceCount} products changed since job {status.rollbackOf} and were not rolled back{' '}
+                                <button
+                                    onClick={() => setShowChangedSince(!showChangedSince)}
+                                    style={{
+                                        background: 'transparent',
+                                        border: 'none',
+                                        color: '#856404',
+                                        cursor: 'pointer',
+                                        fontSize: '12px',
+                                        textDecoration: 'underline',
+                                        padding: 0
+                                    }}
+                                >
+                                    {showChangedSince ? 'Hide' : 'Show'}
+                                </button>
+                                {showChangedSince && (
+                                    <ul style={{ margin: '8px 0 0 16px', maxHeight: '160px', overflowY: 'auto', fontSize: '12px' }}>
+                                        {status.updates.filter(u => u.changedSince).map(product => (
+                                            <li key={product.productId}>
+                                                {product.productTitle}{product.sku ? ` (${product.sku})` : ''}: {product.changes.join('; ')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                        {status.rollbackJobId && (
+                            <div style={{ color: '#6d7175', marginTop: '4px' }}>
+                                ↩ Rolled back by job {status.rollbackJobId}
+                            </div>
+                        )}
+                        {status.guardrailsSkipped && (
+                            <div style={{ color: '#6d7175', marginTop: '4px' }}>
+                                Approved prices: written without the price guardrails
+                            </div>
+                        )}
+                        {status.notProcessed?.length > 0 && (
+                            <div style={{ color: '#963', marginTop: '4px' }}>
+                                ⏹ {status.notProcessed.length} products not {status.dryRun ? 'priced' : 'updated'} ({isPaused ? 'paused' : 'cancelled'} before they were reached){' '}
+                                <button
+                                    onClick={() => setShowNotProcessed(!showNotProcessed)}
+                                    style={{
+                                        background: 'transparent',
+                                        border: 'none',
+                                        color: '#963',
+                                        cursor: 'pointer',
+                                        fontSize: '12px',
+                                        textDecoration: 'underline',
+                                        padding: 0
+                                    }}
+                                >
+                                    {showNotProcessed ? 'Hide' : 'Show'}
+                                </button>
+                                {showNotProcessed && (
+                                    <ul style={{ margin: '8px 0 0 16px', maxHeight: '160px', overflowY: 'auto', fontSize: '12px' }}>
+                                        {status.notProcessed.map(product => (
+                                            <li key={product.productId}>{product.productTitle}{product.sku ? ` (${product.sku})` : ''}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
                         {status.failCount > 0 && (
                             <div style={{ marginTop: '8px' }}>
                                 <div style={{ color: '#dc3545', marginBottom: '8px' }}>
@@ -284,8 +652,27 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                                 >
                                     {showFailedProducts ? '▼ Hide' : '▶ Show'} Failed Products
                                 </button>
+                                {!isPaused && !isRollback && retryFailedRefresh && (
+                                    <button
+                                        onClick={handleRetryFailed}
+                                        disabled={retrying}
+                                        style={{
+                                            background: '#dc3545',
+                                            border: '1px solid #dc3545',
+                                            color: '#fff',
+                                            padding: '6px 12px',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer',
+                                            fontSize: '12px',
+                                            fontWeight: '500',
+                                            marginLeft: '8px'
+                                        }}
+                                    >
+                                        {retrying ? 'Starting...' : '↻ Retry Failed'}
+                                    </button>
+                                )}
                                 {showFailedProducts && (() => {
-                                    const failedProducts = status.updates.filter(u => !u.success);
+                                    const failedProducts = status.updates.filter(u => !u.success && !u.held && !u.changedSince);
                                     return (
                                         <div style={{
                                             marginTop: '12px',
@@ -374,6 +761,60 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                     </div>
                 )}
 
+                {/* Dry run report */}
+                {isStopped && status.report && (
+                    <div style={{ marginTop: '16px', fontSize: '14px' }}>
+                        <div style={{ fontWeight: '600', marginBottom: '8px' }}>Price changes</div>
+                        <p style={{ margin: '0 0 12px 0' }}>
+                            {status.report.summary.changed} products change, {status.report.summary.unchanged} stay the same.
+                            Total across {status.report.summary.variants} variants: {formatAmount(status.report.summary.oldTotal)} → {formatAmount(status.report.summary.newTotal)} ({formatPercent(status.report.summary.changePercent)})
+                        </p>
+
+                        {Object.keys(status.report.byMetalType).length > 0 && (
+                            <table className="stone-table" style={{ marginBottom: '12px' }}>
+                                <thead>
+                                    <tr>
+                                        <th>Metal</th>
+                                        <th>Products</th>
+                                        <th>Changed</th>
+                                        <th>Old Total</th>
+                                        <th>New Total</th>
+                                        <th>Change</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.entries(status.report.byMetalType).map(([metalType, totals]) => (
+                                        <tr key={metalType}>
+                                            <td>{metalType}</td>
+                                            <td>{totals.products}</td>
+                                            <td>{totals.changed}</td>
+                                            <td>{formatAmount(totals.oldTotal)}</td>
+                                            <td>{formatAmount(totals.newTotal)}</td>
+                                            <td>{formatPercent(totals.changePercent)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+
+                        {status.promotedTo && (
+                            <p style={{ fontSize: '13px', color: '#6d7175', margin: '8px 0 0 0' }}>
+                                These prices have already been applied.
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {/* Report download (every product: rate used, old and new price, discount, error) */}
+                {(isStopped || isFailed) && getReportUrl && (
+                    <div style={{ marginTop: '16px', fontSize: '13px' }}>
+                        ⬇ Download report:{' '}
+                        <a href={getReportUrl(jobId, 'csv')} download>CSV</a>
+                        {' · '}
+                        <a href={getReportUrl(jobId, 'xlsx')} download>Excel</a>
+                    </div>
+                )}
+
                 {/* Actions */}
                 <div style={{
                     display: 'flex',
@@ -382,7 +823,23 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                     paddingTop: '16px',
                     borderTop: '1px solid #e1e3e5'
                 }}>
-                    {isProcessing && (
+                    {isProcessing && !status.stopRequested && pauseRefresh && (
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handlePause}
+                        >
+                            ⏸ Pause
+                        </button>
+                    )}
+                    {isPaused && resumeRefresh && (
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleResume}
+                        >
+                            ▶ Resume
+                        </button>
+                    )}
+                    {(isProcessing || isPaused) && status.stopRequested !== 'cancel' && (
                         <button
                             className="btn btn-secondary"
                             onClick={handleCancel}
@@ -390,10 +847,28 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                             Cancel Job
                         </button>
                     )}
+                    {isComplete && status.dryRun && !status.promotedTo && promoteRefresh && (
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handlePromote}
+                            disabled={promoting}
+                        >
+                            {promoting ? 'Starting...' : '✓ Apply These Prices'}
+                        </button>
+                    )}
+                    {canRollBack && rollbackRefresh && (
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setShowRollbackConfirm(true)}
+                            disabled={rollingBack}
+                        >
+                            {rollingBack ? 'Starting...' : '↩ Roll Back'}
+                        </button>
+                    )}
                     {!isProcessing && (
                         <button
                             className="btn btn-primary"
-                            onClick={() => onClose && onClose(isComplete)}
+                            onClick={() => onClose && onClose(isComplete && !status.dryRun)}
                         >
                             {isComplete ? 'Done' : 'Close'}
                         </button>
@@ -406,7 +881,7 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                 <window.ConfirmModal
                     isOpen={showCancelConfirm}
                     title="Cancel Job"
-                    message="Are you sure you want to cancel this job? The current progress will be lost."
+                    message="Cancel this job after the current batch? Products already updated keep their new prices; the rest are not updated."
                     onConfirm={confirmCancel}
                     onCancel={() => setShowCancelConfirm(false)}
                     confirmText="Yes, Cancel"
@@ -414,6 +889,20 @@ function RefreshProgressModal({ jobId, onClose, onCancel, getRefreshStatus, canc
                     confirmButtonClass="btn-secondary"
                 />
             )}
+
+            {/* Rollback Confirmation Modal */}
+            {showRollbackConfirm && window.ConfirmModal && (
+                <window.ConfirmModal
+                    isOpen={showRollbackConfirm}
+                    title="Roll Back Prices"
+                    message={`Put back the prices of the ${status.successCount} products this job updated? Products whose prices changed since are left as they are.`}
+                    onConfirm={confirmRollback}
+                    onCancel={() => setShowRollbackConfirm(false)}
+                    confirmText="Yes, Roll Back"
+                    cancelText="No"
+                    confirmButtonClass="btn-secondary"
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,180 @@
+const { useState, useEffect } = React;
+
+const REFRESH_PRODUCT_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
+
+function RefreshScopeModal({ metalCatalog = [], onConfirm, onCancel }) {
+    const [mode, setMode] = useState('changed');
+    const [collections, setCollections] = useState([]);
+    const [collectionIds, setCollectionIds] = useState([]);
+    const [metalTypes, setMetalTypes] = useState([]);
+    const [statuses, setStatuses] = useState([]);
+    const [vendors, setVendors] = useState('');
+    const [productList, setProductList] = useState('');
+    const [dryRun, setDryRun] = useState(false);
+
+    const API = window.API || {};
+
+    useEffect(() => {
+        if (mode !== 'scoped' || collections.length > 0) return;
+        API.fetchCollections()
+            .then(setCollections)
+            .catch(error => console.error('Error loading collections:', error));
+    }, [mode]);
+
+    const toggle = (list, setList, value) => {
+        setList(list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+    };
+
+    const handleConfirm = () => {
+        if (mode === 'full') {
+            onConfirm({ full: true, dryRun });
+            return;
+        }
+        if (mode === 'changed') {
+            onConfirm({ dryRun });
+            return;
+        }
+
+        // Product IDs (numeric or GID) and SKUs can be pasted together
+        const listed = productList.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+        const scope = {
+            collectionIds,
+            metalTypes,
+            statuses,
+            vendors: vendors.split(',').map(vendor => vendor.trim()).filter(Boolean),
+            productIds: listed.filter(item => /^\d+$/.test(item) || item.startsWith('gid://shopify/Product/')),
+            skus: listed.filter(item => !/^\d+$/.test(item) && !item.startsWith('gid://shopify/Product/'))
+        };
+        if (Object.values(scope).every(values => values.length === 0)) {
+            alert('Choose at least one collection, metal, status, vendor or product');
+            return;
+        }
+        onConfirm({ scope, dryRun });
+    };
+
+    const activeMetals = metalCatalog
+        .filter(metal => metal.active !== false)
+        .sort((a, b) => a.displayOrder - b.displayOrder);
+
+    return (
+        <div className="modal">
+            <div className="modal-content" style={{ maxWidth: '560px' }}>
+                <div className="modal-header">
+                    <h2>Refresh Product Prices</h2>
+                    <button className="close-btn" onClick={onCancel}>×</button>
+                </div>
+                <div style={{ padding: '20px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '8px' }}>
+                        <input type="radio" checked={mode === 'changed'} onChange={() => setMode('changed')} />
+                        Products affected by changes since the last refresh
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '8px' }}>
+                        <input type="radio" checked={mode === 'full'} onChange={() => setMode('full')} />
+                        All products
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px' }}>
+                        <input type="radio" checked={mode === 'scoped'} onChange={() => setMode('scoped')} />
+                        Only these products
+                    </label>
+
+                    {mode === 'scoped' && (
+                        <div style={{ borderTop: '1px solid #e1e3e5', paddingTop: '16px', fontSize: '14px' }}>
+                            <div className="form-group">
+                                <label>Collections</label>
+                                <div style={{ maxHeight: '120px', overflowY: 'auto', border: '1px solid #e1e3e5', borderRadius: '4px', padding: '8px' }}>
+                                    {collections.length === 0 && <small style={{ color: '#6d7175' }}>Loading collections...</small>}
+                                    {collections.map(collection => (
+                                        <label key={collection.id} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={collectionIds.includes(collection.id)}
+                                                onChange={() => toggle(collectionIds, setCollectionIds, collection.id)}
+                                            />
+                                            {collection.title}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Metals</label>
+                                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                                    {activeMetals.map(metal => (
+                                        <label key={metal.key} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={metalTypes.includes(metal.key)}
+                                                onChange={() => toggle(metalTypes, setMetalTypes, metal.key)}
+                                            />
+                                            {metal.label}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Product status</label>
+                                <div style={{ display: 'flex', gap: '12px' }}>
+                                    {REFRESH_PRODUCT_STATUSES.map(status => (
+                                        <label key={status} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={statuses.includes(status)}
+                                                onChange={() => toggle(statuses, setStatuses, status)}
+                                            />
+                                            {status}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Vendors (comma separated)</label>
+                                <input
+                                    type="text"
+                                    value={vendors}
+                                    onChange={(e) => setVendors(e.target.value)}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label>Product IDs or SKUs (one per line)</label>
+                                <textarea
+                                    rows={3}
+                                    value={productList}
+                                    onChange={(e) => setProductList(e.target.value)}
+                                    style={{ width: '100%' }}
+                                />
+                            </div>
+
+                            <small style={{ color: '#6d7175' }}>
+                                Products must match every filter you set; every matching product is repriced.
+                            </small>
+                        </div>
+                    )}
+
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginTop: '16px' }}>
+                        <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+                        Dry run: preview the price changes without saving them
+                    </label>
+
+                    <p style={{ fontSize: '13px', color: '#6d7175', margin: '16px 0' }}>
+                        This may take several minutes for large catalogs.
+                    </p>
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '12px' }}>
+                        <button className="btn btn-secondary" onClick={onCancel}>
+                            Cancel
+                        </button>
+                        <button className="btn btn-primary" onClick={handleConfirm}>
+                            {dryRun ? '🔍 Preview Prices' : '🔄 Refresh Prices'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Make available globally
+window.RefreshScopeModal = RefreshScopeModal;
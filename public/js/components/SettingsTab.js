@@ -0,0 +1,617 @@
+const { useState, useEffect } = React;
+
+function SettingsTab({ collections, onMetalCatalogChange }) {
+    const [rounding, setRounding] = useState({
+        defaultPolicy: 'ceil_1',
+        metalTypeOverrides: {},
+        collectionOverrides: []
+    });
+    const [roundingPolicies, setRoundingPolicies] = useState([]);
+    const [metalCatalog, setMetalCatalog] = useState([]);
+    const [savedMetalKeys, setSavedMetalKeys] = useState([]);
+    const [metalUnits, setMetalUnits] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [savingCatalog, setSavingCatalog] = useState(false);
+    const [rateFeed, setRateFeed] = useState(null);
+    const [rateProviders, setRateProviders] = useState([]);
+    const [savingRateFeed, setSavingRateFeed] = useState(false);
+    const [priceGuardrails, setPriceGuardrails] = useState(null);
+    const [savingGuardrails, setSavingGuardrails] = useState(false);
+
+    const API = window.API || {};
+
+    useEffect(() => {
+        loadSettings();
+    }, []);
+
+    const loadSettings = async () => {
+        try {
+            setLoading(true);
+            const result = await API.fetchSettings();
+            setRounding(result.settings.rounding);
+            setRoundingPolicies(result.roundingPolicies);
+            setMetalCatalog(result.settings.metalCatalog);
+            setSavedMetalKeys(result.settings.metalCatalog.map(metal => metal.key));
+            setMetalUnits(result.metalUnits);
+            setRateFeed(result.settings.rateFeed);
+            setRateProviders(result.rateProviders);
+            setPriceGuardrails(result.settings.priceGuardrails);
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            alert('Error: Error loading settings: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSaveRounding = async () => {
+        try {
+            setSaving(true);
+            const result = await API.updateSettings({ rounding });
+            setRounding(result.data.rounding);
+            alert(result.message || 'Settings saved successfully!');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            alert('Error: Error saving settings: ' + error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSaveMetalCatalog = async () => {
+        try {
+            setSavingCatalog(true);
+            const result = await API.updateSettings({ metalCatalog });
+            setMetalCatalog(result.data.metalCatalog);
+            setSavedMetalKeys(result.data.metalCatalog.map(metal => metal.key));
+            if (onMetalCatalogChange) {
+                onMetalCatalogChange(result.data.metalCatalog);
+            }
+            alert('Metal catalog saved. Enter rates for new metals on the Dashboard.');
+        } catch (error) {
+            console.error('Error saving metal catalog:', error);
+            alert('Error: Error saving metal catalog: ' + error.message);
+        } finally {
+            setSavingCatalog(false);
+        }
+    };
+
+    const handleSaveRateFeed = async () => {
+        try {
+            setSavingRateFeed(true);
+            const result = await API.updateSettings({ rateFeed });
+            setRateFeed(result.data.rateFeed);
+            alert('Rate feed settings saved. Fetch rates from the Dashboard.');
+        } catch (error) {
+            console.error('Error saving rate feed settings:', error);
+            alert('Error: Error saving rate feed settings: ' + error.message);
+        } finally {
+            setSavingRateFeed(false);
+        }
+    };
+
+    const handleSavePriceGuardrails = async () => {
+        try {
+            setSavingGuardrails(true);
+            const result = await API.updateSettings({ priceGuardrails });
+            setPriceGuardrails(result.data.priceGuardrails);
+            alert('Price guardrails saved. They apply to the next refresh.');
+        } catch (error) {
+            console.error('Error saving price guardrails:', error);
+            alert('Error: Error saving price guardrails: ' + error.message);
+        } finally {
+            setSavingGuardrails(false);
+        }
+    };
+
+    const handleRateFeedMappingChange = (metalKey, sourceName) => {
+        setRateFeed({ ...rateFeed, mapping: { ...rateFeed.mapping, [metalKey]: sourceName } });
+    };
+
+    const handleMetalChange = (index, changes) => {
+        setMetalCatalog(metalCatalog.map((metal, idx) => idx === index ? { ...metal, ...changes } : metal));
+    };
+
+    const handleMetalTypePolicyChange = (metalType, policy) => {
+        const metalTypeOverrides = { ...rounding.metalTypeOverrides };
+        if (policy) {
+            metalTypeOverrides[metalType] = policy;
+        } else {
+            delete metalTypeOverrides[metalType];
+        }
+        setRounding({ ...rounding, metalTypeOverrides });
+    };
+
+    const handleCollectionOverrideChange = (index, changes) => {
+        const collectionOverrides = rounding.collectionOverrides.map((override, idx) => {
+            if (idx !== index) return override;
+            const updated = { ...override, ...changes };
+            // Keep the title alongside the ID so the list reads well without refetching collections
+            if (changes.collectionId !== undefined) {
+                const collection = (collections || []).find(c => c.id === changes.collectionId);
+                updated.collectionTitle = collection?.title || '';
+            }
+            return updated;
+        });
+        setRounding({ ...rounding, collectionOverrides });
+    };
+
+    const renderPolicyOptions = () => roundingPolicies.map(policy => (
+        <option key={policy.key} value={policy.key}>{policy.label}</option>
+    ));
+
+    return (
+        <div>
+            <div className="card">
+                <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
+                    <h2>METAL CATALOG</h2>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setMetalCatalog([
+                            ...metalCatalog,
+                            {
+                                key: '',
+                                label: '',
+                                displayOrder: metalCatalog.reduce((max, metal) => Math.max(max, metal.displayOrder || 0), 0) + 1,
+                                unit: 'g',
+                                active: true,
+                                baseMetal: '',
+                                purity: 1,
+                                markupPercent: 0
+                            }
+                        ])}
+                        style={{padding: '6px 12px', fontSize: '13px'}}
+                    >
+                        + Add Metal
+                    </button>
+                </div>
+                <p style={{fontSize: '14px', color: '#6d7175', marginBottom: '16px'}}>
+                    Metals that can be priced. The key is saved on products as their metal type, so saved metals can only be
+                    deactivated, not renamed or removed. Keys containing "silver" use silver discount rules.
+                    Purity (e.g. 0.916 for 22K) is used to derive rates from the base metal and to check that purer metals are never priced lower.
+                </p>
+
+                {loading ? (
+                    <div className="loading">Loading settings...</div>
+                ) : (
+                    <>
+                        <table className="stone-table">
+                            <thead>
+                                <tr>
+                                    <th>Key</th>
+                                    <th>Label</th>
+                                    <th>Order</th>
+                                    <th>Rate Unit</th>
+                                    <th>Derived From</th>
+                                    <th>Purity</th>
+                                    <th>Markup %</th>
+                                    <th>Active</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {metalCatalog.map((metal, index) => {
+                                    const isSaved = savedMetalKeys.includes(metal.key);
+                                    return (
+                                        <tr key={index}>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    value={metal.key}
+                                                    onChange={(e) => handleMetalChange(index, { key: e.target.value.toLowerCase().replace(/[^a-z0-9]/g, '') })}
+                                                    placeholder="e.g. gold9kt"
+                                                    disabled={isSaved}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    value={metal.label}
+                                                    onChange={(e) => handleMetalChange(index, { label: e.target.value })}
+                                                    placeholder="e.g. Gold 9K"
+                                                />
+                                            </td>
+                                            <td style={{width: '90px'}}>
+                                                <input
+                                                    type="number"
+                                                    value={metal.displayOrder}
+                                                    onChange={(e) => handleMetalChange(index, { displayOrder: e.target.value })}
+                                                />
+                                            </td>
+                                            <td>
+                                                <select
+                                                    value={metal.unit}
+                                                    onChange={(e) => handleMetalChange(index, { unit: e.target.value })}
+                                                >
+                                                    {metalUnits.map(unit => (
+                                                        <option key={unit.key} value={unit.key}>{unit.label}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <select
+                                                    value={metal.baseMetal || ''}
+                                                    onChange={(e) => handleMetalChange(index, { baseMetal: e.target.value })}
+                                                >
+                                                    <option value="">— (entered)</option>
+                                                    {metalCatalog
+                                                        .filter(base => base.key && base.key !== metal.key && !base.baseMetal)
+                                                        .map(base => (
+                                                            <option key={base.key} value={base.key}>{base.label || base.key}</option>
+                                                        ))}
+                                                </select>
+                                            </td>
+                                            <td style={{width: '90px'}}>
+                                                <input
+                                                    type="number"
+                                                    step="0.001"
+                                                    min="0"
+                                                    max="1"
+                                                    value={metal.purity ?? 1}
+                                                    onChange={(e) => handleMetalChange(index, { purity: e.target.value })}
+                                                />
+                                            </td>
+                                            <td style={{width: '90px'}}>
+                                                <input
+                                                    type="number"
+                                                    step="0.1"
+                                                    value={metal.markupPercent ?? 0}
+                                                    onChange={(e) => handleMetalChange(index, { markupPercent: e.target.value })}
+                                                    disabled={!metal.baseMetal}
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={metal.active !== false}
+                                                    onChange={(e) => handleMetalChange(index, { active: e.target.checked })}
+                                                />
+                                            </td>
+                                            <td>
+                                                {!isSaved && (
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-secondary"
+                                                        onClick={() => setMetalCatalog(metalCatalog.filter((_, idx) => idx !== index))}
+                                                        style={{padding: '4px 8px', fontSize: '12px'}}
+                                                    >
+                                                        Remove
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+
+                        <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '16px'}}>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleSaveMetalCatalog}
+                                disabled={savingCatalog}
+                            >
+                                {savingCatalog ? 'Saving...' : '💾 Save Metal Catalog'}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="card">
+                <h2>PRICE ROUNDING</h2>
+                <p style={{fontSize: '14px', color: '#6d7175', marginBottom: '16px'}}>
+                    Choose how final prices are rounded before they are written to Shopify.
+                    Collection rules win over metal type rules, which win over the default.
+                </p>
+
+                {loading ? (
+                    <div className="loading">Loading settings...</div>
+                ) : (
+                    <>
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label>Default Rounding *</label>
+                                <select
+                                    value={rounding.defaultPolicy}
+                                    onChange={(e) => setRounding({ ...rounding, defaultPolicy: e.target.value })}
+                                >
+                                    {renderPolicyOptions()}
+                                </select>
+                            </div>
+                        </div>
+
+                        <h3 style={{margin: '16px 0 8px 0', fontSize: '16px'}}>By Metal Type</h3>
+                        <div className="form-grid">
+                            {metalCatalog.filter(metal => metal.active !== false).map(metal => (
+                                <div className="form-group" key={metal.key}>
+                                    <label>{metal.label}</label>
+                                    <select
+                                        value={rounding.metalTypeOverrides?.[metal.key] || ''}
+                                        onChange={(e) => handleMetalTypePolicyChange(metal.key, e.target.value)}
+                                    >
+                                        <option value="">Use default</option>
+                                        {renderPolicyOptions()}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '16px 0 8px 0'}}>
+                            <h3 style={{margin: 0, fontSize: '16px'}}>By Collection</h3>
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => setRounding({
+                                    ...rounding,
+                                    collectionOverrides: [
+                                        ...rounding.collectionOverrides,
+                                        { collectionId: '', collectionTitle: '', policy: rounding.defaultPolicy }
+                                    ]
+                                })}
+                                style={{padding: '6px 12px', fontSize: '13px'}}
+                            >
+                                + Add Collection Rule
+                            </button>
+                        </div>
+
+                        {rounding.collectionOverrides.length === 0 && (
+                            <p style={{color: '#6d7175', fontSize: '14px'}}>
+                                No collection rules. Products in several collections use the first matching rule.
+                            </p>
+                        )}
+
+                        {rounding.collectionOverrides.map((override, index) => (
+                            <div key={index} style={{display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px'}}>
+                                <select
+                                    value={override.collectionId}
+                                    onChange={(e) => handleCollectionOverrideChange(index, { collectionId: e.target.value })}
+                                    style={{flex: 2}}
+                                >
+                                    <option value="">Select Collection</option>
+                                    {(collections || []).map(collection => (
+                                        <option key={collection.id} value={collection.id}>{collection.title}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={override.policy}
+                                    onChange={(e) => handleCollectionOverrideChange(index, { policy: e.target.value })}
+                                    style={{flex: 2}}
+                                >
+                                    {renderPolicyOptions()}
+                                </select>
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => setRounding({
+                                        ...rounding,
+                                        collectionOverrides: rounding.collectionOverrides.filter((_, idx) => idx !== index)
+                                    })}
+                                    style={{padding: '6px 12px', fontSize: '13px'}}
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        ))}
+
+                        <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '16px'}}>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleSaveRounding}
+                                disabled={saving}
+                            >
+                                {saving ? 'Saving...' : '💾 Save Rounding Settings'}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="card">
+                <h2>RATE FEED</h2>
+                <p style={{fontSize: '14px', color: '#6d7175', marginBottom: '16px'}}>
+                    Fetch metal rates from an external source instead of typing them in.
+                    Fetched rates are checked like a manual save, then applied or held for approval on the Dashboard.
+                </p>
+
+                {loading || !rateFeed ? (
+                    <div className="loading">Loading settings...</div>
+                ) : (
+                    <>
+                        <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px'}}>
+                            <input
+                                type="checkbox"
+                                checked={rateFeed.enabled}
+                                onChange={(e) => setRateFeed({ ...rateFeed, enabled: e.target.checked })}
+                            />
+                            Enable rate feed
+                        </label>
+
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label>Provider *</label>
+                                <select
+                                    value={rateFeed.provider}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, provider: e.target.value })}
+                                >
+                                    {rateProviders.map(provider => (
+                                        <option key={provider.key} value={provider.key}>{provider.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Source (URL, file:// URL or server path) *</label>
+                                <input
+                                    type="text"
+                                    value={rateFeed.source}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, source: e.target.value })}
+                                    placeholder="https://example.com/rates.json"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Unit (when the feed doesn't say)</label>
+                                <select
+                                    value={rateFeed.unit}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, unit: e.target.value })}
+                                >
+                                    {metalUnits.map(unit => (
+                                        <option key={unit.key} value={unit.key}>{unit.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {rateFeed.provider === 'ibja' && (
+                                <div className="form-group">
+                                    <label>IBJA Session</label>
+                                    <select
+                                        value={rateFeed.session}
+                                        onChange={(e) => setRateFeed({ ...rateFeed, session: e.target.value })}
+                                    >
+                                        <option value="latest">Latest (PM when published)</option>
+                                        <option value="AM">AM</option>
+                                        <option value="PM">PM</option>
+                                    </select>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>When Rates Are Fetched</label>
+                                <select
+                                    value={rateFeed.mode}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, mode: e.target.value })}
+                                >
+                                    <option value="approval">Hold for approval</option>
+                                    <option value="auto">Apply automatically</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Fetch Every (minutes, 0 = manual)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={rateFeed.intervalMinutes}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, intervalMinutes: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Hold Moves Above (%)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={rateFeed.maxChangePercent}
+                                    onChange={(e) => setRateFeed({ ...rateFeed, maxChangePercent: e.target.value })}
+                                />
+                            </div>
+                        </div>
+
+                        <h3 style={{margin: '16px 0 8px 0', fontSize: '16px'}}>Feed Names</h3>
+                        <p style={{fontSize: '13px', color: '#6d7175', margin: '0 0 8px 0'}}>
+                            The name (or JSON path, e.g. <code>gold.24k</code>) of each metal in the feed.
+                            Leave blank to use the metal key{rateFeed.provider === 'ibja' ? ' (IBJA: Gold 999, Gold 916, Gold 750, Gold 585, Silver 999)' : ''}.
+                        </p>
+                        <div className="form-grid">
+                            {metalCatalog.filter(metal => metal.active !== false).map(metal => (
+                                <div className="form-group" key={metal.key}>
+                                    <label>{metal.label}</label>
+                                    <input
+                                        type="text"
+                                        value={rateFeed.mapping?.[metal.key] || ''}
+                                        onChange={(e) => handleRateFeedMappingChange(metal.key, e.target.value)}
+                                        placeholder={metal.key}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+
+                        <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '16px'}}>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleSaveRateFeed}
+                                disabled={savingRateFeed}
+                            >
+                                {savingRateFeed ? 'Saving...' : '💾 Save Rate Feed'}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="card">
+                <h2>PRICE GUARDRAILS</h2>
+                <p style={{fontSize: '14px', color: '#6d7175', marginBottom: '16px'}}>
+                    Hold back new prices that look wrong (for example after a mistyped rate) instead of writing them.
+                    Held prices wait on the Dashboard until they are approved or rejected. Leave a limit at 0 to turn it off.
+                </p>
+
+                {loading || !priceGuardrails ? (
+                    <div className="loading">Loading settings...</div>
+                ) : (
+                    <>
+                        <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px'}}>
+                            <input
+                                type="checkbox"
+                                checked={priceGuardrails.enabled}
+                                onChange={(e) => setPriceGuardrails({ ...priceGuardrails, enabled: e.target.checked })}
+                            />
+                            Enable price guardrails
+                        </label>
+
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label>Maximum change per product (%)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={priceGuardrails.maxChangePercent}
+                                    onChange={(e) => setPriceGuardrails({ ...priceGuardrails, maxChangePercent: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Minimum price (₹)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={priceGuardrails.minPrice}
+                                    onChange={(e) => setPriceGuardrails({ ...priceGuardrails, minPrice: e.target.value })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Maximum price (₹)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={priceGuardrails.maxPrice}
+                                    onChange={(e) => setPriceGuardrails({ ...priceGuardrails, maxPrice: e.target.value })}
+                                />
+                            </div>
+                        </div>
+
+                        <label style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginTop: '8px'}}>
+                            <input
+                                type="checkbox"
+                                checked={priceGuardrails.belowMetalValue}
+                                onChange={(e) => setPriceGuardrails({ ...priceGuardrails, belowMetalValue: e.target.checked })}
+                            />
+                            Hold prices below the value of the metal in the piece
+                        </label>
+
+                        <div style={{display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '16px'}}>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleSavePriceGuardrails}
+                                disabled={savingGuardrails}
+                            >
+                                {savingGuardrails ? 'Saving...' : '💾 Save Guardrails'}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Make available globally
+window.SettingsTab = SettingsTab;
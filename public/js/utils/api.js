@@ -7,6 +7,14 @@ const API_BASE = window.location.hostname === 'localhost'
 
 console.log('API Base URL:', API_BASE);
 
+/**
+ * Headers identifying the staff member making a change (recorded in the rate and configuration history)
+ */
+function staffHeaders() {
+    const staffName = window.localStorage.getItem('staffName') || '';
+    return staffName ? { 'X-Staff-Name': staffName } : {};
+}
+
 // Make API functions available globally
 window.API = {
     /**
@@ -23,11 +31,13 @@ window.API = {
 
     /**
      * Update metal prices
+     * @param {Object} prices - Rates keyed by metal key, plus overrides and autoRefresh (optional)
+     * @returns {Promise<Object>} Response, with refreshJobId when a refresh job was started
      */
     async updateMetalPrices(prices) {
         const response = await fetch(`${API_BASE}/metal-prices`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
             body: JSON.stringify(prices)
         });
         const data = await response.json();
@@ -38,12 +48,174 @@ window.API = {
     },
 
     /**
-     * Refresh all product prices (async job)
+     * Fetch metal rate history
+     * @param {string} from - Start date (YYYY-MM-DD), optional
+     * @param {string} to - End date (YYYY-MM-DD), optional
+     * @returns {Promise<Object>} { entries, daily }
+     */
+    async fetchMetalPriceHistory(from = '', to = '') {
+        const params = new URLSearchParams();
+        if (from) params.append('from', from);
+        if (to) params.append('to', to);
+        const response = await fetch(`${API_BASE}/metal-prices/history?${params.toString()}`);
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to fetch metal price history');
+    },
+
+    /**
+     * Backfill metal rate history from CSV text
+     * @param {string} csv - "date,<metal key>,..." header then one row per date
+     */
+    async importMetalPriceHistory(csv) {
+        const response = await fetch(`${API_BASE}/metal-prices/history/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
+            body: JSON.stringify({ csv })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to import metal price history');
+    },
+
+    /**
+     * Fetch scheduled metal rate changes
+     * @param {string} status - pending, applied, cancelled or failed (optional)
+     */
+    async fetchMetalPriceSchedules(status = '') {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        const response = await fetch(`${API_BASE}/metal-prices/schedules${query}`);
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to fetch metal price schedules');
+    },
+
+    /**
+     * Schedule metal rates to take effect later
+     * @param {Object} schedule - Rates as for updateMetalPrices, plus effectiveAt (ISO timestamp) and autoRefresh
+     */
+    async scheduleMetalPrices(schedule) {
+        const response = await fetch(`${API_BASE}/metal-prices/schedules`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
+            body: JSON.stringify(schedule)
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to schedule metal prices');
+    },
+
+    /**
+     * Cancel a pending scheduled rate change
+     * @param {string} scheduleId - Schedule ID
+     */
+    async cancelMetalPriceSchedule(scheduleId) {
+        const response = await fetch(`${API_BASE}/metal-prices/schedules/${encodeURIComponent(scheduleId)}`, {
+            method: 'DELETE',
+            headers: staffHeaders()
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to cancel scheduled metal prices');
+    },
+
+    /**
+     * Fetch rate feed settings, staged rates and the last fetch
+     * @returns {Promise<Object>} { settings, staged, lastRun }
+     */
+    async fetchRateFeed() {
+        const response = await fetch(`${API_BASE}/metal-prices/feed`);
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to fetch rate feed');
+    },
+
+    /**
+     * Fetch rates from the configured feed now (applied or staged per the feed mode)
+     * @returns {Promise<Object>} { message, data: { outcome, proposal } }
+     */
+    async runRateFeed() {
+        const response = await fetch(`${API_BASE}/metal-prices/feed/fetch`, {
+            method: 'POST',
+            headers: staffHeaders()
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to fetch rates from the feed');
+    },
+
+    /**
+     * Apply the rates staged by the feed
+     */
+    async approveRateFeed() {
+        const response = await fetch(`${API_BASE}/metal-prices/feed/approve`, {
+            method: 'POST',
+            headers: staffHeaders()
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to apply feed rates');
+    },
+
+    /**
+     * Discard the rates staged by the feed
+     */
+    async rejectRateFeed() {
+        const response = await fetch(`${API_BASE}/metal-prices/feed/staged`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to discard feed rates');
+    },
+
+    /**
+     * Preview karat rates derived from base metal rates (not saved)
+     * @param {Object} prices - Base metal rates plus optional overrides ({ gold24kt, overrides: { gold18kt } })
+     * @returns {Promise<Object>} { rates, derived, issues }
+     */
+    async deriveMetalPrices(prices) {
+        const response = await fetch(`${API_BASE}/metal-prices/derive`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(prices)
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to derive metal prices');
+    },
+
+    /**
+     * Refresh product prices (async job)
+     * Only products affected by changes since the last refresh, unless full or a scope is set
      * Returns job ID immediately
+     * @param {Object} options - { full, dryRun, scope: { collectionIds, metalTypes, statuses, vendors, productIds, skus } }
      */
-    async refreshPrices() {
+    async refreshPrices(options = {}) {
         const response = await fetch(`${API_BASE}/refresh-prices`, {
-            method: 'POST'
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
         });
         const data = await response.json();
         if (data.success) {
@@ -80,6 +252,161 @@ window.API = {
         throw new Error(data.error || 'Failed to cancel refresh job');
     },
 
+    /**
+     * Pause a running refresh job after the batch in progress
+     * @param {string} jobId - Job ID
+     */
+    async pauseRefresh(jobId) {
+        const response = await fetch(`${API_BASE}/refresh-prices/pause/${encodeURIComponent(jobId)}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to pause refresh job');
+    },
+
+    /**
+     * Resume a paused refresh job
+     * @param {string} jobId - Job ID
+     */
+    async resumeRefresh(jobId) {
+        const response = await fetch(`${API_BASE}/refresh-prices/resume/${encodeURIComponent(jobId)}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to resume refresh job');
+    },
+
+    /**
+     * Start a child job that reprices only the products that failed in a finished job
+     * @param {string} jobId - Finished job ID
+     * @returns {Promise<Object>} { jobId, status, retryOf } of the new job
+     */
+    async retryFailedRefresh(jobId) {
+        const response = await fetch(`${API_BASE}/refresh-prices/${encodeURIComponent(jobId)}/retry-failed`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to retry failed products');
+    },
+
+    /**
+     * Start a job that puts back the prices a finished refresh job wrote
+     * @param {string} jobId - Refresh job ID
+     * @returns {Promise<Object>} { jobId, status, rollbackOf } of the rollback job
+     */
+    async rollbackRefresh(jobId) {
+        const response = await fetch(`${API_BASE}/refresh-prices/${encodeURIComponent(jobId)}/rollback`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to roll back refresh');
+    },
+
+    /**
+     * Run a completed dry run for real
+     * @param {string} jobId - Dry run job ID
+     * @returns {Promise<Object>} { jobId, status } of the new job
+     */
+    async promoteRefresh(jobId) {
+        const response = await fetch(`${API_BASE}/refresh-prices/promote/${encodeURIComponent(jobId)}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to apply the dry run');
+    },
+
+    /**
+     * Download URL of a stopped job's report
+     * @param {string} jobId - Job ID
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    getRefreshReportUrl(jobId, format = 'csv') {
+        return `${API_BASE}/refresh-prices/report/${encodeURIComponent(jobId)}?format=${format}`;
+    },
+
+    /**
+     * Fetch the refresh job history, newest first
+     * @param {number} limit - Most jobs to return
+     */
+    async fetchRefreshJobs(limit = 50) {
+        const response = await fetch(`${API_BASE}/refresh-prices/jobs?limit=${limit}`);
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to fetch refresh jobs');
+    },
+
+    /**
+     * URL of a job's live progress stream (Server-Sent Events, for EventSource)
+     * @param {string} jobId - Job ID
+     */
+    getRefreshEventsUrl(jobId) {
+        return `${API_BASE}/refresh-prices/events/${encodeURIComponent(jobId)}`;
+    },
+
+    /**
+     * Fetch the prices held for approval by the price guardrails
+     */
+    async fetchHeldPrices() {
+        const response = await fetch(`${API_BASE}/refresh-prices/held`);
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to fetch held prices');
+    },
+
+    /**
+     * Approve held prices; starts a refresh job that writes them
+     * @param {Array<string>|null} productIds - Products to approve (null for all)
+     * @returns {Promise<Object>} { jobId, status, approved }
+     */
+    async approveHeldPrices(productIds = null) {
+        const response = await fetch(`${API_BASE}/refresh-prices/held/approve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
+            body: JSON.stringify(productIds ? { productIds } : { all: true })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to approve held prices');
+    },
+
+    /**
+     * Reject held prices; the products keep their current prices
+     * @param {Array<string>|null} productIds - Products to reject (null for all)
+     */
+    async rejectHeldPrices(productIds = null) {
+        const response = await fetch(`${API_BASE}/refresh-prices/held/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
+            body: JSON.stringify(productIds ? { productIds } : { all: true })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to reject held prices');
+    },
+
     /**
      * Fetch products with pagination
      */
@@ -129,7 +456,7 @@ window.API = {
     async configureProduct(productId, config) {
         const response = await fetch(`${API_BASE}/products/${productId}/configure`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...staffHeaders() },
             body: JSON.stringify(config)
         });
         const data = await response.json();
@@ -161,6 +488,27 @@ window.API = {
         throw new Error(data.error || 'Failed to calculate price');
     },
 
+    /**
+     * Calculate a product's price at a past date (returns and exchanges)
+     * @param {string} productId - Product GID
+     * @param {string} date - Date (YYYY-MM-DD, end of day) or ISO timestamp
+     * @param {string} variantId - Variant GID, optional
+     * @returns {Promise<Object>} { asOf, ratesEffectiveAt, rates, configSource, configEffectiveAt, settingsSource,
+     *   stonePricingSource, discountsApplied, note, priceBreakdown, variantPrices }
+     */
+    async calculateHistoricalPrice(productId, date, variantId = null) {
+        const response = await fetch(`${API_BASE}/calculate-price/historical`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ productId, date, variantId })
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data.data;
+        }
+        throw new Error(data.error || 'Failed to calculate historical price');
+    },
+
     /**
      * Fetch stone prices
      */
@@ -349,5 +697,40 @@ window.API = {
             return data;
         }
         throw new Error(data.error || 'Failed to resolve conflict');
+    },
+
+    /**
+     * Fetch app settings
+     * Returns { settings, roundingPolicies, metalUnits, rateProviders }
+     */
+    async fetchSettings() {
+        const response = await fetch(`${API_BASE}/settings`);
+        const data = await response.json();
+        if (data.success) {
+            return {
+                settings: data.data,
+                roundingPolicies: data.roundingPolicies || [],
+                metalUnits: data.metalUnits || [],
+                rateProviders: data.rateProviders || []
+            };
+        }
+        throw new Error(data.error || 'Failed to fetch settings');
+    },
+
+    /**
+     * Update app settings
+     * @param {Object} settings - Sections to update (e.g. { rounding }, { metalCatalog })
+     */
+    async updateSettings(settings) {
+        const response = await fetch(`${API_BASE}/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        throw new Error(data.error || 'Failed to update settings');
     }
 };
@@ -12,7 +12,8 @@ export function createApp() {
 
   // Middleware
   app.use(cors());
-  app.use(express.json());
+  // Rate history CSV imports are sent as JSON, so allow more than the 100kb default
+  app.use(express.json({ limit: '5mb' }));
 
   // Serve static files from public directory
   app.use(express.static('public'));
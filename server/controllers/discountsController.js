@@ -1,6 +1,7 @@
 import { getPriceCalculator, getShopifyAPI } from '../middleware/calculatorInit.js';
 import { DiscountCalculator } from '../utils/discountCalculator.js';
 import { DiscountApplicationEngine } from '../utils/discountApplicationEngine.js';
+import { runPriceJob } from '../utils/jobCoordinator.js';
 
 const discountCalculator = new DiscountCalculator();
 const applicationEngine = new DiscountApplicationEngine();
@@ -27,7 +28,7 @@ export async function getDiscounts(req, res) {
 
 /**
  * Create new unified discount (with all 3 product types)
- * Auto-applies to targets on creation
+ * Auto-applies to targets on creation, in turn with the other jobs in the price job queue
  */
 export async function createDiscount(req, res) {
   try {
@@ -127,7 +128,22 @@ export async function createDiscount(req, res) {
     if (!applicationEngine.shopifyAPI) {
       applicationEngine.init();
     }
-    const applyResult = await applicationEngine.applyDiscountToTargets(createdDiscount);
+    const applied = await runPriceJob({
+      kind: 'discount-apply',
+      key: createdDiscount.id,
+      label: `Apply discount "${createdDiscount.discount_title}"`,
+      run: () => applicationEngine.applyDiscountToTargets(createdDiscount)
+    });
+
+    if (applied.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This discount is already being applied',
+        data: { queuePosition: applied.position }
+      });
+    }
+
+    const applyResult = applied.result;
     
     // Update last_applied timestamp
     if (applyResult.success || applyResult.hasConflicts) {
@@ -166,7 +182,7 @@ export async function createDiscount(req, res) {
 
 /**
  * Update unified discount
- * Re-applies to targets after update
+ * Re-applies to targets after update, in turn with the other jobs in the price job queue
  */
 export async function updateDiscount(req, res) {
   try {
@@ -267,17 +283,35 @@ export async function updateDiscount(req, res) {
       (discountData.application_type === 'products' && 
        JSON.stringify(existingDiscount.target_product_ids) !== JSON.stringify(discountData.target_product_ids));
 
-    if (targetsChanged) {
-      applicationEngine.init();
-      const oldProductIds = await applicationEngine.getTargetProductIds(existingDiscount);
-      await applicationEngine.removeDiscountFromProducts(oldProductIds);
-    }
+    // Each update applies the data it saved, so updates of the same discount queue rather than merge
+    const applied = await runPriceJob({
+      kind: 'discount-apply',
+      key: null,
+      label: `Re-apply discount "${discountData.discount_title}"`,
+      run: async () => {
+        if (targetsChanged) {
+          applicationEngine.init();
+          const oldProductIds = await applicationEngine.getTargetProductIds(existingDiscount);
+          await applicationEngine.removeDiscountFromProducts(oldProductIds);
+        }
 
-    // Re-apply to new targets
-    if (!applicationEngine.shopifyAPI) {
-      applicationEngine.init();
+        // Re-apply to new targets
+        if (!applicationEngine.shopifyAPI) {
+          applicationEngine.init();
+        }
+        return applicationEngine.applyDiscountToTargets(updatedDiscount);
+      }
+    });
+
+    if (applied.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This discount is already being re-applied',
+        data: { queuePosition: applied.position }
+      });
     }
-    const applyResult = await applicationEngine.applyDiscountToTargets(updatedDiscount);
+
+    const applyResult = applied.result;
     
     // Update last_applied timestamp
     if (applyResult.success || applyResult.hasConflicts) {
@@ -316,6 +350,8 @@ export async function updateDiscount(req, res) {
 
 /**
  * Delete discount rule
+ * Removes the discount from its products in turn with the other jobs in the price job queue; deleting a discount
+ * that is already being removed is rejected
  */
 export async function deleteDiscount(req, res) {
   try {
@@ -362,33 +398,50 @@ export async function deleteDiscount(req, res) {
     // Initialize application engine and remove discounts from all target products
     applicationEngine.init();
     
-    try {
-      // Get all product IDs that have this discount applied
-      const targetProductIds = await applicationEngine.getTargetProductIds(discountToDelete);
-      
-      if (targetProductIds.length > 0) {
-        // Remove discounts from all affected products and recalculate prices
-        const removalResults = await applicationEngine.removeDiscountFromProducts(targetProductIds);
-        
-        const successCount = removalResults.filter(r => r.success).length;
-        const failCount = removalResults.filter(r => !r.success).length;
-        
-        console.log(`Removed discount from ${successCount} products, ${failCount} failed`);
-        
-        // Log any failures for debugging
-        if (failCount > 0) {
-          const failures = removalResults.filter(r => !r.success);
-          console.error('Failed to remove discount from products:', failures);
+    const queued = await runPriceJob({
+      kind: 'discount-remove',
+      key: ruleId,
+      label: `Remove discount "${discountToDelete.discount_title}"`,
+      run: async () => {
+        try {
+          // Get all product IDs that have this discount applied
+          const targetProductIds = await applicationEngine.getTargetProductIds(discountToDelete);
+          
+          if (targetProductIds.length > 0) {
+            // Remove discounts from all affected products and recalculate prices
+            const removalResults = await applicationEngine.removeDiscountFromProducts(targetProductIds);
+            
+            const successCount = removalResults.filter(r => r.success).length;
+            const failCount = removalResults.filter(r => !r.success).length;
+            
+            console.log(`Removed discount from ${successCount} products, ${failCount} failed`);
+            
+            // Log any failures for debugging
+            if (failCount > 0) {
+              const failures = removalResults.filter(r => !r.success);
+              console.error('Failed to remove discount from products:', failures);
+            }
+          }
+        } catch (removalError) {
+          // Log error but continue with deletion - don't block deletion if removal fails
+          console.error('Error removing discounts from products:', removalError);
+          // Continue with rule deletion even if product removal had issues
         }
+        
+        // Delete the discount rule metaobject
+        return shopifyAPI.deleteDiscountRule(ruleId);
       }
-    } catch (removalError) {
-      // Log error but continue with deletion - don't block deletion if removal fails
-      console.error('Error removing discounts from products:', removalError);
-      // Continue with rule deletion even if product removal had issues
+    });
+
+    if (queued.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This discount is already being removed',
+        data: { queuePosition: queued.position }
+      });
     }
-    
-    // Delete the discount rule metaobject
-    const result = await shopifyAPI.deleteDiscountRule(ruleId);
+
+    const { result } = queued;
     
     if (result.metaobjectDelete?.userErrors && result.metaobjectDelete.userErrors.length > 0) {
       return res.status(400).json({
@@ -412,6 +465,7 @@ export async function deleteDiscount(req, res) {
 
 /**
  * Apply discount to bulk selected products
+ * Runs in turn with the other jobs in the price job queue; the same application already queued or running is rejected
  */
 export async function applyBulkDiscount(req, res) {
   try {
@@ -434,8 +488,22 @@ export async function applyBulkDiscount(req, res) {
     const shopifyAPI = getShopifyAPI();
     const priceCalculator = getPriceCalculator();
     
-    const results = await shopifyAPI.bulkApplyDiscount(productIds, discountConfig, priceCalculator);
-    
+    const queued = await runPriceJob({
+      kind: 'discount-apply',
+      key: JSON.stringify({ productIds: [...productIds].sort(), discountConfig }),
+      label: `Apply discount to ${productIds.length} selected products`,
+      run: () => shopifyAPI.bulkApplyDiscount(productIds, discountConfig, priceCalculator)
+    });
+
+    if (queued.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This discount is already being applied to these products',
+        data: { queuePosition: queued.position }
+      });
+    }
+
+    const results = queued.result;
     const successCount = results.filter(r => r.success).length;
     const failCount = results.filter(r => !r.success).length;
     
@@ -459,6 +527,7 @@ export async function applyBulkDiscount(req, res) {
 
 /**
  * Apply discount to collection
+ * Runs in turn with the other jobs in the price job queue; the same application already queued or running is rejected
  */
 export async function applyCollectionDiscount(req, res) {
   try {
@@ -493,8 +562,22 @@ export async function applyCollectionDiscount(req, res) {
     }
     
     // Apply discount to all products
-    const results = await shopifyAPI.bulkApplyDiscount(productIds, discountConfig, priceCalculator);
-    
+    const queued = await runPriceJob({
+      kind: 'discount-apply',
+      key: JSON.stringify({ collectionId, discountConfig }),
+      label: `Apply discount to ${productIds.length} products in a collection`,
+      run: () => shopifyAPI.bulkApplyDiscount(productIds, discountConfig, priceCalculator)
+    });
+
+    if (queued.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This discount is already being applied to this collection',
+        data: { queuePosition: queued.position }
+      });
+    }
+
+    const results = queued.result;
     const successCount = results.filter(r => r.success).length;
     const failCount = results.filter(r => !r.success).length;
     
@@ -573,7 +656,22 @@ export async function resolveConflict(req, res) {
     if (!applicationEngine.shopifyAPI) {
       applicationEngine.init();
     }
-    const result = await applicationEngine.resolveConflict(productId, discount, action);
+    const queued = await runPriceJob({
+      kind: 'discount-apply',
+      key: `conflict:${productId}:${discountId}`,
+      label: `Resolve discount conflict for ${productId}`,
+      run: () => applicationEngine.resolveConflict(productId, discount, action)
+    });
+
+    if (queued.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: 'This conflict is already being resolved',
+        data: { queuePosition: queued.position }
+      });
+    }
+
+    const { result } = queued;
     
     res.json({
       success: true,
@@ -1,14 +1,54 @@
-import { getPriceCalculator, getShopifyAPI, updatePriceCalculatorRates } from '../middleware/calculatorInit.js';
+import { createHash } from 'crypto';
+import { getPriceCalculator, getShopifyAPI } from '../middleware/calculatorInit.js';
 import { log } from '../utils/logger.js';
+import { getActiveMetals } from '../utils/metalCatalog.js';
+import { applyMetalRates, buildMetalRates } from '../utils/metalRateService.js';
+import {
+  startRefreshJob,
+  promoteDryRun,
+  approveHeldPrices,
+  rejectHeldPrices,
+  cancelRefreshJob,
+  pauseRefreshJob,
+  resumeRefreshJob,
+  retryFailedProducts,
+  startRollbackJob,
+  getRefreshJob,
+  listRefreshJobs,
+  getPriceRefreshSettings
+} from '../utils/refreshJobManager.js';
+import { normalizeRefreshScope } from '../utils/refreshScope.js';
+import { buildPriceDiffReport, priceDiffReportToCsv, priceDiffReportToXlsx } from '../utils/priceDiffReport.js';
+import { listHeldPrices } from '../utils/priceApprovals.js';
+import { scheduleMetalRates, listRateSchedules, cancelRateSchedule } from '../utils/rateScheduler.js';
+import {
+  getRateFeedSettings,
+  getRateFeedState,
+  runRateFeed,
+  approveStagedRates,
+  rejectStagedRates
+} from '../utils/rateFeedService.js';
+import { getRequestAuthor } from '../utils/requestAuthor.js';
+import {
+  parseHistoryDate,
+  filterHistoryByDate,
+  buildDailySeries,
+  parseRateHistoryCsv
+} from '../utils/metalRateHistory.js';
+import { runPriceJob, getQueuePosition, getPriceJobQueue } from '../utils/jobCoordinator.js';
+import { subscribeRefreshJobEvents } from '../utils/refreshJobEvents.js';
+
+// Comment sent on an idle event stream so proxies don't close it
+const SSE_HEARTBEAT_MS = 15000;
 
 /**
- * Format price with Indian Rupee symbol and /g suffix
+ * Format price with Indian Rupee symbol and unit suffix (e.g. /g, /10g)
  */
-function formatPrice(price) {
+function formatPrice(price, unit = 'g') {
   if (!price) return '';
   // Format number with Indian numbering system (lakhs, crores)
   const formatted = new Intl.NumberFormat('en-IN').format(price);
-  return `₹${formatted}/g`;
+  return `₹${formatted}/${unit}`;
 }
 
 /**
@@ -34,57 +74,32 @@ export async function getMetalPrices(req, res) {
 
 /**
  * Get formatted metal prices for Shopify theme display
- * Returns prices formatted with ₹ symbol and /g suffix
+ * Returns prices formatted with ₹ symbol and unit suffix, in catalog display order
  */
 export async function getFormattedMetalPrices(req, res) {
   try {
     const shopifyAPI = getShopifyAPI();
-    const prices = await shopifyAPI.getMetalPrices();
-    
+    const priceCalculator = getPriceCalculator();
+    const prices = await shopifyAPI.getMetalPrices() || priceCalculator.getMetalRates();
+
     if (!prices) {
-      const priceCalculator = getPriceCalculator();
-      const fallbackPrices = priceCalculator.getMetalRates();
-      
-      if (!fallbackPrices) {
-        return res.json({
-          success: true,
-          data: {
-            formatted: [],
-            raw: {}
-          }
-        });
-      }
-      
-      // Use fallback prices - Order: Gold 24K, Gold 22K, Gold 18K, Gold 14K, Silver, Platinum
-      const formattedPrices = [
-        { label: 'Gold 24K', price: formatPrice(fallbackPrices.gold24kt), key: 'gold24kt' },
-        { label: 'Gold 22K', price: formatPrice(fallbackPrices.gold22kt), key: 'gold22kt' },
-        { label: 'Gold 18K', price: formatPrice(fallbackPrices.gold18kt), key: 'gold18kt' },
-        { label: 'Gold 14K', price: formatPrice(fallbackPrices.gold14kt), key: 'gold14kt' },
-        { label: 'Silver', price: formatPrice(fallbackPrices.silver), key: 'silver' },
-        { label: 'Platinum', price: formatPrice(fallbackPrices.platinum), key: 'platinum' }
-      ].filter(item => item.price);
-      
       return res.json({
         success: true,
         data: {
-          formatted: formattedPrices,
-          raw: fallbackPrices
+          formatted: [],
+          raw: {}
         }
       });
     }
 
-    // Map to formatted display format
-    // Prices from Shopify API have keys like gold22kt (no underscores)
-    // Order: Gold 24K, Gold 22K, Gold 18K, Gold 14K, Silver, Platinum
-    const formattedPrices = [
-      { label: 'Gold 24K', price: formatPrice(prices.gold24kt), key: 'gold24kt' },
-      { label: 'Gold 22K', price: formatPrice(prices.gold22kt), key: 'gold22kt' },
-      { label: 'Gold 18K', price: formatPrice(prices.gold18kt), key: 'gold18kt' },
-      { label: 'Gold 14K', price: formatPrice(prices.gold14kt), key: 'gold14kt' },
-      { label: 'Silver', price: formatPrice(prices.silver), key: 'silver' },
-      { label: 'Platinum', price: formatPrice(prices.platinum), key: 'platinum' }
-    ].filter(item => item.price); // Remove empty prices
+    const formattedPrices = getActiveMetals(priceCalculator.getMetalCatalog())
+      .map(metal => ({
+        label: metal.label,
+        price: formatPrice(prices[metal.key], metal.unit),
+        key: metal.key,
+        unit: metal.unit
+      }))
+      .filter(item => item.price); // Remove empty prices
     
     res.json({
       success: true,
@@ -101,48 +116,148 @@ export async function getFormattedMetalPrices(req, res) {
   }
 }
 
+/**
+ * Preview derived metal rates without saving them
+ */
+export async function deriveMetalPrices(req, res) {
+  try {
+    const priceCalculator = getPriceCalculator();
+
+    let preview;
+    try {
+      preview = buildMetalRates(priceCalculator, { ...req.body, derive: true });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Update metal prices
+ * Expects a rate for every active metal in the catalog (or every base metal in derivation mode)
+ * Rates that break the purity order are rejected
+ * Body autoRefresh starts a refresh job once the rates are saved (defaults to the price refresh setting)
  */
 export async function updateMetalPrices(req, res) {
   try {
-    const { gold24kt, gold22kt, gold18kt, gold14kt, platinum, silver } = req.body;
+    const priceCalculator = getPriceCalculator();
+    const { autoRefresh, ...body } = req.body;
 
     // Validate input
-    if (!gold24kt || !gold22kt || !gold18kt || !gold14kt || !platinum || !silver) {
+    let rates;
+    try {
+      const result = buildMetalRates(priceCalculator, body);
+      if (result.issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Metal rates are inconsistent: ${result.issues.join('; ')}`,
+          issues: result.issues
+        });
+      }
+      rates = result.rates;
+    } catch (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'All metal prices are required'
+        error: validationError.message
       });
     }
 
-    const shopifyAPI = getShopifyAPI();
-    const priceCalculator = getPriceCalculator();
+    // Rates of inactive metals that weren't sent are kept so re-activating them doesn't lose the rate
+    const { result, historyError, refreshJobId } = await applyMetalRates(rates, {
+      author: getRequestAuthor(req),
+      source: 'manual',
+      autoRefresh: autoRefresh !== undefined
+        ? autoRefresh === true
+        : getPriceRefreshSettings(priceCalculator.settings).autoRefreshOnRateUpdate
+    });
+
+    let message = refreshJobId
+      ? 'Metal prices updated successfully. Product prices are being refreshed.'
+      : 'Metal prices updated successfully';
+    if (historyError) {
+      message += ` The change could not be added to the rate history: ${historyError}`;
+    }
 
-    // Update in Shopify
-    const result = await shopifyAPI.updateMetalPrices({
-      gold24kt: parseFloat(gold24kt),
-      gold22kt: parseFloat(gold22kt),
-      gold18kt: parseFloat(gold18kt),
-      gold14kt: parseFloat(gold14kt),
-      platinum: parseFloat(platinum),
-      silver: parseFloat(silver)
+    res.json({
+      success: true,
+      message,
+      data: result,
+      refreshJobId
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+}
+
+/**
+ * Schedule metal rates to take effect at a future time
+ * Body: rates as for updateMetalPrices, plus effectiveAt (ISO timestamp) and autoRefresh
+ * Rates are validated (and derived) now, so the schedule holds the exact rates that will be applied
+ */
+export async function scheduleMetalPrices(req, res) {
+  try {
+    const priceCalculator = getPriceCalculator();
+    const { effectiveAt: effectiveAtParam, autoRefresh, ...body } = req.body;
+
+    const effectiveAt = new Date(effectiveAtParam);
+    if (!effectiveAtParam || isNaN(effectiveAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid effective time is required'
+      });
+    }
+    if (effectiveAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Effective time must be in the future (use Save Metal Prices for rates that apply now)'
+      });
+    }
+
+    let rates;
+    try {
+      const result = buildMetalRates(priceCalculator, body);
+      if (result.issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Metal rates are inconsistent: ${result.issues.join('; ')}`,
+          issues: result.issues
+        });
+      }
+      rates = result.rates;
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
 
-    // Update calculator
-    updatePriceCalculatorRates({
-      gold24kt: parseFloat(gold24kt),
-      gold22kt: parseFloat(gold22kt),
-      gold18kt: parseFloat(gold18kt),
-      gold14kt: parseFloat(gold14kt),
-      platinum: parseFloat(platinum),
-      silver: parseFloat(silver)
+    const schedule = await scheduleMetalRates({
+      rates,
+      effectiveAt,
+      author: getRequestAuthor(req),
+      autoRefresh: autoRefresh === true
     });
 
     res.json({
       success: true,
-      message: 'Metal prices updated successfully',
-      data: result
+      message: `Metal prices scheduled for ${effectiveAt.toISOString()}`,
+      data: schedule
     });
   } catch (error) {
     res.status(500).json({
@@ -153,140 +268,207 @@ export async function updateMetalPrices(req, res) {
 }
 
 /**
- * In-memory job store for refresh price jobs
- * In production, consider using Redis or a database for persistence
+ * List scheduled metal rate changes
+ * Query: status (pending, applied, cancelled, failed), optional
  */
-const refreshJobs = new Map();
+export async function getMetalPriceSchedules(req, res) {
+  try {
+    const schedules = await listRateSchedules(req.query.status || null);
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
 /**
- * Generate unique job ID
+ * Cancel a pending scheduled metal rate change
  */
-function generateJobId() {
-  return `refresh-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+export async function cancelMetalPriceSchedule(req, res) {
+  try {
+    const { id } = req.params;
+
+    const cancelled = await cancelRateSchedule(id, getRequestAuthor(req));
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending schedule found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled metal prices cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 }
 
 /**
- * Process refresh prices job in background
+ * Get rate feed settings, staged rates and the last fetch
  */
-async function processRefreshJob(jobId, priceCalculator, shopifyAPI, currentRates) {
-  const job = refreshJobs.get(jobId);
-  if (!job) return;
-
+export async function getRateFeed(req, res) {
   try {
-    job.status = 'processing';
-    job.startedAt = new Date();
-    log.info('Refresh prices job started', { jobId, startedAt: job.startedAt }, jobId);
-
-    // Progress callback to update job status
-    const progressCallback = (processed, total, updates) => {
-      const job = refreshJobs.get(jobId);
-      if (!job || job.status === 'cancelled') return;
-
-      job.processed = processed;
-      job.total = total;
-      job.updates = updates;
-      job.successCount = updates.filter(u => u.success).length;
-      job.failCount = updates.filter(u => !u.success).length;
-      job.progress = Math.round((processed / total) * 100);
-      
-      // Calculate ETA
-      if (processed > 0) {
-        const elapsed = (Date.now() - job.startedAt.getTime()) / 1000; // seconds
-        const rate = processed / elapsed; // products per second
-        const remaining = total - processed;
-        job.eta = Math.round(remaining / rate); // seconds remaining
+    const priceCalculator = getPriceCalculator();
+
+    res.json({
+      success: true,
+      data: {
+        settings: getRateFeedSettings(priceCalculator.settings),
+        ...getRateFeedState(priceCalculator.settings)
       }
-    };
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Fetch rates from the configured feed now
+ * Applied straight away in auto mode when they pass validation, otherwise staged for approval
+ */
+export async function fetchRateFeed(req, res) {
+  try {
+    const { outcome, proposal, historyError, refreshJobId } = await runRateFeed({
+      trigger: 'manual',
+      author: getRequestAuthor(req)
+    });
 
-    // Process with progress tracking
-    const updates = await shopifyAPI.bulkUpdatePrices(
-      currentRates,
-      priceCalculator,
-      progressCallback,
-      log
-    );
-
-    const successCount = updates.filter(u => u.success).length;
-    const failCount = updates.filter(u => !u.success).length;
-
-    job.status = 'completed';
-    job.completedAt = new Date();
-    job.processed = job.total;
-    job.progress = 100;
-    job.successCount = successCount;
-    job.failCount = failCount;
-    job.updates = updates;
-    job.eta = 0;
-
-    log.info('Refresh prices job completed', {
-      jobId,
-      total: job.total,
-      success: successCount,
-      failed: failCount,
-      duration: (job.completedAt.getTime() - job.startedAt.getTime()) / 1000
-    }, jobId);
+    let message = 'Feed rates fetched and waiting for approval';
+    if (outcome === 'applied') {
+      message = refreshJobId
+        ? 'Feed rates applied. Product prices are being refreshed.'
+        : 'Feed rates applied. Click "Refresh Prices" to update all products.';
+    }
+    if (historyError) {
+      message += ` The change could not be added to the rate history: ${historyError}`;
+    }
 
+    res.json({
+      success: true,
+      message,
+      data: { outcome, proposal },
+      refreshJobId
+    });
   } catch (error) {
-    const job = refreshJobs.get(jobId);
-    if (job) {
-      job.status = 'failed';
-      job.completedAt = new Date();
-      job.error = error.message;
-    }
-    log.error('Refresh prices job failed', { jobId, error: error.message, stack: error.stack }, jobId);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 }
 
 /**
- * Bulk update all product prices based on current metal rates
- * Returns job ID immediately and processes in background
+ * Apply the rates staged by the feed
  */
-export async function refreshPrices(req, res) {
+export async function approveRateFeed(req, res) {
   try {
-    const priceCalculator = getPriceCalculator();
-    const shopifyAPI = getShopifyAPI();
-    const currentRates = priceCalculator.getMetalRates();
-
-    // Generate job ID
-    const jobId = generateJobId();
-
-    // Create job entry
-    const job = {
-      id: jobId,
-      status: 'queued',
-      createdAt: new Date(),
-      startedAt: null,
-      completedAt: null,
-      total: 0,
-      processed: 0,
-      progress: 0,
-      successCount: 0,
-      failCount: 0,
-      eta: null,
-      updates: [],
-      error: null
-    };
+    const result = await approveStagedRates(getRequestAuthor(req));
 
-    refreshJobs.set(jobId, job);
+    if (result.status === 'none') {
+      return res.status(404).json({
+        success: false,
+        error: 'No feed rates are waiting for approval'
+      });
+    }
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: `Feed rates can't be applied: ${result.issues.join('; ')}`,
+        issues: result.issues
+      });
+    }
 
-    log.info('Refresh prices job created', { jobId }, jobId);
+    let message = result.refreshJobId
+      ? 'Feed rates applied. Product prices are being refreshed.'
+      : 'Feed rates applied. Click "Refresh Prices" to update all products.';
+    if (result.historyError) {
+      message += ` The change could not be added to the rate history: ${result.historyError}`;
+    }
 
-    // Start processing in background (don't await)
-    processRefreshJob(jobId, priceCalculator, shopifyAPI, currentRates).catch(err => {
-      log.error('Unexpected error in background job', { jobId, error: err.message }, jobId);
+    res.json({
+      success: true,
+      message,
+      data: result.rates,
+      refreshJobId: result.refreshJobId
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+}
+
+/**
+ * Discard the rates staged by the feed
+ */
+export async function rejectRateFeed(req, res) {
+  try {
+    const rejected = await rejectStagedRates();
+
+    if (!rejected) {
+      return res.status(404).json({
+        success: false,
+        error: 'No feed rates are waiting for approval'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Feed rates discarded'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get metal rate history
+ * Query: from, to (YYYY-MM-DD, inclusive)
+ * Returns every change plus the daily closing rates with day-over-day change
+ */
+export async function getMetalPriceHistory(req, res) {
+  try {
+    let from;
+    let to;
+    try {
+      from = parseHistoryDate(req.query.from);
+      to = parseHistoryDate(req.query.to, true);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const shopifyAPI = getShopifyAPI();
+    const entries = filterHistoryByDate(await shopifyAPI.getMetalRateHistory(), from, to);
 
-    // Return job ID immediately
     res.json({
       success: true,
-      message: 'Refresh prices job started',
       data: {
-        jobId,
-        status: 'queued'
+        entries,
+        daily: buildDailySeries(entries)
       }
     });
   } catch (error) {
-    log.error('Error creating refresh prices job', { error: error.message }, null);
     res.status(500).json({
       success: false,
       error: error.message
@@ -295,57 +477,135 @@ export async function refreshPrices(req, res) {
 }
 
 /**
- * Get refresh prices job status
+ * Import past rates from CSV into the rate history (backfill only, current rates are not changed)
+ * Body: { csv } - header "date,<metal key>,..." then one row per date
+ * Runs in turn with the other jobs in the price job queue; the same file sent again while it's being imported is rejected
  */
-export async function getRefreshStatus(req, res) {
+export async function importMetalPriceHistory(req, res) {
   try {
-    const { jobId } = req.params;
+    const priceCalculator = getPriceCalculator();
 
-    if (!jobId) {
+    let rows;
+    try {
+      rows = parseRateHistoryCsv(req.body.csv, priceCalculator.getMetalCatalog());
+    } catch (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Job ID is required'
+        error: validationError.message
       });
     }
 
-    const job = refreshJobs.get(jobId);
+    const shopifyAPI = getShopifyAPI();
+    const author = getRequestAuthor(req);
 
-    if (!job) {
-      return res.status(404).json({
+    const queued = await runPriceJob({
+      kind: 'import',
+      key: createHash('sha256').update(req.body.csv.trim()).digest('hex'),
+      label: `Rate history import (${rows.length} ${rows.length === 1 ? 'row' : 'rows'})`,
+      run: async () => {
+        // Skip rows already in the history so the same file can be imported twice safely
+        const existing = new Set(
+          (await shopifyAPI.getMetalRateHistory()).map(entry => new Date(entry.effectiveAt).toISOString())
+        );
+
+        let imported = 0;
+        let skipped = 0;
+        const errors = [];
+
+        for (const row of rows) {
+          if (existing.has(row.effectiveAt)) {
+            skipped++;
+            continue;
+          }
+          try {
+            await shopifyAPI.createMetalRateHistoryEntry({ ...row, author, source: 'import' });
+            existing.add(row.effectiveAt);
+            imported++;
+          } catch (error) {
+            errors.push({ effectiveAt: row.effectiveAt, error: error.message });
+          }
+        }
+
+        return { imported, skipped, errors };
+      }
+    });
+
+    if (queued.status === 'duplicate') {
+      return res.status(409).json({
         success: false,
-        error: 'Job not found'
+        error: 'This file is already being imported',
+        data: { queuePosition: queued.position }
       });
     }
 
-    // Clean up old completed jobs (older than 1 hour)
-    if (job.status === 'completed' || job.status === 'failed') {
-      const age = Date.now() - job.completedAt.getTime();
-      if (age > 3600000) { // 1 hour
-        refreshJobs.delete(jobId);
-      }
+    const { imported, skipped, errors } = queued.result;
+
+    log.info('Metal rate history imported', { imported, skipped, failed: errors.length, author });
+
+    let message = `Imported ${imported} rate ${imported === 1 ? 'entry' : 'entries'}`;
+    if (skipped > 0) message += `, skipped ${skipped} already in history`;
+    if (errors.length > 0) message += `, ${errors.length} failed`;
+
+    res.json({
+      success: true,
+      message,
+      data: { imported, skipped, errors }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Bulk update product prices based on current metal rates
+ * Only products affected by changes since the last refresh are repriced; body { full: true } reprices every product
+ * and body scope ({ collectionIds, metalTypes, statuses, vendors, productIds, skus }) reprices every product in it
+ * Body dryRun calculates the new prices and reports the diff without writing anything
+ * Returns job ID immediately and processes in background, once the jobs ahead of it in the price job queue are done;
+ * the same request made while a job is still queued returns that job
+ */
+export async function refreshPrices(req, res) {
+  try {
+    let scope;
+    try {
+      scope = normalizeRefreshScope(req.body?.scope, getPriceCalculator().getMetalCatalog());
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const job = startRefreshJob({ full: req.body?.full === true, scope, dryRun: req.body?.dryRun === true });
+    const queuePosition = getQueuePosition(job.id);
+    // A new job hasn't had requests merged into it yet
+    const merged = job.mergedRequests > 0;
+
+    let message = job.dryRun ? 'Refresh prices dry run started' : 'Refresh prices job started';
+    if (merged) {
+      message = 'The same refresh is already queued; this request was added to it';
+    } else if (queuePosition !== null) {
+      message = `${job.dryRun ? 'Refresh prices dry run' : 'Refresh prices job'} queued (position ${queuePosition})`;
     }
 
+    // Return job ID immediately
     res.json({
       success: true,
+      message,
       data: {
-        id: job.id,
+        jobId: job.id,
         status: job.status,
-        createdAt: job.createdAt,
-        startedAt: job.startedAt,
-        completedAt: job.completedAt,
-        total: job.total,
-        processed: job.processed,
-        progress: job.progress,
-        successCount: job.successCount,
-        failCount: job.failCount,
-        eta: job.eta,
-        error: job.error,
-        // Only include updates if job is completed
-        updates: job.status === 'completed' ? job.updates : undefined
+        dryRun: job.dryRun,
+        scope: job.scope,
+        merged,
+        queuePosition
       }
     });
   } catch (error) {
-    log.error('Error getting refresh status', { error: error.message }, null);
+    log.error('Error creating refresh prices job', { error: error.message }, null);
     res.status(500).json({
       success: false,
       error: error.message
@@ -354,9 +614,65 @@ export async function getRefreshStatus(req, res) {
 }
 
 /**
- * Cancel refresh prices job
+ * Status of a refresh job as the status endpoint and the event stream send it
+ * @param {Object} job - Job entry
+ * @returns {Object} Status
  */
-export async function cancelRefresh(req, res) {
+function formatRefreshStatus(job) {
+  const isStopped = ['completed', 'paused', 'cancelled'].includes(job.status);
+  const queuePosition = getQueuePosition(job.id);
+
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    total: job.total,
+    processed: job.processed,
+    progress: job.progress,
+    successCount: job.successCount,
+    failCount: job.failCount,
+    heldCount: job.heldCount,
+    guardrailsSkipped: job.guardrailsSkipped,
+    dryRun: job.dryRun,
+    bulkOperations: job.bulkOperations,
+    phase: job.phase,
+    promotedFrom: job.promotedFrom,
+    promotedTo: job.promotedTo,
+    retryOf: job.retryOf,
+    retryJobId: job.retryJobId,
+    rollbackOf: job.rollbackOf,
+    rollbackJobId: job.rollbackJobId,
+    changedSinceCount: job.changedSinceCount,
+    resumedAt: job.resumedAt,
+    resumeCount: job.resumeCount,
+    pausedAt: job.pausedAt,
+    stopRequested: job.stopRequested,
+    queuePosition,
+    // While the job waits: the job writing prices now
+    waitingFor: queuePosition !== null ? getPriceJobQueue().running : null,
+    mergedRequests: job.mergedRequests || 0,
+    mode: job.mode,
+    scope: job.scope,
+    reason: job.reason,
+    changedMetals: job.changedMetals,
+    stonesChanged: job.stonesChanged,
+    catalogTotal: job.catalogTotal,
+    skippedCount: job.skippedCount,
+    eta: job.eta,
+    error: job.error,
+    // Only include updates (and the diff report of a dry run or rollback) once the job has stopped
+    updates: isStopped ? job.updates : undefined,
+    notProcessed: isStopped ? job.notProcessed : undefined,
+    report: isStopped && job.report ? job.report : undefined
+  };
+}
+
+/**
+ * Get refresh prices job status
+ */
+export async function getRefreshStatus(req, res) {
   try {
     const { jobId } = req.params;
 
@@ -367,7 +683,7 @@ export async function cancelRefresh(req, res) {
       });
     }
 
-    const job = refreshJobs.get(jobId);
+    const job = getRefreshJob(jobId);
 
     if (!job) {
       return res.status(404).json({
@@ -376,28 +692,558 @@ export async function cancelRefresh(req, res) {
       });
     }
 
-    if (job.status === 'completed' || job.status === 'failed') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot cancel a completed or failed job'
-      });
-    }
-
-    job.status = 'cancelled';
-    job.completedAt = new Date();
-
-    log.info('Refresh prices job cancelled', { jobId }, jobId);
-
     res.json({
       success: true,
-      message: 'Job cancelled successfully',
-      data: {
-        jobId,
-        status: 'cancelled'
-      }
+      data: formatRefreshStatus(job)
     });
   } catch (error) {
-    log.error('Error cancelling refresh job', { error: error.message }, null);
+    log.error('Error getting refresh status', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Stream a refresh job's progress as Server-Sent Events
+ * The first event is the job's status; then status, progress, product, warning and done events as the job runs
+ * (see refreshJobEvents.js). The stream ends after done, or straight away for a job that isn't running or queued.
+ * A client reconnecting with Last-Event-ID gets the events it missed
+ */
+export async function streamRefreshEvents(req, res) {
+  try {
+    const { jobId } = req.params;
+    const job = getRefreshJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let a proxy hold the events back
+    });
+
+    const send = (type, data, id = null) => {
+      res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('status', formatRefreshStatus(job));
+    if (!['queued', 'processing'].includes(job.status)) {
+      send('done', { status: job.status, error: job.error });
+      return res.end();
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe?.();
+      res.end();
+    };
+
+    unsubscribe = subscribeRefreshJobEvents(jobId, event => {
+      send(event.type, event.data, event.id);
+      if (event.type === 'done') {
+        close();
+      }
+    }, { after: Number.isInteger(lastEventId) ? lastEventId : null });
+
+    req.on('close', close);
+  } catch (error) {
+    log.error('Error streaming refresh events', { error: error.message }, null);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * The job writing prices now and the jobs queued behind it (refreshes, rollbacks, discount applications, imports)
+ */
+export async function getPriceJobs(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: getPriceJobQueue()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Refresh job history, newest first (without per-product results)
+ * Query: limit
+ */
+export async function getRefreshJobs(req, res) {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive whole number'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: listRefreshJobs(limit !== undefined ? { limit } : {})
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Download the report of a stopped refresh or rollback job (dry run or real; completed, paused, cancelled or failed)
+ * Query: format=csv (default) | xlsx
+ */
+export async function getRefreshReport(req, res) {
+  try {
+    const { jobId } = req.params;
+    const format = req.query.format || 'csv';
+    const job = getRefreshJob(jobId);
+
+    if (format !== 'csv' && format !== 'xlsx') {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be csv or xlsx'
+      });
+    }
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status === 'queued' || job.status === 'processing') {
+      return res.status(400).json({
+        success: false,
+        error: 'The report is available once the job has stopped'
+      });
+    }
+
+    // Built from the results, which every stopped job keeps (job.report is only kept for dry runs and rollbacks)
+    const report = buildPriceDiffReport(job.updates || [], job.notProcessed);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="refresh-report-${job.id}.xlsx"`);
+      return res.send(priceDiffReportToXlsx(report));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="refresh-report-${job.id}.csv"`);
+    res.send(priceDiffReportToCsv(report));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Promote a completed dry run to a real refresh with the same options
+ */
+export async function promoteRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = promoteDryRun(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (result.status === 'not_dry_run' || result.status === 'not_completed') {
+      return res.status(400).json({
+        success: false,
+        error: result.status === 'not_dry_run'
+          ? 'Only a dry run can be promoted'
+          : 'The dry run has not completed yet'
+      });
+    }
+    if (result.status === 'already_promoted') {
+      return res.status(409).json({
+        success: false,
+        error: 'This dry run has already been promoted',
+        data: { jobId: result.job?.id }
+      });
+    }
+
+    log.info('Refresh prices dry run promoted', { dryRunJobId: jobId, jobId: result.job.id }, result.job.id);
+
+    res.json({
+      success: true,
+      message: 'Refresh prices job started from the dry run',
+      data: {
+        jobId: result.job.id,
+        status: result.job.status
+      }
+    });
+  } catch (error) {
+    log.error('Error promoting refresh prices dry run', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Start a child job for the products that failed in a finished refresh job
+ */
+export async function retryFailedRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = retryFailedProducts(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (result.status === 'not_refresh' || result.status === 'not_finished' || result.status === 'no_failures') {
+      const errors = {
+        not_refresh: 'A rollback is retried by rolling back its job again',
+        not_finished: 'Failed products can be retried once the job has finished',
+        no_failures: 'No products failed in this job'
+      };
+      return res.status(400).json({
+        success: false,
+        error: errors[result.status]
+      });
+    }
+    if (result.status === 'retry_running') {
+      return res.status(409).json({
+        success: false,
+        error: 'The failed products of this job are already being retried',
+        data: { jobId: result.job.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Retrying ${result.job.scope.productIds.length} failed product(s)`,
+      data: {
+        jobId: result.job.id,
+        status: result.job.status,
+        retryOf: jobId
+      }
+    });
+  } catch (error) {
+    log.error('Error retrying failed products', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Roll back a finished refresh job: put back the prices it wrote, as a job of its own
+ */
+export async function rollbackRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = startRollbackJob(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (['not_rollbackable', 'not_finished', 'nothing_to_roll_back'].includes(result.status)) {
+      const errors = {
+        not_rollbackable: 'Only a refresh that wrote prices can be rolled back',
+        not_finished: 'The job can be rolled back once it has finished',
+        nothing_to_roll_back: 'This job did not write any prices'
+      };
+      return res.status(400).json({
+        success: false,
+        error: errors[result.status]
+      });
+    }
+    if (result.status === 'rollback_running' || result.status === 'already_rolled_back') {
+      return res.status(409).json({
+        success: false,
+        error: result.status === 'rollback_running'
+          ? 'This job is already being rolled back'
+          : 'This job has already been rolled back',
+        data: { jobId: result.job.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rollback job started',
+      data: {
+        jobId: result.job.id,
+        status: result.job.status,
+        rollbackOf: jobId
+      }
+    });
+  } catch (error) {
+    log.error('Error starting rollback job', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Read the products to approve or reject from a request body
+ * Body { productIds: [...] } or { all: true }
+ * @returns {Array<string>|null|undefined} Product IDs, null for every held product, undefined when neither was given
+ */
+function getHeldProductIds(body = {}) {
+  if (body.all === true) {
+    return null;
+  }
+  if (Array.isArray(body.productIds) && body.productIds.length > 0) {
+    return body.productIds.map(String);
+  }
+  return undefined;
+}
+
+/**
+ * Get the prices held for approval by the price guardrails
+ */
+export async function getHeldPrices(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: listHeldPrices()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Approve held prices: starts a refresh job that writes them without the guardrails
+ */
+export async function approvePrices(req, res) {
+  try {
+    const productIds = getHeldProductIds(req.body);
+    if (productIds === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide productIds or all: true'
+      });
+    }
+
+    const result = approveHeldPrices(productIds);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'None of these products have prices waiting for approval'
+      });
+    }
+
+    log.info('Held prices approved', {
+      jobId: result.job.id,
+      approved: result.approved,
+      approvedBy: getRequestAuthor(req)
+    }, result.job.id);
+
+    res.json({
+      success: true,
+      message: `${result.approved} held price(s) approved. Refresh prices job started`,
+      data: {
+        jobId: result.job.id,
+        status: result.job.status,
+        approved: result.approved
+      }
+    });
+  } catch (error) {
+    log.error('Error approving held prices', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Reject held prices: the products keep their current prices
+ */
+export async function rejectPrices(req, res) {
+  try {
+    const productIds = getHeldProductIds(req.body);
+    if (productIds === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide productIds or all: true'
+      });
+    }
+
+    const rejected = await rejectHeldPrices(productIds);
+    if (rejected === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'None of these products have prices waiting for approval'
+      });
+    }
+
+    log.info('Held prices rejected', { rejected, rejectedBy: getRequestAuthor(req) }, null);
+
+    res.json({
+      success: true,
+      message: `${rejected} held price(s) rejected`,
+      data: { rejected }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cancel refresh prices job
+ * A running job stops after the batch in progress; products already updated keep their new prices
+ */
+export async function cancelRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = cancelRefreshJob(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (result.status === 'finished') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot cancel a completed, failed or cancelled job'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === 'cancelled' ? 'Job cancelled before it started' : 'Job is stopping after the current batch',
+      data: {
+        jobId,
+        status: result.job.status,
+        stopRequested: result.job.stopRequested
+      }
+    });
+  } catch (error) {
+    log.error('Error cancelling refresh job', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Pause a running refresh prices job after the batch in progress
+ */
+export async function pauseRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = pauseRefreshJob(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (result.status === 'not_running') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a running job can be paused'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === 'paused' ? 'Job paused while waiting for its turn' : 'Job is pausing after the current batch',
+      data: {
+        jobId,
+        status: result.job.status,
+        stopRequested: result.job.stopRequested
+      }
+    });
+  } catch (error) {
+    log.error('Error pausing refresh job', { error: error.message }, null);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Resume a paused refresh prices job from the first product it hadn't processed
+ */
+export async function resumeRefresh(req, res) {
+  try {
+    const { jobId } = req.params;
+    const result = resumeRefreshJob(jobId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (result.status === 'not_paused') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a paused job can be resumed'
+      });
+    }
+
+    log.info('Refresh prices job resume requested', { jobId }, jobId);
+
+    res.json({
+      success: true,
+      message: 'Job resumed',
+      data: {
+        jobId,
+        status: result.job.status
+      }
+    });
+  } catch (error) {
+    log.error('Error resuming refresh job', { error: error.message }, null);
     res.status(500).json({
       success: false,
       error: error.message
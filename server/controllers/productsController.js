@@ -1,4 +1,8 @@
 import { getPriceCalculator, getShopifyAPI } from '../middleware/calculatorInit.js';
+import { appendConfigHistory, getConfigAsOf } from '../utils/configHistory.js';
+import { createPriceCalculatorAsOf } from '../utils/metalRateService.js';
+import { parseHistoryDate } from '../utils/metalRateHistory.js';
+import { getRequestAuthor } from '../utils/requestAuthor.js';
 
 /**
  * Get all configured products with pagination
@@ -63,6 +67,29 @@ export async function configureProduct(req, res) {
       return parseFloat(value) || 0;
     };
 
+    // Process multi-metal composition (two-tone pieces, findings in another metal)
+    // The total weight and dominant metal become the product's metal_weight / metal_type
+    let metals = [];
+    if (config.metals && Array.isArray(config.metals)) {
+      metals = config.metals
+        .filter(metal => metal.metalType && normalizeNumeric(metal.metalWeight) > 0)
+        .map(metal => ({
+          metalType: metal.metalType,
+          metalWeight: normalizeNumeric(metal.metalWeight),
+          makingChargePercent: metal.makingChargePercent === '' || metal.makingChargePercent === null || metal.makingChargePercent === undefined
+            ? null
+            : normalizeNumeric(metal.makingChargePercent),
+          wastageType: metal.wastageType || null,
+          wastageValue: metal.wastageValue === '' || metal.wastageValue === null || metal.wastageValue === undefined
+            ? null
+            : normalizeNumeric(metal.wastageValue)
+        }));
+    }
+    if (metals.length > 0) {
+      config.metalWeight = metals.reduce((sum, metal) => sum + metal.metalWeight, 0);
+      config.metalType = priceCalculator.getDominantMetalType(metals, config.metalType);
+    }
+
     // Only metalWeight and metalType are truly required
     if (!config.metalWeight || config.metalWeight === '') {
       return res.status(400).json({
@@ -95,6 +122,35 @@ export async function configureProduct(req, res) {
       totalStoneCost = stones.reduce((sum, stone) => sum + stone.stoneCost, 0);
     }
 
+    // Process variant-level overrides (metal weight and optionally stones per variant)
+    let variantConfigs = [];
+    if (config.variantConfigs && Array.isArray(config.variantConfigs)) {
+      variantConfigs = config.variantConfigs
+        .filter(variantConfig => variantConfig.variantId)
+        .map(variantConfig => {
+          const normalizedVariant = { variantId: variantConfig.variantId };
+          if (variantConfig.metalWeight !== undefined && variantConfig.metalWeight !== null && variantConfig.metalWeight !== '') {
+            normalizedVariant.metalWeight = normalizeNumeric(variantConfig.metalWeight);
+          }
+          if (variantConfig.netWeight !== undefined && variantConfig.netWeight !== '') {
+            normalizedVariant.netWeight = normalizeNumeric(variantConfig.netWeight);
+          }
+          if (variantConfig.grossWeight !== undefined && variantConfig.grossWeight !== '') {
+            normalizedVariant.grossWeight = normalizeNumeric(variantConfig.grossWeight);
+          }
+          if (Array.isArray(variantConfig.stones)) {
+            normalizedVariant.stones = variantConfig.stones.map(stone => ({
+              stoneType: stone.stoneType || '',
+              actualStoneType: stone.actualStoneType || '',
+              stoneWeight: normalizeNumeric(stone.stoneWeight),
+              stoneCost: normalizeNumeric(stone.stoneCost),
+              stoneCount: parseInt(stone.stoneCount) || 1
+            }));
+          }
+          return normalizedVariant;
+        });
+    }
+
     // Process discount configuration if provided
     let discountConfig = null;
     if (config.discount && config.discount.enabled) {
@@ -144,6 +200,36 @@ export async function configureProduct(req, res) {
       }
     }
 
+    // Process extra charges (hallmarking, certification, packaging, ...)
+    let extraCharges = [];
+    if (config.extraCharges && Array.isArray(config.extraCharges)) {
+      extraCharges = config.extraCharges
+        .filter(extra => extra.label || normalizeNumeric(extra.amount) > 0)
+        .map(extra => ({
+          label: (extra.label || '').trim() || 'Extra Charge',
+          amount: normalizeNumeric(extra.amount),
+          taxPercent: extra.taxPercent === '' || extra.taxPercent === null || extra.taxPercent === undefined
+            ? null
+            : normalizeNumeric(extra.taxPercent),
+          discountEligible: extra.discountEligible === true
+        }));
+    }
+
+    // Per-component GST rates - blank components fall back to taxPercent
+    let taxRates = null;
+    if (config.taxRates && typeof config.taxRates === 'object') {
+      taxRates = {};
+      ['metal', 'stone', 'making', 'labour', 'wastage', 'extra'].forEach(key => {
+        const rate = config.taxRates[key];
+        if (rate !== undefined && rate !== null && rate !== '' && !isNaN(rate)) {
+          taxRates[key] = parseFloat(rate);
+        }
+      });
+      if (Object.keys(taxRates).length === 0) {
+        taxRates = null;
+      }
+    }
+
     // Normalize all numeric fields to default to 0 if empty
     const normalizedConfig = {
       metalWeight: normalizeNumeric(config.metalWeight),
@@ -157,14 +243,29 @@ export async function configureProduct(req, res) {
       stoneCost: totalStoneCost, // Total stone cost for price calculation
       netWeight: normalizeNumeric(config.netWeight),
       grossWeight: normalizeNumeric(config.grossWeight),
-      taxPercent: normalizeNumeric(config.taxPercent) || 3 // Default tax to 3% if not provided
+      taxPercent: normalizeNumeric(config.taxPercent) || 3, // Default tax to 3% if not provided
+      taxRates,
+      extraCharges,
+      metals
     };
 
     // Fetch stone pricing for accurate product type detection
     const stonePricing = await shopifyAPI.getAllStonePricing();
+
+    // Fetch current product for its variants and collections (collections pick the rounding policy)
+    let productConfig = null;
+    let productFetchError = null;
+    try {
+      productConfig = await shopifyAPI.getProductConfiguration(productId);
+      normalizedConfig.collectionIds = productConfig.collectionIds || [];
+    } catch (error) {
+      console.error('Error fetching product before saving configuration:', error);
+      productFetchError = error.message;
+    }
     
     // Calculate price with current rates (including discount if provided)
     const priceBreakdown = priceCalculator.calculatePrice(normalizedConfig, discountConfig, stonePricing);
+    const roundingPolicy = priceCalculator.getRoundingPolicy(normalizedConfig);
 
     console.log('Saving configuration for product:', productId);
     console.log('Configuration:', normalizedConfig);
@@ -195,28 +296,61 @@ export async function configureProduct(req, res) {
       discountedSubtotal: priceBreakdown.discountedSubtotal || priceBreakdown.subtotal || 0,
       priceBeforeDiscount: priceBreakdown.priceBeforeDiscount || priceBreakdown.finalPrice || 0,
       taxAmountBeforeDiscount: priceBreakdown.taxAmountBeforeDiscount || priceBreakdown.taxAmount || 0,
+      taxBreakdown: priceBreakdown.taxBreakdown,
+      extraChargesTotal: priceBreakdown.extraChargesTotal || 0,
       discount: discountToSave, // Save original discount with discount_id, not processed discountConfig
+      roundingPolicy,
       productCode: config.productCode || productId.split('/').pop() // Use product ID as code if not provided
     };
 
+    // Snapshot the configuration for historical price lookups
+    // Skipped when the product couldn't be fetched, so existing history isn't overwritten
+    if (productConfig) {
+      configWithCalculations.configHistory = appendConfigHistory(productConfig.configHistory, {
+        config: normalizedConfig,
+        variantConfigs,
+        author: getRequestAuthor(req)
+      });
+    }
+
     // Update metafields
     const result = await shopifyAPI.updateProductConfiguration(productId, configWithCalculations);
     
     console.log('Metafields saved successfully:', result.metafields?.length || 0, 'fields');
 
-    // Get product variant ID to update price
+    // Save variant-level configuration
+    if (variantConfigs.length > 0) {
+      await shopifyAPI.updateVariantConfigurations(variantConfigs);
+      console.log('Variant configurations saved:', variantConfigs.length);
+    }
+
+    // Update every variant price, using the overrides just submitted
     let priceUpdateSuccess = false;
-    let priceUpdateError = null;
+    let priceUpdateError = productFetchError;
+    let variantPrices = [];
     try {
-      const productConfig = await shopifyAPI.getProductConfiguration(productId);
-      if (productConfig.variantId) {
-        // Use final price after discount if discount is applied
-        const finalPrice = priceBreakdown.finalPriceAfterDiscount || priceBreakdown.finalPrice;
-        const roundedPrice = Math.ceil(finalPrice);
-        await shopifyAPI.updateProductPrice(productId, productConfig.variantId, roundedPrice);
-        console.log('Variant price updated successfully to:', roundedPrice);
+      const variants = (productConfig?.variants || []).map(variant => {
+        const submitted = variantConfigs.find(variantConfig => variantConfig.variantId === variant.id);
+        if (!submitted) {
+          return variant;
+        }
+        const { variantId, ...overrides } = submitted;
+        return { ...variant, config: overrides };
+      });
+      variantPrices = priceCalculator.calculateVariantPrices(
+        normalizedConfig,
+        variants,
+        discountConfig,
+        stonePricing
+      );
+      if (variantPrices.length > 0) {
+        await shopifyAPI.updateVariantPrices(
+          productId,
+          variantPrices.map(v => ({ variantId: v.variantId, price: v.roundedPrice }))
+        );
+        console.log('Variant prices updated successfully:', variantPrices.map(v => v.roundedPrice));
         priceUpdateSuccess = true;
-      } else {
+      } else if (!priceUpdateError) {
         console.warn('No variant found for product:', productId);
         priceUpdateError = 'No variant found for this product';
       }
@@ -238,6 +372,14 @@ export async function configureProduct(req, res) {
       data: {
         configuration: normalizedConfig,
         priceBreakdown,
+        roundingPolicy,
+        variantPrices: variantPrices.map(v => ({
+          variantId: v.variantId,
+          variantTitle: v.variantTitle,
+          sku: v.sku,
+          finalPrice: v.finalPrice,
+          roundedPrice: v.roundedPrice
+        })),
         priceUpdated: priceUpdateSuccess
       }
     });
@@ -370,6 +512,21 @@ export async function calculatePrice(req, res) {
     
     const priceBreakdown = priceCalculator.calculatePrice(configForCalculator, finalDiscountConfig, stonePricing);
     
+    // Preview per-variant prices when variants are provided
+    if (config.variants && Array.isArray(config.variants) && config.variants.length > 0) {
+      priceBreakdown.variantPrices = priceCalculator
+        .calculateVariantPrices(configForCalculator, config.variants, finalDiscountConfig, stonePricing)
+        .map(v => ({
+          variantId: v.variantId,
+          variantTitle: v.variantTitle,
+          sku: v.sku,
+          metalWeight: v.priceBreakdown.breakdown.metalWeight,
+          finalPrice: v.finalPrice,
+          roundedPrice: v.roundedPrice,
+          roundingPolicy: v.roundingPolicy
+        }));
+    }
+    
     // If we have stored discount_amount but couldn't recalculate, use stored amount for display
     // Check both discountConfig and config.discount for stored discount info
     const storedDiscount = discountConfig || config.discount;
@@ -384,19 +541,35 @@ export async function calculatePrice(req, res) {
         discountAppliedOn: storedDiscount.applied_rule || 'unknown'
       };
       
-      // Get tax percent from config or calculate from existing taxAmount and subtotal
-      const taxPercent = parseFloat(configForCalculator.taxPercent) || 
-                        (priceBreakdown.subtotal > 0 ? (priceBreakdown.taxAmount / priceBreakdown.subtotal) * 100 : 0);
-      
-      // Calculate tax on original subtotal (before discount) for "Price Before Discount" display
-      const taxAmountBeforeDiscount = priceBreakdown.subtotal * (taxPercent / 100);
+      // Tax before discount is already per component (calculated without a discount)
+      const taxAmountBeforeDiscount = priceBreakdown.taxAmountBeforeDiscount;
       const priceBeforeDiscount = priceBreakdown.subtotal + taxAmountBeforeDiscount;
       
-      // Apply discount to subtotal before tax (correct calculation order)
-      const discountedSubtotal = Math.max(0, priceBreakdown.subtotal - discountAmount);
+      // Re-tax each component on its share of the stored discount (extra charges may be excluded)
+      const discountAppliedOn = { gold: 'making_labour_wastage', diamond: 'stone_cost' }[storedDiscount.applied_rule];
+      const components = {};
+      Object.keys(priceBreakdown.taxBreakdown).forEach(key => {
+        components[key] = priceBreakdown.taxBreakdown[key].amount;
+      });
+      const eligibleKeys = Object.keys(components).filter(key => priceBreakdown.taxBreakdown[key].discountEligible !== false);
+      const componentDiscounts = priceCalculator.allocateDiscount(components, discountAmount, discountAppliedOn, eligibleKeys);
+      const allocatedDiscount = Object.values(componentDiscounts).reduce((sum, amount) => sum + amount, 0);
       
-      // Calculate tax on discounted subtotal
-      const taxAmountOnDiscounted = discountedSubtotal * (taxPercent / 100);
+      // Apply discount to subtotal before tax (correct calculation order)
+      const discountedSubtotal = Math.max(0, priceBreakdown.subtotal - allocatedDiscount);
+      let taxAmountOnDiscounted = 0;
+      Object.keys(components).forEach(key => {
+        const row = priceBreakdown.taxBreakdown[key];
+        const taxableAmount = Math.max(0, row.amount - componentDiscounts[key]);
+        const componentTax = taxableAmount * (row.rate / 100);
+        taxAmountOnDiscounted += componentTax;
+        priceBreakdown.taxBreakdown[key] = {
+          ...row,
+          discount: Math.round(componentDiscounts[key] * 100) / 100,
+          taxableAmount: Math.round(taxableAmount * 100) / 100,
+          taxAmount: Math.round(componentTax * 100) / 100
+        };
+      });
       
       // Final price = discounted subtotal + tax
       priceBreakdown.taxAmountBeforeDiscount = Math.round(taxAmountBeforeDiscount * 100) / 100;
@@ -406,6 +579,14 @@ export async function calculatePrice(req, res) {
       priceBreakdown.finalPriceAfterDiscount = Math.round((discountedSubtotal + taxAmountOnDiscounted) * 100) / 100;
     }
 
+    // Price the store will show after the rounding policy is applied
+    const { price: roundedPrice, policy: roundingPolicy } = priceCalculator.roundFinalPrice(
+      priceBreakdown.finalPriceAfterDiscount || priceBreakdown.finalPrice,
+      { metalType: configForCalculator.metalType, collectionIds: config.collectionIds || [] }
+    );
+    priceBreakdown.roundedPrice = roundedPrice;
+    priceBreakdown.roundingPolicy = roundingPolicy;
+
     res.json({
       success: true,
       data: priceBreakdown
@@ -418,6 +599,163 @@ export async function calculatePrice(req, res) {
   }
 }
 
+/**
+ * Build a calculator config from a product's saved metafields
+ * Used for historical prices of products configured before configuration history was kept
+ */
+function configFromMetafields(productConfig) {
+  const stones = productConfig.stones || [];
+  const stoneCost = stones.length > 0
+    ? stones.reduce((sum, stone) => sum + (parseFloat(stone.stoneCost) || 0), 0)
+    : parseFloat(productConfig.stone_cost) || 0;
+
+  return {
+    metalWeight: productConfig.metal_weight,
+    metalType: productConfig.metal_type,
+    makingChargePercent: productConfig.making_charge_percent,
+    labourType: productConfig.labour_type,
+    labourValue: productConfig.labour_value,
+    wastageType: productConfig.wastage_type,
+    wastageValue: productConfig.wastage_value,
+    stones,
+    stoneCost,
+    netWeight: productConfig.net_weight,
+    grossWeight: productConfig.gross_weight,
+    taxPercent: productConfig.tax_percent,
+    taxRates: productConfig.tax_rates || null,
+    extraCharges: productConfig.extra_charges || [],
+    metals: productConfig.metals || [],
+    collectionIds: productConfig.collectionIds || []
+  };
+}
+
+/**
+ * Calculate a product's price as it was at a past date (returns and exchanges)
+ * Uses the metal rates and product configuration in effect then. Pricing settings and stone pricing aren't
+ * versioned, so today's are used, and discounts are not applied; the response says so
+ */
+export async function calculateHistoricalPrice(req, res) {
+  try {
+    const { productId, date, variantId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product ID is required'
+      });
+    }
+
+    let asOf;
+    try {
+      // A bare date means the end of that day (the rates and configuration the day closed with)
+      asOf = parseHistoryDate(date ? String(date) : '', true);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    if (!asOf) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date is required'
+      });
+    }
+
+    const priceCalculator = await createPriceCalculatorAsOf(asOf);
+    if (!priceCalculator) {
+      return res.status(404).json({
+        success: false,
+        error: `No metal rates were recorded on or before ${date}. Import past rates from the Dashboard rate history.`
+      });
+    }
+
+    const shopifyAPI = getShopifyAPI();
+    const productConfig = await shopifyAPI.getProductConfiguration(productId);
+    if (!productConfig.configured) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product is not configured'
+      });
+    }
+
+    // Configuration saved at that time; products saved before history was kept use their current configuration
+    const snapshot = getConfigAsOf(productConfig.configHistory, asOf);
+    const config = snapshot ? snapshot.config : configFromMetafields(productConfig);
+    const variants = (productConfig.variants || []).map(variant => {
+      const override = snapshot?.variantConfigs?.find(variantConfig => variantConfig.variantId === variant.id);
+      if (!override) {
+        return variant;
+      }
+      const { variantId: overrideVariantId, ...overrides } = override;
+      return { ...variant, config: overrides };
+    });
+
+    const selectedVariants = variantId
+      ? variants.filter(variant => variant.id === variantId)
+      : variants;
+    if (variantId && selectedVariants.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found on this product'
+      });
+    }
+
+    const stonePricing = await shopifyAPI.getAllStonePricing();
+
+    const variantPrices = priceCalculator.calculateVariantPrices(config, selectedVariants, null, stonePricing);
+
+    // Product-level breakdown, or the requested variant's
+    let priceBreakdown;
+    if (variantId) {
+      priceBreakdown = variantPrices[0].priceBreakdown;
+      priceBreakdown.roundedPrice = variantPrices[0].roundedPrice;
+    } else {
+      priceBreakdown = priceCalculator.calculatePrice(config, null, stonePricing);
+      const { price: roundedPrice, policy: roundingPolicy } = priceCalculator.roundFinalPrice(
+        priceBreakdown.finalPrice,
+        { metalType: priceBreakdown.breakdown.metalType, collectionIds: config.collectionIds || [] }
+      );
+      priceBreakdown.roundedPrice = roundedPrice;
+      priceBreakdown.roundingPolicy = roundingPolicy;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        productId: productConfig.productId,
+        productTitle: productConfig.productTitle,
+        asOf: asOf.toISOString(),
+        ratesEffectiveAt: priceCalculator.ratesEffectiveAt,
+        rates: priceCalculator.getMetalRates(),
+        configSource: snapshot ? 'history' : 'current',
+        configEffectiveAt: snapshot ? snapshot.effectiveAt : null,
+        configAuthor: snapshot ? snapshot.author : null,
+        configuration: config,
+        settingsSource: 'current',
+        stonePricingSource: 'current',
+        discountsApplied: false,
+        note: "Rates and configuration as of the date; today's pricing settings and stone pricing; no discounts",
+        priceBreakdown,
+        variantPrices: variantPrices.map(v => ({
+          variantId: v.variantId,
+          variantTitle: v.variantTitle,
+          sku: v.sku,
+          currentPrice: v.oldPrice,
+          finalPrice: v.finalPrice,
+          roundedPrice: v.roundedPrice,
+          roundingPolicy: v.roundingPolicy
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Search products
  */
@@ -0,0 +1,152 @@
+import { getShopifyAPI, updatePriceCalculatorSettings } from '../middleware/calculatorInit.js';
+import {
+  ROUNDING_POLICIES,
+  DEFAULT_ROUNDING_SETTINGS,
+  normalizeRoundingSettings
+} from '../utils/roundingPolicy.js';
+import {
+  METAL_UNITS,
+  resolveMetalCatalog,
+  normalizeMetalCatalog
+} from '../utils/metalCatalog.js';
+import {
+  DEFAULT_RATE_DERIVATION_SETTINGS,
+  normalizeRateDerivationSettings
+} from '../utils/rateDerivation.js';
+import {
+  RATE_PROVIDERS,
+  DEFAULT_RATE_FEED_SETTINGS,
+  normalizeRateFeedSettings
+} from '../utils/rateProviders/index.js';
+import {
+  DEFAULT_PRICE_REFRESH_SETTINGS,
+  normalizePriceRefreshSettings
+} from '../utils/refreshJobManager.js';
+import {
+  DEFAULT_PRICE_GUARDRAIL_SETTINGS,
+  normalizePriceGuardrailSettings
+} from '../utils/priceGuardrails.js';
+
+/**
+ * Fill in defaults for any settings section that hasn't been saved yet
+ */
+function withDefaults(settings = {}) {
+  return {
+    ...settings,
+    rounding: { ...DEFAULT_ROUNDING_SETTINGS, ...(settings.rounding || {}) },
+    metalCatalog: resolveMetalCatalog(settings),
+    rateDerivation: { ...DEFAULT_RATE_DERIVATION_SETTINGS, ...(settings.rateDerivation || {}) },
+    rateFeed: { ...DEFAULT_RATE_FEED_SETTINGS, ...(settings.rateFeed || {}) },
+    priceRefresh: { ...DEFAULT_PRICE_REFRESH_SETTINGS, ...(settings.priceRefresh || {}) },
+    priceGuardrails: { ...DEFAULT_PRICE_GUARDRAIL_SETTINGS, ...(settings.priceGuardrails || {}) }
+  };
+}
+
+/**
+ * Get app settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const shopifyAPI = getShopifyAPI();
+    const settings = await shopifyAPI.getAppSettings();
+
+    res.json({
+      success: true,
+      data: withDefaults(settings),
+      roundingPolicies: ROUNDING_POLICIES,
+      metalUnits: METAL_UNITS,
+      rateProviders: RATE_PROVIDERS.map(({ key, label }) => ({ key, label }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update app settings
+ * Only the sections present in the body are replaced
+ */
+export async function updateSettings(req, res) {
+  try {
+    const updates = {};
+
+    if (req.body.rounding !== undefined) {
+      try {
+        updates.rounding = normalizeRoundingSettings(req.body.rounding);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+
+    if (req.body.metalCatalog !== undefined) {
+      try {
+        updates.metalCatalog = normalizeMetalCatalog(req.body.metalCatalog);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+
+    if (req.body.rateDerivation !== undefined) {
+      updates.rateDerivation = normalizeRateDerivationSettings(req.body.rateDerivation);
+    }
+
+    if (req.body.rateFeed !== undefined) {
+      try {
+        updates.rateFeed = normalizeRateFeedSettings(req.body.rateFeed);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+
+    if (req.body.priceRefresh !== undefined) {
+      updates.priceRefresh = normalizePriceRefreshSettings(req.body.priceRefresh);
+    }
+
+    if (req.body.priceGuardrails !== undefined) {
+      try {
+        updates.priceGuardrails = normalizePriceGuardrailSettings(req.body.priceGuardrails);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No settings provided'
+      });
+    }
+
+    const shopifyAPI = getShopifyAPI();
+    const settings = await shopifyAPI.updateAppSettings(updates);
+
+    // New prices use the updated settings straight away
+    updatePriceCalculatorSettings(settings);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully. Click "Refresh Prices" to apply them to existing products.',
+      data: withDefaults(settings)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,11 +1,15 @@
 import { createApp, getPort } from './config/app.js';
 import { initializeCalculators } from './middleware/calculatorInit.js';
+import { startRateScheduler } from './utils/rateScheduler.js';
+import { restoreRefreshJobs } from './utils/refreshJobManager.js';
+import { startRateFeed } from './utils/rateFeedService.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import metalPricesRoutes from './routes/metalPrices.js';
 import stonePricesRoutes from './routes/stonePrices.js';
 import productsRoutes from './routes/products.js';
 import utilsRoutes from './routes/utils.js';
 import discountsRoutes from './routes/discounts.js';
+import settingsRoutes from './routes/settings.js';
 import * as webhookHandlers from './webhooks/collectionSync.js';
 
 // Create Express app
@@ -17,6 +21,7 @@ app.use('/api/metal-prices', metalPricesRoutes);
 app.use('/api/stone-prices', stonePricesRoutes);
 app.use('/api/products', productsRoutes);
 app.use('/api/discounts', discountsRoutes);
+app.use('/api/settings', settingsRoutes);
 app.use('/api', utilsRoutes);
 
 // Webhook routes (before error handler)
@@ -35,6 +40,15 @@ app.listen(PORT, async () => {
   
   // Initialize calculators on startup
   await initializeCalculators();
+
+  // Load refresh job history and resume jobs a restart interrupted
+  await restoreRefreshJobs();
+
+  // Apply scheduled metal rates as they take effect (including any missed while stopped)
+  await startRateScheduler();
+
+  // Fetch from the metal rate feed on its interval, when one is configured
+  startRateFeed();
 });
 
 export default app;
@@ -1,5 +1,6 @@
 import { PriceCalculator, StoneCalculator } from '../utils/priceCalculator.js';
 import ShopifyAPI from '../utils/shopifyAPI.js';
+import { getDefaultMetalRates } from '../utils/metalCatalog.js';
 
 /**
  * Initialize calculator instances
@@ -30,20 +31,21 @@ export async function initializeCalculators() {
   try {
     const api = initializeShopifyAPI();
     const metalRates = await api.getMetalPrices();
+
+    // App settings (rounding policies, ...) - fall back to defaults if not available
+    let settings = {};
+    try {
+      settings = await api.getAppSettings();
+    } catch (error) {
+      console.warn('⚠️  Could not load app settings, using defaults:', error.message);
+    }
     
     if (metalRates) {
-      priceCalculator = new PriceCalculator(metalRates);
+      priceCalculator = new PriceCalculator(metalRates, settings);
       console.log('✅ Price calculator initialized with current metal rates');
     } else {
       // Default rates if not set
-      priceCalculator = new PriceCalculator({
-        gold24kt: 7000,
-        gold22kt: 6500,
-        gold18kt: 5500,
-        gold14kt: 4500,
-        platinum: 3000,
-        silver: 80
-      });
+      priceCalculator = new PriceCalculator(getDefaultMetalRates(), settings);
       console.log('⚠️  Price calculator initialized with default rates');
     }
 
@@ -95,3 +97,12 @@ export function updatePriceCalculatorRates(newRates) {
   }
 }
 
+
+/**
+ * Update price calculator app settings
+ */
+export function updatePriceCalculatorSettings(newSettings) {
+  if (priceCalculator) {
+    priceCalculator.updateSettings(newSettings);
+  }
+}
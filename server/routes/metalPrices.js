@@ -15,6 +15,66 @@ router.get('/', metalPricesController.getMetalPrices);
  */
 router.get('/formatted', metalPricesController.getFormattedMetalPrices);
 
+/**
+ * GET /api/metal-prices/history?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get metal rate history with daily closing rates
+ */
+router.get('/history', metalPricesController.getMetalPriceHistory);
+
+/**
+ * POST /api/metal-prices/history/import
+ * Backfill rate history from CSV
+ */
+router.post('/history/import', metalPricesController.importMetalPriceHistory);
+
+/**
+ * GET /api/metal-prices/schedules?status=pending
+ * List scheduled metal rate changes
+ */
+router.get('/schedules', metalPricesController.getMetalPriceSchedules);
+
+/**
+ * POST /api/metal-prices/schedules
+ * Schedule metal rates to take effect at a future time
+ */
+router.post('/schedules', metalPricesController.scheduleMetalPrices);
+
+/**
+ * DELETE /api/metal-prices/schedules/:id
+ * Cancel a pending scheduled rate change
+ */
+router.delete('/schedules/:id', metalPricesController.cancelMetalPriceSchedule);
+
+/**
+ * GET /api/metal-prices/feed
+ * Get rate feed settings, staged rates and the last fetch
+ */
+router.get('/feed', metalPricesController.getRateFeed);
+
+/**
+ * POST /api/metal-prices/feed/fetch
+ * Fetch rates from the configured feed (applied or staged per the feed mode)
+ */
+router.post('/feed/fetch', metalPricesController.fetchRateFeed);
+
+/**
+ * POST /api/metal-prices/feed/approve
+ * Apply the rates staged by the feed
+ */
+router.post('/feed/approve', metalPricesController.approveRateFeed);
+
+/**
+ * DELETE /api/metal-prices/feed/staged
+ * Discard the rates staged by the feed
+ */
+router.delete('/feed/staged', metalPricesController.rejectRateFeed);
+
+/**
+ * POST /api/metal-prices/derive
+ * Preview karat rates derived from base metal rates (not saved)
+ */
+router.post('/derive', metalPricesController.deriveMetalPrices);
+
 /**
  * POST /api/metal-prices
  * Update metal prices
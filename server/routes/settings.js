@@ -0,0 +1,18 @@
+import express from 'express';
+import * as settingsController from '../controllers/settingsController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/settings
+ * Get app settings (rounding policies, ...)
+ */
+router.get('/', settingsController.getSettings);
+
+/**
+ * POST /api/settings
+ * Update app settings
+ */
+router.post('/', settingsController.updateSettings);
+
+export default router;
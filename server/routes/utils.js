@@ -19,29 +19,110 @@ router.get('/status', utilsController.getStatus);
 
 /**
  * POST /api/refresh-prices
- * Bulk update all product prices based on current metal rates
+ * Bulk update product prices affected by changes since the last refresh
+ * ({ full: true } for every product, { scope } for every product in a collection, metal type, status, vendor or list,
+ * { dryRun: true } to report the price changes without writing them)
  * Returns job ID immediately, processes in background
  */
 router.post('/refresh-prices', metalPricesController.refreshPrices);
 
+/**
+ * GET /api/refresh-prices/jobs
+ * Refresh job history, newest first (?limit=); jobs are kept on disk and survive restarts
+ */
+router.get('/refresh-prices/jobs', metalPricesController.getRefreshJobs);
+
+/**
+ * GET /api/refresh-prices/queue
+ * The job writing prices now and the jobs queued behind it (refreshes, rollbacks, discount applications, imports)
+ */
+router.get('/refresh-prices/queue', metalPricesController.getPriceJobs);
+
 /**
  * GET /api/refresh-prices/status/:jobId
  * Get status of a refresh prices job
  */
 router.get('/refresh-prices/status/:jobId', metalPricesController.getRefreshStatus);
 
+/**
+ * GET /api/refresh-prices/events/:jobId
+ * Live progress of a job as Server-Sent Events (status, progress, product, warning, done)
+ */
+router.get('/refresh-prices/events/:jobId', metalPricesController.streamRefreshEvents);
+
+/**
+ * GET /api/refresh-prices/report/:jobId
+ * Download the report of a stopped job (per variant: SKU, metal, rate used, old/new price, change, discount, error)
+ * Query: format=csv (default) | xlsx
+ */
+router.get('/refresh-prices/report/:jobId', metalPricesController.getRefreshReport);
+
+/**
+ * POST /api/refresh-prices/promote/:jobId
+ * Run a completed dry run for real with the same options
+ */
+router.post('/refresh-prices/promote/:jobId', metalPricesController.promoteRefresh);
+
+/**
+ * POST /api/refresh-prices/:jobId/retry-failed
+ * Start a child job that reprices only the products that failed in a finished job
+ */
+router.post('/refresh-prices/:jobId/retry-failed', metalPricesController.retryFailedRefresh);
+
+/**
+ * POST /api/refresh-prices/:jobId/rollback
+ * Start a job that puts back the prices (and price metafields) a finished refresh job wrote
+ */
+router.post('/refresh-prices/:jobId/rollback', metalPricesController.rollbackRefresh);
+
+/**
+ * GET /api/refresh-prices/held
+ * List prices held for approval by the price guardrails
+ */
+router.get('/refresh-prices/held', metalPricesController.getHeldPrices);
+
+/**
+ * POST /api/refresh-prices/held/approve
+ * Write held prices ({ productIds } or { all: true }); starts a refresh job for those products
+ */
+router.post('/refresh-prices/held/approve', metalPricesController.approvePrices);
+
+/**
+ * POST /api/refresh-prices/held/reject
+ * Discard held prices ({ productIds } or { all: true }); the products keep their current prices
+ */
+router.post('/refresh-prices/held/reject', metalPricesController.rejectPrices);
+
 /**
  * POST /api/refresh-prices/cancel/:jobId
- * Cancel a refresh prices job
+ * Cancel a refresh prices job (stops after the batch in progress)
  */
 router.post('/refresh-prices/cancel/:jobId', metalPricesController.cancelRefresh);
 
+/**
+ * POST /api/refresh-prices/pause/:jobId
+ * Pause a running refresh prices job after the batch in progress
+ */
+router.post('/refresh-prices/pause/:jobId', metalPricesController.pauseRefresh);
+
+/**
+ * POST /api/refresh-prices/resume/:jobId
+ * Resume a paused refresh prices job
+ */
+router.post('/refresh-prices/resume/:jobId', metalPricesController.resumeRefresh);
+
 /**
  * POST /api/calculate-price
  * Calculate price without saving (for preview)
  */
 router.post('/calculate-price', productsController.calculatePrice);
 
+/**
+ * POST /api/calculate-price/historical
+ * Calculate a product's price at a past date using the metal rates and configuration in effect then
+ */
+router.post('/calculate-price/historical', productsController.calculateHistoricalPrice);
+
 /**
  * POST /api/run-setup
  * Run Shopify setup to create metafield definitions
@@ -83,6 +83,7 @@ async function createMetalPricesMetaobject() {
         required: true,
       },
       { name: "Silver", key: "silver", type: "number_decimal", required: true },
+      { name: "Rates", key: "rates", type: "json" },
       { name: "Last Updated", key: "last_updated", type: "date_time" },
     ],
   };
@@ -101,6 +102,163 @@ async function createMetalPricesMetaobject() {
   }
 }
 
+async function addMetalRatesField() {
+  console.log("\n📦 Adding rates field to Metal Prices (metal catalog)...");
+
+  const query = `
+    query GetMetalPricesDefinition {
+      metaobjectDefinitionByType(type: "metal_prices") {
+        id
+        fieldDefinitions {
+          key
+        }
+      }
+    }
+  `;
+
+  const mutation = `
+    mutation UpdateMetaobjectDefinition($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+      metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+        metaobjectDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const result = await graphql(query);
+    const definition = result.metaobjectDefinitionByType;
+
+    if (!definition) {
+      console.log("⚠️  Metal Prices metaobject definition not found");
+      return;
+    }
+
+    // Stores created before the metal catalog only have the six fixed rate fields
+    if (definition.fieldDefinitions.some((field) => field.key === "rates")) {
+      console.log("✅ Rates field already exists");
+      return;
+    }
+
+    await graphql(mutation, {
+      id: definition.id,
+      definition: {
+        fieldDefinitions: [
+          { create: { name: "Rates", key: "rates", type: "json" } },
+        ],
+      },
+    });
+    console.log("✅ Rates field added");
+  } catch (error) {
+    console.log("⚠️  Could not add rates field:", error.message);
+  }
+}
+
+async function createMetalRateHistoryMetaobject() {
+  console.log("\n📈 Creating Metal Rate History metaobject definition...");
+
+  const mutation = `
+    mutation CreateMetaobjectDefinition($definition: MetaobjectDefinitionCreateInput!) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition {
+          id
+          name
+          type
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const definition = {
+    name: "Metal Rate History",
+    type: "metal_rate_history",
+    fieldDefinitions: [
+      { name: "Rates", key: "rates", type: "json", required: true },
+      {
+        name: "Effective At",
+        key: "effective_at",
+        type: "date_time",
+        required: true,
+      },
+      { name: "Author", key: "author", type: "single_line_text_field" },
+      { name: "Source", key: "source", type: "single_line_text_field" },
+    ],
+  };
+
+  try {
+    const result = await graphql(mutation, { definition });
+    console.log(
+      "✅ Metal Rate History metaobject created:",
+      result.metaobjectDefinitionCreate.metaobjectDefinition.id
+    );
+  } catch (error) {
+    console.log(
+      "⚠️  Metal Rate History metaobject may already exist or error:",
+      error.message
+    );
+  }
+}
+
+async function createMetalRateScheduleMetaobject() {
+  console.log("\n⏰ Creating Metal Rate Schedule metaobject definition...");
+
+  const mutation = `
+    mutation CreateMetaobjectDefinition($definition: MetaobjectDefinitionCreateInput!) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition {
+          id
+          name
+          type
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const definition = {
+    name: "Metal Rate Schedule",
+    type: "metal_rate_schedule",
+    fieldDefinitions: [
+      { name: "Rates", key: "rates", type: "json", required: true },
+      {
+        name: "Effective At",
+        key: "effective_at",
+        type: "date_time",
+        required: true,
+      },
+      { name: "Author", key: "author", type: "single_line_text_field" },
+      { name: "Status", key: "status", type: "single_line_text_field" },
+      { name: "Auto Refresh", key: "auto_refresh", type: "boolean" },
+      { name: "Result", key: "result", type: "json" },
+    ],
+  };
+
+  try {
+    const result = await graphql(mutation, { definition });
+    console.log(
+      "✅ Metal Rate Schedule metaobject created:",
+      result.metaobjectDefinitionCreate.metaobjectDefinition.id
+    );
+  } catch (error) {
+    console.log(
+      "⚠️  Metal Rate Schedule metaobject may already exist or error:",
+      error.message
+    );
+  }
+}
+
 async function createStonePricingMetaobject() {
   console.log("\n💎 Creating Stone Pricing metaobject definition...");
 
@@ -158,6 +316,48 @@ async function createStonePricingMetaobject() {
   }
 }
 
+async function createAppSettingsMetaobject() {
+  console.log("\n🛠️  Creating App Settings metaobject definition...");
+
+  const mutation = `
+    mutation CreateMetaobjectDefinition($definition: MetaobjectDefinitionCreateInput!) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition {
+          id
+          name
+          type
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const definition = {
+    name: "App Settings",
+    type: "app_settings",
+    fieldDefinitions: [
+      { name: "Settings", key: "settings", type: "json" },
+      { name: "Last Updated", key: "last_updated", type: "date_time" },
+    ],
+  };
+
+  try {
+    const result = await graphql(mutation, { definition });
+    console.log(
+      "✅ App Settings metaobject created:",
+      result.metaobjectDefinitionCreate.metaobjectDefinition.id
+    );
+  } catch (error) {
+    console.log(
+      "⚠️  App Settings metaobject may already exist or error:",
+      error.message
+    );
+  }
+}
+
 async function createProductMetafieldDefinitions() {
   console.log("\n⚙️  Creating Product metafield definitions...");
 
@@ -180,6 +380,20 @@ async function createProductMetafieldDefinitions() {
     { name: "Stone Cost", key: "stone_cost", type: "number_decimal" },
     { name: "Tax Percent", key: "tax_percent", type: "number_decimal" },
     { name: "Configured", key: "configured", type: "boolean" },
+    { name: "Tax Rates", key: "tax_rates", type: "json" },
+    { name: "Tax Breakdown", key: "tax_breakdown", type: "json" },
+    { name: "Extra Charges", key: "extra_charges", type: "json" },
+    {
+      name: "Extra Charges Total",
+      key: "extra_charges_total",
+      type: "number_decimal",
+    },
+    { name: "Metals", key: "metals", type: "json" },
+    {
+      name: "Rounding Policy",
+      key: "rounding_policy",
+      type: "single_line_text_field",
+    },
   ];
 
   for (const field of metafields) {
@@ -241,6 +455,17 @@ async function initializeDefaultMetalPrices() {
       { key: "gold_14kt", value: "4500" },
       { key: "platinum", value: "3000" },
       { key: "silver", value: "80" },
+      {
+        key: "rates",
+        value: JSON.stringify({
+          gold24kt: 7000,
+          gold22kt: 6500,
+          gold18kt: 5500,
+          gold14kt: 4500,
+          platinum: 3000,
+          silver: 80,
+        }),
+      },
       { key: "last_updated", value: new Date().toISOString() },
     ],
   };
@@ -264,7 +489,11 @@ async function setup() {
   try {
     // Create metaobject definitions
     await createMetalPricesMetaobject();
+    await addMetalRatesField();
+    await createMetalRateHistoryMetaobject();
+    await createMetalRateScheduleMetaobject();
     await createStonePricingMetaobject();
+    await createAppSettingsMetaobject();
 
     // Create product metafield definitions
     await createProductMetafieldDefinitions();
@@ -0,0 +1,280 @@
+/**
+ * Bulk Operation Runner
+ * Runs Shopify bulk operations: a bulkOperationRunQuery whose JSONL result is downloaded, or a
+ * bulkOperationRunMutation whose variables are uploaded as JSONL first. Operations are polled until they finish.
+ *
+ * All traffic goes through a transport, so the runner can be pointed at a local stand-in:
+ *   graphql(query, variables) -> data
+ *   upload(target, contents) -> uploads JSONL to a staged upload target ({ url, parameters })
+ *   download(url) -> text of a result file
+ * createShopifyBulkTransport builds the real one from a ShopifyAPI instance
+ */
+
+import fetch, { FormData, Blob } from 'node-fetch';
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Final states other than COMPLETED
+const FAILED_STATUSES = ['FAILED', 'CANCELED', 'CANCELLED', 'EXPIRED'];
+
+const RUN_QUERY_MUTATION = `
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const RUN_MUTATION_MUTATION = `
+  mutation RunBulkMutation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const STAGED_UPLOAD_MUTATION = `
+  mutation CreateBulkUpload($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters {
+          name
+          value
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const OPERATION_STATUS_QUERY = `
+  query BulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
+
+/**
+ * Parse JSONL text into objects (blank lines skipped)
+ * @param {string} text - JSONL text
+ * @returns {Array} Parsed lines
+ */
+export function parseJsonl(text = '') {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Write objects as JSONL
+ * @param {Array} lines - Objects, one per line
+ * @returns {string} JSONL text
+ */
+export function toJsonl(lines) {
+  return lines.map(line => `${JSON.stringify(line)}\n`).join('');
+}
+
+/**
+ * Put a bulk query result back together: nested connections come back as separate lines that
+ * point to their parent with __parentId
+ * @param {Array} records - Parsed result lines
+ * @param {Function} childKey - (record) => name of the list to add a child record to on its parent
+ * @returns {Array} Top-level records, each child list holding its records
+ */
+export function nestBulkRecords(records, childKey) {
+  const byId = new Map();
+  const roots = [];
+
+  records.forEach(record => {
+    const { __parentId, ...node } = record;
+    if (node.id) {
+      byId.set(node.id, node);
+    }
+
+    if (!__parentId) {
+      roots.push(node);
+      return;
+    }
+
+    const parent = byId.get(__parentId);
+    if (!parent) {
+      // Children always follow their parent in a bulk result
+      throw new Error(`Bulk result line references unknown parent ${__parentId}`);
+    }
+    const key = childKey(node);
+    (parent[key] || (parent[key] = [])).push(node);
+  });
+
+  return roots;
+}
+
+/**
+ * Throw the userErrors of a mutation payload, if any
+ */
+function assertNoUserErrors(payload, action) {
+  if (payload?.userErrors?.length > 0) {
+    throw new Error(`${action} failed: ${payload.userErrors.map(error => error.message).join('; ')}`);
+  }
+}
+
+export class BulkOperationRunner {
+  /**
+   * @param {Object} transport - { graphql, upload, download }
+   * @param {Object} options - { pollInterval, timeout } in milliseconds
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL_MS;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Run a bulk query and return its result lines
+   * @param {string} query - Bulk query (connections as edges/node, without page sizes)
+   * @param {Function} onProgress - Optional, called with the operation ({ status, objectCount }) on every poll
+   * @returns {Promise<Array>} Parsed result lines
+   */
+  async runQuery(query, onProgress = null) {
+    const data = await this.transport.graphql(RUN_QUERY_MUTATION, { query });
+    assertNoUserErrors(data.bulkOperationRunQuery, 'Bulk query');
+
+    const operation = await this.waitForOperation(data.bulkOperationRunQuery.bulkOperation.id, onProgress);
+    // No url when the query matched nothing
+    return operation.url ? parseJsonl(await this.transport.download(operation.url)) : [];
+  }
+
+  /**
+   * Run a mutation once per line of variables and return each line's result
+   * @param {string} mutation - Mutation taking the line's variables
+   * @param {Array<Object>} variables - Variables, one object per mutation call
+   * @param {Function} onProgress - Optional, called with the operation ({ status, objectCount }) on every poll
+   * @returns {Promise<Array>} Results by line (index = line of variables); a line without a result is undefined
+   */
+  async runMutation(mutation, variables, onProgress = null) {
+    if (variables.length === 0) {
+      return [];
+    }
+
+    const upload = await this.transport.graphql(STAGED_UPLOAD_MUTATION, {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename: 'bulk_op_vars.jsonl',
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    });
+    assertNoUserErrors(upload.stagedUploadsCreate, 'Staged upload');
+
+    const target = upload.stagedUploadsCreate.stagedTargets[0];
+    await this.transport.upload(target, toJsonl(variables));
+    const stagedUploadPath = target.parameters.find(parameter => parameter.name === 'key')?.value;
+    if (!stagedUploadPath) {
+      throw new Error('Staged upload target has no key');
+    }
+
+    const data = await this.transport.graphql(RUN_MUTATION_MUTATION, { mutation, stagedUploadPath });
+    assertNoUserErrors(data.bulkOperationRunMutation, 'Bulk mutation');
+
+    const operation = await this.waitForOperation(data.bulkOperationRunMutation.bulkOperation.id, onProgress);
+    const resultUrl = operation.url || operation.partialDataUrl;
+    const results = new Array(variables.length);
+    if (resultUrl) {
+      parseJsonl(await this.transport.download(resultUrl)).forEach((line, index) => {
+        results[line.__lineNumber ?? index] = line;
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Poll an operation until it completes
+   * @returns {Promise<Object>} Completed operation
+   * @throws {Error} When the operation fails, is cancelled or expires, or takes longer than the timeout
+   */
+  async waitForOperation(operationId, onProgress = null) {
+    const startedAt = Date.now();
+
+    while (true) {
+      const data = await this.transport.graphql(OPERATION_STATUS_QUERY, { id: operationId });
+      const operation = data.node;
+      if (!operation) {
+        throw new Error(`Bulk operation ${operationId} not found`);
+      }
+
+      onProgress?.(operation);
+
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+      if (FAILED_STATUSES.includes(operation.status)) {
+        throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+      }
+      if (Date.now() - startedAt > this.timeout) {
+        throw new Error(`Bulk operation ${operationId} did not finish in time`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+}
+
+/**
+ * Transport for a real shop: GraphQL through the ShopifyAPI instance, JSONL through the staged upload target
+ * @param {Object} shopifyAPI - ShopifyAPI instance
+ * @returns {Object} { graphql, upload, download }
+ */
+export function createShopifyBulkTransport(shopifyAPI) {
+  return {
+    graphql: (query, variables) => shopifyAPI.graphql(query, variables),
+
+    async upload(target, contents) {
+      const form = new FormData();
+      target.parameters.forEach(({ name, value }) => form.append(name, value));
+      form.append('file', new Blob([contents], { type: 'text/jsonl' }), 'bulk_op_vars.jsonl');
+
+      const response = await fetch(target.url, { method: 'POST', body: form });
+      if (!response.ok) {
+        throw new Error(`Staged upload returned HTTP ${response.status}`);
+      }
+    },
+
+    async download(url) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Bulk operation result returned HTTP ${response.status}`);
+      }
+      return response.text();
+    }
+  };
+}
+
+export default BulkOperationRunner;
@@ -0,0 +1,48 @@
+/**
+ * Product Configuration History Module
+ * Keeps dated snapshots of a product's pricing configuration (jewelry_config.config_history)
+ * so a price can be recalculated with the configuration that applied on a past date
+ */
+
+// Oldest snapshots are dropped beyond this, to keep the metafield small
+export const CONFIG_HISTORY_LIMIT = 50;
+
+/**
+ * Add a snapshot to a product's configuration history
+ * @param {Array} history - Existing history (oldest first)
+ * @param {Object} snapshot - { config, variantConfigs, author }
+ * @param {Date} effectiveAt - When the configuration took effect
+ * @returns {Array} New history, capped at CONFIG_HISTORY_LIMIT
+ */
+export function appendConfigHistory(history, snapshot, effectiveAt = new Date()) {
+  const entries = Array.isArray(history) ? history : [];
+  return [
+    ...entries,
+    {
+      effectiveAt: new Date(effectiveAt).toISOString(),
+      author: snapshot.author || '',
+      config: snapshot.config,
+      variantConfigs: snapshot.variantConfigs || []
+    }
+  ].slice(-CONFIG_HISTORY_LIMIT);
+}
+
+/**
+ * Snapshot in effect at a point in time (latest one on or before asOf)
+ * @param {Array} history - Configuration history
+ * @param {Date} asOf - Point in time
+ * @returns {Object|null} Snapshot, or null when the history starts after asOf
+ */
+export function getConfigAsOf(history, asOf) {
+  const time = new Date(asOf).getTime();
+  return (Array.isArray(history) ? history : [])
+    .filter(entry => new Date(entry.effectiveAt).getTime() <= time)
+    .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt))
+    .pop() || null;
+}
+
+export default {
+  CONFIG_HISTORY_LIMIT,
+  appendConfigHistory,
+  getConfigAsOf
+};
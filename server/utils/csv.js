@@ -0,0 +1,84 @@
+/**
+ * CSV Module
+ * Minimal RFC 4180 parsing for spreadsheet imports (quoted fields, escaped quotes, CRLF)
+ * and writing for report downloads
+ */
+
+/**
+ * Parse CSV text into rows of trimmed string cells
+ * Blank lines are skipped
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a cell when it contains a comma, quote or line break
+ */
+function formatCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV text (CRLF line endings)
+ * @param {Array<Array>} rows - Rows of cells
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export default {
+  parseCsv,
+  toCsv
+};
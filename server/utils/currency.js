@@ -0,0 +1,17 @@
+/**
+ * Currency Module
+ * Rupee amounts as they appear in messages (guardrail violations, rollback reports)
+ */
+
+/**
+ * Format an amount in rupees, Indian digit grouping, up to two decimals (e.g. ₹1,23,456.5)
+ * @param {number|string} amount - Amount
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(amount) {
+  return `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+}
+
+export default {
+  formatAmount
+};
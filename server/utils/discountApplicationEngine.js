@@ -177,8 +177,11 @@ export class DiscountApplicationEngine {
       }
     }
 
-    // Check if metal type is silver
-    if (config.metal_type?.toLowerCase().includes('silver')) {
+    // Check if metal type is silver (dominant metal at current rates for multi-metal products)
+    const metalType = this.priceCalculator
+      ? this.priceCalculator.getDominantMetalType(config.metals, config.metal_type)
+      : config.metal_type;
+    if (metalType?.toLowerCase().includes('silver')) {
       return 'silver';
     }
     
@@ -229,7 +232,11 @@ export class DiscountApplicationEngine {
       wastageValue: parseNum(config.wastage_value),
       stoneCost: stoneCost,
       stones: stones,
-      taxPercent: parseNum(config.tax_percent) || 3
+      taxPercent: parseNum(config.tax_percent) || 3,
+      taxRates: config.tax_rates || null,
+      extraCharges: config.extra_charges || [],
+      metals: config.metals || [],
+      collectionIds: config.collectionIds || [] // For collection rounding policy overrides
     };
 
     return normalized;
@@ -346,8 +353,19 @@ export class DiscountApplicationEngine {
         };
       }
       
-      // Round up to nearest integer
-      const roundedPrice = Math.ceil(finalPrice);
+      // Calculate every variant's price (variants may override metal weight and stones)
+      const variantPrices = this.priceCalculator.calculateVariantPrices(
+        normalizedConfig,
+        config.variants,
+        discountConfig,
+        stonePricing
+      );
+      
+      // First variant's price is reported as the product price
+      const { price: roundedPrice, policy: roundingPolicy } = variantPrices.length > 0
+        ? { price: variantPrices[0].roundedPrice, policy: variantPrices[0].roundingPolicy }
+        : this.priceCalculator.roundFinalPrice(finalPrice, normalizedConfig);
+      priceBreakdown.roundingPolicy = roundingPolicy;
       
       // Update product discount metafield
       const discountMetafield = {
@@ -369,11 +387,14 @@ export class DiscountApplicationEngine {
         // Continue with price update even if metafield update fails
       }
 
-      // Update product price
-      if (config.variantId) {
-        await this.shopifyAPI.updateProductPrice(productId, config.variantId, roundedPrice);
+      // Update all variant prices
+      if (variantPrices.length > 0) {
+        await this.shopifyAPI.updateVariantPrices(
+          productId,
+          variantPrices.map(v => ({ variantId: v.variantId, price: v.roundedPrice }))
+        );
       } else {
-        console.warn(`Product ${productId} has no variant ID, cannot update price`);
+        console.warn(`Product ${productId} has no variants, cannot update price`);
       }
 
       return {
@@ -509,6 +530,14 @@ export class DiscountApplicationEngine {
           
           // Validate price breakdown
           if (priceBreakdown && priceBreakdown.finalPrice && priceBreakdown.finalPrice > 0) {
+            const variantPrices = this.priceCalculator.calculateVariantPrices(
+              normalizedConfig,
+              config.variants,
+              null,
+              stonePricing
+            );
+            priceBreakdown.roundingPolicy = variantPrices[0]?.roundingPolicy;
+
             // Update product price metafields (subtotal, discounted_subtotal, price_before_discount, etc.)
             try {
               await this.shopifyAPI.updateProductPriceMetafields(productId, priceBreakdown);
@@ -517,8 +546,10 @@ export class DiscountApplicationEngine {
               // Continue with price update even if metafield update fails
             }
             
-            const roundedPrice = Math.ceil(priceBreakdown.finalPrice);
-            await this.shopifyAPI.updateProductPrice(productId, config.variantId, roundedPrice);
+            await this.shopifyAPI.updateVariantPrices(
+              productId,
+              variantPrices.map(v => ({ variantId: v.variantId, price: v.roundedPrice }))
+            );
           } else {
             console.error(`Invalid price breakdown when removing discount from product ${productId}:`, priceBreakdown);
           }
@@ -19,7 +19,8 @@ export class DiscountCalculator {
    * @returns {string} - Product type: 'gold', 'diamond', or 'silver'
    */
   detectProductType(config, stonePricing = null) {
-    const { metalType, stones = [] } = config;
+    const { stones = [] } = config;
+    const metalType = this.getDominantMetalType(config);
     
     // Check if product has diamond stones
     let hasDiamond = false;
@@ -61,6 +62,23 @@ export class DiscountCalculator {
     return this.productTypes.GOLD;
   }
 
+  /**
+   * Get the metal type that decides the product type
+   * For multi-metal products this is the metal with the highest cost (or weight when costs are unknown)
+   * @param {Object} config - Product configuration with metalType and optional metals array
+   * @returns {string} - Metal type
+   */
+  getDominantMetalType(config) {
+    const metals = (config.metals || []).filter(metal => metal && metal.metalType);
+    if (metals.length === 0) {
+      return config.metalType;
+    }
+
+    const hasCosts = metals.every(metal => metal.metalCost !== undefined);
+    const valueOf = (metal) => parseFloat(hasCosts ? metal.metalCost : metal.metalWeight) || 0;
+    return metals.reduce((dominant, metal) => valueOf(metal) > valueOf(dominant) ? metal : dominant).metalType;
+  }
+
   /**
    * Calculate discount amount based on product type and discount configuration
    * Supports both old format (single product type) and new unified format (all 3 types)
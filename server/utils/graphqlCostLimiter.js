@@ -0,0 +1,131 @@
+/**
+ * GraphQL Cost Limiter
+ * Client-side leaky bucket for the Admin GraphQL API's calculated query cost. Every response carries
+ * extensions.cost.throttleStatus ({ maximumAvailable, currentlyAvailable, restoreRate }); the limiter keeps
+ * that bucket in step and holds a request back until the points it needs are available, instead of sending
+ * it and being throttled.
+ * One limiter is shared per shop, so concurrent jobs and requests draw from the same bucket.
+ */
+
+// Shopify's standard bucket, used until the first response says otherwise
+const DEFAULT_MAXIMUM_AVAILABLE = 1000;
+const DEFAULT_RESTORE_RATE = 50; // points per second
+
+// Assumed cost of a query that hasn't been sent yet
+const DEFAULT_QUERY_COST = 50;
+
+// Most query costs remembered (by query text)
+const MAX_REMEMBERED_QUERIES = 200;
+
+// Largest batch concurrencyFor suggests
+const MAX_CONCURRENCY = 50;
+
+export class GraphqlCostLimiter {
+  constructor() {
+    this.maximumAvailable = DEFAULT_MAXIMUM_AVAILABLE;
+    this.restoreRate = DEFAULT_RESTORE_RATE;
+    this.currentlyAvailable = DEFAULT_MAXIMUM_AVAILABLE; // As last reported by Shopify
+    this.updatedAt = Date.now();
+    this.reserved = 0; // Points of requests sent but not answered yet
+    this.queryCosts = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Points the bucket holds now: the last reported level plus what has leaked back since, less requests in flight
+   * @returns {number}
+   */
+  available() {
+    const restored = ((Date.now() - this.updatedAt) / 1000) * this.restoreRate;
+    return Math.min(this.maximumAvailable, this.currentlyAvailable + restored) - this.reserved;
+  }
+
+  /**
+   * Expected cost of a query: what it was requested at last time, or a default
+   * @param {string} query - Query text
+   * @returns {number}
+   */
+  estimateCost(query) {
+    return this.queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+  }
+
+  /**
+   * Wait until the bucket holds the points a request needs, then reserve them
+   * Requests are let through in the order they asked, so a costly query isn't starved by cheap ones
+   * @param {number} cost - Points to reserve
+   * @returns {Promise<void>}
+   */
+  acquire(cost) {
+    // A query can never cost more than the bucket holds
+    const needed = Math.min(cost, this.maximumAvailable);
+
+    const turn = this.queue.then(async () => {
+      let shortfall = needed - this.available();
+      while (shortfall > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.ceil((shortfall / this.restoreRate) * 1000)));
+        shortfall = needed - this.available();
+      }
+      this.reserved += needed;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Record a response: release the request's reservation and take the bucket level Shopify reported
+   * @param {string} query - Query text
+   * @param {number} reservedCost - Points reserved by acquire
+   * @param {Object|undefined} cost - extensions.cost of the response ({ requestedQueryCost, throttleStatus })
+   */
+  settle(query, reservedCost, cost) {
+    this.reserved = Math.max(0, this.reserved - Math.min(reservedCost, this.maximumAvailable));
+
+    if (cost?.requestedQueryCost !== undefined) {
+      this.queryCosts.delete(query);
+      this.queryCosts.set(query, cost.requestedQueryCost);
+      if (this.queryCosts.size > MAX_REMEMBERED_QUERIES) {
+        this.queryCosts.delete(this.queryCosts.keys().next().value);
+      }
+    }
+
+    const status = cost?.throttleStatus;
+    if (status) {
+      this.maximumAvailable = status.maximumAvailable;
+      this.currentlyAvailable = status.currentlyAvailable;
+      this.restoreRate = status.restoreRate;
+      this.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * How many tasks to run at once so their requests fit in the points available now
+   * @param {number} costPerTask - Points one task uses
+   * @returns {number} Between 1 and MAX_CONCURRENCY
+   */
+  concurrencyFor(costPerTask) {
+    const fits = Math.floor(Math.max(0, this.available()) / Math.max(1, costPerTask));
+    return Math.min(MAX_CONCURRENCY, Math.max(1, fits));
+  }
+}
+
+/**
+ * Limiters by shop
+ */
+const limiters = new Map();
+
+/**
+ * The limiter shared by every caller for a shop
+ * @param {string} shop - Shop domain
+ * @returns {GraphqlCostLimiter}
+ */
+export function getGraphqlCostLimiter(shop) {
+  if (!limiters.has(shop)) {
+    limiters.set(shop, new GraphqlCostLimiter());
+  }
+  return limiters.get(shop);
+}
+
+export default {
+  GraphqlCostLimiter,
+  getGraphqlCostLimiter
+};
@@ -0,0 +1,197 @@
+/**
+ * Price Job Coordinator
+ * Runs the jobs that write prices (refreshes, rollbacks, discount applications and removals, imports) one at a
+ * time, in the order they were asked for, so two jobs never write the same variants at the same time.
+ * A job waiting for its turn has a position in the queue. A job with the same kind and key as one already
+ * queued or running is a duplicate: it isn't queued, and the caller merges it into the existing job or rejects it
+ */
+
+/**
+ * Jobs waiting for their turn, in order, and the job running now
+ */
+const waiting = [];
+let running = null;
+
+/**
+ * Called when waiting jobs move up the queue
+ */
+const changeListeners = new Set();
+
+/**
+ * Generate unique coordinator entry ID
+ */
+function generateEntryId() {
+  return `price-job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Public view of an entry
+ */
+function summarizeEntry(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    label: entry.label,
+    queuedAt: entry.queuedAt,
+    startedAt: entry.startedAt,
+    position: getQueuePosition(entry.id)
+  };
+}
+
+/**
+ * Tell the change listeners where the waiting jobs are now
+ */
+function notifyQueueChange() {
+  if (changeListeners.size === 0) {
+    return;
+  }
+  const queue = getPriceJobQueue();
+  changeListeners.forEach(listener => listener(queue));
+}
+
+/**
+ * Start the next waiting job when none is running
+ */
+function runNext() {
+  if (running || waiting.length === 0) {
+    return;
+  }
+
+  const entry = waiting.shift();
+  running = entry;
+  entry.startedAt = new Date();
+  notifyQueueChange();
+
+  Promise.resolve()
+    .then(() => entry.run())
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      running = null;
+      runNext();
+    });
+}
+
+/**
+ * A queued or running job of a kind with a key
+ * An entry queued with untilStarted only matches while it waits
+ * @param {string} kind - Job kind
+ * @param {string|null} key - Duplicate key (null never matches)
+ * @returns {Object|null} Entry
+ */
+export function findPriceJob(kind, key) {
+  if (key === null || key === undefined) {
+    return null;
+  }
+  const matches = entry => entry.kind === kind && entry.key === key;
+  return waiting.find(matches) || (running && !running.untilStarted && matches(running) ? running : null);
+}
+
+/**
+ * Queue a job that writes prices; it starts straight away when no other job is running
+ * @param {Object} options - { id, kind, key, label, run, untilStarted }
+ *   kind: 'refresh' | 'rollback' | 'discount-apply' | 'discount-remove' | 'import'
+ *   key: identifies duplicates of the same kind (null for a job that has none)
+ *   label: what the job does, shown to whoever waits behind it
+ *   run: () => Promise, the job itself; the next job starts when it settles
+ *   untilStarted: the key stops matching once the job starts (an identical request queues behind it instead)
+ * @returns {Object} { status: 'duplicate' | 'queued' | 'started', entry, position }
+ *   entry.done settles with the result of run (not for a duplicate's caller, whose job isn't run)
+ */
+export function enqueuePriceJob({ id = null, kind, key = null, label, run, untilStarted = false }) {
+  const duplicate = findPriceJob(kind, key);
+  if (duplicate) {
+    return { status: 'duplicate', entry: duplicate, position: getQueuePosition(duplicate.id) };
+  }
+
+  const entry = {
+    id: id || generateEntryId(),
+    kind,
+    key,
+    label,
+    run,
+    untilStarted,
+    queuedAt: new Date(),
+    startedAt: null
+  };
+  entry.done = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+  // A caller that doesn't wait for the job doesn't handle its failure
+  entry.done.catch(() => {});
+
+  waiting.push(entry);
+  runNext();
+
+  return { status: running === entry ? 'started' : 'queued', entry, position: getQueuePosition(entry.id) };
+}
+
+/**
+ * Queue a job and wait until it has run
+ * @param {Object} options - As for enqueuePriceJob
+ * @returns {Promise<Object>} { status: 'duplicate', entry, position } or { status: 'completed', result }
+ */
+export async function runPriceJob(options) {
+  const queued = enqueuePriceJob(options);
+  if (queued.status === 'duplicate') {
+    return queued;
+  }
+  return { status: 'completed', result: await queued.entry.done };
+}
+
+/**
+ * Take a job out of the queue before it starts; its done promise resolves with undefined
+ * @param {string} id - Entry ID
+ * @returns {boolean} Whether the job was waiting
+ */
+export function removePriceJob(id) {
+  const index = waiting.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return false;
+  }
+  const [entry] = waiting.splice(index, 1);
+  entry.resolve(undefined);
+  notifyQueueChange();
+  return true;
+}
+
+/**
+ * Position of a waiting job in the queue
+ * @param {string} id - Entry ID
+ * @returns {number|null} 1 for the next job to start, null when the job isn't waiting
+ */
+export function getQueuePosition(id) {
+  const index = waiting.findIndex(entry => entry.id === id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * The job writing prices now and the jobs waiting behind it
+ * @returns {Object} { running, queued } - entry summaries ({ id, kind, label, queuedAt, startedAt, position })
+ */
+export function getPriceJobQueue() {
+  return {
+    running: running ? summarizeEntry(running) : null,
+    queued: waiting.map(summarizeEntry)
+  };
+}
+
+/**
+ * Follow the queue: the listener is called with getPriceJobQueue() whenever a job starts or leaves the queue
+ * @param {Function} listener - (queue) => void
+ * @returns {Function} Stops following
+ */
+export function onPriceJobQueueChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+export default {
+  findPriceJob,
+  enqueuePriceJob,
+  runPriceJob,
+  removePriceJob,
+  getQueuePosition,
+  getPriceJobQueue,
+  onPriceJobQueueChange
+};
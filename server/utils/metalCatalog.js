@@ -0,0 +1,212 @@
+/**
+ * Metal Catalog Module
+ * Admin-managed list of priced metals (key, label, display order, rate unit, purity)
+ */
+
+// Units a metal rate can be quoted in; grams converts the rate to the per-gram rate used for pricing
+export const METAL_UNITS = [
+  { key: 'g', label: 'per gram', grams: 1 },
+  { key: '10g', label: 'per 10 grams', grams: 10 },
+  { key: 'kg', label: 'per kg', grams: 1000 }
+];
+
+export const DEFAULT_METAL_UNIT = 'g';
+
+// The six metals that were hardcoded before the catalog existed
+// baseMetal/purity/markupPercent describe how a karat's rate is derived from its pure metal rate
+// defaultRate is the per-gram rate the calculator starts with until rates are first saved
+export const DEFAULT_METAL_CATALOG = [
+  { key: 'gold24kt', label: 'Gold 24K', displayOrder: 1, unit: 'g', active: true, baseMetal: '', purity: 1, markupPercent: 0, defaultRate: 7000 },
+  { key: 'gold22kt', label: 'Gold 22K', displayOrder: 2, unit: 'g', active: true, baseMetal: 'gold24kt', purity: 0.916, markupPercent: 0, defaultRate: 6500 },
+  { key: 'gold18kt', label: 'Gold 18K', displayOrder: 3, unit: 'g', active: true, baseMetal: 'gold24kt', purity: 0.75, markupPercent: 0, defaultRate: 5500 },
+  { key: 'gold14kt', label: 'Gold 14K', displayOrder: 4, unit: 'g', active: true, baseMetal: 'gold24kt', purity: 0.585, markupPercent: 0, defaultRate: 4500 },
+  { key: 'silver', label: 'Silver', displayOrder: 5, unit: 'g', active: true, baseMetal: '', purity: 1, markupPercent: 0, defaultRate: 80 },
+  { key: 'platinum', label: 'Platinum', displayOrder: 6, unit: 'g', active: true, baseMetal: '', purity: 1, markupPercent: 0, defaultRate: 3000 }
+];
+
+// Keys are stored as product metal_type values, so keep them to lowercase letters and digits
+const METAL_KEY_PATTERN = /^[a-z0-9]+$/;
+
+/**
+ * Check whether a metal key has a valid format
+ * @param {string} key - Metal key (e.g. gold9kt, pt950)
+ * @returns {boolean}
+ */
+export function isValidMetalKey(key) {
+  return typeof key === 'string' && METAL_KEY_PATTERN.test(key);
+}
+
+/**
+ * Catalog stored in app settings, or the default six metals when none has been saved
+ * @param {Object} settings - App settings
+ * @returns {Array} Metal catalog
+ */
+export function resolveMetalCatalog(settings) {
+  const catalog = settings?.metalCatalog;
+  return Array.isArray(catalog) && catalog.length > 0 ? catalog : DEFAULT_METAL_CATALOG;
+}
+
+/**
+ * Active metals in display order
+ * @param {Array} catalog - Metal catalog
+ * @returns {Array} Sorted active metals
+ */
+export function getActiveMetals(catalog) {
+  return (catalog || [])
+    .filter(metal => metal.active !== false)
+    .sort((a, b) => a.displayOrder - b.displayOrder);
+}
+
+/**
+ * Convert a rate quoted in a metal's unit to a per-gram rate
+ * @param {number} rate - Rate in the metal's unit
+ * @param {string} unit - Unit key from METAL_UNITS
+ * @returns {number} Rate per gram
+ */
+export function toRatePerGram(rate, unit = DEFAULT_METAL_UNIT) {
+  const unitDef = METAL_UNITS.find(u => u.key === unit) || METAL_UNITS[0];
+  return (parseFloat(rate) || 0) / unitDef.grams;
+}
+
+/**
+ * Convert a per-gram rate to a rate in a metal's unit
+ * @param {number} ratePerGram - Rate per gram
+ * @param {string} unit - Unit key from METAL_UNITS
+ * @returns {number} Rate in the metal's unit
+ */
+export function fromRatePerGram(ratePerGram, unit = DEFAULT_METAL_UNIT) {
+  const unitDef = METAL_UNITS.find(u => u.key === unit) || METAL_UNITS[0];
+  return (parseFloat(ratePerGram) || 0) * unitDef.grams;
+}
+
+/**
+ * Validate and clean a catalog from a request
+ * @param {Array} input - Catalog entries from the client
+ * @returns {Array} Normalized catalog sorted by display order
+ * @throws {Error} When an entry is invalid or a key is duplicated
+ */
+export function normalizeMetalCatalog(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('Metal catalog must contain at least one metal');
+  }
+
+  const seen = new Set();
+  const catalog = input.map((metal, index) => {
+    const key = String(metal?.key || '').trim().toLowerCase();
+    if (!isValidMetalKey(key)) {
+      throw new Error(`Invalid metal key "${metal?.key || ''}" (use lowercase letters and digits, e.g. gold9kt)`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Duplicate metal key "${key}"`);
+    }
+    seen.add(key);
+
+    const label = String(metal.label || '').trim();
+    if (!label) {
+      throw new Error(`Label is required for metal "${key}"`);
+    }
+
+    const unit = metal.unit || DEFAULT_METAL_UNIT;
+    if (!METAL_UNITS.some(u => u.key === unit)) {
+      throw new Error(`Invalid unit "${unit}" for metal "${key}"`);
+    }
+
+    const displayOrder = parseInt(metal.displayOrder);
+
+    const purity = metal.purity === undefined || metal.purity === '' ? 1 : parseFloat(metal.purity);
+    if (isNaN(purity) || purity <= 0 || purity > 1) {
+      throw new Error(`Purity for metal "${key}" must be between 0 and 1 (e.g. 0.916 for 22K)`);
+    }
+
+    const markupPercent = metal.markupPercent === undefined || metal.markupPercent === '' ? 0 : parseFloat(metal.markupPercent);
+    if (isNaN(markupPercent) || markupPercent <= -100) {
+      throw new Error(`Markup for metal "${key}" must be a number above -100`);
+    }
+
+    return {
+      key,
+      label,
+      displayOrder: isNaN(displayOrder) ? index + 1 : displayOrder,
+      unit,
+      active: metal.active !== false,
+      baseMetal: String(metal.baseMetal || '').trim().toLowerCase(),
+      purity,
+      markupPercent
+    };
+  });
+
+  if (!catalog.some(metal => metal.active)) {
+    throw new Error('At least one metal must be active');
+  }
+
+  // Derived metals hang directly off a pure (non-derived) metal
+  catalog.forEach(metal => {
+    if (!metal.baseMetal) return;
+    const base = catalog.find(m => m.key === metal.baseMetal);
+    if (!base || base.key === metal.key) {
+      throw new Error(`Base metal "${metal.baseMetal}" for "${metal.key}" is not in the catalog`);
+    }
+    if (base.baseMetal) {
+      throw new Error(`Base metal "${base.key}" for "${metal.key}" is itself derived from "${base.baseMetal}"`);
+    }
+  });
+
+  return catalog.sort((a, b) => a.displayOrder - b.displayOrder);
+}
+
+/**
+ * Validate rates for a catalog
+ * Every active metal needs a positive rate; rates for unknown metals are dropped
+ * @param {Array} catalog - Metal catalog
+ * @param {Object} input - Rates from the client ({ gold22kt: '6500', ... })
+ * @returns {Object} Rates as numbers keyed by metal key
+ * @throws {Error} When an active metal has no valid rate
+ */
+export function normalizeMetalRates(catalog, input = {}) {
+  const rates = {};
+
+  (catalog || []).forEach(metal => {
+    const value = input[metal.key];
+    const rate = parseFloat(value);
+
+    if (value === undefined || value === null || value === '') {
+      if (metal.active !== false) {
+        throw new Error(`Rate for ${metal.label} is required`);
+      }
+      return;
+    }
+
+    if (isNaN(rate) || rate <= 0) {
+      throw new Error(`Rate for ${metal.label} must be a positive number`);
+    }
+
+    rates[metal.key] = rate;
+  });
+
+  return rates;
+}
+
+/**
+ * Rates of the default metals the calculator starts with until rates are first saved
+ * @returns {Object} Rates keyed by metal key
+ */
+export function getDefaultMetalRates() {
+  return normalizeMetalRates(
+    DEFAULT_METAL_CATALOG,
+    Object.fromEntries(DEFAULT_METAL_CATALOG.map(metal => [metal.key, metal.defaultRate]))
+  );
+}
+
+export default {
+  METAL_UNITS,
+  DEFAULT_METAL_UNIT,
+  DEFAULT_METAL_CATALOG,
+  isValidMetalKey,
+  resolveMetalCatalog,
+  getActiveMetals,
+  toRatePerGram,
+  fromRatePerGram,
+  normalizeMetalCatalog,
+  normalizeMetalRates,
+  getDefaultMetalRates
+};
@@ -0,0 +1,164 @@
+/**
+ * Metal Rate History Module
+ * Shapes stored rate changes for the history API: date filtering, rates as of a date,
+ * daily closing rates with day-over-day change, and CSV backfill parsing
+ */
+
+import { parseCsv } from './csv.js';
+
+/**
+ * Parse a date filter value (YYYY-MM-DD or ISO timestamp)
+ * @param {string} value - Date from the query string
+ * @param {boolean} endOfDay - Treat a bare date as the end of that day
+ * @returns {Date|null} Parsed date, or null when empty
+ * @throws {Error} When the value isn't a date
+ */
+export function parseHistoryDate(value, endOfDay = false) {
+  if (!value) return null;
+  const isBareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isBareDate ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+/**
+ * Keep entries inside a date range and sort them oldest first
+ * @param {Array} entries - History entries ({ effectiveAt, rates, ... })
+ * @param {Date|null} from - Range start (inclusive)
+ * @param {Date|null} to - Range end (inclusive)
+ * @returns {Array} Filtered, sorted entries
+ */
+export function filterHistoryByDate(entries, from = null, to = null) {
+  return entries
+    .filter(entry => {
+      const time = new Date(entry.effectiveAt).getTime();
+      return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+    })
+    .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+}
+
+/**
+ * Rates in effect at a point in time
+ * Metals missing from the latest change (e.g. a partial CSV row) keep their earlier rate
+ * @param {Array} entries - History entries ({ effectiveAt, rates, ... })
+ * @param {Date} asOf - Point in time
+ * @returns {Object|null} { effectiveAt, rates } of the latest change on or before asOf, or null when there is none
+ */
+export function getRatesAsOf(entries, asOf) {
+  const earlier = filterHistoryByDate(entries, null, new Date(asOf));
+  if (earlier.length === 0) {
+    return null;
+  }
+
+  return {
+    effectiveAt: earlier[earlier.length - 1].effectiveAt,
+    rates: earlier.reduce((rates, entry) => ({ ...rates, ...entry.rates }), {})
+  };
+}
+
+/**
+ * Closing rates per day (last change of each UTC day) with change from the previous day
+ * @param {Array} entries - Sorted history entries
+ * @returns {Array} [{ date, rates, changes: { metalKey: { amount, percent } } }]
+ */
+export function buildDailySeries(entries) {
+  const byDay = new Map();
+  entries.forEach(entry => {
+    const date = new Date(entry.effectiveAt).toISOString().slice(0, 10);
+    // Entries are sorted, so the last one of the day wins
+    byDay.set(date, { ...(byDay.get(date)?.rates || {}), ...entry.rates });
+  });
+
+  const series = [];
+  let previous = null;
+  byDay.forEach((dayRates, date) => {
+    // Metals that didn't change that day keep their previous closing rate
+    const rates = { ...(previous || {}), ...dayRates };
+    const changes = {};
+    Object.entries(rates).forEach(([metalKey, rate]) => {
+      const previousRate = previous?.[metalKey];
+      if (previousRate) {
+        const amount = Math.round((rate - previousRate) * 100) / 100;
+        changes[metalKey] = {
+          amount,
+          percent: Math.round((amount / previousRate) * 10000) / 100
+        };
+      }
+    });
+    series.push({ date, rates, changes });
+    previous = rates;
+  });
+
+  return series;
+}
+
+/**
+ * Parse a CSV of past rates for backfill
+ * First column is the date (YYYY-MM-DD or ISO timestamp), other columns are metal catalog keys:
+ *   date,gold24kt,gold22kt,silver
+ *   2024-01-02,6300,5780,74
+ * Empty cells are skipped
+ * @param {string} text - CSV text
+ * @param {Array} catalog - Metal catalog (to validate column keys)
+ * @returns {Array} [{ effectiveAt, rates }]
+ * @throws {Error} When the header or a row is invalid
+ */
+export function parseRateHistoryCsv(text, catalog) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    throw new Error('CSV needs a header row and at least one rate row');
+  }
+
+  const [header, ...dataRows] = rows;
+  const metalKeys = header.slice(1).map(key => key.toLowerCase());
+  if (header[0].toLowerCase() !== 'date') {
+    throw new Error('First CSV column must be "date"');
+  }
+  const unknownKeys = metalKeys.filter(key => !catalog.some(metal => metal.key === key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown metal columns: ${unknownKeys.join(', ')}`);
+  }
+
+  return dataRows.map((row, index) => {
+    const lineNumber = index + 2;
+    let effectiveAt;
+    try {
+      // Bare dates are recorded at midday UTC so they stay on the same day in Indian time
+      effectiveAt = /^\d{4}-\d{2}-\d{2}$/.test(row[0])
+        ? new Date(`${row[0]}T12:00:00.000Z`)
+        : parseHistoryDate(row[0]);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber}: ${error.message}`);
+    }
+    if (!effectiveAt || isNaN(effectiveAt.getTime())) {
+      throw new Error(`Line ${lineNumber}: invalid date "${row[0] || ''}"`);
+    }
+
+    const rates = {};
+    metalKeys.forEach((key, column) => {
+      const value = row[column + 1];
+      if (value === undefined || value === '') return;
+      const rate = parseFloat(value.replace(/,/g, ''));
+      if (isNaN(rate) || rate <= 0) {
+        throw new Error(`Line ${lineNumber}: invalid ${key} rate "${value}"`);
+      }
+      rates[key] = rate;
+    });
+
+    if (Object.keys(rates).length === 0) {
+      throw new Error(`Line ${lineNumber}: no rates`);
+    }
+
+    return { effectiveAt: effectiveAt.toISOString(), rates };
+  });
+}
+
+export default {
+  parseHistoryDate,
+  filterHistoryByDate,
+  getRatesAsOf,
+  buildDailySeries,
+  parseRateHistoryCsv
+};
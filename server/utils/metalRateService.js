@@ -0,0 +1,99 @@
+/**
+ * Metal Rate Service
+ * Single place where new metal rates are saved, so every change updates Shopify,
+ * the price calculator and the rate history the same way
+ */
+
+import { getPriceCalculator, getShopifyAPI, updatePriceCalculatorRates } from '../middleware/calculatorInit.js';
+import { PriceCalculator } from './priceCalculator.js';
+import { log } from './logger.js';
+import { normalizeMetalRates } from './metalCatalog.js';
+import { deriveMetalRates, checkRateConsistency } from './rateDerivation.js';
+import { startRefreshJob } from './refreshJobManager.js';
+
+/**
+ * Build the rates to save from a request body (or a rate feed)
+ * In derivation mode only base metal rates are read and the rest are derived (body.overrides
+ * replaces individual derived rates); otherwise every active metal needs a rate
+ * @returns {Object} { rates, derived, issues }
+ * @throws {Error} When a rate is missing or invalid
+ */
+export function buildMetalRates(priceCalculator, body = {}) {
+  const catalog = priceCalculator.getMetalCatalog();
+  const derivationEnabled = body.derive !== undefined
+    ? body.derive === true
+    : priceCalculator.getRateDerivationSettings().enabled;
+
+  const { rates, derived } = derivationEnabled
+    ? deriveMetalRates(catalog, body, body.overrides || {})
+    : { rates: normalizeMetalRates(catalog, body), derived: [] };
+
+  return {
+    rates,
+    derived,
+    issues: checkRateConsistency(catalog, rates)
+  };
+}
+
+/**
+ * Save new metal rates and record them in the rate history
+ * Rates not included (e.g. inactive metals) keep their current value
+ * @param {Object} rates - Validated rates keyed by metal key
+ * @param {Object} options - { author, source, effectiveAt, autoRefresh }
+ * @returns {Promise<Object>} { rates, result, historyEntry, historyError, refreshJobId }
+ */
+export async function applyMetalRates(rates, options = {}) {
+  const { author = '', source = 'manual', effectiveAt = new Date(), autoRefresh = false } = options;
+  const shopifyAPI = getShopifyAPI();
+
+  const currentRates = await shopifyAPI.getMetalPrices() || {};
+  const newRates = { ...currentRates, ...rates };
+
+  // Update in Shopify
+  const result = await shopifyAPI.updateMetalPrices(newRates);
+
+  // Update calculator
+  updatePriceCalculatorRates(newRates);
+
+  // The rates are already live, so a history failure is logged rather than failing the update
+  let historyEntry = null;
+  let historyError = null;
+  try {
+    historyEntry = await shopifyAPI.createMetalRateHistoryEntry({
+      rates: newRates,
+      effectiveAt,
+      author,
+      source
+    });
+  } catch (error) {
+    historyError = error.message;
+    log.error('Error recording metal rate history', { error: error.message, source, author });
+  }
+
+  // Product prices are refreshed in the background with the rates just saved
+  let refreshJobId = null;
+  if (autoRefresh) {
+    refreshJobId = startRefreshJob().id;
+    log.info('Refresh prices job started after metal rate update', { source, author }, refreshJobId);
+  }
+
+  return { rates: newRates, result, historyEntry, historyError, refreshJobId };
+}
+
+/**
+ * Price calculator using the metal rates recorded in the rate history for a past point in time
+ * Uses the current app settings (rounding, metal catalog), which aren't versioned
+ * @param {Date} asOf - Point in time
+ * @returns {Promise<PriceCalculator|null>} Calculator (ratesEffectiveAt set), or null when no rates were recorded by then
+ */
+export async function createPriceCalculatorAsOf(asOf) {
+  const shopifyAPI = getShopifyAPI();
+  const rateHistory = await shopifyAPI.getMetalRateHistory();
+  return PriceCalculator.asOf(rateHistory, asOf, getPriceCalculator().settings);
+}
+
+export default {
+  buildMetalRates,
+  applyMetalRates,
+  createPriceCalculatorAsOf
+};
@@ -0,0 +1,123 @@
+/**
+ * Price Approvals Module
+ * Prices held back by the guardrails, waiting for an admin to approve or reject them
+ * A later refresh that prices the product within the guardrails clears its entry
+ * Held prices are saved with the refresh jobs (refreshJobStore) and loaded back at startup
+ */
+
+import { saveHeldPrices } from './refreshJobStore.js';
+import { log } from './logger.js';
+
+/**
+ * Held prices, keyed by product ID
+ */
+const heldPrices = new Map();
+
+let saveScheduled = false;
+
+/**
+ * Save the held prices once the current changes are made (a refresh holds and releases many products in a row)
+ */
+function persistHeldPrices() {
+  if (saveScheduled) {
+    return;
+  }
+  saveScheduled = true;
+  queueMicrotask(() => {
+    saveScheduled = false;
+    saveHeldPrices(listHeldPrices()).catch(error => {
+      log.error('Error saving held prices', { error: error.message }, null);
+    });
+  });
+}
+
+/**
+ * Hold a product's new prices for approval (replaces an earlier hold of the same product)
+ * @param {Object} entry - { productId, productTitle, sku, metalType, variants, violations, jobId }
+ * @returns {Object} Stored entry
+ */
+export function holdPrices(entry) {
+  const held = { ...entry, heldAt: new Date().toISOString() };
+  heldPrices.set(entry.productId, held);
+  persistHeldPrices();
+  return held;
+}
+
+/**
+ * Drop a product's held prices (e.g. a later refresh wrote a price within the guardrails)
+ * @param {string} productId - Product ID
+ * @returns {boolean} True when the product had held prices
+ */
+export function releaseHeldPrices(productId) {
+  const released = heldPrices.delete(productId);
+  if (released) {
+    persistHeldPrices();
+  }
+  return released;
+}
+
+/**
+ * Held prices, oldest first
+ * @returns {Array} Entries
+ */
+export function listHeldPrices() {
+  return [...heldPrices.values()].sort((a, b) => a.heldAt.localeCompare(b.heldAt));
+}
+
+/**
+ * Held prices of some products, left held
+ * @param {Array<string>|null} productIds - Products to look up (null for all)
+ * @returns {Array} Entries that are held
+ */
+export function getHeldPrices(productIds = null) {
+  return productIds
+    ? productIds.map(productId => heldPrices.get(productId)).filter(Boolean)
+    : listHeldPrices();
+}
+
+/**
+ * Whether newly calculated variant prices are the ones a product's prices were held at
+ * @param {Array} variants - Calculated variants ({ variantId, newPrice })
+ * @param {Object} entry - Held entry
+ * @returns {boolean}
+ */
+export function matchesHeldPrices(variants, entry) {
+  const held = new Map((entry.variants || []).map(variant => [variant.variantId, Number(variant.newPrice)]));
+  return variants.length === held.size && variants.every(variant => held.get(variant.variantId) === Number(variant.newPrice));
+}
+
+/**
+ * Remove and return the held prices of some products
+ * @param {Array<string>|null} productIds - Products to take (null for all)
+ * @returns {Array} Entries that were held
+ */
+export function takeHeldPrices(productIds = null) {
+  const entries = getHeldPrices(productIds);
+  entries.forEach(entry => heldPrices.delete(entry.productId));
+  if (entries.length > 0) {
+    persistHeldPrices();
+  }
+  return entries;
+}
+
+/**
+ * Put back held prices loaded from the store at startup (entries held since then are kept)
+ * @param {Array} entries - Stored entries
+ */
+export function restoreHeldPrices(entries) {
+  entries.forEach(entry => {
+    if (!heldPrices.has(entry.productId)) {
+      heldPrices.set(entry.productId, entry);
+    }
+  });
+}
+
+export default {
+  holdPrices,
+  releaseHeldPrices,
+  listHeldPrices,
+  getHeldPrices,
+  matchesHeldPrices,
+  takeHeldPrices,
+  restoreHeldPrices
+};
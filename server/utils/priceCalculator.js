@@ -4,13 +4,37 @@
  */
 
 import { DiscountCalculator } from './discountCalculator.js';
+import { applyRoundingPolicy, resolveRoundingPolicy } from './roundingPolicy.js';
+import { resolveMetalCatalog, toRatePerGram } from './metalCatalog.js';
+import { DEFAULT_RATE_DERIVATION_SETTINGS } from './rateDerivation.js';
+import { getRatesAsOf } from './metalRateHistory.js';
 
 export class PriceCalculator {
-  constructor(metalRates) {
-    this.metalRates = metalRates; // Object with gold24kt, gold22kt, gold18kt, gold14kt, platinum, silver
+  constructor(metalRates, settings = {}) {
+    this.metalRates = metalRates; // Object keyed by metal catalog key, each rate in that metal's unit
+    this.settings = settings || {}; // App settings (rounding policies, metal catalog, ...)
     this.discountCalculator = new DiscountCalculator();
   }
 
+  /**
+   * Create a calculator using the metal rates that were in effect at a past point in time
+   * Settings (rounding, catalog) aren't versioned, so the given current settings are used
+   * @param {Array} rateHistory - Metal rate history entries ({ effectiveAt, rates })
+   * @param {Date} asOf - Point in time
+   * @param {Object} settings - App settings
+   * @returns {PriceCalculator|null} Calculator with ratesEffectiveAt set, or null when no rates were recorded by then
+   */
+  static asOf(rateHistory, asOf, settings = {}) {
+    const ratesThen = getRatesAsOf(rateHistory || [], asOf);
+    if (!ratesThen) {
+      return null;
+    }
+
+    const calculator = new PriceCalculator(ratesThen.rates, settings);
+    calculator.ratesEffectiveAt = ratesThen.effectiveAt;
+    return calculator;
+  }
+
   /**
    * Calculate complete product pricing
    * @param {Object} config - Product configuration
@@ -21,7 +45,7 @@ export class PriceCalculator {
   calculatePrice(config, discountConfig = null, stonePricing = null) {
     const {
       metalWeight,        // in grams
-      metalType,          // 'gold24kt', 'gold22kt', 'gold18kt', 'gold14kt', 'platinum', 'silver'
+      metalType,          // metal catalog key, e.g. 'gold22kt', 'silver', 'pt950'
       makingChargePercent,
       labourType,         // 'percentage' or 'fixed'
       labourValue,
@@ -29,25 +53,39 @@ export class PriceCalculator {
       wastageValue,
       stoneCost,          // total stone cost in INR
       taxPercent,         // GST/VAT percentage
+      taxRates = null,    // optional per-component GST: { metal, stone, making, labour, wastage, extra }
+      extraCharges = [],  // fixed line items: [{ label, amount, taxPercent, discountEligible }]
+      metals = [],        // optional multi-metal composition: [{ metalType, metalWeight, makingChargePercent, wastageType, wastageValue }]
       stones = []         // array of stones for discount calculation
     } = config;
 
     // Convert to numbers and handle empty values
-    const weight = parseFloat(metalWeight) || 0;
     const makingPercent = parseFloat(makingChargePercent) || 0;
     const labourVal = parseFloat(labourValue) || 0;
     const wastageVal = parseFloat(wastageValue) || 0;
     const stone = parseFloat(stoneCost) || 0;
     const tax = parseFloat(taxPercent) || 0;
+    const componentTaxRates = this.normalizeTaxRates(taxRates, tax);
+    const extras = this.normalizeExtraCharges(extraCharges);
 
-    // Get metal rate per gram
-    const metalRate = this.metalRates[metalType] || 0;
+    // Metal components - a single-metal product is a composition of one
+    const compositionMetals = this.normalizeMetals(metals);
+    const metalComponents = this.calculateMetalComponents(
+      compositionMetals.length > 0
+        ? compositionMetals
+        : [{ metalType, metalWeight: parseFloat(metalWeight) || 0 }],
+      { makingChargePercent: makingPercent, wastageType, wastageValue: wastageVal }
+    );
+    const dominantMetal = this.getDominantMetal(metalComponents);
+    const weight = metalComponents.reduce((sum, metal) => sum + metal.metalWeight, 0);
+    const dominantType = dominantMetal?.metalType || metalType;
+    const metalRate = dominantMetal?.metalRate || 0;
 
-    // 1. Metal Cost
-    const metalCost = weight * metalRate;
+    // 1. Metal Cost (sum of all metal components)
+    const metalCost = metalComponents.reduce((sum, metal) => sum + metal.metalCost, 0);
 
-    // 2. Making Charge (percentage of metal cost)
-    const makingCharge = metalCost * (makingPercent / 100);
+    // 2. Making Charge (each component's percentage of its own metal cost)
+    const makingCharge = metalComponents.reduce((sum, metal) => sum + metal.makingCharge, 0);
 
     // 3. Labour Charge
     let labourCharge = 0;
@@ -57,15 +95,15 @@ export class PriceCalculator {
       labourCharge = labourVal;
     }
 
-    // 4. Wastage Charge
-    let wastageCharge = 0;
-    if (wastageType === 'percentage') {
-      wastageCharge = metalCost * (wastageVal / 100);
-    } else if (wastageType === 'fixed') {
-      wastageCharge = wastageVal;
-    } else if (wastageType === 'weight') {
-      // wastageValue is in grams
-      wastageCharge = wastageVal * metalRate;
+    // 4. Wastage Charge (component rules, plus product-level fixed/weight wastage charged once)
+    let wastageCharge = metalComponents.reduce((sum, metal) => sum + metal.wastageCharge, 0);
+    if (metalComponents.some(metal => metal.usesProductWastage)) {
+      if (wastageType === 'fixed') {
+        wastageCharge += wastageVal;
+      } else if (wastageType === 'weight') {
+        // wastageValue is in grams, priced at the dominant metal's rate
+        wastageCharge += wastageVal * metalRate;
+      }
     }
 
     // 5. Service Charge (Making + Labour + Wastage)
@@ -74,8 +112,11 @@ export class PriceCalculator {
     // Effective Making Charge for Gold discount calculation = Making + Labour + Wastage
     const effectiveMakingCharge = serviceCharge;
 
-    // 6. Subtotal (before tax)
-    const subtotal = metalCost + makingCharge + labourCharge + wastageCharge + stone;
+    // 6. Extra Charges (hallmarking, certification, packaging, ...)
+    const extraChargesTotal = extras.reduce((sum, extra) => sum + extra.amount, 0);
+
+    // 7. Subtotal (before tax)
+    const subtotal = metalCost + makingCharge + labourCharge + wastageCharge + stone + extraChargesTotal;
 
     // Build initial price breakdown for discount calculation
     const initialPriceBreakdown = {
@@ -87,32 +128,72 @@ export class PriceCalculator {
       serviceCharge: this.roundPrice(serviceCharge),
       effectiveMakingCharge: this.roundPrice(effectiveMakingCharge), // For gold discount calculation
       stoneCost: this.roundPrice(stone),
+      extraChargesTotal: this.roundPrice(extraChargesTotal),
       subtotal: this.roundPrice(subtotal),
       breakdown: {
         metalWeight: weight,
-        metalType,
+        metalType: dominantType,
         metalRate,
+        metals: metalComponents.map(({ usesProductWastage, ...metal }) => ({
+          ...metal,
+          metalCost: this.roundPrice(metal.metalCost),
+          makingCharge: this.roundPrice(metal.makingCharge),
+          wastageCharge: this.roundPrice(metal.wastageCharge)
+        })),
         makingChargePercent: makingPercent,
         labourType,
         labourValue: labourVal,
         wastageType,
         wastageValue: wastageVal,
         taxPercent: tax,
+        taxRates: componentTaxRates,
+        extraCharges: extras,
         note: 'Making Charge for discount = Making + Labour + Wastage'
       }
     };
 
-    // 7. Calculate tax on original subtotal (before discount) - for "Price Before Discount" display
-    const taxAmountBeforeDiscount = subtotal * (tax / 100);
+    // Taxable components - each can carry its own GST rate
+    const components = {
+      metal: metalCost,
+      stone: stone,
+      making: makingCharge,
+      labour: labourCharge,
+      wastage: wastageCharge
+    };
+    const componentRates = { ...componentTaxRates };
+    const discountEligibleKeys = Object.keys(components);
+
+    // Each extra charge is its own component: own GST rate (or the "extra" rate) and discount eligibility
+    extras.forEach((extra, index) => {
+      const key = `extra_${index}`;
+      components[key] = extra.amount;
+      componentRates[key] = extra.taxPercent !== null ? extra.taxPercent : componentTaxRates.extra;
+      if (extra.discountEligible) {
+        discountEligibleKeys.push(key);
+      }
+    });
+
+    // 8. Calculate tax on original subtotal (before discount) - for "Price Before Discount" display
+    const taxAmountBeforeDiscount = Object.keys(components).reduce((sum, key) => {
+      return sum + components[key] * (componentRates[key] / 100);
+    }, 0);
     const priceBeforeDiscount = subtotal + taxAmountBeforeDiscount;
 
-    // 8. Calculate discount amount (if discountConfig provided) - BEFORE tax calculation
+    // 9. Calculate discount amount (if discountConfig provided) - BEFORE tax calculation
     let discountAmount = 0;
     let discountDetails = null;
     if (discountConfig) {
       const discountResult = this.discountCalculator.calculateDiscount(
         initialPriceBreakdown,
-        { metalType, stones, metalWeight: weight },
+        {
+          metalType: dominantType,
+          stones,
+          // Weight slabs apply to the dominant metal (e.g. the silver in a silver piece with gold accents)
+          metalWeight: metalComponents
+            .filter(metal => metal.metalType === dominantType)
+            .reduce((sum, metal) => sum + metal.metalWeight, 0),
+          metals: metalComponents
+        },
         discountConfig,
         stonePricing
       );
@@ -120,13 +201,42 @@ export class PriceCalculator {
       discountDetails = discountResult;
     }
 
-    // 9. Apply discount to subtotal
-    const discountedSubtotal = Math.max(0, subtotal - discountAmount);
+    // 10. Split the discount over the components it applies to (never onto non-eligible extra charges)
+    const componentDiscounts = this.allocateDiscount(
+      components,
+      discountAmount,
+      discountDetails?.discountAppliedOn,
+      discountEligibleKeys
+    );
+    const allocatedDiscount = Object.values(componentDiscounts).reduce((sum, amount) => sum + amount, 0);
+    if (discountDetails && allocatedDiscount < discountAmount) {
+      discountDetails.discountAmount = this.roundPrice(allocatedDiscount);
+    }
+
+    // 11. Apply discount to subtotal
+    const discountedSubtotal = Math.max(0, subtotal - allocatedDiscount);
 
-    // 10. Calculate tax on discounted subtotal
-    const taxAmount = discountedSubtotal * (tax / 100);
+    // 12. Calculate tax per component on its discounted value
+    const taxBreakdown = {};
+    let taxAmount = 0;
+    Object.keys(components).forEach(key => {
+      const taxableAmount = Math.max(0, components[key] - componentDiscounts[key]);
+      const componentTax = taxableAmount * (componentRates[key] / 100);
+      taxAmount += componentTax;
+      taxBreakdown[key] = {
+        amount: this.roundPrice(components[key]),
+        discount: this.roundPrice(componentDiscounts[key]),
+        taxableAmount: this.roundPrice(taxableAmount),
+        rate: componentRates[key],
+        taxAmount: this.roundPrice(componentTax)
+      };
+    });
+    extras.forEach((extra, index) => {
+      taxBreakdown[`extra_${index}`].label = extra.label;
+      taxBreakdown[`extra_${index}`].discountEligible = extra.discountEligible;
+    });
 
-    // 11. Calculate final price (discounted subtotal + tax)
+    // 13. Calculate final price (discounted subtotal + tax)
     const finalPrice = discountedSubtotal + taxAmount;
 
     // Build final price breakdown
@@ -137,6 +247,7 @@ export class PriceCalculator {
       priceBeforeDiscount: this.roundPrice(priceBeforeDiscount),
       discountedSubtotal: this.roundPrice(discountedSubtotal),
       taxAmount: this.roundPrice(taxAmount),
+      taxBreakdown,
       finalPrice: this.roundPrice(finalPrice),
       finalPriceAfterDiscount: this.roundPrice(finalPrice) // Same as finalPrice when discount is applied
     };
@@ -154,6 +265,284 @@ export class PriceCalculator {
     return priceBreakdown;
   }
 
+  /**
+   * Resolve the GST rate of every price component
+   * Components without their own rate use the product's taxPercent
+   * @param {Object} taxRates - { metal, stone, making, labour, wastage, extra } (any may be missing)
+   * @param {number} defaultRate - Product taxPercent
+   * @returns {Object} Rate per component
+   */
+  normalizeTaxRates(taxRates, defaultRate) {
+    const rates = {};
+    ['metal', 'stone', 'making', 'labour', 'wastage', 'extra'].forEach(key => {
+      const rate = parseFloat(taxRates?.[key]);
+      rates[key] = isNaN(rate) ? defaultRate : rate;
+    });
+    return rates;
+  }
+
+  /**
+   * Clean up a multi-metal composition
+   * Blank making/wastage values mean "use the product's rule"
+   * @param {Array} metals - [{ metalType, metalWeight, makingChargePercent, wastageType, wastageValue }]
+   * @returns {Array} Components with a metal type and a positive weight
+   */
+  normalizeMetals(metals) {
+    if (!Array.isArray(metals)) {
+      return [];
+    }
+
+    const optionalNumber = (value) => {
+      const num = parseFloat(value);
+      return isNaN(num) ? null : num;
+    };
+
+    return metals
+      .map(metal => ({
+        metalType: metal.metalType,
+        metalWeight: parseFloat(metal.metalWeight) || 0,
+        makingChargePercent: optionalNumber(metal.makingChargePercent),
+        wastageType: metal.wastageType || null,
+        wastageValue: optionalNumber(metal.wastageValue)
+      }))
+      .filter(metal => metal.metalType && metal.metalWeight > 0);
+  }
+
+  /**
+   * Price each metal component at its own rate with its own making/wastage rules
+   * @param {Array} metals - Normalized metal components
+   * @param {Object} productRules - { makingChargePercent, wastageType, wastageValue } used when a component has none
+   * @returns {Array} Components with metalRate, metalCost, makingCharge, wastageCharge
+   */
+  calculateMetalComponents(metals, productRules) {
+    return metals.map(metal => {
+      const metalRate = this.getMetalRate(metal.metalType);
+      const metalCost = metal.metalWeight * metalRate;
+
+      const makingPercent = metal.makingChargePercent !== null && metal.makingChargePercent !== undefined
+        ? metal.makingChargePercent
+        : productRules.makingChargePercent;
+      const makingCharge = metalCost * (makingPercent / 100);
+
+      // Own wastage rule, else product percentage wastage on this component's metal cost
+      // (product fixed/weight wastage is added once for the whole product by calculatePrice)
+      let wastageCharge = 0;
+      let usesProductWastage = false;
+      const ownWastageValue = metal.wastageValue !== null && metal.wastageValue !== undefined;
+      if (metal.wastageType && ownWastageValue) {
+        if (metal.wastageType === 'percentage') {
+          wastageCharge = metalCost * (metal.wastageValue / 100);
+        } else if (metal.wastageType === 'fixed') {
+          wastageCharge = metal.wastageValue;
+        } else if (metal.wastageType === 'weight') {
+          wastageCharge = metal.wastageValue * metalRate;
+        }
+      } else {
+        usesProductWastage = true;
+        if (productRules.wastageType === 'percentage') {
+          wastageCharge = metalCost * (productRules.wastageValue / 100);
+        }
+      }
+
+      return {
+        metalType: metal.metalType,
+        metalWeight: metal.metalWeight,
+        metalRate,
+        metalCost,
+        makingChargePercent: makingPercent,
+        makingCharge,
+        wastageType: metal.wastageType && ownWastageValue ? metal.wastageType : productRules.wastageType,
+        wastageCharge,
+        usesProductWastage
+      };
+    });
+  }
+
+  /**
+   * Find the metal that makes up most of the product's metal value
+   * @param {Array} metals - Components from calculateMetalComponents (or normalized metals)
+   * @returns {Object|null} Dominant component
+   */
+  getDominantMetal(metals) {
+    if (!metals || metals.length === 0) {
+      return null;
+    }
+
+    return metals.reduce((dominant, metal) => {
+      const cost = metal.metalCost ?? metal.metalWeight * this.getMetalRate(metal.metalType);
+      const dominantCost = dominant.metalCost ?? dominant.metalWeight * this.getMetalRate(dominant.metalType);
+      return cost > dominantCost ? metal : dominant;
+    });
+  }
+
+  /**
+   * Get the dominant metal type of a composition at current rates
+   * @param {Array} metals - [{ metalType, metalWeight, ... }]
+   * @param {string} fallbackType - Returned when the composition is empty
+   * @returns {string} Metal type
+   */
+  getDominantMetalType(metals, fallbackType = null) {
+    return this.getDominantMetal(this.normalizeMetals(metals))?.metalType || fallbackType;
+  }
+
+  /**
+   * Clean up extra charges (hallmarking, certification, packaging, ...)
+   * @param {Array} extraCharges - [{ label, amount, taxPercent, discountEligible }]
+   * @returns {Array} Charges with numeric amount, taxPercent (null = use the "extra" rate) and boolean discountEligible
+   */
+  normalizeExtraCharges(extraCharges) {
+    if (!Array.isArray(extraCharges)) {
+      return [];
+    }
+
+    return extraCharges
+      .map(extra => {
+        const taxRate = parseFloat(extra.taxPercent);
+        return {
+          label: extra.label || 'Extra Charge',
+          amount: parseFloat(extra.amount) || 0,
+          taxPercent: isNaN(taxRate) ? null : taxRate,
+          discountEligible: extra.discountEligible === true || extra.discountEligible === 'true'
+        };
+      })
+      .filter(extra => extra.amount > 0);
+  }
+
+  /**
+   * Split a discount across price components so each component is taxed on its discounted value
+   * Gold discounts come off making/labour/wastage, diamond discounts off stones,
+   * anything else is spread over all components by value
+   * @param {Object} components - Amount per component
+   * @param {number} discountAmount - Total discount
+   * @param {string} discountAppliedOn - From DiscountCalculator ('making_labour_wastage', 'stone_cost', ...)
+   * @param {Array} eligibleKeys - Components that may take a share of the discount (default: all)
+   * @returns {Object} Discount per component
+   */
+  allocateDiscount(components, discountAmount, discountAppliedOn, eligibleKeys = null) {
+    const allocation = {};
+    Object.keys(components).forEach(key => { allocation[key] = 0; });
+
+    const targetsByAppliedOn = {
+      making_labour_wastage: ['making', 'labour', 'wastage'],
+      stone_cost: ['stone']
+    };
+
+    // Spread an amount over the given components in proportion to what is left of each
+    const spread = (amount, keys) => {
+      const remaining = keys.reduce((sum, key) => sum + Math.max(0, components[key] - allocation[key]), 0);
+      if (amount <= 0 || remaining <= 0) {
+        return amount;
+      }
+      const applied = Math.min(amount, remaining);
+      keys.forEach(key => {
+        const left = Math.max(0, components[key] - allocation[key]);
+        allocation[key] += applied * (left / remaining);
+      });
+      return amount - applied;
+    };
+
+    const eligible = eligibleKeys || Object.keys(components);
+    let leftover = spread(discountAmount || 0, targetsByAppliedOn[discountAppliedOn] || eligible);
+    // Discount larger than its target components spills over to the rest
+    leftover = spread(leftover, eligible);
+
+    return allocation;
+  }
+
+  /**
+   * Merge a variant's overrides (metal weight, stones) into the product configuration
+   * @param {Object} config - Product configuration (camelCase, as passed to calculatePrice)
+   * @param {Object} variantConfig - Variant overrides from the variant_config metafield
+   * @returns {Object} Configuration for this variant
+   */
+  buildVariantConfig(config, variantConfig) {
+    if (!variantConfig) {
+      return config;
+    }
+
+    const variantPriceConfig = { ...config };
+
+    const weight = parseFloat(variantConfig.metalWeight);
+    if (!isNaN(weight) && weight > 0) {
+      variantPriceConfig.metalWeight = weight;
+
+      // Multi-metal products: scale every component so the composition keeps its proportions
+      const metals = this.normalizeMetals(config.metals);
+      const totalWeight = metals.reduce((sum, metal) => sum + metal.metalWeight, 0);
+      if (metals.length > 0 && totalWeight > 0) {
+        variantPriceConfig.metals = metals.map(metal => ({
+          ...metal,
+          metalWeight: metal.metalWeight * (weight / totalWeight)
+        }));
+      }
+    }
+
+    // Stones override only when the variant has its own stones array
+    if (Array.isArray(variantConfig.stones)) {
+      variantPriceConfig.stones = variantConfig.stones;
+      variantPriceConfig.stoneCost = variantConfig.stones.reduce((sum, stone) => {
+        return sum + (parseFloat(stone.stoneCost) || 0);
+      }, 0);
+    }
+
+    return variantPriceConfig;
+  }
+
+  /**
+   * Calculate the price of every variant of a product
+   * @param {Object} config - Product configuration
+   * @param {Array} variants - Array of { id, title, price, sku, config } from ShopifyAPI.parseVariants
+   * @param {Object} discountConfig - Optional discount configuration
+   * @param {Array} stonePricing - Optional array of stone pricing objects
+   * @returns {Array} Array of { variantId, variantTitle, sku, oldPrice, priceBreakdown, finalPrice, roundedPrice }
+   */
+  calculateVariantPrices(config, variants = [], discountConfig = null, stonePricing = null) {
+    return variants.filter(variant => variant && variant.id).map(variant => {
+      const variantPriceConfig = this.buildVariantConfig(config, variant.config);
+      const priceBreakdown = this.calculatePrice(variantPriceConfig, discountConfig, stonePricing);
+      const finalPrice = priceBreakdown.finalPriceAfterDiscount || priceBreakdown.finalPrice;
+      const { price: roundedPrice, policy } = this.roundFinalPrice(finalPrice, {
+        metalType: priceBreakdown.breakdown.metalType, // dominant metal for multi-metal products
+        collectionIds: config.collectionIds || []
+      });
+      priceBreakdown.roundingPolicy = policy;
+
+      return {
+        variantId: variant.id,
+        variantTitle: variant.title || '',
+        sku: variant.sku || '',
+        oldPrice: variant.price,
+        priceBreakdown,
+        finalPrice,
+        roundedPrice,
+        roundingPolicy: policy
+      };
+    });
+  }
+
+  /**
+   * Get the rounding policy that applies to a product
+   * @param {Object} context - { metalType, collectionIds }
+   * @returns {string} Policy key
+   */
+  getRoundingPolicy(context = {}) {
+    return resolveRoundingPolicy(this.settings.rounding, context);
+  }
+
+  /**
+   * Round a final price with the configured rounding policy
+   * @param {number} amount - Final price (after discount and tax)
+   * @param {Object} context - { metalType, collectionIds }
+   * @returns {Object} { price, policy }
+   */
+  roundFinalPrice(amount, context = {}) {
+    const policy = this.getRoundingPolicy(context);
+    return {
+      price: applyRoundingPolicy(amount, policy),
+      policy
+    };
+  }
+
   /**
    * Round price to 2 decimal places
    */
@@ -174,6 +563,37 @@ export class PriceCalculator {
   getMetalRates() {
     return this.metalRates;
   }
+
+  /**
+   * Get the metal catalog (defaults to the original six metals)
+   */
+  getMetalCatalog() {
+    return resolveMetalCatalog(this.settings);
+  }
+
+  /**
+   * Get rate derivation settings (whether karat rates are derived from base metal rates)
+   */
+  getRateDerivationSettings() {
+    return { ...DEFAULT_RATE_DERIVATION_SETTINGS, ...(this.settings.rateDerivation || {}) };
+  }
+
+  /**
+   * Get the per-gram rate for a metal, converting from the unit it is quoted in
+   * @param {string} metalType - Metal catalog key
+   * @returns {number} Rate per gram (0 when the metal has no rate)
+   */
+  getMetalRate(metalType) {
+    const metal = this.getMetalCatalog().find(m => m.key === metalType);
+    return toRatePerGram(this.metalRates[metalType] || 0, metal?.unit);
+  }
+
+  /**
+   * Update app settings
+   */
+  updateSettings(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
+  }
 }
 
 /**
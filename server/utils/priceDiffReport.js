@@ -0,0 +1,259 @@
+/**
+ * Price Diff Report Module
+ * Summarizes the results of a refresh (usually a dry run) as old/new prices per product and variant,
+ * with totals by metal type, and writes them as the per-job report (CSV or Excel)
+ * Prices held by the guardrails are listed apart from the prices that would be written, and products a paused
+ * or cancelled job never reached are listed as not processed
+ * A rollback job's report lists the products that changed since the rolled back job apart from its failures
+ */
+
+import { toCsv } from './csv.js';
+import { toXlsx } from './xlsx.js';
+
+const REPORT_COLUMNS = [
+  'SKU', 'Product', 'Variant', 'Metal', 'Rate Used', 'Old Price', 'New Price', 'Change', 'Change %',
+  'Discount', 'Discount Amount', 'Status', 'Error', 'Product ID'
+];
+
+// Byte order mark, so Excel reads the CSV as UTF-8 (₹, non-Latin titles)
+const UTF8_BOM = '\ufeff';
+
+/**
+ * Round to paise
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Change between two prices
+ * @returns {Object} { oldPrice, newPrice, change, changePercent } (changePercent is null when the old price is 0)
+ */
+function priceChange(oldPrice, newPrice) {
+  const before = parseFloat(oldPrice) || 0;
+  const after = parseFloat(newPrice) || 0;
+  return {
+    oldPrice: before,
+    newPrice: after,
+    change: roundAmount(after - before),
+    changePercent: before > 0 ? roundAmount(((after - before) / before) * 100) : null
+  };
+}
+
+/**
+ * Build the diff report from refresh results
+ * Totals add up every variant's price, so products with several variants count each of them
+ * @param {Array} updates - Results from bulkUpdatePrices
+ * @param {Array} notProcessed - Selected products the job didn't get to ({ productId, productTitle, sku })
+ * @returns {Object} { summary, byMetalType, rows, held, changedSince, failures, notProcessed }
+ */
+export function buildPriceDiffReport(updates = [], notProcessed = []) {
+  const rows = [];
+  const held = [];
+  const changedSince = [];
+  const failures = [];
+  const byMetalType = {};
+  const summary = {
+    products: 0,
+    variants: 0,
+    changed: 0,
+    unchanged: 0,
+    held: 0,
+    changedSince: 0,
+    failed: 0,
+    notProcessed: notProcessed.length,
+    oldTotal: 0,
+    newTotal: 0
+  };
+
+  updates.forEach(update => {
+    if (update.held) {
+      summary.held++;
+      held.push({
+        productId: update.productId,
+        productTitle: update.productTitle,
+        sku: update.sku || '',
+        metalType: update.metalType || 'unknown',
+        metalRate: update.metalRate ?? null,
+        discount: update.discount || null,
+        violations: update.violations || [],
+        variants: (update.variants || []).map(variant => ({
+          variantId: variant.variantId,
+          variantTitle: variant.variantTitle,
+          sku: variant.sku || '',
+          ...priceChange(variant.oldPrice, variant.newPrice)
+        }))
+      });
+      return;
+    }
+
+    if (update.changedSince) {
+      summary.changedSince++;
+      changedSince.push({
+        productId: update.productId,
+        productTitle: update.productTitle,
+        sku: update.sku || '',
+        changes: update.changes || []
+      });
+      return;
+    }
+
+    if (!update.success) {
+      summary.failed++;
+      failures.push({
+        productId: update.productId,
+        productTitle: update.productTitle,
+        sku: update.sku || '',
+        error: update.error || 'Unknown error'
+      });
+      return;
+    }
+
+    const metalType = update.metalType || 'unknown';
+    const variants = (update.variants || []).map(variant => ({
+      variantId: variant.variantId,
+      variantTitle: variant.variantTitle,
+      sku: variant.sku || '',
+      ...priceChange(variant.oldPrice, variant.newPrice)
+    }));
+    const changed = variants.some(variant => variant.change !== 0);
+
+    rows.push({
+      productId: update.productId,
+      productTitle: update.productTitle,
+      sku: update.sku || '',
+      metalType,
+      metalRate: update.metalRate ?? null,
+      discount: update.discount || null,
+      ...priceChange(update.oldPrice, update.newPrice),
+      changed,
+      variants
+    });
+
+    const totals = byMetalType[metalType] || (byMetalType[metalType] = { products: 0, variants: 0, changed: 0, oldTotal: 0, newTotal: 0 });
+    totals.products++;
+    totals.variants += variants.length;
+    if (changed) totals.changed++;
+
+    summary.products++;
+    summary.variants += variants.length;
+    summary[changed ? 'changed' : 'unchanged']++;
+
+    variants.forEach(variant => {
+      totals.oldTotal += variant.oldPrice;
+      totals.newTotal += variant.newPrice;
+      summary.oldTotal += variant.oldPrice;
+      summary.newTotal += variant.newPrice;
+    });
+  });
+
+  const finishTotals = (totals) => {
+    const oldTotal = roundAmount(totals.oldTotal);
+    const newTotal = roundAmount(totals.newTotal);
+    const { change, changePercent } = priceChange(oldTotal, newTotal);
+    return { ...totals, oldTotal, newTotal, change, changePercent };
+  };
+
+  Object.keys(byMetalType).forEach(metalType => {
+    byMetalType[metalType] = finishTotals(byMetalType[metalType]);
+  });
+
+  return {
+    summary: finishTotals(summary),
+    byMetalType,
+    rows,
+    held,
+    changedSince,
+    failures,
+    notProcessed
+  };
+}
+
+/**
+ * The per-job report as table rows, one per variant (held ones included) plus one per product that changed since,
+ * failed or wasn't processed
+ * Amounts stay numbers; cells without a value are null
+ * @param {Object} report - Result of buildPriceDiffReport
+ * @returns {Array<Array>} Header row, then data rows (REPORT_COLUMNS)
+ */
+export function priceDiffReportToRows(report) {
+  const lines = [REPORT_COLUMNS];
+
+  const variantLine = (entry, variant, status, error = null) => [
+    variant.sku || entry.sku,
+    entry.productTitle,
+    variant.variantTitle || '',
+    entry.metalType,
+    entry.metalRate ?? null,
+    variant.oldPrice,
+    variant.newPrice,
+    variant.change,
+    variant.changePercent,
+    entry.discount ? entry.discount.title || 'Discount' : '',
+    entry.discount ? entry.discount.amount : null,
+    status,
+    error,
+    entry.productId
+  ];
+  const productLine = (entry, status, error = null) => [
+    entry.sku, entry.productTitle, '', '', null, null, null, null, null, '', null, status, error, entry.productId
+  ];
+
+  report.rows.forEach(row => {
+    row.variants.forEach(variant => {
+      lines.push(variantLine(row, variant, variant.change === 0 ? 'unchanged' : 'changed'));
+    });
+  });
+
+  (report.held || []).forEach(entry => {
+    entry.variants.forEach(variant => {
+      lines.push(variantLine(entry, variant, 'held', entry.violations.join('; ')));
+    });
+  });
+
+  (report.changedSince || []).forEach(entry => {
+    lines.push(productLine(entry, 'changed since', entry.changes.join('; ')));
+  });
+
+  report.failures.forEach(failure => {
+    lines.push(productLine(failure, 'failed', failure.error));
+  });
+
+  (report.notProcessed || []).forEach(product => {
+    lines.push(productLine(product, 'not processed'));
+  });
+
+  return lines;
+}
+
+/**
+ * Write the per-job report as CSV (with a byte order mark, for Excel)
+ * Amounts have two decimals; text that Excel would read as a formula is prefixed with an apostrophe
+ * @param {Object} report - Result of buildPriceDiffReport
+ * @returns {string} CSV text
+ */
+export function priceDiffReportToCsv(report) {
+  const lines = priceDiffReportToRows(report).map(line => line.map(cell => {
+    if (typeof cell === 'number') {
+      return cell.toFixed(2);
+    }
+    return typeof cell === 'string' && /^[=+\-@]/.test(cell) ? `'${cell}` : cell;
+  }));
+  return UTF8_BOM + toCsv(lines);
+}
+
+/**
+ * Write the per-job report as an Excel workbook
+ * @param {Object} report - Result of buildPriceDiffReport
+ * @returns {Buffer} .xlsx workbook
+ */
+export function priceDiffReportToXlsx(report) {
+  return toXlsx(priceDiffReportToRows(report), { sheetName: 'Price report' });
+}
+
+export default {
+  buildPriceDiffReport,
+  priceDiffReportToRows,
+  priceDiffReportToCsv,
+  priceDiffReportToXlsx
+};
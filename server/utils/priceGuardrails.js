@@ -0,0 +1,103 @@
+/**
+ * Price Guardrails Module
+ * Checks new prices before a refresh writes them, so a wrong rate (an extra zero) can't reprice
+ * the catalog unnoticed. Products that break a guardrail are held for approval instead
+ */
+
+import { formatAmount } from './currency.js';
+
+export const DEFAULT_PRICE_GUARDRAIL_SETTINGS = {
+  enabled: false,
+  maxChangePercent: 20, // Largest rise or fall against the current price (0 = no limit)
+  minPrice: 0, // Lowest allowed price (0 = no limit)
+  maxPrice: 0, // Highest allowed price (0 = no limit)
+  belowMetalValue: true // Hold prices below the value of the metal in the piece
+};
+
+/**
+ * Read a non-negative number setting
+ */
+function toLimit(value, name) {
+  const number = value === '' || value === null || value === undefined ? 0 : Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a positive number or 0`);
+  }
+  return number;
+}
+
+/**
+ * Validate price guardrail settings from a request
+ * @param {Object} input - Price guardrail settings from the client
+ * @returns {Object} Normalized settings
+ * @throws {Error} When a limit is invalid
+ */
+export function normalizePriceGuardrailSettings(input = {}) {
+  const settings = {
+    enabled: input.enabled === true,
+    maxChangePercent: toLimit(input.maxChangePercent, 'Maximum change %'),
+    minPrice: toLimit(input.minPrice, 'Minimum price'),
+    maxPrice: toLimit(input.maxPrice, 'Maximum price'),
+    belowMetalValue: input.belowMetalValue !== false
+  };
+
+  if (settings.maxPrice > 0 && settings.minPrice > settings.maxPrice) {
+    throw new Error('Minimum price must not be above the maximum price');
+  }
+
+  return settings;
+}
+
+/**
+ * Price guardrail settings with defaults
+ * @param {Object} settings - App settings
+ * @returns {Object} Price guardrail settings
+ */
+export function getPriceGuardrailSettings(settings) {
+  return { ...DEFAULT_PRICE_GUARDRAIL_SETTINGS, ...(settings?.priceGuardrails || {}) };
+}
+
+/**
+ * Check a product's new variant prices against the guardrails
+ * @param {Array} variantPrices - Results of calculateVariantPrices
+ * @param {Object} guardrails - Price guardrail settings
+ * @returns {Array<string>} Violations (empty when every price is allowed)
+ */
+export function checkPriceGuardrails(variantPrices, guardrails) {
+  if (!guardrails?.enabled) {
+    return [];
+  }
+
+  const violations = [];
+  variantPrices.forEach(variant => {
+    const label = variant.variantTitle && variant.variantTitle !== 'Default Title' ? `${variant.variantTitle}: ` : '';
+    const newPrice = parseFloat(variant.roundedPrice) || 0;
+    const oldPrice = parseFloat(variant.oldPrice) || 0;
+
+    if (guardrails.maxChangePercent > 0 && oldPrice > 0) {
+      const changePercent = Math.round(((newPrice - oldPrice) / oldPrice) * 10000) / 100;
+      if (Math.abs(changePercent) > guardrails.maxChangePercent) {
+        violations.push(`${label}${formatAmount(oldPrice)} → ${formatAmount(newPrice)} changes ${changePercent}% (limit ${guardrails.maxChangePercent}%)`);
+      }
+    }
+    if (guardrails.minPrice > 0 && newPrice < guardrails.minPrice) {
+      violations.push(`${label}${formatAmount(newPrice)} is below the minimum price of ${formatAmount(guardrails.minPrice)}`);
+    }
+    if (guardrails.maxPrice > 0 && newPrice > guardrails.maxPrice) {
+      violations.push(`${label}${formatAmount(newPrice)} is above the maximum price of ${formatAmount(guardrails.maxPrice)}`);
+    }
+
+    const metalValue = parseFloat(variant.priceBreakdown?.metalCost) || 0;
+    if (guardrails.belowMetalValue && metalValue > 0 && newPrice < metalValue) {
+      violations.push(`${label}${formatAmount(newPrice)} is below the metal value of ${formatAmount(metalValue)}`);
+    }
+  });
+
+  return violations;
+}
+
+export default {
+  DEFAULT_PRICE_GUARDRAIL_SETTINGS,
+  normalizePriceGuardrailSettings,
+  getPriceGuardrailSettings,
+  checkPriceGuardrails
+};
@@ -0,0 +1,104 @@
+/**
+ * Price Rollback Module
+ * Works out what rolling back a refresh job puts back for each product it repriced, and which products
+ * changed since (repriced again, edited by hand, variants removed) or have no prices recorded from before the
+ * job, so they can't be rolled back safely
+ */
+
+import { formatAmount } from './currency.js';
+
+/**
+ * Two prices are the same to the paisa
+ */
+function samePrice(a, b) {
+  return Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) < 0.005;
+}
+
+/**
+ * The results of a job that wrote prices, one per product (the latest, when a resumed job has several)
+ * @param {Array} updates - Results of the job being rolled back
+ * @returns {Array} Successful results
+ */
+export function getRollbackEntries(updates = []) {
+  const byProduct = new Map();
+  updates.forEach(update => {
+    if (update.success) {
+      byProduct.set(update.productId, update);
+    }
+  });
+  return [...byProduct.values()];
+}
+
+/**
+ * Compare a product's current prices with the ones the job wrote
+ * A variant is safe to roll back while it still has the job's price (or already has its price from before the job),
+ * and only when its price from before the job was recorded
+ * @param {Object} update - The job's result for the product
+ * @param {Object} current - Current state from getProductsPriceState
+ * @returns {Object} { variants, changes, unrecorded } - variants to restore ({ variantId, variantTitle, sku, oldPrice,
+ *   newPrice }, oldPrice being the current price), what changed since the job and which prices from before the
+ *   job are missing (both empty when the rollback is safe)
+ */
+export function checkRollback(update, current) {
+  const variants = [];
+  const changes = [];
+  const unrecorded = [];
+
+  if (!update.variants?.length) {
+    return { variants, changes, unrecorded: ['no variant prices were recorded'] };
+  }
+
+  update.variants.forEach(variant => {
+    const label = variant.variantTitle && variant.variantTitle !== 'Default Title' ? `${variant.variantTitle}: ` : '';
+    const currentVariant = current.variants.find(node => node.id === variant.variantId);
+    const oldPrice = parseFloat(variant.oldPrice);
+
+    if (!Number.isFinite(oldPrice)) {
+      unrecorded.push(`${label}no price from before the job was recorded`);
+      return;
+    }
+    if (!currentVariant) {
+      changes.push(label ? `Variant ${variant.variantTitle} no longer exists` : 'The variant no longer exists');
+      return;
+    }
+    if (!samePrice(currentVariant.price, variant.newPrice) && !samePrice(currentVariant.price, variant.oldPrice)) {
+      changes.push(`${label}now ${formatAmount(currentVariant.price)}, the job set ${formatAmount(variant.newPrice)}`);
+      return;
+    }
+
+    variants.push({
+      variantId: variant.variantId,
+      variantTitle: variant.variantTitle,
+      sku: variant.sku,
+      oldPrice: parseFloat(currentVariant.price) || 0,
+      newPrice: oldPrice
+    });
+  });
+
+  return { variants, changes, unrecorded };
+}
+
+/**
+ * Whether the discount metafield still holds the discount the job priced with (same discount and rule), so
+ * putting back its value from before the job only undoes the discount amount the job wrote
+ * @param {string} previousValue - Raw value from before the job
+ * @param {string|null} currentValue - Raw value now
+ * @returns {boolean}
+ */
+export function canRestoreDiscount(previousValue, currentValue) {
+  try {
+    const previous = JSON.parse(previousValue);
+    const current = JSON.parse(currentValue);
+    return Boolean(previous?.discount_id) &&
+      previous.discount_id === current?.discount_id &&
+      previous.applied_rule === current?.applied_rule;
+  } catch (error) {
+    return false;
+  }
+}
+
+export default {
+  getRollbackEntries,
+  checkRollback,
+  canRestoreDiscount
+};
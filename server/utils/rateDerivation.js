@@ -0,0 +1,131 @@
+/**
+ * Metal Rate Derivation Module
+ * Computes karat rates from a pure metal rate (24K gold, 999 silver, pure platinum)
+ * and checks that a set of rates is consistent with the catalog purities
+ */
+
+import { toRatePerGram, fromRatePerGram, normalizeMetalRates } from './metalCatalog.js';
+
+export const DEFAULT_RATE_DERIVATION_SETTINGS = {
+  enabled: false // When on, only base metal rates are entered and the rest are derived
+};
+
+/**
+ * Validate rate derivation settings from a request
+ * @param {Object} input - Rate derivation settings from the client
+ * @returns {Object} Normalized settings
+ */
+export function normalizeRateDerivationSettings(input = {}) {
+  return {
+    enabled: input.enabled === true
+  };
+}
+
+/**
+ * Round a rate to paise
+ */
+function roundRate(rate) {
+  return Math.round(rate * 100) / 100;
+}
+
+/**
+ * Derive rates for every metal with a base metal
+ * Derived rate = base rate per gram × purity × (1 + markup / 100), expressed in the metal's own unit
+ * @param {Array} catalog - Metal catalog
+ * @param {Object} input - Entered rates; only base (non-derived) metals are read
+ * @param {Object} overrides - Rates that replace the derived value ({ gold18kt: 5600 })
+ * @returns {Object} { rates, derived: [{ key, label, baseMetal, purity, markupPercent, derivedRate, override, rate }] }
+ * @throws {Error} When a base rate or an override is missing or invalid
+ */
+export function deriveMetalRates(catalog, input = {}, overrides = {}) {
+  const baseMetals = catalog.filter(metal => !metal.baseMetal);
+  const rates = normalizeMetalRates(baseMetals, input);
+  const derived = [];
+
+  catalog.filter(metal => metal.baseMetal).forEach(metal => {
+    const base = catalog.find(m => m.key === metal.baseMetal);
+    const baseRate = rates[metal.baseMetal];
+
+    if (baseRate === undefined) {
+      if (metal.active !== false) {
+        throw new Error(`${metal.label} is derived from ${base?.label || metal.baseMetal}, which has no rate`);
+      }
+      return;
+    }
+
+    const ratePerGram = toRatePerGram(baseRate, base.unit) * metal.purity * (1 + (metal.markupPercent || 0) / 100);
+    const derivedRate = roundRate(fromRatePerGram(ratePerGram, metal.unit));
+
+    let override = null;
+    const overrideValue = overrides?.[metal.key];
+    if (overrideValue !== undefined && overrideValue !== null && overrideValue !== '') {
+      override = parseFloat(overrideValue);
+      if (isNaN(override) || override <= 0) {
+        throw new Error(`Override rate for ${metal.label} must be a positive number`);
+      }
+    }
+
+    rates[metal.key] = override ?? derivedRate;
+    derived.push({
+      key: metal.key,
+      label: metal.label,
+      baseMetal: metal.baseMetal,
+      purity: metal.purity,
+      markupPercent: metal.markupPercent || 0,
+      derivedRate,
+      override,
+      rate: rates[metal.key]
+    });
+  });
+
+  return { rates, derived };
+}
+
+/**
+ * Check rates against the catalog purities
+ * - A derived metal can't cost more per gram than its base metal (e.g. 22K above 24K)
+ * - Metals derived from the same base must be priced in purity order (18K not above 22K)
+ * @param {Array} catalog - Metal catalog
+ * @param {Object} rates - Rates keyed by metal key, in each metal's unit
+ * @returns {Array<string>} Problems found (empty when consistent)
+ */
+export function checkRateConsistency(catalog, rates = {}) {
+  const issues = [];
+  const hasRate = key => rates[key] !== undefined && rates[key] !== null && rates[key] !== '';
+  const ratePerGram = metal => toRatePerGram(rates[metal.key], metal.unit);
+  const describe = metal => `${metal.label} (₹${roundRate(ratePerGram(metal))}/g)`;
+
+  const derivedMetals = catalog.filter(metal => metal.baseMetal && hasRate(metal.key));
+
+  derivedMetals.forEach(metal => {
+    const base = catalog.find(m => m.key === metal.baseMetal);
+    if (base && hasRate(base.key) && ratePerGram(metal) > ratePerGram(base)) {
+      issues.push(`${describe(metal)} is priced above its base metal ${describe(base)}`);
+    }
+  });
+
+  const byBase = {};
+  derivedMetals.forEach(metal => {
+    byBase[metal.baseMetal] = [...(byBase[metal.baseMetal] || []), metal];
+  });
+
+  Object.values(byBase).forEach(group => {
+    const sorted = [...group].sort((a, b) => b.purity - a.purity);
+    for (let i = 1; i < sorted.length; i++) {
+      const higher = sorted[i - 1];
+      const lower = sorted[i];
+      if (lower.purity < higher.purity && ratePerGram(lower) > ratePerGram(higher)) {
+        issues.push(`${describe(lower)} is priced above the purer ${describe(higher)}`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+export default {
+  DEFAULT_RATE_DERIVATION_SETTINGS,
+  normalizeRateDerivationSettings,
+  deriveMetalRates,
+  checkRateConsistency
+};
@@ -0,0 +1,255 @@
+/**
+ * Rate Feed Service
+ * Fetches metal rates from the configured provider, validates them the same way as a manual save
+ * and either applies them or stages them for staff approval
+ * The staged rates and last fetch are kept in app settings (rateFeedState) so they survive restarts
+ */
+
+import { getPriceCalculator, getShopifyAPI, updatePriceCalculatorSettings } from '../middleware/calculatorInit.js';
+import { applyMetalRates, buildMetalRates } from './metalRateService.js';
+import { createRateProvider, DEFAULT_RATE_FEED_SETTINGS } from './rateProviders/index.js';
+import { getPriceRefreshSettings } from './refreshJobManager.js';
+import { log } from './logger.js';
+
+// How often the feed interval is checked
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let checkTimer = null;
+let fetching = false;
+
+/**
+ * Rate feed settings with defaults
+ * @param {Object} settings - App settings
+ * @returns {Object} Rate feed settings
+ */
+export function getRateFeedSettings(settings) {
+  return { ...DEFAULT_RATE_FEED_SETTINGS, ...(settings?.rateFeed || {}) };
+}
+
+/**
+ * Staged rates and last fetch
+ * @param {Object} settings - App settings
+ * @returns {Object} { staged, lastRun }
+ */
+export function getRateFeedState(settings) {
+  return { staged: null, lastRun: null, ...(settings?.rateFeedState || {}) };
+}
+
+/**
+ * Save the feed state to app settings and the running calculator
+ */
+async function saveRateFeedState(state) {
+  const shopifyAPI = getShopifyAPI();
+  const settings = await shopifyAPI.updateAppSettings({ rateFeedState: state });
+  updatePriceCalculatorSettings(settings);
+  return state;
+}
+
+/**
+ * Turn fetched rates into a complete set of rates to save
+ * Metals the feed doesn't quote keep their current rate, or are derived from a quoted base metal
+ * @returns {Object} Proposal ({ rates, changes, issues, alerts, ... })
+ * @throws {Error} When the rates are incomplete or invalid
+ */
+function buildProposal(priceCalculator, feedSettings, fetched) {
+  const catalog = priceCalculator.getMetalCatalog();
+  const currentRates = priceCalculator.getMetalRates();
+
+  if (Object.keys(fetched.rates).length === 0) {
+    throw new Error(`The feed had no rates for the catalog metals${fetched.warnings.length > 0 ? ` (${fetched.warnings.join('; ')})` : ''}`);
+  }
+
+  let body;
+  if (priceCalculator.getRateDerivationSettings().enabled) {
+    // Quoted karat rates are used as overrides of the derived value
+    const overrides = {};
+    body = { derive: true, overrides };
+    catalog.forEach(metal => {
+      if (metal.baseMetal) {
+        if (fetched.rates[metal.key] !== undefined) {
+          overrides[metal.key] = fetched.rates[metal.key];
+        }
+      } else {
+        body[metal.key] = fetched.rates[metal.key] ?? currentRates[metal.key];
+      }
+    });
+  } else {
+    body = { ...currentRates, ...fetched.rates, derive: false };
+  }
+
+  const { rates, issues } = buildMetalRates(priceCalculator, body);
+
+  // Moves beyond the limit always wait for approval, even in auto mode
+  const changes = [];
+  const alerts = [];
+  catalog.filter(metal => rates[metal.key] !== undefined).forEach(metal => {
+    const current = parseFloat(currentRates[metal.key]) || 0;
+    const proposed = rates[metal.key];
+    const percent = current > 0 ? Math.round(((proposed - current) / current) * 10000) / 100 : null;
+    changes.push({ key: metal.key, label: metal.label, current, proposed, percent, quoted: fetched.rates[metal.key] !== undefined });
+    if (percent !== null && Math.abs(percent) > feedSettings.maxChangePercent) {
+      alerts.push(`${metal.label} moves ${percent}% (${current} → ${proposed}), more than the ${feedSettings.maxChangePercent}% limit`);
+    }
+  });
+
+  return {
+    fetchedAt: new Date().toISOString(),
+    asOf: fetched.asOf,
+    provider: feedSettings.provider,
+    source: feedSettings.source,
+    rates,
+    changes,
+    quotes: fetched.quotes,
+    warnings: fetched.warnings,
+    alerts,
+    issues
+  };
+}
+
+/**
+ * Fetch rates from the configured feed and apply or stage them
+ * @param {Object} options - { trigger: 'manual' | 'interval', author }
+ * @returns {Promise<Object>} { outcome: 'applied' | 'staged', proposal, historyError, refreshJobId }
+ * @throws {Error} When the feed can't be read or its rates are invalid
+ */
+export async function runRateFeed(options = {}) {
+  const { trigger = 'manual', author = '' } = options;
+
+  const priceCalculator = getPriceCalculator();
+  const feedSettings = getRateFeedSettings(priceCalculator.settings);
+  const state = getRateFeedState(priceCalculator.settings);
+  const lastRun = { at: new Date().toISOString(), trigger, provider: feedSettings.provider };
+
+  if (fetching) {
+    throw new Error('A rate feed fetch is already running');
+  }
+  fetching = true;
+
+  try {
+    const provider = createRateProvider(feedSettings);
+    const fetched = await provider.fetchRates(priceCalculator.getMetalCatalog());
+    const proposal = buildProposal(priceCalculator, feedSettings, fetched);
+
+    const canApply = proposal.issues.length === 0 && proposal.alerts.length === 0;
+    if (feedSettings.mode === 'auto' && canApply) {
+      const { historyError, refreshJobId } = await applyMetalRates(proposal.rates, {
+        author: author || 'rate feed',
+        source: `feed:${feedSettings.provider}`,
+        autoRefresh: getPriceRefreshSettings(priceCalculator.settings).autoRefreshOnRateUpdate
+      });
+      await saveRateFeedState({ staged: null, lastRun: { ...lastRun, outcome: 'applied' } });
+      log.info('Rate feed applied', { provider: feedSettings.provider, trigger, rates: proposal.rates, refreshJobId });
+      return { outcome: 'applied', proposal, historyError, refreshJobId };
+    }
+
+    // A newer fetch replaces rates still waiting for approval
+    await saveRateFeedState({ ...state, staged: proposal, lastRun: { ...lastRun, outcome: 'staged' } });
+    log.info('Rate feed staged for approval', { provider: feedSettings.provider, trigger, alerts: proposal.alerts, issues: proposal.issues });
+    return { outcome: 'staged', proposal };
+  } catch (error) {
+    log.error('Rate feed fetch failed', { provider: feedSettings.provider, trigger, error: error.message });
+    try {
+      await saveRateFeedState({ ...state, lastRun: { ...lastRun, outcome: 'failed', error: error.message } });
+    } catch (stateError) {
+      log.error('Error saving rate feed state', { error: stateError.message });
+    }
+    throw error;
+  } finally {
+    fetching = false;
+  }
+}
+
+/**
+ * Apply the staged feed rates
+ * They are validated again, since the catalog or rates may have changed since the fetch
+ * @param {string} author - Staff member approving
+ * @returns {Promise<Object>} { status: 'none' | 'invalid' | 'applied', issues, rates, historyError, refreshJobId }
+ */
+export async function approveStagedRates(author = '') {
+  const priceCalculator = getPriceCalculator();
+  const state = getRateFeedState(priceCalculator.settings);
+  if (!state.staged) {
+    return { status: 'none' };
+  }
+
+  let rates;
+  try {
+    const result = buildMetalRates(priceCalculator, { ...state.staged.rates, derive: false });
+    if (result.issues.length > 0) {
+      return { status: 'invalid', issues: result.issues };
+    }
+    rates = result.rates;
+  } catch (validationError) {
+    return { status: 'invalid', issues: [validationError.message] };
+  }
+
+  const { historyError, refreshJobId } = await applyMetalRates(rates, {
+    author,
+    source: `feed:${state.staged.provider}`,
+    autoRefresh: getPriceRefreshSettings(priceCalculator.settings).autoRefreshOnRateUpdate
+  });
+  await saveRateFeedState({ ...state, staged: null });
+
+  return { status: 'applied', rates, historyError, refreshJobId };
+}
+
+/**
+ * Discard the staged feed rates
+ * @returns {Promise<boolean>} False when nothing was staged
+ */
+export async function rejectStagedRates() {
+  const priceCalculator = getPriceCalculator();
+  const state = getRateFeedState(priceCalculator.settings);
+  if (!state.staged) {
+    return false;
+  }
+
+  await saveRateFeedState({ ...state, staged: null });
+  return true;
+}
+
+/**
+ * Fetch from the feed on its interval (rate feed settings: enabled, intervalMinutes)
+ */
+export function startRateFeed() {
+  if (checkTimer) return;
+
+  checkTimer = setInterval(() => {
+    let settings;
+    try {
+      settings = getPriceCalculator().settings;
+    } catch (error) {
+      return; // Calculator not initialized yet
+    }
+
+    const feedSettings = getRateFeedSettings(settings);
+    const { lastRun } = getRateFeedState(settings);
+    if (!feedSettings.enabled || feedSettings.intervalMinutes <= 0 || fetching) return;
+
+    const sinceLastRun = lastRun ? Date.now() - new Date(lastRun.at).getTime() : Infinity;
+    if (sinceLastRun < feedSettings.intervalMinutes * 60 * 1000) return;
+
+    // Failures are logged and recorded as the last run
+    runRateFeed({ trigger: 'interval' }).catch(() => {});
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop fetching on the interval
+ */
+export function stopRateFeed() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+export default {
+  getRateFeedSettings,
+  getRateFeedState,
+  runRateFeed,
+  approveStagedRates,
+  rejectStagedRates,
+  startRateFeed,
+  stopRateFeed
+};
@@ -0,0 +1,39 @@
+/**
+ * CSV Rate Provider
+ * Reads a CSV (file or HTTP) with one quote per row:
+ *   metal,rate,unit
+ *   gold24kt,70000,10g
+ *   silver,82,g
+ * The unit column is optional and defaults to the feed's unit setting
+ */
+
+import { RateProvider } from './rateProvider.js';
+import { parseCsv } from '../csv.js';
+
+export class CsvFileProvider extends RateProvider {
+  parse(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error('Rate feed CSV is empty');
+    }
+
+    const columns = header.map(column => column.toLowerCase());
+    const metalIndex = columns.indexOf('metal');
+    const rateIndex = columns.indexOf('rate');
+    const unitIndex = columns.indexOf('unit');
+    if (metalIndex === -1 || rateIndex === -1) {
+      throw new Error('Rate feed CSV needs "metal" and "rate" columns');
+    }
+
+    const quotes = rows.map(row => ({
+      name: row[metalIndex],
+      // Allow thousands separators (70,000) in quoted cells
+      rate: (row[rateIndex] || '').replace(/,/g, ''),
+      unit: unitIndex !== -1 && row[unitIndex] ? row[unitIndex] : undefined
+    }));
+
+    return { quotes, asOf: null };
+  }
+}
+
+export default CsvFileProvider;
@@ -0,0 +1,69 @@
+/**
+ * IBJA Bulletin Rate Provider
+ * Reads an IBJA-style daily bulletin (text, file or HTTP) with AM and PM sessions:
+ *   Date: 15/03/2024
+ *   Purity        AM       PM
+ *   Gold 999    65,123   65,410
+ *   Gold 916    59,653   59,916
+ *   Silver 999  74,210
+ * Gold is quoted per 10 grams and silver per kg; a blank PM column means the PM rate isn't out yet
+ */
+
+import { RateProvider } from './rateProvider.js';
+
+export const IBJA_SESSIONS = ['latest', 'AM', 'PM'];
+
+// Bulletin rows matched to the default catalog metals
+const DEFAULT_IBJA_MAPPING = {
+  gold24kt: 'Gold 999',
+  gold22kt: 'Gold 916',
+  gold18kt: 'Gold 750',
+  gold14kt: 'Gold 585',
+  silver: 'Silver 999'
+};
+
+const ROW_PATTERN = /^\s*(gold|silver|platinum)\s+(\d{3})\s+([\d,]+(?:\.\d+)?)(?:\s+([\d,]+(?:\.\d+)?))?\s*$/i;
+const DATE_PATTERN = /date\s*[:-]?\s*(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/i;
+
+export class IbjaBulletinProvider extends RateProvider {
+  getDefaultMapping() {
+    return { ...DEFAULT_IBJA_MAPPING };
+  }
+
+  parse(text) {
+    const session = this.config.session || 'latest';
+    const quotes = [];
+    let asOf = null;
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+      const dateMatch = line.match(DATE_PATTERN);
+      if (dateMatch && !asOf) {
+        const [, day, month, year] = dateMatch;
+        asOf = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        return;
+      }
+
+      const match = line.match(ROW_PATTERN);
+      if (!match) return;
+
+      const [, metal, purity, am, pm] = match;
+      const rate = session === 'AM' ? am : session === 'PM' ? pm : (pm || am);
+      if (!rate) return;
+
+      const metalName = metal.charAt(0).toUpperCase() + metal.slice(1).toLowerCase();
+      quotes.push({
+        name: `${metalName} ${purity}`,
+        rate: rate.replace(/,/g, ''),
+        unit: metalName === 'Silver' ? 'kg' : '10g'
+      });
+    });
+
+    if (quotes.length === 0) {
+      throw new Error(`No ${session === 'latest' ? '' : session + ' '}rates found in the IBJA bulletin`);
+    }
+
+    return { quotes, asOf };
+  }
+}
+
+export default IbjaBulletinProvider;
@@ -0,0 +1,110 @@
+/**
+ * Rate Providers
+ * Registry of metal rate feed adapters and the rate feed settings (app_settings.rateFeed)
+ */
+
+import { METAL_UNITS } from '../metalCatalog.js';
+import { JsonHttpProvider } from './jsonHttpProvider.js';
+import { CsvFileProvider } from './csvFileProvider.js';
+import { IbjaBulletinProvider, IBJA_SESSIONS } from './ibjaBulletinProvider.js';
+
+export const RATE_PROVIDERS = [
+  { key: 'jsonHttp', label: 'JSON (HTTP or file)', ProviderClass: JsonHttpProvider },
+  { key: 'csvFile', label: 'CSV (file or HTTP)', ProviderClass: CsvFileProvider },
+  { key: 'ibja', label: 'IBJA AM/PM bulletin', ProviderClass: IbjaBulletinProvider }
+];
+
+// auto: apply fetched rates straight away when they pass validation; approval: stage them for staff
+export const RATE_FEED_MODES = ['approval', 'auto'];
+
+export const DEFAULT_RATE_FEED_SETTINGS = {
+  enabled: false,
+  provider: 'jsonHttp',
+  source: '', // https://..., file:///..., or a path on the server
+  unit: 'g', // Unit of quotes that don't state one
+  session: 'latest', // IBJA: AM, PM or latest
+  mapping: {}, // { metalKey: source name / JSON path } - blank uses the provider default
+  mode: 'approval',
+  intervalMinutes: 0, // 0 = only when fetched from the dashboard
+  maxChangePercent: 10 // Larger moves from the current rate are always staged
+};
+
+/**
+ * Create the provider for rate feed settings
+ * @param {Object} settings - Rate feed settings
+ * @returns {RateProvider} Provider instance
+ * @throws {Error} When the provider is unknown
+ */
+export function createRateProvider(settings) {
+  const provider = RATE_PROVIDERS.find(p => p.key === settings?.provider);
+  if (!provider) {
+    throw new Error(`Unknown rate provider "${settings?.provider}"`);
+  }
+  return new provider.ProviderClass(settings);
+}
+
+/**
+ * Validate rate feed settings from a request
+ * @param {Object} input - Rate feed settings from the client
+ * @returns {Object} Normalized settings
+ * @throws {Error} When a value is invalid
+ */
+export function normalizeRateFeedSettings(input = {}) {
+  const settings = { ...DEFAULT_RATE_FEED_SETTINGS, ...input };
+
+  if (!RATE_PROVIDERS.some(p => p.key === settings.provider)) {
+    throw new Error(`Unknown rate provider "${settings.provider}"`);
+  }
+  if (!METAL_UNITS.some(u => u.key === settings.unit)) {
+    throw new Error(`Invalid rate feed unit "${settings.unit}"`);
+  }
+  if (!IBJA_SESSIONS.includes(settings.session)) {
+    throw new Error(`Invalid IBJA session "${settings.session}" (use ${IBJA_SESSIONS.join(', ')})`);
+  }
+  if (!RATE_FEED_MODES.includes(settings.mode)) {
+    throw new Error(`Invalid rate feed mode "${settings.mode}" (use ${RATE_FEED_MODES.join(' or ')})`);
+  }
+
+  const source = String(settings.source || '').trim();
+  if (settings.enabled && !source) {
+    throw new Error('Rate feed source is required');
+  }
+
+  const intervalMinutes = parseInt(settings.intervalMinutes) || 0;
+  if (intervalMinutes < 0) {
+    throw new Error('Rate feed interval must be 0 (manual) or more minutes');
+  }
+
+  const maxChangePercent = parseFloat(settings.maxChangePercent);
+  if (isNaN(maxChangePercent) || maxChangePercent <= 0) {
+    throw new Error('Maximum rate change must be a positive percentage');
+  }
+
+  const mapping = {};
+  Object.entries(settings.mapping || {}).forEach(([metalKey, sourceName]) => {
+    const name = String(sourceName || '').trim();
+    if (name) {
+      mapping[metalKey] = name;
+    }
+  });
+
+  return {
+    enabled: settings.enabled === true,
+    provider: settings.provider,
+    source,
+    unit: settings.unit,
+    session: settings.session,
+    mapping,
+    mode: settings.mode,
+    intervalMinutes,
+    maxChangePercent
+  };
+}
+
+export default {
+  RATE_PROVIDERS,
+  RATE_FEED_MODES,
+  DEFAULT_RATE_FEED_SETTINGS,
+  createRateProvider,
+  normalizeRateFeedSettings
+};
@@ -0,0 +1,52 @@
+/**
+ * JSON Rate Provider
+ * Reads JSON from an HTTP endpoint (or a local file) in either shape:
+ *   - a list of quotes: [{ "metal": "gold22kt", "rate": 6500, "unit": "g" }] (at the root or under "rates")
+ *   - nested values matched by dot path: { "gold": { "24k": 7000 } } with mapping { "gold24kt": "gold.24k" }
+ * A root "timestamp", "asOf" or "date" string is used as the quote time
+ */
+
+import { RateProvider } from './rateProvider.js';
+
+/**
+ * Numeric leaves of a JSON value keyed by dot path ("gold.24k")
+ */
+function flattenNumbers(value, prefix = '', result = []) {
+  if (value === null || value === undefined) return result;
+
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      flattenNumbers(child, prefix ? `${prefix}.${key}` : key, result);
+    });
+  } else if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))) {
+    result.push({ name: prefix, rate: parseFloat(value) });
+  }
+
+  return result;
+}
+
+export class JsonHttpProvider extends RateProvider {
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Rate feed is not valid JSON: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : Array.isArray(data?.rates) ? data.rates : null;
+    const quotes = list
+      ? list.map(item => ({
+        name: item.metal ?? item.key ?? item.name,
+        rate: item.rate ?? item.price,
+        unit: item.unit
+      })).filter(quote => quote.name !== undefined)
+      : flattenNumbers(data);
+
+    const asOf = Array.isArray(data) ? null : (data?.timestamp || data?.asOf || data?.date || null);
+
+    return { quotes, asOf };
+  }
+}
+
+export default JsonHttpProvider;
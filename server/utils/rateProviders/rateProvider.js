@@ -0,0 +1,129 @@
+/**
+ * Rate Provider Base Class
+ * A provider reads a rate source (HTTP URL, file:// URL or local path), parses it into quotes
+ * and normalizes the quotes to rates for the metal catalog keys
+ */
+
+import fetch from 'node-fetch';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { METAL_UNITS, toRatePerGram, fromRatePerGram } from '../metalCatalog.js';
+
+// Sources slower than this are treated as down
+const FETCH_TIMEOUT_MS = 15000;
+
+export class RateProvider {
+  /**
+   * @param {Object} config - Rate feed settings ({ source, unit, mapping, ... })
+   */
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Source names matched to catalog keys when the mapping leaves a metal blank
+   * By default a feed uses the catalog keys themselves (gold22kt, silver, ...)
+   * @param {Array} catalog - Metal catalog
+   * @returns {Object} { metalKey: sourceName }
+   */
+  getDefaultMapping(catalog) {
+    return Object.fromEntries(catalog.map(metal => [metal.key, metal.key]));
+  }
+
+  /**
+   * Read the raw source text
+   * http(s):// is fetched; file:// and plain paths are read from disk (handy for testing)
+   * @returns {Promise<string>} Source text
+   */
+  async readSource() {
+    const source = String(this.config.source || '').trim();
+    if (!source) {
+      throw new Error('Rate feed source is not configured');
+    }
+
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`Rate feed returned HTTP ${response.status}`);
+      }
+      return response.text();
+    }
+
+    const path = source.startsWith('file://') ? fileURLToPath(source) : source;
+    return readFile(path, 'utf8');
+  }
+
+  /**
+   * Parse source text into quotes
+   * Implemented by each provider
+   * @param {string} text - Source text
+   * @returns {Object} { quotes: [{ name, rate, unit }], asOf }
+   */
+  parse(text) {
+    throw new Error(`${this.constructor.name} does not implement parse()`);
+  }
+
+  /**
+   * Match quotes to catalog metals and convert them to each metal's unit
+   * @param {Array} quotes - Parsed quotes
+   * @param {Array} catalog - Metal catalog
+   * @returns {Object} { rates, quotes: [{ metalKey, name, rate, unit, ratePerGram }], warnings }
+   */
+  normalize(quotes, catalog) {
+    const mapping = { ...this.getDefaultMapping(catalog) };
+    Object.entries(this.config.mapping || {}).forEach(([metalKey, sourceName]) => {
+      if (String(sourceName || '').trim()) {
+        mapping[metalKey] = sourceName;
+      }
+    });
+    const byName = new Map(quotes.map(quote => [String(quote.name).trim().toLowerCase(), quote]));
+    const rates = {};
+    const matched = [];
+    const warnings = [];
+
+    catalog.filter(metal => metal.active !== false).forEach(metal => {
+      const sourceName = String(mapping[metal.key] || '').trim();
+      if (!sourceName) return;
+
+      const quote = byName.get(sourceName.toLowerCase());
+      if (!quote) {
+        warnings.push(`${metal.label}: "${sourceName}" not found in the feed`);
+        return;
+      }
+
+      const rate = parseFloat(quote.rate);
+      if (!isFinite(rate) || rate <= 0) {
+        warnings.push(`${metal.label}: "${sourceName}" has no valid rate (${quote.rate})`);
+        return;
+      }
+
+      const unit = quote.unit || this.config.unit || 'g';
+      if (!METAL_UNITS.some(u => u.key === unit)) {
+        warnings.push(`${metal.label}: unknown unit "${unit}"`);
+        return;
+      }
+
+      const ratePerGram = toRatePerGram(rate, unit);
+      rates[metal.key] = Math.round(fromRatePerGram(ratePerGram, metal.unit) * 100) / 100;
+      matched.push({ metalKey: metal.key, name: quote.name, rate, unit, ratePerGram: Math.round(ratePerGram * 100) / 100 });
+    });
+
+    return { rates, quotes: matched, warnings };
+  }
+
+  /**
+   * Fetch, parse and normalize
+   * @param {Array} catalog - Metal catalog
+   * @returns {Promise<Object>} { rates, quotes, warnings, asOf }
+   */
+  async fetchRates(catalog) {
+    const text = await this.readSource();
+    const { quotes, asOf } = this.parse(text);
+    return {
+      ...this.normalize(quotes, catalog),
+      asOf: asOf || new Date().toISOString()
+    };
+  }
+}
+
+export default RateProvider;
@@ -0,0 +1,177 @@
+/**
+ * Metal Rate Scheduler
+ * Applies scheduled metal rate changes when they take effect
+ * Schedules are stored in the metal_rate_schedule metaobject, so pending ones survive a restart
+ */
+
+import { getShopifyAPI } from '../middleware/calculatorInit.js';
+import { applyMetalRates } from './metalRateService.js';
+import { log } from './logger.js';
+
+// How often pending schedules are checked
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+let pendingSchedules = [];
+let pendingLoaded = false;
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Load pending schedules from Shopify
+ */
+async function loadPendingSchedules() {
+  const shopifyAPI = getShopifyAPI();
+  const schedules = await shopifyAPI.getMetalRateSchedules();
+  pendingSchedules = schedules.filter(schedule => schedule.status === 'pending');
+  pendingLoaded = true;
+}
+
+/**
+ * Apply one due schedule and record the outcome on it
+ */
+async function applySchedule(schedule) {
+  const shopifyAPI = getShopifyAPI();
+
+  try {
+    // Recorded in the rate history at the scheduled time, even if applied late (e.g. after a restart)
+    const { historyError, refreshJobId } = await applyMetalRates(schedule.rates, {
+      author: schedule.author,
+      source: 'schedule',
+      effectiveAt: schedule.effectiveAt,
+      autoRefresh: schedule.autoRefresh
+    });
+
+    const result = { appliedAt: new Date().toISOString() };
+    if (historyError) {
+      result.historyError = historyError;
+    }
+    if (refreshJobId) {
+      result.refreshJobId = refreshJobId;
+    }
+
+    await shopifyAPI.updateMetalRateScheduleStatus(schedule.id, 'applied', result);
+    log.info('Scheduled metal rates applied', { scheduleId: schedule.id, effectiveAt: schedule.effectiveAt, ...result });
+  } catch (error) {
+    log.error('Error applying scheduled metal rates', { scheduleId: schedule.id, error: error.message });
+    try {
+      await shopifyAPI.updateMetalRateScheduleStatus(schedule.id, 'failed', {
+        failedAt: new Date().toISOString(),
+        error: error.message
+      });
+    } catch (statusError) {
+      log.error('Error marking metal rate schedule as failed', { scheduleId: schedule.id, error: statusError.message });
+    }
+  }
+}
+
+/**
+ * Apply every pending schedule whose effective time has passed, oldest first
+ * A later schedule's rates win over an earlier one's when both are due
+ */
+export async function applyDueSchedules() {
+  if (checking) return;
+  checking = true;
+
+  try {
+    // Retry loading when Shopify wasn't reachable at startup
+    if (!pendingLoaded) {
+      await loadPendingSchedules();
+    }
+
+    const now = Date.now();
+    const due = pendingSchedules
+      .filter(schedule => new Date(schedule.effectiveAt).getTime() <= now)
+      .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+
+    for (const schedule of due) {
+      pendingSchedules = pendingSchedules.filter(pending => pending.id !== schedule.id);
+      await applySchedule(schedule);
+    }
+  } catch (error) {
+    log.error('Error checking metal rate schedules', { error: error.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start checking for due schedules
+ * Schedules that came due while the server was down are applied straight away
+ */
+export async function startRateScheduler() {
+  if (checkTimer) return;
+
+  checkTimer = setInterval(() => {
+    applyDueSchedules();
+  }, CHECK_INTERVAL_MS);
+
+  await applyDueSchedules();
+  log.info('Metal rate scheduler started', { pending: pendingSchedules.length });
+}
+
+/**
+ * Stop checking for due schedules
+ */
+export function stopRateScheduler() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+/**
+ * Schedule a set of metal rates to take effect later
+ * @param {Object} schedule - { rates, effectiveAt, author, autoRefresh }
+ * @returns {Promise<Object>} Created schedule
+ */
+export async function scheduleMetalRates(schedule) {
+  const shopifyAPI = getShopifyAPI();
+  const created = await shopifyAPI.createMetalRateSchedule(schedule);
+  pendingSchedules.push(created);
+  return created;
+}
+
+/**
+ * All schedules, soonest first
+ * @param {string} status - Only schedules with this status (optional)
+ * @returns {Promise<Array>} Schedules
+ */
+export async function listRateSchedules(status = null) {
+  const shopifyAPI = getShopifyAPI();
+  const schedules = await shopifyAPI.getMetalRateSchedules();
+  return schedules
+    .filter(schedule => !status || schedule.status === status)
+    .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+}
+
+/**
+ * Cancel a pending schedule
+ * @param {string} id - Schedule ID
+ * @param {string} author - Who cancelled it
+ * @returns {Promise<boolean>} False when the schedule isn't pending (already applied, cancelled or unknown)
+ */
+export async function cancelRateSchedule(id, author = '') {
+  if (!pendingLoaded) {
+    await loadPendingSchedules();
+  }
+  if (!pendingSchedules.some(schedule => schedule.id === id)) {
+    return false;
+  }
+
+  const shopifyAPI = getShopifyAPI();
+  await shopifyAPI.updateMetalRateScheduleStatus(id, 'cancelled', {
+    cancelledAt: new Date().toISOString(),
+    cancelledBy: author
+  });
+  pendingSchedules = pendingSchedules.filter(schedule => schedule.id !== id);
+  return true;
+}
+
+export default {
+  applyDueSchedules,
+  startRateScheduler,
+  stopRateScheduler,
+  scheduleMetalRates,
+  listRateSchedules,
+  cancelRateSchedule
+};
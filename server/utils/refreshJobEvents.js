@@ -0,0 +1,100 @@
+/**
+ * Refresh Job Events
+ * Live events of refresh and rollback jobs, streamed to the progress modal over Server-Sent Events:
+ *   status   - the job started, was asked to stop, or moved up the price job queue (changed job fields)
+ *   progress - a batch finished or a bulk operation moved on (counts, progress, eta, phase)
+ *   product  - a product was repriced, held or failed
+ *   warning  - something slowed the job down, such as Shopify throttling
+ *   done     - the run ended: completed, paused, cancelled or failed
+ * The latest events of each job are kept so a client that reconnects (Last-Event-ID) gets the ones it missed
+ */
+
+// Events kept per job for clients that reconnect
+const MAX_BUFFERED_EVENTS = 200;
+
+/**
+ * Listeners and recent events by job ID
+ */
+const listeners = new Map();
+const buffers = new Map();
+
+/**
+ * Send an event to everyone following a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - 'status' | 'progress' | 'product' | 'warning' | 'done'
+ * @param {Object} data - Event data
+ */
+export function emitRefreshJobEvent(jobId, type, data = {}) {
+  const buffer = buffers.get(jobId) || { nextId: 1, events: [] };
+  const event = { id: buffer.nextId++, type, data };
+  buffer.events.push(event);
+  if (buffer.events.length > MAX_BUFFERED_EVENTS) {
+    buffer.events.shift();
+  }
+  buffers.set(jobId, buffer);
+
+  listeners.get(jobId)?.forEach(listener => listener(event));
+}
+
+/**
+ * Follow a job's events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each event ({ id, type, data })
+ * @param {Object} options - { after }: also replay the kept events with a higher ID
+ * @returns {Function} Stops following
+ */
+export function subscribeRefreshJobEvents(jobId, listener, { after = null } = {}) {
+  if (after !== null) {
+    (buffers.get(jobId)?.events || [])
+      .filter(event => event.id > after)
+      .forEach(event => listener(event));
+  }
+
+  if (!listeners.has(jobId)) {
+    listeners.set(jobId, new Set());
+  }
+  listeners.get(jobId).add(listener);
+
+  return () => {
+    const jobListeners = listeners.get(jobId);
+    jobListeners?.delete(listener);
+    if (jobListeners?.size === 0) {
+      listeners.delete(jobId);
+    }
+  };
+}
+
+/**
+ * Forget the kept events of a job (when the job is removed)
+ * @param {string} jobId - Job ID
+ */
+export function clearRefreshJobEvents(jobId) {
+  buffers.delete(jobId);
+}
+
+/**
+ * What the live log shows for a product result
+ * @param {Object} update - Refresh or rollback result
+ * @returns {Object} { productId, productTitle, sku, success, held, changedSince, error, oldPrice, newPrice, variantCount }
+ */
+export function summarizeProductResult(update) {
+  return {
+    productId: update.productId,
+    productTitle: update.productTitle,
+    sku: update.sku || '',
+    success: update.success === true,
+    held: update.held === true,
+    changedSince: update.changedSince === true,
+    error: update.error || null,
+    oldPrice: update.oldPrice ?? null,
+    newPrice: update.newPrice ?? null,
+    variantCount: update.variants?.length || 0
+  };
+}
+
+export default {
+  emitRefreshJobEvent,
+  subscribeRefreshJobEvents,
+  clearRefreshJobEvents,
+  summarizeProductResult
+};
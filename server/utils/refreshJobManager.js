@@ -0,0 +1,1263 @@
+/**
+ * Refresh Job Manager
+ * Runs "Refresh Prices" jobs in the background and tracks their progress,
+ * for the refresh endpoints and after metal rate changes
+ * Rollback jobs, which put back the prices a refresh job wrote, are tracked the same way
+ * Jobs run through the price job coordinator, one at a time with the other jobs that write prices,
+ * and report their progress as they go through refreshJobEvents
+ */
+
+import { getPriceCalculator, getShopifyAPI, updatePriceCalculatorSettings } from '../middleware/calculatorInit.js';
+import { buildRefreshSnapshot, diffRefreshSnapshots, isProductAffected } from './refreshSnapshot.js';
+import { matchesRefreshScope, describeRefreshScope } from './refreshScope.js';
+import { buildPriceDiffReport } from './priceDiffReport.js';
+import { getPriceGuardrailSettings } from './priceGuardrails.js';
+import { holdPrices, releaseHeldPrices, getHeldPrices, takeHeldPrices, restoreHeldPrices } from './priceApprovals.js';
+import { getRollbackEntries, checkRollback, canRestoreDiscount } from './priceRollback.js';
+import { MAX_STORED_JOBS, saveRefreshJob, appendRefreshResults, loadRefreshJobs, deleteStoredRefreshJob, loadHeldPrices } from './refreshJobStore.js';
+import { enqueuePriceJob, findPriceJob, removePriceJob, getQueuePosition, onPriceJobQueueChange } from './jobCoordinator.js';
+import { emitRefreshJobEvent, clearRefreshJobEvents, summarizeProductResult } from './refreshJobEvents.js';
+import { log } from './logger.js';
+
+// Products whose current prices are fetched at once during a rollback
+const ROLLBACK_BATCH_SIZE = 25;
+
+export const DEFAULT_PRICE_REFRESH_SETTINGS = {
+  autoRefreshOnRateUpdate: false, // Start a refresh job whenever new metal rates are saved
+  useBulkOperations: false // Read and write the catalog with Shopify bulk operations (for large catalogs)
+};
+
+/**
+ * Validate price refresh settings from a request
+ * @param {Object} input - Price refresh settings from the client
+ * @returns {Object} Normalized settings
+ */
+export function normalizePriceRefreshSettings(input = {}) {
+  return {
+    autoRefreshOnRateUpdate: input.autoRefreshOnRateUpdate === true,
+    useBulkOperations: input.useBulkOperations === true
+  };
+}
+
+/**
+ * Price refresh settings with defaults
+ * @param {Object} settings - App settings
+ * @returns {Object} Price refresh settings
+ */
+export function getPriceRefreshSettings(settings) {
+  return { ...DEFAULT_PRICE_REFRESH_SETTINGS, ...(settings?.priceRefresh || {}) };
+}
+
+/**
+ * Inputs of the last completed refresh and products still waiting to be repriced
+ * @param {Object} settings - App settings
+ * @returns {Object} { lastApplied, pendingProductIds }
+ */
+export function getPriceRefreshState(settings) {
+  return { lastApplied: null, pendingProductIds: [], ...(settings?.priceRefreshState || {}) };
+}
+
+/**
+ * Save the refresh state to app settings and the running calculator
+ */
+async function savePriceRefreshState(shopifyAPI, state) {
+  const settings = await shopifyAPI.updateAppSettings({ priceRefreshState: state });
+  updatePriceCalculatorSettings(settings);
+  return state;
+}
+
+/**
+ * Pick the products to reprice
+ * A scoped refresh reprices every product in the scope. Otherwise only the products affected by what
+ * changed since the last completed refresh are repriced, plus products that failed or were held then
+ * @param {Object} snapshot - Inputs of this refresh (buildRefreshSnapshot)
+ * @param {Object} options - { full, scope }
+ * @returns {Object} { products, mode, diff }
+ */
+function selectProductsToRefresh(allProducts, snapshot, settings, options = {}) {
+  if (options.scope) {
+    return {
+      products: allProducts.filter(product => matchesRefreshScope(product, options.scope)),
+      mode: 'scoped',
+      diff: { full: false, reason: describeRefreshScope(options.scope), changedMetals: [], stonesChanged: false }
+    };
+  }
+
+  const state = getPriceRefreshState(settings);
+  const diff = options.full
+    ? { full: true, reason: 'Full refresh requested', changedMetals: [], stonesChanged: false }
+    : diffRefreshSnapshots(state.lastApplied, snapshot);
+
+  const pendingIds = new Set(state.pendingProductIds || []);
+  const products = allProducts.filter(product => pendingIds.has(product.id) || isProductAffected(product, diff));
+
+  return { products, mode: diff.full ? 'full' : 'incremental', diff };
+}
+
+/**
+ * Job store for refresh price jobs: in memory, and saved to disk (refreshJobStore) so jobs survive a restart
+ */
+const refreshJobs = new Map();
+
+// Waiting jobs move up the queue as the jobs ahead of them finish
+onPriceJobQueueChange(queue => {
+  queue.queued
+    .filter(entry => refreshJobs.has(entry.id))
+    .forEach(entry => emitRefreshJobEvent(entry.id, 'status', {
+      status: 'queued',
+      queuePosition: entry.position,
+      waitingFor: queue.running
+    }));
+});
+
+/**
+ * Generate unique job ID
+ */
+function generateJobId() {
+  return `refresh-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Save a job to disk; a failed write is logged and the job carries on
+ * @param {Object} job - Job entry
+ * @returns {Promise<void>}
+ */
+export function persistRefreshJob(job) {
+  return saveRefreshJob(job).catch(error => {
+    log.error('Error saving refresh job', { jobId: job.id, error: error.message }, job.id);
+  });
+}
+
+/**
+ * The counts a progress event carries
+ */
+function progressEventData(job) {
+  return {
+    processed: job.processed,
+    total: job.total,
+    progress: job.progress,
+    successCount: job.successCount,
+    failCount: job.failCount,
+    heldCount: job.heldCount,
+    changedSinceCount: job.changedSinceCount,
+    eta: job.eta,
+    phase: job.phase
+  };
+}
+
+/**
+ * Tell the job's followers that it started (or resumed)
+ */
+function emitJobStarted(job) {
+  emitRefreshJobEvent(job.id, 'status', {
+    status: job.status,
+    startedAt: job.startedAt,
+    resumedAt: job.resumedAt,
+    resumeCount: job.resumeCount,
+    queuePosition: null,
+    waitingFor: null
+  });
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_STORED_JOBS, from memory and disk
+ * Paused jobs are kept until they are resumed or cancelled, and so is any job a kept rollback or retry
+ * (rollbackOf, retryOf) still reads its results from
+ */
+function pruneRefreshJobs() {
+  const finished = [...refreshJobs.values()]
+    .filter(job => !['queued', 'processing', 'paused'].includes(job.status))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const pruned = new Set(finished.slice(MAX_STORED_JOBS).map(job => job.id));
+
+  // Keeping a source job can keep its own source (a rollback of a retry), so repeat until nothing changes
+  let kept;
+  do {
+    kept = 0;
+    refreshJobs.forEach(job => {
+      if (pruned.has(job.id)) {
+        return;
+      }
+      [job.rollbackOf, job.retryOf].forEach(sourceId => {
+        if (sourceId && pruned.delete(sourceId)) {
+          kept++;
+        }
+      });
+    });
+  } while (kept > 0);
+
+  pruned.forEach(jobId => deleteRefreshJob(jobId));
+}
+
+/**
+ * Process refresh prices job in background
+ * A job that already has productIds was paused or interrupted by a restart and carries on with the products
+ * it hadn't processed yet; its inputs snapshot stays the one it started with
+ * job.stopRequested ('pause' or 'cancel') stops the run after the batch in progress
+ */
+async function processRefreshJob(jobId, priceCalculator, shopifyAPI, currentRates, options = {}) {
+  const job = refreshJobs.get(jobId);
+  if (!job) return;
+
+  const resuming = Array.isArray(job.productIds);
+  const previousUpdates = resuming ? job.updates : [];
+
+  try {
+    job.status = 'processing';
+    if (resuming) {
+      job.resumedAt = new Date();
+      job.resumeCount = (job.resumeCount || 0) + 1;
+      log.info('Refresh prices job resumed', { jobId, processed: previousUpdates.length, total: job.total }, jobId);
+    } else {
+      job.startedAt = new Date();
+      log.info('Refresh prices job started', { jobId, startedAt: job.startedAt }, jobId);
+    }
+    await persistRefreshJob(job);
+    emitJobStarted(job);
+
+    // Bulk jobs report which step they're on, as a bulk operation's progress can't be counted per product
+    if (job.bulkOperations) {
+      job.phase = 'reading';
+      persistRefreshJob(job);
+      emitRefreshJobEvent(jobId, 'progress', progressEventData(job));
+    }
+    const allProducts = job.bulkOperations
+      ? await shopifyAPI.getAllConfiguredProductsBulk(log)
+      : await shopifyAPI.getAllConfiguredProducts(log);
+    const stonePricing = await shopifyAPI.getAllStonePricing();
+    const settings = priceCalculator.settings;
+    const snapshot = buildRefreshSnapshot({ rates: currentRates, stonePricing, settings });
+
+    // A promoted dry run must write the prices that were previewed
+    const sinceDryRun = options.expectedSnapshot ? diffRefreshSnapshots(options.expectedSnapshot, snapshot) : null;
+    if (sinceDryRun && (sinceDryRun.full || sinceDryRun.changedMetals.length > 0 || sinceDryRun.stonesChanged)) {
+      throw new Error('Metal rates, stone pricing or pricing settings changed since the dry run. Run a new dry run first.');
+    }
+
+    let products;
+    if (resuming) {
+      const doneIds = new Set(previousUpdates.map(update => update.productId));
+      const remainingIds = new Set(job.productIds.filter(id => !doneIds.has(id)));
+      products = allProducts.filter(product => remainingIds.has(product.id));
+    } else {
+      const selection = selectProductsToRefresh(allProducts, snapshot, settings, options);
+      products = selection.products;
+
+      job.snapshot = snapshot;
+      job.mode = selection.mode;
+      job.reason = selection.diff.reason;
+      job.changedMetals = selection.diff.changedMetals;
+      job.stonesChanged = selection.diff.stonesChanged;
+      job.catalogTotal = allProducts.length;
+      job.total = products.length;
+      job.skippedCount = allProducts.length - products.length;
+      job.productIds = products.map(product => product.id);
+      await persistRefreshJob(job);
+    }
+
+    const guardrailSettings = getPriceGuardrailSettings(settings);
+    const guardrails = guardrailSettings.enabled && !options.skipGuardrails ? guardrailSettings : null;
+
+    // An approval writes the approved prices of the products still held when it runs
+    const stillHeldIds = new Set(getHeldPrices().map(entry => entry.productId));
+    const approvedPrices = options.approvedPrices
+      ? new Map(options.approvedPrices.filter(entry => stillHeldIds.has(entry.productId)).map(entry => [entry.productId, entry]))
+      : null;
+
+    log.info('Refresh prices job scope', {
+      jobId,
+      mode: job.mode,
+      dryRun: job.dryRun,
+      bulkOperations: job.bulkOperations,
+      scope: job.scope,
+      reason: job.reason,
+      changedMetals: job.changedMetals,
+      stonesChanged: job.stonesChanged,
+      guardrails: Boolean(guardrails),
+      selected: job.total,
+      remaining: products.length,
+      skipped: job.skippedCount
+    }, jobId);
+
+    // Progress callback to update job status; new results are appended to the store as they come in
+    let storedCount = 0;
+    const progressCallback = (processed, total, updates) => {
+      const job = refreshJobs.get(jobId);
+      if (!job) return;
+
+      const newResults = updates.slice(storedCount);
+      appendRefreshResults(jobId, newResults).catch(error => {
+        log.error('Error saving refresh results', { jobId, error: error.message }, jobId);
+      });
+      storedCount = updates.length;
+      newResults.forEach(update => emitRefreshJobEvent(jobId, 'product', summarizeProductResult(update)));
+
+      job.processed = previousUpdates.length + processed;
+      job.updates = [...previousUpdates, ...updates];
+      job.successCount = job.updates.filter(u => u.success).length;
+      job.failCount = job.updates.filter(u => !u.success && !u.held).length;
+      job.heldCount = job.updates.filter(u => u.held).length;
+      job.progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+      
+      // Calculate ETA (from this run's pace, after a resume)
+      if (processed > 0) {
+        const elapsed = (Date.now() - (job.resumedAt || job.startedAt).getTime()) / 1000; // seconds
+        const rate = processed / elapsed; // products per second
+        const remaining = total - processed;
+        job.eta = Math.round(remaining / rate); // seconds remaining
+      }
+
+      persistRefreshJob(job);
+      emitRefreshJobEvent(jobId, 'progress', progressEventData(job));
+    };
+
+    // Warnings (throttling) also go to the job's followers
+    const jobLog = {
+      ...log,
+      warn: (message, data = {}) => {
+        log.warn(message, data, jobId);
+        emitRefreshJobEvent(jobId, 'warning', { message });
+      }
+    };
+
+    // Process with progress tracking
+    const updatePrices = job.bulkOperations ? shopifyAPI.bulkOperationUpdatePrices : shopifyAPI.bulkUpdatePrices;
+    const newUpdates = await updatePrices.call(
+      shopifyAPI,
+      currentRates,
+      priceCalculator,
+      progressCallback,
+      jobLog,
+      {
+        products,
+        stonePricing,
+        dryRun: job.dryRun,
+        guardrails,
+        approvedPrices,
+        shouldStop: () => Boolean(refreshJobs.get(jobId)?.stopRequested),
+        onPhase: (phase) => {
+          job.phase = phase;
+          persistRefreshJob(job);
+          emitRefreshJobEvent(jobId, 'progress', progressEventData(job));
+        }
+      }
+    );
+    await appendRefreshResults(jobId, newUpdates.slice(storedCount));
+    const updates = [...previousUpdates, ...newUpdates];
+
+    const successCount = updates.filter(u => u.success).length;
+    const failCount = updates.filter(u => !u.success && !u.held).length;
+    const heldCount = updates.filter(u => u.held).length;
+
+    // Products this run didn't get to (when it was paused or cancelled)
+    const processedIds = new Set(newUpdates.map(update => update.productId));
+    const stopped = job.stopRequested;
+    job.stopRequested = null;
+    job.notProcessed = products
+      .filter(product => !processedIds.has(product.id))
+      .map(product => ({ productId: product.id, productTitle: product.title, sku: product.sku || '' }));
+
+    job.processed = updates.length;
+    job.progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+    job.successCount = successCount;
+    job.failCount = failCount;
+    job.heldCount = heldCount;
+    job.updates = updates;
+    job.eta = null;
+    job.phase = null;
+
+    if (stopped === 'pause') {
+      job.status = 'paused';
+      job.pausedAt = new Date();
+      log.info('Refresh prices job paused', { jobId, processed: job.processed, total: job.total }, jobId);
+      await persistRefreshJob(job);
+      // Recorded now, so cancelling the paused job has nothing left to finish
+      if (!job.dryRun) {
+        await recordRefreshWrites(job, allProducts, shopifyAPI, priceCalculator.settings);
+      }
+      return;
+    }
+
+    job.status = stopped === 'cancel' ? 'cancelled' : 'completed';
+    job.completedAt = new Date();
+    if (job.status === 'completed') {
+      job.processed = job.total;
+      job.progress = 100;
+      job.eta = 0;
+    }
+
+    log.info(job.status === 'cancelled' ? 'Refresh prices job cancelled' : 'Refresh prices job completed', {
+      jobId,
+      dryRun: job.dryRun,
+      total: job.total,
+      skipped: job.skippedCount,
+      success: successCount,
+      failed: failCount,
+      notProcessed: job.notProcessed.length,
+      duration: (job.completedAt.getTime() - job.startedAt.getTime()) / 1000
+    }, jobId);
+
+    // A dry run wrote nothing, so the refresh state stays as it was
+    if (job.dryRun) {
+      job.report = buildPriceDiffReport(updates, job.notProcessed);
+      await persistRefreshJob(job);
+      pruneRefreshJobs();
+      return;
+    }
+    await persistRefreshJob(job);
+    pruneRefreshJobs();
+    await recordRefreshWrites(job, allProducts, shopifyAPI, priceCalculator.settings);
+
+  } catch (error) {
+    const job = refreshJobs.get(jobId);
+    if (job) {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      job.error = error.message;
+      job.phase = null;
+      await persistRefreshJob(job);
+      pruneRefreshJobs();
+    }
+    log.error('Refresh prices job failed', { jobId, error: error.message, stack: error.stack }, jobId);
+  }
+}
+
+/**
+ * Record what a refresh wrote once a run stops (paused, cancelled or completed): held prices and the refresh state
+ * Only results not recorded by an earlier stop are held or released, so an approval given while the job was
+ * paused isn't undone when it finishes
+ * @param {Object} job - Job entry
+ * @param {Array} allProducts - Catalog the run read
+ * @param {ShopifyAPI} shopifyAPI - Shopify API instance
+ * @param {Object} settings - Pricing settings
+ */
+async function recordRefreshWrites(job, allProducts, shopifyAPI, settings) {
+  // Held prices wait for approval; a product written this time no longer needs one
+  job.updates.slice(job.recordedCount || 0).forEach(update => {
+    if (update.held) {
+      holdPrices({
+        productId: update.productId,
+        productTitle: update.productTitle,
+        sku: update.sku,
+        metalType: update.metalType,
+        oldPrice: update.oldPrice,
+        newPrice: update.newPrice,
+        variants: update.variants,
+        violations: update.violations,
+        jobId: job.id
+      });
+    } else if (update.success) {
+      releaseHeldPrices(update.productId);
+    }
+  });
+  job.recordedCount = job.updates.length;
+  await persistRefreshJob(job);
+
+  // The next refresh compares against these inputs; configured products that failed or were held are
+  // repriced then (a held product is checked again, until its prices are approved or rejected).
+  // A scoped, paused or cancelled refresh leaves (part of) the catalog as it was, so it keeps the previous inputs
+  const state = getPriceRefreshState(settings);
+  const repricedIds = new Set(job.status === 'completed' ? job.productIds : job.updates.map(update => update.productId));
+  const configuredIds = new Set(allProducts.filter(product => product.configuration?.configured).map(product => product.id));
+  try {
+    await savePriceRefreshState(shopifyAPI, {
+      lastApplied: job.mode === 'scoped' || job.status !== 'completed'
+        ? state.lastApplied
+        : { ...job.snapshot, appliedAt: job.completedAt.toISOString(), jobId: job.id },
+      pendingProductIds: [
+        ...(state.pendingProductIds || []).filter(id => !repricedIds.has(id)),
+        ...job.updates
+          .filter(update => !update.success && configuredIds.has(update.productId))
+          .map(update => update.productId)
+      ]
+    });
+  } catch (stateError) {
+    log.error('Error saving price refresh state', { jobId: job.id, error: stateError.message }, job.id);
+  }
+}
+
+/**
+ * Put back one product's prices and price metafields from before the rolled back job
+ * Products changed since the job are left as they are and reported (changedSince)
+ * @param {Object} entry - The rolled back job's result for the product
+ * @param {Object|undefined} current - Current state from getProductsPriceState (undefined when the product is gone)
+ * @returns {Promise<Object>} Result, shaped like a refresh result (oldPrice being the price before the rollback)
+ */
+async function rollbackProduct(shopifyAPI, entry, current) {
+  const base = {
+    productId: entry.productId,
+    productTitle: entry.productTitle,
+    sku: entry.sku || '',
+    metalType: entry.metalType
+  };
+
+  if (!current) {
+    return { ...base, success: false, error: 'Product no longer exists' };
+  }
+
+  const { variants, changes, unrecorded } = checkRollback(entry, current);
+  if (unrecorded.length > 0) {
+    return { ...base, success: false, error: `Can't be rolled back safely: ${unrecorded.join('; ')}` };
+  }
+  if (changes.length > 0) {
+    return {
+      ...base,
+      success: false,
+      changedSince: true,
+      changes,
+      error: `Changed since the job: ${changes.join('; ')}`
+    };
+  }
+
+  try {
+    // Jobs from before metafields were recorded only have their prices put back
+    if (entry.previousMetafields) {
+      await shopifyAPI.restorePriceMetafields(entry.productId, entry.previousMetafields);
+    }
+    // A discount changed or removed since the job is left as it is
+    const discountRestored = Boolean(entry.previousDiscountMetafield) &&
+      canRestoreDiscount(entry.previousDiscountMetafield, current.discountMetafieldValue);
+    if (discountRestored) {
+      await shopifyAPI.restoreDiscountMetafield(entry.productId, entry.previousDiscountMetafield);
+    }
+    await shopifyAPI.updateVariantPrices(
+      entry.productId,
+      variants.map(variant => ({ variantId: variant.variantId, price: variant.newPrice })),
+      log
+    );
+
+    return {
+      ...base,
+      oldPrice: variants[0]?.oldPrice,
+      newPrice: variants[0]?.newPrice,
+      variants,
+      metafieldsRestored: Boolean(entry.previousMetafields),
+      discountRestored,
+      success: true
+    };
+  } catch (error) {
+    return { ...base, success: false, error: error.message };
+  }
+}
+
+/**
+ * Process a rollback job in background
+ * Like a refresh job it can be paused, cancelled and resumed (also after a restart) between batches
+ */
+async function processRollbackJob(jobId, shopifyAPI) {
+  const job = refreshJobs.get(jobId);
+  if (!job) return;
+
+  const resuming = Array.isArray(job.productIds);
+  const previousUpdates = resuming ? job.updates : [];
+
+  try {
+    job.status = 'processing';
+    if (resuming) {
+      job.resumedAt = new Date();
+      job.resumeCount = (job.resumeCount || 0) + 1;
+      log.info('Rollback job resumed', { jobId, processed: previousUpdates.length, total: job.total }, jobId);
+    } else {
+      job.startedAt = new Date();
+      log.info('Rollback job started', { jobId, rollbackOf: job.rollbackOf }, jobId);
+    }
+    await persistRefreshJob(job);
+    emitJobStarted(job);
+
+    const source = refreshJobs.get(job.rollbackOf);
+    if (!source) {
+      throw new Error('The job being rolled back is no longer stored');
+    }
+
+    const entries = getRollbackEntries(source.updates);
+    if (!resuming) {
+      job.total = entries.length;
+      job.productIds = entries.map(entry => entry.productId);
+      await persistRefreshJob(job);
+    }
+
+    const doneIds = new Set(previousUpdates.map(update => update.productId));
+    const selectedIds = new Set(job.productIds);
+    const remaining = entries.filter(entry => selectedIds.has(entry.productId) && !doneIds.has(entry.productId));
+
+    const newUpdates = [];
+    for (let i = 0; i < remaining.length; i += ROLLBACK_BATCH_SIZE) {
+      if (refreshJobs.get(jobId)?.stopRequested) {
+        break;
+      }
+
+      const batch = remaining.slice(i, i + ROLLBACK_BATCH_SIZE);
+      let current;
+      try {
+        current = await shopifyAPI.getProductsPriceState(batch.map(entry => entry.productId));
+      } catch (error) {
+        current = null;
+        batch.forEach(entry => newUpdates.push({
+          productId: entry.productId,
+          productTitle: entry.productTitle,
+          sku: entry.sku || '',
+          success: false,
+          error: `Could not read current prices: ${error.message}`
+        }));
+      }
+
+      if (current) {
+        for (const entry of batch) {
+          newUpdates.push(await rollbackProduct(shopifyAPI, entry, current.get(entry.productId)));
+        }
+      }
+
+      const batchResults = newUpdates.slice(newUpdates.length - batch.length);
+      await appendRefreshResults(jobId, batchResults);
+      batchResults.forEach(update => emitRefreshJobEvent(jobId, 'product', summarizeProductResult(update)));
+
+      const updates = [...previousUpdates, ...newUpdates];
+      job.processed = updates.length;
+      job.updates = updates;
+      job.successCount = updates.filter(u => u.success).length;
+      job.changedSinceCount = updates.filter(u => u.changedSince).length;
+      job.failCount = updates.length - job.successCount - job.changedSinceCount;
+      job.progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+
+      // ETA from this run's pace
+      const elapsed = (Date.now() - (job.resumedAt || job.startedAt).getTime()) / 1000;
+      job.eta = Math.round((remaining.length - newUpdates.length) / (newUpdates.length / elapsed));
+
+      persistRefreshJob(job);
+      emitRefreshJobEvent(jobId, 'progress', progressEventData(job));
+    }
+
+    const updates = [...previousUpdates, ...newUpdates];
+    const processedIds = new Set(newUpdates.map(update => update.productId));
+    const stopped = job.stopRequested;
+    job.stopRequested = null;
+    job.notProcessed = remaining
+      .filter(entry => !processedIds.has(entry.productId))
+      .map(entry => ({ productId: entry.productId, productTitle: entry.productTitle, sku: entry.sku || '' }));
+
+    job.processed = updates.length;
+    job.progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+    job.successCount = updates.filter(u => u.success).length;
+    job.changedSinceCount = updates.filter(u => u.changedSince).length;
+    job.failCount = updates.length - job.successCount - job.changedSinceCount;
+    job.updates = updates;
+    job.eta = null;
+
+    if (stopped === 'pause') {
+      job.status = 'paused';
+      job.pausedAt = new Date();
+      log.info('Rollback job paused', { jobId, processed: job.processed, total: job.total }, jobId);
+      await persistRefreshJob(job);
+      return;
+    }
+
+    job.status = stopped === 'cancel' ? 'cancelled' : 'completed';
+    job.completedAt = new Date();
+    if (job.status === 'completed') {
+      job.progress = 100;
+      job.eta = 0;
+    }
+    job.report = buildPriceDiffReport(updates, job.notProcessed);
+
+    log.info(job.status === 'cancelled' ? 'Rollback job cancelled' : 'Rollback job completed', {
+      jobId,
+      rollbackOf: job.rollbackOf,
+      total: job.total,
+      rolledBack: job.successCount,
+      changedSince: job.changedSinceCount,
+      failed: job.failCount,
+      notProcessed: job.notProcessed.length
+    }, jobId);
+
+    await persistRefreshJob(job);
+    pruneRefreshJobs();
+  } catch (error) {
+    const job = refreshJobs.get(jobId);
+    if (job) {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      job.error = error.message;
+      await persistRefreshJob(job);
+      pruneRefreshJobs();
+    }
+    log.error('Rollback job failed', { jobId, error: error.message, stack: error.stack }, jobId);
+  }
+}
+
+/**
+ * New job entry, queued
+ * @param {Object} options - Job options (see startRefreshJob), plus rollbackOf for a rollback job
+ * @returns {Object} Job entry
+ */
+function createJobEntry(options = {}) {
+  return {
+    id: generateJobId(),
+    status: 'queued',
+    createdAt: new Date(),
+    startedAt: null,
+    resumedAt: null,
+    resumeCount: 0,
+    pausedAt: null,
+    completedAt: null,
+    total: 0,
+    processed: 0,
+    progress: 0,
+    successCount: 0,
+    failCount: 0,
+    heldCount: 0,
+    changedSinceCount: 0, // Rollback: products changed since the rolled back job, left as they are
+    eta: null,
+    full: options.full === true,
+    dryRun: options.dryRun === true,
+    bulkOperations: options.bulkOperations === true, // Read and write with Shopify bulk operations
+    phase: null, // Bulk jobs: 'reading', 'calculating', 'writing metafields' or 'writing prices'
+    mergedRequests: 0, // Identical refresh requests made while the job was queued, answered with this job
+    promotedFrom: options.promotedFrom || null,
+    promotedTo: null,
+    retryOf: options.retryOf || null, // Job whose failed products this job retries
+    retryJobId: null, // Latest job retrying this job's failed products
+    rollbackOf: options.rollbackOf || null, // Job whose prices this job puts back
+    rollbackJobId: null, // Latest job rolling this job back
+    expectedSnapshot: options.expectedSnapshot || null,
+    guardrailsSkipped: options.skipGuardrails === true,
+    approvedPrices: options.approvedPrices || null, // Approval: the held prices ({ productId, newPrice, variants }) to write
+    mode: null,
+    scope: options.scope || null,
+    reason: null,
+    changedMetals: [],
+    stonesChanged: false,
+    catalogTotal: 0,
+    skippedCount: 0,
+    productIds: null, // Products selected when the job starts, in processing order
+    stopRequested: null, // 'pause' or 'cancel', acted on after the batch in progress
+    notProcessed: [], // Products a paused or cancelled job hasn't repriced
+    updates: [],
+    recordedCount: 0, // Updates whose held prices and refresh state were recorded when a run stopped
+    report: null,
+    snapshot: null,
+    error: null
+  };
+}
+
+/**
+ * Start a refresh prices job with the current metal rates
+ * Only products affected by changes since the last completed refresh are repriced, unless options.full is set
+ * or a scope is given (every product in the scope is repriced)
+ * With options.dryRun prices are calculated and reported (job.report) but nothing is written
+ * Prices that break the price guardrails are held for approval, unless options.skipGuardrails is set
+ * The catalog is read and written with Shopify bulk operations when the useBulkOperations setting is on
+ * (or options.bulkOperations says so)
+ * Returns immediately; the job waits its turn with the price job coordinator and is processed in the background.
+ * The same request made again while a job is still queued returns that job (counted in job.mergedRequests)
+ * @param {Object} options - { full, scope, dryRun, skipGuardrails, bulkOperations } (scope normalized with normalizeRefreshScope)
+ * @returns {Object} Job entry ({ id, status, ... })
+ */
+export function startRefreshJob(options = {}) {
+  const priceCalculator = getPriceCalculator();
+
+  const jobOptions = {
+    bulkOperations: getPriceRefreshSettings(priceCalculator.settings).useBulkOperations,
+    ...options
+  };
+
+  // The same refresh asked for again while one is queued is answered with the queued job
+  const key = refreshRequestKey(jobOptions);
+  const queued = findPriceJob('refresh', key);
+  if (queued && refreshJobs.has(queued.id)) {
+    const job = refreshJobs.get(queued.id);
+    job.mergedRequests = (job.mergedRequests || 0) + 1;
+    persistRefreshJob(job);
+    log.info('Refresh prices request merged into queued job', { jobId: job.id, mergedRequests: job.mergedRequests }, job.id);
+    return job;
+  }
+
+  const job = createJobEntry(jobOptions);
+  const jobId = job.id;
+
+  refreshJobs.set(jobId, job);
+  persistRefreshJob(job);
+
+  log.info('Refresh prices job created', { jobId, dryRun: job.dryRun, promotedFrom: job.promotedFrom }, jobId);
+
+  queueRefreshJob(job, key);
+
+  return job;
+}
+
+/**
+ * What makes two refresh requests the same, or null for a job that is never merged
+ * (a promoted dry run, a retry or an approval, which each write their own set of prices)
+ */
+function refreshRequestKey(options) {
+  if (options.promotedFrom || options.retryOf || options.expectedSnapshot || options.skipGuardrails) {
+    return null;
+  }
+  return JSON.stringify({
+    full: options.full === true,
+    dryRun: options.dryRun === true,
+    bulkOperations: options.bulkOperations === true,
+    scope: options.scope || null
+  });
+}
+
+/**
+ * What a job does, for whoever waits behind it in the coordinator's queue
+ */
+function describeJob(job) {
+  if (job.rollbackOf) {
+    return `Rollback of job ${job.rollbackOf}`;
+  }
+  if (job.retryOf) {
+    return `Retry of the failed products of job ${job.retryOf}`;
+  }
+  const name = job.dryRun ? 'Price refresh dry run' : 'Price refresh';
+  if (job.scope) {
+    return `${name} (${describeRefreshScope(job.scope)})`;
+  }
+  return job.full ? `${name} (all products)` : name;
+}
+
+/**
+ * Hand a queued job to the price job coordinator, which runs it once no other job is writing prices
+ * A refresh reads the rates when it starts, so its key stops matching then: a request made while it runs
+ * queues a new job
+ * @param {Object} job - Job entry
+ * @param {string|null} key - Duplicate key (refreshRequestKey)
+ */
+function queueRefreshJob(job, key = null) {
+  enqueuePriceJob({
+    id: job.id,
+    kind: job.rollbackOf ? 'rollback' : 'refresh',
+    key,
+    untilStarted: true,
+    label: describeJob(job),
+    run: () => runStoredRefreshJob(job)
+      .catch(async err => {
+        log.error('Unexpected error in background job', { jobId: job.id, error: err.message }, job.id);
+        // e.g. the calculator wasn't ready, so the job never got as far as its own error handling
+        if (['queued', 'processing'].includes(job.status)) {
+          job.status = 'failed';
+          job.completedAt = new Date();
+          job.error = err.message;
+          job.phase = null;
+          await persistRefreshJob(job);
+        }
+      })
+      .finally(() => emitJobDone(job))
+  });
+}
+
+/**
+ * Tell the job's followers that its run ended (completed, paused, cancelled or failed)
+ */
+function emitJobDone(job) {
+  emitRefreshJobEvent(job.id, 'done', { status: job.status, error: job.error, ...progressEventData(job) });
+}
+
+/**
+ * Run a stored job again with the options it was started with (resuming it when it had selected its products)
+ */
+async function runStoredRefreshJob(job) {
+  if (job.rollbackOf) {
+    return processRollbackJob(job.id, getShopifyAPI());
+  }
+
+  const priceCalculator = getPriceCalculator();
+  return processRefreshJob(job.id, priceCalculator, getShopifyAPI(), priceCalculator.getMetalRates(), {
+    full: job.full,
+    scope: job.scope,
+    skipGuardrails: job.guardrailsSkipped,
+    expectedSnapshot: job.expectedSnapshot,
+    approvedPrices: job.approvedPrices
+  });
+}
+
+/**
+ * Cancel a refresh job
+ * A running job stops after the batch in progress; products already written keep their new prices.
+ * A paused job, and a job still waiting for its turn that hadn't started yet, are cancelled there and then
+ * @param {string} jobId - Job ID
+ * @returns {Object} { status: 'not_found' | 'finished' | 'cancelled' | 'cancelling', job }
+ */
+export function cancelRefreshJob(jobId) {
+  const job = refreshJobs.get(jobId);
+  if (!job) {
+    return { status: 'not_found' };
+  }
+  if (!['queued', 'processing', 'paused'].includes(job.status)) {
+    return { status: 'finished', job };
+  }
+
+  // A job still waiting for its turn that hadn't selected its products has nothing to finish off
+  if (!Array.isArray(job.productIds) && removePriceJob(jobId)) {
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    persistRefreshJob(job);
+    pruneRefreshJobs();
+
+    log.info('Queued refresh prices job cancelled', { jobId }, jobId);
+    emitJobDone(job);
+    return { status: 'cancelled', job };
+  }
+
+  // A paused job recorded what it wrote when it paused, so it only needs marking cancelled
+  if (job.status === 'paused') {
+    const doneIds = new Set(job.updates.map(update => update.productId));
+    const known = new Map((job.notProcessed || []).map(entry => [entry.productId, entry]));
+    job.notProcessed = (job.productIds || [])
+      .filter(id => !doneIds.has(id))
+      .map(id => known.get(id) || { productId: id, productTitle: '', sku: '' });
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    if (job.dryRun || job.rollbackOf) {
+      job.report = buildPriceDiffReport(job.updates, job.notProcessed);
+    }
+    persistRefreshJob(job);
+    pruneRefreshJobs();
+
+    log.info('Paused refresh prices job cancelled', { jobId, notProcessed: job.notProcessed.length }, jobId);
+    emitJobDone(job);
+    return { status: 'cancelled', job };
+  }
+
+  job.stopRequested = 'cancel';
+  persistRefreshJob(job);
+  emitRefreshJobEvent(jobId, 'status', { status: job.status, stopRequested: job.stopRequested });
+
+  log.info('Refresh prices job cancel requested', { jobId }, jobId);
+  return { status: 'cancelling', job };
+}
+
+/**
+ * Pause a running refresh job after the batch in progress; a job still waiting for its turn is paused there and then
+ * @param {string} jobId - Job ID
+ * @returns {Object} { status: 'not_found' | 'not_running' | 'paused' | 'pausing', job }
+ */
+export function pauseRefreshJob(jobId) {
+  const job = refreshJobs.get(jobId);
+  if (!job) {
+    return { status: 'not_found' };
+  }
+  if (!['queued', 'processing'].includes(job.status) || job.stopRequested === 'cancel') {
+    return { status: 'not_running', job };
+  }
+
+  // A job still waiting for its turn leaves the queue until it's resumed
+  if (removePriceJob(jobId)) {
+    job.status = 'paused';
+    job.pausedAt = new Date();
+    persistRefreshJob(job);
+
+    log.info('Queued refresh prices job paused', { jobId }, jobId);
+    emitJobDone(job);
+    return { status: 'paused', job };
+  }
+
+  job.stopRequested = 'pause';
+  persistRefreshJob(job);
+  emitRefreshJobEvent(jobId, 'status', { status: job.status, stopRequested: job.stopRequested });
+
+  log.info('Refresh prices job pause requested', { jobId }, jobId);
+  return { status: 'pausing', job };
+}
+
+/**
+ * Resume a paused refresh job from the first product it hadn't processed
+ * @param {string} jobId - Job ID
+ * @returns {Object} { status: 'not_found' | 'not_paused' | 'resumed', job }
+ */
+export function resumeRefreshJob(jobId) {
+  const job = refreshJobs.get(jobId);
+  if (!job) {
+    return { status: 'not_found' };
+  }
+  if (job.status !== 'paused') {
+    return { status: 'not_paused', job };
+  }
+
+  job.status = 'queued';
+  persistRefreshJob(job);
+  queueRefreshJob(job);
+
+  return { status: 'resumed', job };
+}
+
+/**
+ * Promote a completed dry run to a real refresh with the same options
+ * The real run fails if rates, stone pricing or pricing settings changed since the dry run
+ * @param {string} jobId - Dry run job ID
+ * @returns {Object} { status: 'not_found' | 'not_dry_run' | 'not_completed' | 'already_promoted' | 'started', job }
+ */
+export function promoteDryRun(jobId) {
+  const dryRun = refreshJobs.get(jobId);
+  if (!dryRun) {
+    return { status: 'not_found' };
+  }
+  if (!dryRun.dryRun) {
+    return { status: 'not_dry_run' };
+  }
+  if (dryRun.status !== 'completed') {
+    return { status: 'not_completed' };
+  }
+  if (dryRun.promotedTo) {
+    return { status: 'already_promoted', job: refreshJobs.get(dryRun.promotedTo) };
+  }
+
+  const job = startRefreshJob({
+    full: dryRun.mode === 'full',
+    scope: dryRun.scope,
+    promotedFrom: dryRun.id,
+    expectedSnapshot: dryRun.snapshot
+  });
+  dryRun.promotedTo = job.id;
+  persistRefreshJob(dryRun);
+
+  return { status: 'started', job };
+}
+
+/**
+ * Start a child job that reprices only the products that failed in a finished job
+ * The child runs with the parent's dry run and guardrail options; held products are not retried
+ * A rollback job's failures can't be retried this way (start the rollback again instead)
+ * @param {string} jobId - Parent job ID
+ * @returns {Object} { status: 'not_found' | 'not_refresh' | 'not_finished' | 'no_failures' | 'retry_running' | 'started', job }
+ */
+export function retryFailedProducts(jobId) {
+  const parent = refreshJobs.get(jobId);
+  if (!parent) {
+    return { status: 'not_found' };
+  }
+  if (parent.rollbackOf) {
+    return { status: 'not_refresh' };
+  }
+  if (['queued', 'processing', 'paused'].includes(parent.status)) {
+    return { status: 'not_finished' };
+  }
+
+  const running = parent.retryJobId && refreshJobs.get(parent.retryJobId);
+  if (running && ['queued', 'processing', 'paused'].includes(running.status)) {
+    return { status: 'retry_running', job: running };
+  }
+
+  const failedIds = [...new Set(parent.updates.filter(update => !update.success && !update.held).map(update => update.productId))];
+  if (failedIds.length === 0) {
+    return { status: 'no_failures' };
+  }
+
+  const job = startRefreshJob({
+    scope: {
+      collectionIds: [],
+      metalTypes: [],
+      statuses: [],
+      vendors: [],
+      productIds: failedIds,
+      skus: []
+    },
+    dryRun: parent.dryRun,
+    skipGuardrails: parent.guardrailsSkipped,
+    approvedPrices: parent.approvedPrices,
+    retryOf: parent.id
+  });
+  parent.retryJobId = job.id;
+  persistRefreshJob(parent);
+
+  log.info('Retrying failed products', { jobId: job.id, retryOf: parent.id, products: failedIds.length }, job.id);
+  return { status: 'started', job };
+}
+
+/**
+ * Start a job that puts back the variant prices and price metafields a finished refresh job wrote
+ * Products whose prices changed since (a later refresh, a manual edit) are left as they are and reported.
+ * The refresh state is not changed: the next incremental refresh reprices rolled back products only when
+ * their inputs change
+ * @param {string} jobId - ID of the refresh job to roll back
+ * @returns {Object} { status: 'not_found' | 'not_rollbackable' | 'not_finished' | 'nothing_to_roll_back' |
+ *   'rollback_running' | 'already_rolled_back' | 'started', job }
+ */
+export function startRollbackJob(jobId) {
+  const source = refreshJobs.get(jobId);
+  if (!source) {
+    return { status: 'not_found' };
+  }
+  if (source.dryRun || source.rollbackOf) {
+    return { status: 'not_rollbackable' };
+  }
+  if (['queued', 'processing', 'paused'].includes(source.status)) {
+    return { status: 'not_finished' };
+  }
+  if (getRollbackEntries(source.updates).length === 0) {
+    return { status: 'nothing_to_roll_back' };
+  }
+
+  const previous = source.rollbackJobId && refreshJobs.get(source.rollbackJobId);
+  if (previous && ['queued', 'processing', 'paused'].includes(previous.status)) {
+    return { status: 'rollback_running', job: previous };
+  }
+  // A rollback that failed for some products can be run again; products already put back are simply restored again
+  if (previous && previous.status === 'completed' && previous.failCount === 0) {
+    return { status: 'already_rolled_back', job: previous };
+  }
+
+  const job = createJobEntry({ rollbackOf: source.id });
+  job.mode = 'rollback';
+  job.reason = `Rolling back the prices written by job ${source.id}`;
+  refreshJobs.set(job.id, job);
+  persistRefreshJob(job);
+
+  source.rollbackJobId = job.id;
+  persistRefreshJob(source);
+
+  log.info('Rollback job created', { jobId: job.id, rollbackOf: source.id }, job.id);
+
+  queueRefreshJob(job);
+
+  return { status: 'started', job };
+}
+
+/**
+ * Approve held prices: reprice those products without the guardrails, writing the prices they were held at
+ * The products stay held until the job writes them. One whose prices changed since it was held (rates changed,
+ * or a later refresh held it again) isn't written, and is held again with the new prices
+ * @param {Array<string>|null} productIds - Products to approve (null for every held product)
+ * @returns {Object|null} { job, approved } or null when none of the products are held
+ */
+export function approveHeldPrices(productIds = null) {
+  const entries = getHeldPrices(productIds);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const job = startRefreshJob({
+    scope: {
+      collectionIds: [],
+      metalTypes: [],
+      statuses: [],
+      vendors: [],
+      productIds: entries.map(entry => entry.productId),
+      skus: []
+    },
+    skipGuardrails: true,
+    approvedPrices: entries.map(({ productId, newPrice, variants }) => ({ productId, newPrice, variants }))
+  });
+
+  return { job, approved: entries.length };
+}
+
+/**
+ * Reject held prices: the products keep their current prices and are no longer repriced by the next refresh
+ * @param {Array<string>|null} productIds - Products to reject (null for every held product)
+ * @returns {Promise<number>} Number of products rejected
+ */
+export async function rejectHeldPrices(productIds = null) {
+  const entries = takeHeldPrices(productIds);
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const rejectedIds = new Set(entries.map(entry => entry.productId));
+  const state = getPriceRefreshState(getPriceCalculator().settings);
+  await savePriceRefreshState(getShopifyAPI(), {
+    ...state,
+    pendingProductIds: (state.pendingProductIds || []).filter(id => !rejectedIds.has(id))
+  });
+
+  return entries.length;
+}
+
+/**
+ * Get a refresh job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|undefined} Job entry
+ */
+export function getRefreshJob(jobId) {
+  return refreshJobs.get(jobId);
+}
+
+/**
+ * Refresh job history, newest first, without per-product results
+ * @param {Object} options - { limit }
+ * @returns {Array} Job summaries
+ */
+export function listRefreshJobs({ limit = MAX_STORED_JOBS } = {}) {
+  return [...refreshJobs.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(({ updates, report, snapshot, expectedSnapshot, productIds, notProcessed, ...summary }) => ({
+      ...summary,
+      notProcessedCount: notProcessed?.length || 0,
+      queuePosition: getQueuePosition(summary.id)
+    }));
+}
+
+/**
+ * Remove a refresh job from the store
+ * @param {string} jobId - Job ID
+ */
+export function deleteRefreshJob(jobId) {
+  refreshJobs.delete(jobId);
+  clearRefreshJobEvents(jobId);
+  deleteStoredRefreshJob(jobId).catch(error => {
+    log.error('Error deleting stored refresh job', { jobId, error: error.message }, jobId);
+  });
+}
+
+/**
+ * Load stored jobs at startup and resume the ones a restart interrupted (paused jobs stay paused)
+ * Prices held for approval are loaded back too
+ * A job that had selected its products carries on from the last stored result; one that hadn't starts over
+ * Call once the price calculator is initialized
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+export async function restoreRefreshJobs() {
+  try {
+    restoreHeldPrices(await loadHeldPrices());
+  } catch (error) {
+    log.error('Error loading stored held prices', { error: error.message }, null);
+  }
+
+  let jobs;
+  try {
+    jobs = await loadRefreshJobs();
+  } catch (error) {
+    log.error('Error loading stored refresh jobs', { error: error.message }, null);
+    return 0;
+  }
+  jobs.forEach(job => refreshJobs.set(job.id, job));
+  pruneRefreshJobs();
+
+  const interrupted = jobs.filter(job => job.status === 'queued' || job.status === 'processing');
+  if (interrupted.length === 0) {
+    return 0;
+  }
+
+  // Queued oldest first, so the catalog ends up with the newest job's prices
+  interrupted
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(job => {
+      job.status = 'queued';
+      queueRefreshJob(job);
+    });
+
+  return interrupted.length;
+}
+
+export default {
+  DEFAULT_PRICE_REFRESH_SETTINGS,
+  normalizePriceRefreshSettings,
+  getPriceRefreshSettings,
+  getPriceRefreshState,
+  startRefreshJob,
+  promoteDryRun,
+  cancelRefreshJob,
+  pauseRefreshJob,
+  resumeRefreshJob,
+  retryFailedProducts,
+  startRollbackJob,
+  approveHeldPrices,
+  rejectHeldPrices,
+  getRefreshJob,
+  listRefreshJobs,
+  deleteRefreshJob,
+  persistRefreshJob,
+  restoreRefreshJobs
+};
@@ -0,0 +1,199 @@
+/**
+ * Refresh Job Store
+ * Keeps refresh jobs on disk so a restart mid-refresh can pick up where it stopped:
+ * <jobId>.json holds the job, <jobId>.results.jsonl the per-product results (one line each, appended as they come in)
+ * held-prices.json holds the prices the guardrails held back, which wait for approval across restarts
+ * The directory is data/refresh-jobs, or REFRESH_JOB_STORE_DIR
+ */
+
+import { mkdir, readdir, readFile, writeFile, appendFile, rename, rm } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Completed jobs beyond this many (newest first) are removed from the store
+export const MAX_STORED_JOBS = 50;
+
+const DEFAULT_STORE_DIR = fileURLToPath(new URL('../../data/refresh-jobs', import.meta.url));
+
+// Job fields kept in the results file rather than the job file
+const RESULT_FIELDS = ['updates'];
+const DATE_FIELDS = ['createdAt', 'startedAt', 'resumedAt', 'pausedAt', 'completedAt'];
+
+const HELD_PRICES_FILE = 'held-prices.json';
+
+/**
+ * Store directory
+ */
+function getStoreDir() {
+  return process.env.REFRESH_JOB_STORE_DIR || DEFAULT_STORE_DIR;
+}
+
+function jobFile(jobId) {
+  return path.join(getStoreDir(), `${jobId}.json`);
+}
+
+function resultsFile(jobId) {
+  return path.join(getStoreDir(), `${jobId}.results.jsonl`);
+}
+
+function heldPricesFile() {
+  return path.join(getStoreDir(), HELD_PRICES_FILE);
+}
+
+/**
+ * Writes to one job's files run one after another, so a slow write can't land after a newer one
+ */
+const writeQueues = new Map();
+
+function enqueue(jobId, write) {
+  const previous = writeQueues.get(jobId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(write);
+  writeQueues.set(jobId, next);
+  next.finally(() => {
+    if (writeQueues.get(jobId) === next) {
+      writeQueues.delete(jobId);
+    }
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * Save a job (without its results), replacing the stored copy
+ * Written to a temporary file first so a crash never leaves half a job on disk
+ * @param {Object} job - Job entry
+ * @returns {Promise<void>}
+ */
+export function saveRefreshJob(job) {
+  const stored = Object.fromEntries(Object.entries(job).filter(([key]) => !RESULT_FIELDS.includes(key)));
+  const json = JSON.stringify(stored);
+
+  return enqueue(job.id, async () => {
+    await mkdir(getStoreDir(), { recursive: true });
+    const tempFile = `${jobFile(job.id)}.tmp`;
+    await writeFile(tempFile, json);
+    await rename(tempFile, jobFile(job.id));
+  });
+}
+
+/**
+ * Append per-product results to a job
+ * @param {string} jobId - Job ID
+ * @param {Array} results - New results from bulkUpdatePrices
+ * @returns {Promise<void>}
+ */
+export function appendRefreshResults(jobId, results) {
+  if (results.length === 0) {
+    return Promise.resolve();
+  }
+  const lines = results.map(result => `${JSON.stringify(result)}\n`).join('');
+
+  return enqueue(jobId, async () => {
+    await mkdir(getStoreDir(), { recursive: true });
+    await appendFile(resultsFile(jobId), lines);
+  });
+}
+
+/**
+ * Read a job's results; a line cut off by a crash is ignored
+ */
+async function readResults(jobId) {
+  let text;
+  try {
+    text = await readFile(resultsFile(jobId), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const results = [];
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      results.push(JSON.parse(line));
+    } catch {
+      // Partial last line from an interrupted append
+    }
+  });
+  return results;
+}
+
+/**
+ * Load every stored job with its results, oldest first
+ * @returns {Promise<Array>} Jobs (dates restored as Date objects)
+ */
+export async function loadRefreshJobs() {
+  let files;
+  try {
+    files = await readdir(getStoreDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const jobs = [];
+  for (const file of files.filter(name => name.endsWith('.json') && name !== HELD_PRICES_FILE)) {
+    try {
+      const job = JSON.parse(await readFile(path.join(getStoreDir(), file), 'utf8'));
+      DATE_FIELDS.forEach(field => {
+        if (job[field]) job[field] = new Date(job[field]);
+      });
+      job.updates = await readResults(job.id);
+      jobs.push(job);
+    } catch (error) {
+      console.error(`Skipping unreadable refresh job file ${file}:`, error.message);
+    }
+  }
+
+  return jobs.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Remove a job and its results from the store
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export function deleteStoredRefreshJob(jobId) {
+  return enqueue(jobId, async () => {
+    await rm(jobFile(jobId), { force: true });
+    await rm(resultsFile(jobId), { force: true });
+  });
+}
+
+/**
+ * Save the held prices, replacing the stored list
+ * @param {Array} entries - Held price entries
+ * @returns {Promise<void>}
+ */
+export function saveHeldPrices(entries) {
+  const json = JSON.stringify(entries);
+
+  return enqueue(HELD_PRICES_FILE, async () => {
+    await mkdir(getStoreDir(), { recursive: true });
+    const tempFile = `${heldPricesFile()}.tmp`;
+    await writeFile(tempFile, json);
+    await rename(tempFile, heldPricesFile());
+  });
+}
+
+/**
+ * Load the stored held prices
+ * @returns {Promise<Array>} Held price entries (none when nothing was stored)
+ */
+export async function loadHeldPrices() {
+  try {
+    return JSON.parse(await readFile(heldPricesFile(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+export default {
+  MAX_STORED_JOBS,
+  saveRefreshJob,
+  appendRefreshResults,
+  loadRefreshJobs,
+  deleteStoredRefreshJob,
+  saveHeldPrices,
+  loadHeldPrices
+};
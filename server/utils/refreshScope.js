@@ -0,0 +1,132 @@
+/**
+ * Refresh Scope Module
+ * Limits a refresh to part of the catalog: collections, metal types, product status, vendors,
+ * or an explicit list of products / SKUs
+ */
+
+import { getProductMetalTypes } from './refreshSnapshot.js';
+
+export const PRODUCT_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
+
+/**
+ * Read a list from an array or a comma / newline separated string
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[,\n]/);
+  return [...new Set(items.map(item => String(item ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Accept numeric product IDs as well as GIDs
+ */
+function toProductGid(id) {
+  return /^\d+$/.test(id) ? `gid://shopify/Product/${id}` : id;
+}
+
+/**
+ * Validate a refresh scope from a request
+ * Criteria are combined with AND; values within one criterion with OR.
+ * productIds and skus together form one "listed products" criterion
+ * @param {Object} input - { collectionIds, metalTypes, statuses, vendors, productIds, skus }
+ * @param {Array} catalog - Metal catalog (metal types must be catalog keys)
+ * @returns {Object|null} Normalized scope, or null when no criterion is set
+ * @throws {Error} When a value is invalid
+ */
+export function normalizeRefreshScope(input, catalog = []) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Refresh scope must be an object');
+  }
+
+  const scope = {
+    collectionIds: toList(input.collectionIds),
+    metalTypes: toList(input.metalTypes),
+    statuses: toList(input.statuses).map(status => status.toUpperCase()),
+    vendors: toList(input.vendors),
+    productIds: toList(input.productIds).map(toProductGid),
+    skus: toList(input.skus)
+  };
+
+  const invalidCollection = scope.collectionIds.find(id => !id.startsWith('gid://shopify/Collection/'));
+  if (invalidCollection) {
+    throw new Error(`Invalid collection ID "${invalidCollection}"`);
+  }
+  const unknownMetal = scope.metalTypes.find(type => !catalog.some(metal => metal.key === type));
+  if (unknownMetal) {
+    throw new Error(`Unknown metal type "${unknownMetal}"`);
+  }
+  const invalidStatus = scope.statuses.find(status => !PRODUCT_STATUSES.includes(status));
+  if (invalidStatus) {
+    throw new Error(`Invalid product status "${invalidStatus}" (use ${PRODUCT_STATUSES.join(', ')})`);
+  }
+  const invalidProduct = scope.productIds.find(id => !id.startsWith('gid://shopify/Product/'));
+  if (invalidProduct) {
+    throw new Error(`Invalid product ID "${invalidProduct}"`);
+  }
+
+  return Object.values(scope).some(values => values.length > 0) ? scope : null;
+}
+
+/**
+ * Whether a product is inside the scope
+ * @param {Object} product - Product from getConfiguredProducts
+ * @param {Object|null} scope - Normalized scope (null matches everything)
+ * @returns {boolean}
+ */
+export function matchesRefreshScope(product, scope) {
+  if (!scope) {
+    return true;
+  }
+
+  if (scope.collectionIds.length > 0 && !(product.collectionIds || []).some(id => scope.collectionIds.includes(id))) {
+    return false;
+  }
+  if (scope.metalTypes.length > 0 && !getProductMetalTypes(product).some(type => scope.metalTypes.includes(type))) {
+    return false;
+  }
+  if (scope.statuses.length > 0 && !scope.statuses.includes(product.status)) {
+    return false;
+  }
+  if (scope.vendors.length > 0 && !scope.vendors.some(vendor => vendor.toLowerCase() === String(product.vendor || '').toLowerCase())) {
+    return false;
+  }
+
+  if (scope.productIds.length > 0 || scope.skus.length > 0) {
+    const skus = [product.sku, ...(product.variants || []).map(variant => variant.sku)].filter(Boolean);
+    const listed = scope.productIds.includes(product.id) || skus.some(sku => scope.skus.includes(sku));
+    if (!listed) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Short description of a scope for logs and the progress modal
+ * @param {Object|null} scope - Normalized scope
+ * @returns {string}
+ */
+export function describeRefreshScope(scope) {
+  if (!scope) {
+    return 'All products';
+  }
+
+  const parts = [];
+  if (scope.collectionIds.length > 0) parts.push(`${scope.collectionIds.length} collection(s)`);
+  if (scope.metalTypes.length > 0) parts.push(`metal: ${scope.metalTypes.join(', ')}`);
+  if (scope.statuses.length > 0) parts.push(`status: ${scope.statuses.join(', ')}`);
+  if (scope.vendors.length > 0) parts.push(`vendor: ${scope.vendors.join(', ')}`);
+  if (scope.productIds.length > 0) parts.push(`${scope.productIds.length} listed product(s)`);
+  if (scope.skus.length > 0) parts.push(`SKU: ${scope.skus.join(', ')}`);
+  return parts.join(' · ');
+}
+
+export default {
+  PRODUCT_STATUSES,
+  normalizeRefreshScope,
+  matchesRefreshScope,
+  describeRefreshScope
+};
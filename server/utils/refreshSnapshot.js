@@ -0,0 +1,137 @@
+/**
+ * Refresh Snapshot Module
+ * Compares the inputs of the last completed refresh (metal rates, stone slabs, pricing settings)
+ * with the current ones, so a refresh only reprices the products those changes affect
+ */
+
+import { resolveMetalCatalog } from './metalCatalog.js';
+
+/**
+ * Stable signature of the stone pricing slabs
+ * @param {Array} stonePricing - Stone pricing entries
+ * @returns {string} Signature
+ */
+function getStonePricingSignature(stonePricing = []) {
+  return JSON.stringify(
+    stonePricing
+      .map(({ id, handle, ...stone }) => ({ id, ...stone }))
+      .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+  );
+}
+
+/**
+ * Signature of the settings that change every product's price (rounding and metal units)
+ * Labels and display order are left out, since they don't change prices
+ * @param {Object} settings - App settings
+ * @returns {string} Signature
+ */
+function getPricingSettingsSignature(settings = {}) {
+  return JSON.stringify({
+    rounding: settings.rounding || null,
+    metalUnits: resolveMetalCatalog(settings).map(metal => `${metal.key}:${metal.unit}`).sort()
+  });
+}
+
+/**
+ * Snapshot of the inputs a refresh priced products with
+ * @param {Object} inputs - { rates, stonePricing, settings }
+ * @returns {Object} { rates, stonePricingSignature, settingsSignature }
+ */
+export function buildRefreshSnapshot({ rates = {}, stonePricing = [], settings = {} }) {
+  const normalizedRates = {};
+  Object.entries(rates).forEach(([key, rate]) => {
+    normalizedRates[key] = parseFloat(rate) || 0;
+  });
+
+  return {
+    rates: normalizedRates,
+    stonePricingSignature: getStonePricingSignature(stonePricing),
+    settingsSignature: getPricingSettingsSignature(settings)
+  };
+}
+
+/**
+ * Work out what changed since the last completed refresh
+ * @param {Object|null} previous - Snapshot of the last completed refresh
+ * @param {Object} current - Snapshot of the current inputs
+ * @returns {Object} { full, reason, changedMetals, stonesChanged }
+ */
+export function diffRefreshSnapshots(previous, current) {
+  if (!previous) {
+    return { full: true, reason: 'No previous refresh recorded', changedMetals: [], stonesChanged: false };
+  }
+  if (previous.settingsSignature !== current.settingsSignature) {
+    return { full: true, reason: 'Rounding or metal unit settings changed', changedMetals: [], stonesChanged: false };
+  }
+
+  const keys = new Set([...Object.keys(previous.rates || {}), ...Object.keys(current.rates)]);
+  const changedMetals = [...keys].filter(key =>
+    (parseFloat(previous.rates?.[key]) || 0) !== (parseFloat(current.rates[key]) || 0)
+  );
+  const stonesChanged = previous.stonePricingSignature !== current.stonePricingSignature;
+
+  return {
+    full: false,
+    reason: changedMetals.length > 0 || stonesChanged ? null : 'Nothing changed since the last refresh',
+    changedMetals,
+    stonesChanged
+  };
+}
+
+/**
+ * Metal types a product is priced with (single metal or multi-metal composition)
+ * @param {Object} product - Product from getConfiguredProducts
+ * @returns {Array<string>} Metal catalog keys
+ */
+export function getProductMetalTypes(product) {
+  const config = product.configuration || {};
+  const types = new Set();
+  if (config.metal_type) {
+    types.add(config.metal_type);
+  }
+  (Array.isArray(config.metals) ? config.metals : []).forEach(metal => {
+    if (metal?.metalType) {
+      types.add(metal.metalType);
+    }
+  });
+  return [...types];
+}
+
+/**
+ * Whether a product or any of its variants has stones
+ * @param {Object} product - Product from getConfiguredProducts
+ * @returns {boolean}
+ */
+function productHasStones(product) {
+  const config = product.configuration || {};
+  if (Array.isArray(config.stones) ? config.stones.length > 0 : !!config.stone_type) {
+    return true;
+  }
+  return (product.variants || []).some(variant => Array.isArray(variant.config?.stones) && variant.config.stones.length > 0);
+}
+
+/**
+ * Whether a product's price depends on what changed
+ * @param {Object} product - Product from getConfiguredProducts
+ * @param {Object} diff - Result of diffRefreshSnapshots
+ * @returns {boolean}
+ */
+export function isProductAffected(product, diff) {
+  if (diff.full) {
+    return true;
+  }
+  if (!product.configuration?.configured) {
+    return false;
+  }
+  if (getProductMetalTypes(product).some(type => diff.changedMetals.includes(type))) {
+    return true;
+  }
+  return diff.stonesChanged && productHasStones(product);
+}
+
+export default {
+  buildRefreshSnapshot,
+  diffRefreshSnapshots,
+  getProductMetalTypes,
+  isProductAffected
+};
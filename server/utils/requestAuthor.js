@@ -0,0 +1,17 @@
+/**
+ * Request Author Module
+ * Staff name the admin UI sends in the X-Staff-Name header, recorded with rate and configuration history
+ */
+
+/**
+ * Staff name for a request
+ * @param {Object} req - Express request
+ * @returns {string} Staff name, or 'unknown' when none was sent
+ */
+export function getRequestAuthor(req) {
+  return (req.get('X-Staff-Name') || '').trim() || 'unknown';
+}
+
+export default {
+  getRequestAuthor
+};
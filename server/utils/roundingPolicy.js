@@ -0,0 +1,139 @@
+/**
+ * Price Rounding Policy Module
+ * Decides how a calculated final price is rounded before it is written to a variant
+ */
+
+export const ROUNDING_POLICIES = [
+  { key: 'ceil_1', label: 'Round up to ₹1' },
+  { key: 'ceil_10', label: 'Round up to ₹10' },
+  { key: 'ceil_100', label: 'Round up to ₹100' },
+  { key: 'nearest', label: 'Round to nearest ₹1' },
+  { key: 'ending_9', label: 'Round up to price ending in 9' },
+  { key: 'ending_99', label: 'Round up to price ending in 99' },
+  { key: 'none', label: 'No rounding (paise)' }
+];
+
+// Math.ceil(finalPrice) was the only behaviour before policies existed
+export const DEFAULT_ROUNDING_POLICY = 'ceil_1';
+
+export const DEFAULT_ROUNDING_SETTINGS = {
+  defaultPolicy: DEFAULT_ROUNDING_POLICY,
+  metalTypeOverrides: {},   // { silver: 'ceil_10' }
+  collectionOverrides: []   // [{ collectionId, collectionTitle, policy }]
+};
+
+/**
+ * Check whether a policy key is known
+ * @param {string} policy - Policy key
+ * @returns {boolean}
+ */
+export function isValidRoundingPolicy(policy) {
+  return ROUNDING_POLICIES.some(p => p.key === policy);
+}
+
+/**
+ * Round an amount with the given policy
+ * @param {number} amount - Final price
+ * @param {string} policy - Policy key from ROUNDING_POLICIES
+ * @returns {number} Rounded price
+ */
+export function applyRoundingPolicy(amount, policy = DEFAULT_ROUNDING_POLICY) {
+  // Work from a paise-accurate value so float noise (e.g. 100.0000001) doesn't push a price up a step
+  const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+  switch (policy) {
+    case 'ceil_10':
+      return Math.ceil(value / 10) * 10;
+    case 'ceil_100':
+      return Math.ceil(value / 100) * 100;
+    case 'nearest':
+      return Math.round(value);
+    case 'ending_9':
+      // Smallest price >= value ending in 9 (e.g. 1234.5 -> 1239)
+      return Math.ceil((value + 1) / 10) * 10 - 1;
+    case 'ending_99':
+      // Smallest price >= value ending in 99 (e.g. 1234.5 -> 1299)
+      return Math.ceil((value + 1) / 100) * 100 - 1;
+    case 'none':
+      return value;
+    case 'ceil_1':
+    default:
+      return Math.ceil(value);
+  }
+}
+
+/**
+ * Pick the policy for a product
+ * Priority: collection override > metal type override > default policy
+ * @param {Object} roundingSettings - Rounding settings (see DEFAULT_ROUNDING_SETTINGS)
+ * @param {Object} context - { metalType, collectionIds }
+ * @returns {string} Policy key
+ */
+export function resolveRoundingPolicy(roundingSettings, context = {}) {
+  const settings = { ...DEFAULT_ROUNDING_SETTINGS, ...(roundingSettings || {}) };
+  const { metalType, collectionIds = [] } = context;
+
+  if (collectionIds.length > 0 && Array.isArray(settings.collectionOverrides)) {
+    // First matching override wins, so the settings order decides between collections
+    const collectionOverride = settings.collectionOverrides.find(override =>
+      collectionIds.includes(override.collectionId) && isValidRoundingPolicy(override.policy)
+    );
+    if (collectionOverride) {
+      return collectionOverride.policy;
+    }
+  }
+
+  const metalTypePolicy = settings.metalTypeOverrides?.[metalType];
+  if (metalType && isValidRoundingPolicy(metalTypePolicy)) {
+    return metalTypePolicy;
+  }
+
+  return isValidRoundingPolicy(settings.defaultPolicy) ? settings.defaultPolicy : DEFAULT_ROUNDING_POLICY;
+}
+
+/**
+ * Validate and clean rounding settings from a request
+ * @param {Object} input - Rounding settings from the client
+ * @returns {Object} Normalized rounding settings
+ * @throws {Error} When a policy key is unknown
+ */
+export function normalizeRoundingSettings(input = {}) {
+  const assertPolicy = (policy, where) => {
+    if (!isValidRoundingPolicy(policy)) {
+      throw new Error(`Invalid rounding policy "${policy}" for ${where}`);
+    }
+    return policy;
+  };
+
+  const metalTypeOverrides = {};
+  Object.entries(input.metalTypeOverrides || {}).forEach(([metalType, policy]) => {
+    // Empty value means "use the default policy"
+    if (policy) {
+      metalTypeOverrides[metalType] = assertPolicy(policy, metalType);
+    }
+  });
+
+  const collectionOverrides = (input.collectionOverrides || [])
+    .filter(override => override && override.collectionId)
+    .map(override => ({
+      collectionId: override.collectionId,
+      collectionTitle: override.collectionTitle || '',
+      policy: assertPolicy(override.policy, override.collectionTitle || override.collectionId)
+    }));
+
+  return {
+    defaultPolicy: assertPolicy(input.defaultPolicy || DEFAULT_ROUNDING_POLICY, 'default policy'),
+    metalTypeOverrides,
+    collectionOverrides
+  };
+}
+
+export default {
+  ROUNDING_POLICIES,
+  DEFAULT_ROUNDING_POLICY,
+  DEFAULT_ROUNDING_SETTINGS,
+  isValidRoundingPolicy,
+  applyRoundingPolicy,
+  resolveRoundingPolicy,
+  normalizeRoundingSettings
+};
@@ -1,4 +1,55 @@
 import fetch from 'node-fetch';
+import { checkPriceGuardrails } from './priceGuardrails.js';
+import { matchesHeldPrices } from './priceApprovals.js';
+import { BulkOperationRunner, createShopifyBulkTransport, nestBulkRecords } from './bulkOperationRunner.js';
+import { getGraphqlCostLimiter } from './graphqlCostLimiter.js';
+
+// metal_prices fields that predate the `rates` json field (metal catalog key -> field key)
+const LEGACY_METAL_PRICE_FIELDS = {
+  gold24kt: 'gold_24kt',
+  gold22kt: 'gold_22kt',
+  gold18kt: 'gold_18kt',
+  gold14kt: 'gold_14kt',
+  platinum: 'platinum',
+  silver: 'silver'
+};
+
+// jewelry_config metafields stored as JSON objects (stones is handled separately as it replaces the old stone fields)
+const JSON_CONFIG_KEYS = ['tax_rates', 'tax_breakdown', 'extra_charges', 'metals'];
+
+// Query cost points one product update uses (price metafields, discount metafield and variant prices mutations)
+const PRODUCT_UPDATE_COST = 30;
+
+// Products a dry run prices at once (it sends no writes for the cost limiter to pace)
+const DRY_RUN_GROUP_SIZE = 50;
+
+// jewelry_config metafields written by a price refresh (updateProductPriceMetafields), with their types
+const PRICE_METAFIELD_TYPES = {
+  metal_rate: 'number_decimal',
+  metal_cost: 'number_decimal',
+  making_charge: 'number_decimal',
+  labour_charge: 'number_decimal',
+  wastage_charge: 'number_decimal',
+  tax_amount: 'number_decimal',
+  subtotal: 'number_decimal',
+  discounted_subtotal: 'number_decimal',
+  price_before_discount: 'number_decimal',
+  tax_amount_before_discount: 'number_decimal',
+  extra_charges_total: 'number_decimal',
+  tax_breakdown: 'json',
+  rounding_policy: 'single_line_text_field'
+};
+
+/**
+ * Raw values of a product's price metafields, from its jewelry_config metafield nodes
+ */
+function pickPriceMetafields(metafieldNodes = []) {
+  return Object.fromEntries(
+    metafieldNodes
+      .filter(field => PRICE_METAFIELD_TYPES[field.key])
+      .map(field => [field.key, field.value])
+  );
+}
 
 /**
  * Shopify API Helper
@@ -8,29 +59,50 @@ export class ShopifyAPI {
     this.shop = shop;
     this.accessToken = accessToken;
     this.apiVersion = '2024-10';
+    this.bulkTransport = null; // Bulk operations go to the shop unless a stand-in transport is set
+    this.costLimiter = getGraphqlCostLimiter(shop); // Shared with every other ShopifyAPI for this shop
+  }
+
+  /**
+   * Runner for bulk operations, through this.bulkTransport when one is set
+   * @returns {BulkOperationRunner}
+   */
+  getBulkOperationRunner() {
+    return new BulkOperationRunner(this.bulkTransport || createShopifyBulkTransport(this));
   }
 
   /**
    * Make GraphQL request to Shopify Admin API with retry logic for rate limiting
+   * Requests wait for the shop's cost limiter (graphqlCostLimiter.js), which tracks the query cost bucket from
+   * each response's extensions.cost, so they are held back rather than throttled
    * @param {string} query - GraphQL query
    * @param {Object} variables - Query variables
    * @param {number} retries - Number of retries remaining
    * @returns {Promise<Object>} GraphQL response data
    */
   async graphql(query, variables = {}, retries = 3) {
-    const response = await fetch(
-      `https://${this.shop}/admin/api/${this.apiVersion}/graphql.json`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': this.accessToken,
-        },
-        body: JSON.stringify({ query, variables }),
-      }
-    );
+    const estimatedCost = this.costLimiter.estimateCost(query);
+    await this.costLimiter.acquire(estimatedCost);
+
+    let response;
+    let result;
+    try {
+      response = await fetch(
+        `https://${this.shop}/admin/api/${this.apiVersion}/graphql.json`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': this.accessToken,
+          },
+          body: JSON.stringify({ query, variables }),
+        }
+      );
 
-    const result = await response.json();
+      result = await response.json();
+    } finally {
+      this.costLimiter.settle(query, estimatedCost, result?.extensions?.cost);
+    }
     
     // Check for rate limiting errors
     if (result.errors) {
@@ -40,15 +112,14 @@ export class ShopifyAPI {
       );
       
       if (throttledError && retries > 0) {
-        // Calculate backoff delay (exponential backoff: 2^retries seconds, max 30s)
-        const delay = Math.min(Math.pow(2, 4 - retries) * 1000, 30000);
-        
-        // Check for Retry-After header
+        // The limiter now knows the bucket is short and holds the retry back until it has refilled;
+        // without cost information fall back to Retry-After or exponential backoff (2^retries seconds, max 30s)
         const retryAfter = response.headers.get('Retry-After');
-        const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : delay;
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        if (retryAfter || !result.extensions?.cost?.throttleStatus) {
+          const delay = Math.min(Math.pow(2, 4 - retries) * 1000, 30000);
+          const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : delay;
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
         
         // Retry the request
         return this.graphql(query, variables, retries - 1);
@@ -62,6 +133,9 @@ export class ShopifyAPI {
 
   /**
    * Create or update metaobject for metal prices
+   * All rates are stored in the `rates` json field keyed by metal catalog key; the original
+   * six metals are also written to their own fields so existing theme code keeps working
+   * @param {Object} prices - Rates keyed by metal catalog key
    */
   async updateMetalPrices(prices) {
     // First, try to get existing metaobject
@@ -78,15 +152,13 @@ export class ShopifyAPI {
     const existingResult = await this.graphql(query);
     const existingId = existingResult.metaobjects?.nodes?.[0]?.id;
 
-    const fields = [
-      { key: 'gold_24kt', value: prices.gold24kt.toString() },
-      { key: 'gold_22kt', value: prices.gold22kt.toString() },
-      { key: 'gold_18kt', value: prices.gold18kt.toString() },
-      { key: 'gold_14kt', value: prices.gold14kt.toString() },
-      { key: 'platinum', value: prices.platinum.toString() },
-      { key: 'silver', value: prices.silver.toString() },
+    const fields = Object.entries(LEGACY_METAL_PRICE_FIELDS)
+      .filter(([metalKey]) => prices[metalKey] !== undefined)
+      .map(([metalKey, fieldKey]) => ({ key: fieldKey, value: prices[metalKey].toString() }));
+    fields.push(
+      { key: 'rates', value: JSON.stringify(prices) },
       { key: 'last_updated', value: new Date().toISOString() }
-    ];
+    );
 
     if (existingId) {
       // Update existing
@@ -171,13 +243,401 @@ export class ShopifyAPI {
     }
 
     const prices = {};
+    let catalogRates = {};
     result.metaobjects.nodes[0].fields.forEach(field => {
-      if (field.key !== 'last_updated') {
+      if (field.key === 'rates') {
+        try {
+          catalogRates = JSON.parse(field.value || '{}');
+        } catch (e) {
+          console.error('Error parsing metal rates:', e);
+        }
+      } else if (field.key !== 'last_updated' && field.value) {
         prices[field.key.replace(/_/g, '')] = parseFloat(field.value);
       }
     });
 
-    return prices;
+    // Rates saved before the catalog existed only have the legacy fields
+    return { ...prices, ...catalogRates };
+  }
+
+  /**
+   * Record a metal rate change in the metal_rate_history metaobject
+   * @param {Object} entry - { rates, effectiveAt, author, source }
+   * @returns {Promise<Object>} Created history entry
+   */
+  async createMetalRateHistoryEntry(entry) {
+    const mutation = `
+      mutation CreateMetalRateHistory($metaobject: MetaobjectCreateInput!) {
+        metaobjectCreate(metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const effectiveAt = new Date(entry.effectiveAt || Date.now()).toISOString();
+    const result = await this.graphql(mutation, {
+      metaobject: {
+        type: 'metal_rate_history',
+        fields: [
+          { key: 'rates', value: JSON.stringify(entry.rates) },
+          { key: 'effective_at', value: effectiveAt },
+          { key: 'author', value: entry.author || '' },
+          { key: 'source', value: entry.source || 'manual' }
+        ]
+      }
+    });
+
+    if (result.metaobjectCreate?.userErrors?.length > 0) {
+      throw new Error(result.metaobjectCreate.userErrors.map(e => e.message).join(', '));
+    }
+
+    return {
+      id: result.metaobjectCreate.metaobject.id,
+      effectiveAt,
+      rates: entry.rates,
+      author: entry.author || '',
+      source: entry.source || 'manual'
+    };
+  }
+
+  /**
+   * Get every recorded metal rate change (unsorted)
+   * @returns {Promise<Array>} [{ id, effectiveAt, rates, author, source }]
+   */
+  async getMetalRateHistory() {
+    const query = `
+      query GetMetalRateHistory($cursor: String) {
+        metaobjects(type: "metal_rate_history", first: 250, after: $cursor) {
+          nodes {
+            id
+            fields {
+              key
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    const entries = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const result = await this.graphql(query, { cursor });
+      const page = result.metaobjects;
+
+      page.nodes.forEach(node => {
+        const fields = {};
+        node.fields.forEach(field => {
+          fields[field.key] = field.value;
+        });
+
+        let rates = {};
+        try {
+          rates = JSON.parse(fields.rates || '{}');
+        } catch (e) {
+          console.error('Error parsing rate history entry:', node.id, e);
+        }
+
+        entries.push({
+          id: node.id,
+          effectiveAt: fields.effective_at,
+          rates,
+          author: fields.author || '',
+          source: fields.source || 'manual'
+        });
+      });
+
+      hasNextPage = page.pageInfo.hasNextPage;
+      cursor = page.pageInfo.endCursor;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Create a pending scheduled metal rate change
+   * @param {Object} schedule - { rates, effectiveAt, author, autoRefresh }
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createMetalRateSchedule(schedule) {
+    const mutation = `
+      mutation CreateMetalRateSchedule($metaobject: MetaobjectCreateInput!) {
+        metaobjectCreate(metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const effectiveAt = new Date(schedule.effectiveAt).toISOString();
+    const result = await this.graphql(mutation, {
+      metaobject: {
+        type: 'metal_rate_schedule',
+        fields: [
+          { key: 'rates', value: JSON.stringify(schedule.rates) },
+          { key: 'effective_at', value: effectiveAt },
+          { key: 'author', value: schedule.author || '' },
+          { key: 'status', value: 'pending' },
+          { key: 'auto_refresh', value: schedule.autoRefresh ? 'true' : 'false' },
+          { key: 'result', value: JSON.stringify({}) }
+        ]
+      }
+    });
+
+    if (result.metaobjectCreate?.userErrors?.length > 0) {
+      throw new Error(result.metaobjectCreate.userErrors.map(e => e.message).join(', '));
+    }
+
+    return {
+      id: result.metaobjectCreate.metaobject.id,
+      rates: schedule.rates,
+      effectiveAt,
+      author: schedule.author || '',
+      status: 'pending',
+      autoRefresh: schedule.autoRefresh === true,
+      result: {}
+    };
+  }
+
+  /**
+   * Get every scheduled metal rate change (unsorted)
+   * @returns {Promise<Array>} [{ id, rates, effectiveAt, author, status, autoRefresh, result }]
+   */
+  async getMetalRateSchedules() {
+    const query = `
+      query GetMetalRateSchedules($cursor: String) {
+        metaobjects(type: "metal_rate_schedule", first: 250, after: $cursor) {
+          nodes {
+            id
+            fields {
+              key
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    const schedules = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const result = await this.graphql(query, { cursor });
+      const page = result.metaobjects;
+
+      page.nodes.forEach(node => {
+        const fields = {};
+        node.fields.forEach(field => {
+          fields[field.key] = field.value;
+        });
+
+        let rates = {};
+        let scheduleResult = {};
+        try {
+          rates = JSON.parse(fields.rates || '{}');
+          scheduleResult = JSON.parse(fields.result || '{}');
+        } catch (e) {
+          console.error('Error parsing metal rate schedule:', node.id, e);
+        }
+
+        schedules.push({
+          id: node.id,
+          rates,
+          effectiveAt: fields.effective_at,
+          author: fields.author || '',
+          status: fields.status || 'pending',
+          autoRefresh: fields.auto_refresh === 'true',
+          result: scheduleResult
+        });
+      });
+
+      hasNextPage = page.pageInfo.hasNextPage;
+      cursor = page.pageInfo.endCursor;
+    }
+
+    return schedules;
+  }
+
+  /**
+   * Update the status of a scheduled metal rate change
+   * @param {string} id - Schedule metaobject ID
+   * @param {string} status - pending, applied, cancelled or failed
+   * @param {Object} scheduleResult - Outcome details (appliedAt, refreshJobId, error, ...)
+   */
+  async updateMetalRateScheduleStatus(id, status, scheduleResult = {}) {
+    const mutation = `
+      mutation UpdateMetalRateSchedule($id: ID!, $fields: [MetaobjectFieldInput!]!) {
+        metaobjectUpdate(id: $id, metaobject: {fields: $fields}) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, {
+      id,
+      fields: [
+        { key: 'status', value: status },
+        { key: 'result', value: JSON.stringify(scheduleResult) }
+      ]
+    });
+
+    if (result.metaobjectUpdate?.userErrors?.length > 0) {
+      throw new Error(result.metaobjectUpdate.userErrors.map(e => e.message).join(', '));
+    }
+
+    return result.metaobjectUpdate;
+  }
+
+  /**
+   * Get app settings (rounding policies, ...)
+   * Stored as a single json field on the app_settings metaobject
+   * @returns {Promise<Object>} Settings object ({} when not set yet)
+   */
+  async getAppSettings() {
+    const query = `
+      query GetAppSettings {
+        metaobjects(type: "app_settings", first: 1) {
+          nodes {
+            id
+            fields {
+              key
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphql(query);
+    const settingsField = result.metaobjects?.nodes?.[0]?.fields?.find(field => field.key === 'settings');
+
+    if (!settingsField?.value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(settingsField.value);
+    } catch (e) {
+      console.error('Error parsing app settings:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Update app settings
+   * @param {Object} partialSettings - Top-level sections to replace (e.g. { rounding })
+   * @returns {Promise<Object>} Full settings after the update
+   */
+  async updateAppSettings(partialSettings) {
+    const query = `
+      query GetAppSettings {
+        metaobjects(type: "app_settings", first: 1) {
+          nodes {
+            id
+            settings: field(key: "settings") {
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const existingResult = await this.graphql(query);
+    const existing = existingResult.metaobjects?.nodes?.[0];
+    const existingId = existing?.id;
+
+    let currentSettings = {};
+    try {
+      currentSettings = JSON.parse(existing?.settings?.value || '{}');
+    } catch (e) {
+      console.error('Error parsing app settings, overwriting:', e);
+    }
+
+    const settings = {
+      ...currentSettings,
+      ...partialSettings
+    };
+
+    const fields = [
+      { key: 'settings', value: JSON.stringify(settings) },
+      { key: 'last_updated', value: new Date().toISOString() }
+    ];
+
+    let userErrors;
+    if (existingId) {
+      const mutation = `
+        mutation UpdateAppSettings($id: ID!, $fields: [MetaobjectFieldInput!]!) {
+          metaobjectUpdate(id: $id, metaobject: {fields: $fields}) {
+            metaobject {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphql(mutation, { id: existingId, fields });
+      userErrors = result.metaobjectUpdate?.userErrors;
+    } else {
+      const mutation = `
+        mutation CreateAppSettings($metaobject: MetaobjectCreateInput!) {
+          metaobjectCreate(metaobject: $metaobject) {
+            metaobject {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphql(mutation, {
+        metaobject: {
+          type: 'app_settings',
+          fields
+        }
+      });
+      userErrors = result.metaobjectCreate?.userErrors;
+    }
+
+    if (userErrors?.length > 0) {
+      throw new Error(userErrors.map(e => e.message).join(', '));
+    }
+
+    return settings;
   }
 
   /**
@@ -551,6 +1011,72 @@ export class ShopifyAPI {
       }
     ];
 
+    // Multi-metal composition ([] = single metal from metal_type / metal_weight)
+    metafields.push({
+      ownerId: productId,
+      namespace: 'jewelry_config',
+      key: 'metals',
+      value: JSON.stringify(config.metals || []),
+      type: 'json'
+    });
+
+    // Extra line-item charges ([] = none)
+    metafields.push({
+      ownerId: productId,
+      namespace: 'jewelry_config',
+      key: 'extra_charges',
+      value: JSON.stringify(config.extraCharges || []),
+      type: 'json'
+    });
+    metafields.push({
+      ownerId: productId,
+      namespace: 'jewelry_config',
+      key: 'extra_charges_total',
+      value: normalizeNumericValue(config.extraChargesTotal),
+      type: 'number_decimal'
+    });
+
+    // Per-component GST rates ({} = every component uses tax_percent) and the resulting tax split
+    metafields.push({
+      ownerId: productId,
+      namespace: 'jewelry_config',
+      key: 'tax_rates',
+      value: JSON.stringify(config.taxRates || {}),
+      type: 'json'
+    });
+    if (config.taxBreakdown) {
+      metafields.push({
+        ownerId: productId,
+        namespace: 'jewelry_config',
+        key: 'tax_breakdown',
+        value: JSON.stringify(config.taxBreakdown),
+        type: 'json'
+      });
+    }
+
+    // Record which rounding policy produced the variant price
+    if (config.roundingPolicy) {
+      metafields.push({
+        ownerId: productId,
+        namespace: 'jewelry_config',
+        key: 'rounding_policy',
+        value: config.roundingPolicy,
+        type: 'single_line_text_field'
+      });
+    }
+
+    // Dated configuration snapshots for historical price lookups
+    // Kept outside jewelry_config so product listings don't load them
+    if (Array.isArray(config.configHistory)) {
+      metafields.push({
+        ownerId: productId,
+        namespace: 'pricing',
+        key: 'config_history',
+        value: JSON.stringify(config.configHistory),
+        type: 'json'
+      });
+    }
+
     const result = await this.graphql(mutation, { metafields });
     
     if (result.metafieldsSet?.userErrors?.length > 0) {
@@ -573,28 +1099,49 @@ export class ShopifyAPI {
   }
 
   /**
-   * Update only price-related metafields (used during refresh prices)
-   * @param {string} productId - Product ID
-   * @param {Object} priceBreakdown - Price breakdown from calculator
+   * Helper to flatten variants and parse their variant_config metafield
+   * @param {Object} variants - Variants connection with nodes
+   * @returns {Array} Array of { id, title, price, sku, config } objects
    */
-  async updateProductPriceMetafields(productId, priceBreakdown) {
-    // Helper function to normalize numeric values
-    const normalizeNumericValue = (value) => {
-      if (value === null || value === undefined || value === '' || isNaN(value)) {
-        return '0';
+  parseVariants(variants) {
+    if (!variants || !variants.nodes) {
+      return [];
+    }
+    return variants.nodes.map(variant => {
+      let config = null;
+      if (variant.variantConfig?.value) {
+        try {
+          config = JSON.parse(variant.variantConfig.value);
+        } catch (e) {
+          config = null;
+        }
       }
-      const num = parseFloat(value);
-      return isNaN(num) ? '0' : num.toString();
-    };
+      return {
+        id: variant.id,
+        title: variant.title,
+        price: variant.price,
+        sku: variant.sku || '',
+        config
+      };
+    });
+  }
+
+  /**
+   * Save variant-level configuration (weight, stones) to each variant's metafield
+   * Variants without overrides are saved as {} so they inherit the product configuration
+   * @param {Array} variantConfigs - Array of { variantId, metalWeight, stones, netWeight, grossWeight }
+   */
+  async updateVariantConfigurations(variantConfigs) {
+    if (!variantConfigs || variantConfigs.length === 0) {
+      return [];
+    }
 
     const mutation = `
-      mutation UpdatePriceMetafields($metafields: [MetafieldsSetInput!]!) {
+      mutation UpdateVariantMetafields($metafields: [MetafieldsSetInput!]!) {
         metafieldsSet(metafields: $metafields) {
           metafields {
             id
-            namespace
             key
-            value
           }
           userErrors {
             field
@@ -604,6 +1151,47 @@ export class ShopifyAPI {
       }
     `;
 
+    const metafields = variantConfigs.map(variantConfig => {
+      const { variantId, ...overrides } = variantConfig;
+      return {
+        ownerId: variantId,
+        namespace: 'jewelry_config',
+        key: 'variant_config',
+        value: JSON.stringify(overrides),
+        type: 'json'
+      };
+    });
+
+    // metafieldsSet accepts at most 25 metafields per call
+    const saved = [];
+    for (let i = 0; i < metafields.length; i += 25) {
+      const result = await this.graphql(mutation, { metafields: metafields.slice(i, i + 25) });
+      if (result.metafieldsSet?.userErrors?.length > 0) {
+        console.error('Variant metafield errors:', result.metafieldsSet.userErrors);
+        throw new Error(JSON.stringify(result.metafieldsSet.userErrors));
+      }
+      saved.push(...(result.metafieldsSet?.metafields || []));
+    }
+
+    return saved;
+  }
+
+  /**
+   * Price-related metafields of a product (MetafieldsSetInput list) for a price breakdown
+   * @param {string} productId - Product ID
+   * @param {Object} priceBreakdown - Price breakdown from calculator
+   * @returns {Array} Metafield inputs
+   */
+  buildPriceMetafields(productId, priceBreakdown) {
+    // Helper function to normalize numeric values
+    const normalizeNumericValue = (value) => {
+      if (value === null || value === undefined || value === '' || isNaN(value)) {
+        return '0';
+      }
+      const num = parseFloat(value);
+      return isNaN(num) ? '0' : num.toString();
+    };
+
     const metafields = [
       {
         ownerId: productId,
@@ -675,16 +1263,218 @@ export class ShopifyAPI {
         value: normalizeNumericValue(priceBreakdown.taxAmountBeforeDiscount || priceBreakdown.taxAmount),
         type: 'number_decimal'
       }
-    ];
-
-    const result = await this.graphql(mutation, { metafields });
-    
-    if (result.metafieldsSet?.userErrors?.length > 0) {
-      console.error('Metafield errors:', result.metafieldsSet.userErrors);
-      throw new Error(JSON.stringify(result.metafieldsSet.userErrors));
-    }
+    ];
+
+    metafields.push({
+      ownerId: productId,
+      namespace: 'jewelry_config',
+      key: 'extra_charges_total',
+      value: normalizeNumericValue(priceBreakdown.extraChargesTotal),
+      type: 'number_decimal'
+    });
+
+    // Tax split per component (metal, stone, making, labour, wastage, extra charges)
+    if (priceBreakdown.taxBreakdown) {
+      metafields.push({
+        ownerId: productId,
+        namespace: 'jewelry_config',
+        key: 'tax_breakdown',
+        value: JSON.stringify(priceBreakdown.taxBreakdown),
+        type: 'json'
+      });
+    }
+
+    // Record which rounding policy produced the variant price
+    if (priceBreakdown.roundingPolicy) {
+      metafields.push({
+        ownerId: productId,
+        namespace: 'jewelry_config',
+        key: 'rounding_policy',
+        value: priceBreakdown.roundingPolicy,
+        type: 'single_line_text_field'
+      });
+    }
+
+    return metafields;
+  }
+
+  /**
+   * Update only price-related metafields (used during refresh prices)
+   * @param {string} productId - Product ID
+   * @param {Object} priceBreakdown - Price breakdown from calculator
+   */
+  async updateProductPriceMetafields(productId, priceBreakdown) {
+    const mutation = `
+      mutation UpdatePriceMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            namespace
+            key
+            value
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const metafields = this.buildPriceMetafields(productId, priceBreakdown);
+
+    const result = await this.graphql(mutation, { metafields });
+    
+    if (result.metafieldsSet?.userErrors?.length > 0) {
+      console.error('Metafield errors:', result.metafieldsSet.userErrors);
+      throw new Error(JSON.stringify(result.metafieldsSet.userErrors));
+    }
+
+    return result.metafieldsSet;
+  }
+
+  /**
+   * Put back a product's price metafields as they were before a refresh
+   * Keys that had no value then are deleted
+   * @param {string} productId - Product ID
+   * @param {Object} previousMetafields - Raw values by key (result.previousMetafields of processProductUpdate)
+   */
+  async restorePriceMetafields(productId, previousMetafields) {
+    const metafields = Object.entries(previousMetafields)
+      .filter(([key, value]) => PRICE_METAFIELD_TYPES[key] && value !== null && value !== undefined)
+      .map(([key, value]) => ({
+        ownerId: productId,
+        namespace: 'jewelry_config',
+        key,
+        value,
+        type: PRICE_METAFIELD_TYPES[key]
+      }));
+    const missingKeys = Object.keys(PRICE_METAFIELD_TYPES).filter(key => previousMetafields[key] === undefined);
+
+    if (metafields.length > 0) {
+      const mutation = `
+        mutation RestorePriceMetafields($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields {
+              key
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphql(mutation, { metafields });
+      if (result.metafieldsSet?.userErrors?.length > 0) {
+        throw new Error(JSON.stringify(result.metafieldsSet.userErrors));
+      }
+    }
+
+    if (missingKeys.length > 0) {
+      const mutation = `
+        mutation DeletePriceMetafields($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            deletedMetafields {
+              key
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const result = await this.graphql(mutation, {
+        metafields: missingKeys.map(key => ({ ownerId: productId, namespace: 'jewelry_config', key }))
+      });
+      // Metafields that don't exist are already as they were
+      const realErrors = (result.metafieldsDelete?.userErrors || []).filter(
+        err => !err.message?.includes('not found') && !err.message?.includes('does not exist')
+      );
+      if (realErrors.length > 0) {
+        throw new Error(JSON.stringify(realErrors));
+      }
+    }
+  }
+
+  /**
+   * Put back a product's discount metafield as it was before a refresh (which rewrote its discount amount)
+   * @param {string} productId - Product ID
+   * @param {string} previousValue - Raw value (result.previousDiscountMetafield of processProductUpdate)
+   */
+  async restoreDiscountMetafield(productId, previousValue) {
+    const mutation = `
+      mutation RestoreDiscountMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            key
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, {
+      metafields: [{ ownerId: productId, namespace: 'pricing', key: 'discount', type: 'json', value: previousValue }]
+    });
+    if (result.metafieldsSet?.userErrors?.length > 0) {
+      throw new Error(JSON.stringify(result.metafieldsSet.userErrors));
+    }
+  }
+
+  /**
+   * Current variant prices and price metafields of several products
+   * @param {Array<string>} productIds - Product IDs (up to 50)
+   * @returns {Promise<Map>} Product ID -> { id, title, variants: [{ id, title, price }], priceMetafields,
+   *   discountMetafieldValue } (products that no longer exist are left out)
+   */
+  async getProductsPriceState(productIds) {
+    const query = `
+      query GetProductsPriceState($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            title
+            variants(first: 50) {
+              nodes {
+                id
+                title
+                price
+              }
+            }
+            metafields(namespace: "jewelry_config", first: 50) {
+              nodes {
+                key
+                value
+              }
+            }
+            discountMetafield: metafield(namespace: "pricing", key: "discount") {
+              value
+            }
+          }
+        }
+      }
+    `;
 
-    return result.metafieldsSet;
+    const result = await this.graphql(query, { ids: productIds });
+
+    return new Map(
+      (result.nodes || [])
+        .filter(node => node?.id)
+        .map(node => [node.id, {
+          id: node.id,
+          title: node.title,
+          variants: node.variants.nodes,
+          priceMetafields: pickPriceMetafields(node.metafields.nodes),
+          discountMetafieldValue: node.discountMetafield?.value ?? null
+        }])
+    );
   }
 
   /**
@@ -697,11 +1487,20 @@ export class ShopifyAPI {
           id
           title
           status
-          variants(first: 10) {
+          variants(first: 50) {
             nodes {
               id
+              title
               price
               sku
+              variantConfig: metafield(namespace: "jewelry_config", key: "variant_config") {
+                value
+              }
+            }
+          }
+          collections(first: 20) {
+            nodes {
+              id
             }
           }
           metafields(namespace: "jewelry_config", first: 50) {
@@ -714,6 +1513,9 @@ export class ShopifyAPI {
             id
             value
           }
+          configHistoryMetafield: metafield(namespace: "pricing", key: "config_history") {
+            value
+          }
         }
       }
     `;
@@ -747,11 +1549,19 @@ export class ShopifyAPI {
           config[field.key] = [];
         }
       }
+      // Parse other JSON metafields
+      else if (JSON_CONFIG_KEYS.includes(field.key)) {
+        try {
+          config[field.key] = JSON.parse(value || 'null');
+        } catch (e) {
+          config[field.key] = null;
+        }
+      }
       // Convert numeric strings to numbers
       else if (['metal_weight', 'making_charge_percent', 'labour_value', 
            'wastage_value', 'net_weight', 
            'gross_weight', 'tax_percent', 'metal_rate', 'metal_cost', 
-           'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount'].includes(field.key)) {
+           'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount', 'extra_charges_total'].includes(field.key)) {
         config[field.key] = parseFloat(value);
       } else if (field.key === 'configured') {
         // Handle both string 'true' and boolean true values
@@ -769,6 +1579,8 @@ export class ShopifyAPI {
     config.variantId = result.product.variants.nodes[0]?.id;
     config.currentPrice = result.product.variants.nodes[0]?.price || '0';
     config.sku = this.getSkuFromVariants(result.product.variants);
+    config.variants = this.parseVariants(result.product.variants);
+    config.collectionIds = result.product.collections?.nodes?.map(collection => collection.id) || [];
 
     // Parse discount metafield if it exists
     if (result.product.discountMetafield?.value) {
@@ -784,9 +1596,103 @@ export class ShopifyAPI {
       }
     }
 
+    // Dated configuration snapshots ([] for products saved before history was kept)
+    try {
+      config.configHistory = JSON.parse(result.product.configHistoryMetafield?.value || '[]');
+    } catch (e) {
+      console.error('Error parsing config history metafield:', e);
+      config.configHistory = [];
+    }
+
     return config;
   }
 
+  /**
+   * Build a product (with its parsed configuration) from a product node with variants, collections,
+   * jewelry_config metafields and the pricing discount metafield
+   * @param {Object} product - Product node (connections as { nodes })
+   * @returns {Object} Product as returned by getConfiguredProducts
+   */
+  parseConfiguredProduct(product) {
+    const config = {};
+    let hasStonesArray = false;
+    
+    // First pass: check if stones array exists
+    product.metafields.nodes.forEach(field => {
+      if (field.key === 'stones') {
+        hasStonesArray = true;
+      }
+    });
+    
+    // Second pass: parse fields, ignoring old stone fields if stones array exists
+    product.metafields.nodes.forEach(field => {
+      // Skip old stone fields if new stones array exists
+      if (hasStonesArray && ['stone_type', 'stone_weight', 'stone_cost'].includes(field.key)) {
+        return;
+      }
+      
+      // Parse stones JSON array
+      if (field.key === 'stones') {
+        try {
+          config[field.key] = JSON.parse(field.value || '[]');
+        } catch (e) {
+          config[field.key] = [];
+        }
+      }
+      // Parse other JSON metafields
+      else if (JSON_CONFIG_KEYS.includes(field.key)) {
+        try {
+          config[field.key] = JSON.parse(field.value || 'null');
+        } catch (e) {
+          config[field.key] = null;
+        }
+      }
+      // Convert numeric strings to numbers
+      else if (['metal_weight', 'making_charge_percent', 'labour_value', 
+           'wastage_value', 'net_weight',
+           'gross_weight', 'tax_percent', 'metal_rate', 'metal_cost',
+           'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount', 'extra_charges_total'].includes(field.key)) {
+        config[field.key] = parseFloat(field.value);
+      } else if (field.key === 'configured') {
+        // Handle both string 'true' and boolean true values
+        const value = field.value;
+        config[field.key] = value === 'true' || value === true || value === '1' || 
+                           (typeof value === 'string' && value.toLowerCase() === 'true');
+      } else if (!hasStonesArray || !['stone_type', 'stone_weight', 'stone_cost'].includes(field.key)) {
+        // Only include old stone fields if stones array doesn't exist
+        config[field.key] = field.value;
+      }
+    });
+
+    // Parse discount metafield if it exists
+    if (product.discountMetafield?.value) {
+      try {
+        const discountValue = JSON.parse(product.discountMetafield.value);
+        // Only include discount if it's enabled
+        if (discountValue.enabled) {
+          config.discount = discountValue;
+        }
+      } catch (e) {
+        // If parsing fails, don't include discount
+      }
+    }
+
+    return {
+      id: product.id,
+      title: product.title,
+      status: product.status,
+      vendor: product.vendor,
+      currentPrice: product.variants.nodes[0]?.price || '0',
+      variantId: product.variants.nodes[0]?.id,
+      sku: this.getSkuFromVariants(product.variants),
+      variants: this.parseVariants(product.variants),
+      collectionIds: product.collections?.nodes?.map(collection => collection.id) || [],
+      configuration: config,
+      priceMetafields: pickPriceMetafields(product.metafields.nodes), // As stored, so a refresh can be rolled back
+      discountMetafieldValue: product.discountMetafield?.value ?? null // Raw pricing.discount value, likewise
+    };
+  }
+
   /**
    * Get all configured products with pagination support
    * @param {string} cursor - Cursor for pagination (optional)
@@ -807,11 +1713,20 @@ export class ShopifyAPI {
               title
               status
               vendor
-              variants(first: 10) {
+              variants(first: 50) {
                 nodes {
                   id
+                  title
                   price
                   sku
+                  variantConfig: metafield(namespace: "jewelry_config", key: "variant_config") {
+                    value
+                  }
+                }
+              }
+              collections(first: 20) {
+                nodes {
+                  id
                 }
               }
               metafields(namespace: "jewelry_config", first: 50) {
@@ -840,11 +1755,20 @@ export class ShopifyAPI {
               title
               status
               vendor
-              variants(first: 10) {
+              variants(first: 50) {
                 nodes {
                   id
+                  title
                   price
                   sku
+                  variantConfig: metafield(namespace: "jewelry_config", key: "variant_config") {
+                    value
+                  }
+                }
+              }
+              collections(first: 20) {
+                nodes {
+                  id
                 }
               }
               metafields(namespace: "jewelry_config", first: 50) {
@@ -869,73 +1793,7 @@ export class ShopifyAPI {
 
     const result = await this.graphql(query, variables);
     
-    const products = result.products.nodes.map(product => {
-      const config = {};
-      let hasStonesArray = false;
-      
-      // First pass: check if stones array exists
-      product.metafields.nodes.forEach(field => {
-        if (field.key === 'stones') {
-          hasStonesArray = true;
-        }
-      });
-      
-      // Second pass: parse fields, ignoring old stone fields if stones array exists
-      product.metafields.nodes.forEach(field => {
-        // Skip old stone fields if new stones array exists
-        if (hasStonesArray && ['stone_type', 'stone_weight', 'stone_cost'].includes(field.key)) {
-          return;
-        }
-        
-        // Parse stones JSON array
-        if (field.key === 'stones') {
-          try {
-            config[field.key] = JSON.parse(field.value || '[]');
-          } catch (e) {
-            config[field.key] = [];
-          }
-        }
-        // Convert numeric strings to numbers
-        else if (['metal_weight', 'making_charge_percent', 'labour_value', 
-             'wastage_value', 'net_weight',
-             'gross_weight', 'tax_percent', 'metal_rate', 'metal_cost',
-             'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount'].includes(field.key)) {
-          config[field.key] = parseFloat(field.value);
-        } else if (field.key === 'configured') {
-          // Handle both string 'true' and boolean true values
-          const value = field.value;
-          config[field.key] = value === 'true' || value === true || value === '1' || 
-                             (typeof value === 'string' && value.toLowerCase() === 'true');
-        } else if (!hasStonesArray || !['stone_type', 'stone_weight', 'stone_cost'].includes(field.key)) {
-          // Only include old stone fields if stones array doesn't exist
-          config[field.key] = field.value;
-        }
-      });
-
-      // Parse discount metafield if it exists
-      if (product.discountMetafield?.value) {
-        try {
-          const discountValue = JSON.parse(product.discountMetafield.value);
-          // Only include discount if it's enabled
-          if (discountValue.enabled) {
-            config.discount = discountValue;
-          }
-        } catch (e) {
-          // If parsing fails, don't include discount
-        }
-      }
-
-      return {
-        id: product.id,
-        title: product.title,
-        status: product.status,
-        vendor: product.vendor,
-        currentPrice: product.variants.nodes[0]?.price || '0',
-        variantId: product.variants.nodes[0]?.id,
-        sku: this.getSkuFromVariants(product.variants),
-        configuration: config
-      };
-    });
+    const products = result.products.nodes.map(product => this.parseConfiguredProduct(product));
 
     return {
       products,
@@ -955,11 +1813,20 @@ export class ShopifyAPI {
             title
             status
             vendor
-            variants(first: 10) {
+            variants(first: 50) {
               nodes {
                 id
+                title
                 price
                 sku
+                variantConfig: metafield(namespace: "jewelry_config", key: "variant_config") {
+                  value
+                }
+              }
+            }
+            collections(first: 20) {
+              nodes {
+                id
               }
             }
             metafields(namespace: "jewelry_config", first: 50) {
@@ -1001,11 +1868,19 @@ export class ShopifyAPI {
             config[field.key] = [];
           }
         }
+        // Parse other JSON metafields
+        else if (JSON_CONFIG_KEYS.includes(field.key)) {
+          try {
+            config[field.key] = JSON.parse(field.value || 'null');
+          } catch (e) {
+            config[field.key] = null;
+          }
+        }
         // Convert numeric strings to numbers
         else if (['metal_weight', 'making_charge_percent', 'labour_value', 
              'wastage_value', 'net_weight',
              'gross_weight', 'tax_percent', 'metal_rate', 'metal_cost',
-             'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount'].includes(field.key)) {
+             'making_charge', 'labour_charge', 'wastage_charge', 'tax_amount', 'extra_charges_total'].includes(field.key)) {
           config[field.key] = parseFloat(field.value);
         } else if (field.key === 'configured') {
           // Handle both string 'true' and boolean true values
@@ -1024,6 +1899,8 @@ export class ShopifyAPI {
         currentPrice: product.variants.nodes[0]?.price || '0',
         variantId: product.variants.nodes[0]?.id,
         sku: this.getSkuFromVariants(product.variants),
+        variants: this.parseVariants(product.variants),
+        collectionIds: product.collections?.nodes?.map(collection => collection.id) || [],
         configuration: config
       };
     });
@@ -1057,117 +1934,291 @@ export class ShopifyAPI {
       }]
     });
 
-    if (result.productVariantsBulkUpdate?.userErrors?.length > 0) {
-      throw new Error(JSON.stringify(result.productVariantsBulkUpdate.userErrors));
+    if (result.productVariantsBulkUpdate?.userErrors?.length > 0) {
+      throw new Error(JSON.stringify(result.productVariantsBulkUpdate.userErrors));
+    }
+
+    return result.productVariantsBulkUpdate;
+  }
+
+  /**
+   * Update prices of several variants of one product in a single mutation
+   * @param {string} productId - Product ID
+   * @param {Array} variantPrices - Array of { variantId, price } objects
+   * @param {Object} logger - Optional logger instance
+   */
+  async updateVariantPrices(productId, variantPrices, logger = null) {
+    const mutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+            price
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const variants = variantPrices.map(v => ({
+      id: v.variantId,
+      price: v.price.toString()
+    }));
+
+    // graphql() already retries throttled requests, but we add extra handling here too
+    let result;
+    let retries = 2;
+    while (retries >= 0) {
+      try {
+        result = await this.graphql(mutation, { productId, variants });
+        break; // Success, exit retry loop
+      } catch (error) {
+        const isThrottled = error.message?.includes('Throttled') ||
+                           error.message?.includes('THROTTLED');
+
+        if (isThrottled && retries > 0) {
+          logger?.warn(`Throttled while updating variant prices for product ${productId}, retrying...`, {
+            productId,
+            retriesLeft: retries
+          });
+          // Wait before retry (exponential backoff)
+          await new Promise(resolve => setTimeout(resolve, Math.pow(2, 2 - retries) * 1000));
+          retries--;
+        } else {
+          throw error; // Re-throw if not throttled or out of retries
+        }
+      }
+    }
+
+    if (result.productVariantsBulkUpdate?.userErrors?.length > 0) {
+      throw new Error(JSON.stringify(result.productVariantsBulkUpdate.userErrors));
+    }
+
+    return result.productVariantsBulkUpdate;
+  }
+
+  /**
+   * Calculate a single product's new prices without writing anything
+   * With options.guardrails, prices that break a guardrail are returned as held (held, violations)
+   * With options.approvedPrices (approved held entries by product ID), only a product whose prices are still the
+   * held ones is written; one whose prices changed is returned as held with the new prices
+   * @private
+   * @returns {Promise<Object>} { result, writes } - writes ({ priceBreakdown, discountMetafield, variantPrices }) is
+   *   null when nothing is to be written (product not configured, prices held, dry run)
+   */
+  async calculateProductUpdate(product, calculator, stonePricing, discountCache, logger, options = {}) {
+    // Skip products without configuration
+    if (!product.configuration?.configured) {
+      return {
+        result: {
+          productId: product.id,
+          productTitle: product.title,
+          sku: product.sku || '',
+          success: false,
+          error: 'Product not configured'
+        },
+        writes: null
+      };
+    }
+
+    // Calculate total stone cost from stones array or fall back to old stone_cost field
+    let totalStoneCost = 0;
+    if (product.configuration.stones && Array.isArray(product.configuration.stones) && product.configuration.stones.length > 0) {
+      // Sum all stoneCost values from the stones array
+      totalStoneCost = product.configuration.stones.reduce((sum, stone) => {
+        return sum + (parseFloat(stone.stoneCost) || 0);
+      }, 0);
+    } else {
+      // Fall back to old stone_cost field for backward compatibility
+      totalStoneCost = parseFloat(product.configuration.stone_cost) || 0;
+    }
+    
+    // Build config for price calculation
+    const priceConfig = {
+      metalWeight: product.configuration.metal_weight,
+      metalType: product.configuration.metal_type,
+      makingChargePercent: product.configuration.making_charge_percent,
+      labourType: product.configuration.labour_type,
+      labourValue: product.configuration.labour_value,
+      wastageType: product.configuration.wastage_type,
+      wastageValue: product.configuration.wastage_value,
+      stoneCost: totalStoneCost,
+      taxPercent: product.configuration.tax_percent,
+      taxRates: product.configuration.tax_rates || null, // Per-component GST (falls back to taxPercent)
+      extraCharges: product.configuration.extra_charges || [], // Hallmarking, certification, packaging, ...
+      metals: product.configuration.metals || [], // Multi-metal composition (empty = single metal)
+      stones: product.configuration.stones || [], // Include stones array for product type detection
+      collectionIds: product.collectionIds || [] // For collection rounding policy overrides
+    };
+    
+    // Check if product has an existing discount
+    let discountConfig = null;
+    let discountTitle = null;
+    
+    if (product.configuration.discount && product.configuration.discount.enabled && product.configuration.discount.discount_id) {
+      const discountId = product.configuration.discount.discount_id;
+      
+      // Check cache first
+      if (!discountCache.has(discountId)) {
+        try {
+          // Fetch the full discount rules from discount_id
+          const discountRules = await this.getDiscountRuleById(discountId);
+          if (discountRules) {
+            // Store in cache
+            discountCache.set(discountId, discountRules);
+          }
+        } catch (error) {
+          logger?.warn(`Error fetching discount rules for product ${product.id}`, { 
+            productId: product.id, 
+            discountId, 
+            error: error.message 
+          });
+          // Continue without discount if fetching fails
+        }
+      }
+      
+      // Get discount rules from cache
+      const discountRules = discountCache.get(discountId);
+      if (discountRules) {
+        discountTitle = discountRules.discount_title || null;
+        // Convert discount rules to discount config format based on applied_rule
+        const appliedRule = product.configuration.discount.applied_rule || 'gold';
+        if (appliedRule === 'gold' && discountRules.gold_rules) {
+          discountConfig = {
+            enabled: true,
+            goldRules: discountRules.gold_rules
+          };
+        } else if (appliedRule === 'diamond' && discountRules.diamond_rules) {
+          discountConfig = {
+            enabled: true,
+            diamondRules: discountRules.diamond_rules
+          };
+        } else if (appliedRule === 'silver' && discountRules.silver_rules) {
+          discountConfig = {
+            enabled: true,
+            silverRules: discountRules.silver_rules
+          };
+        }
+      }
+    }
+    
+    // Calculate price with or without discount
+    const finalPriceBreakdown = calculator.calculatePrice(priceConfig, discountConfig, stonePricing);
+    
+    // Calculate every variant's price (variants may override metal weight and stones)
+    const variants = product.variants?.length > 0
+      ? product.variants
+      : [{ id: product.variantId, price: product.currentPrice }];
+    const variantPrices = calculator.calculateVariantPrices(priceConfig, variants, discountConfig, stonePricing);
+    
+    if (variantPrices.length === 0) {
+      throw new Error('Product has no variants to update');
+    }
+    
+    // First variant's price is reported as the product price
+    const roundedPrice = variantPrices[0].roundedPrice;
+    finalPriceBreakdown.roundingPolicy = variantPrices[0].roundingPolicy;
+
+    const result = {
+      productId: product.id,
+      productTitle: product.title,
+      sku: product.sku || '',
+      metalType: finalPriceBreakdown.breakdown.metalType,
+      metalRate: finalPriceBreakdown.breakdown.metalRate, // Rate of the main metal, per its unit
+      discount: finalPriceBreakdown.discount
+        ? { title: discountTitle, amount: finalPriceBreakdown.discount.discountAmount || 0 }
+        : null,
+      oldPrice: product.currentPrice,
+      newPrice: roundedPrice,
+      variants: variantPrices.map(v => ({
+        variantId: v.variantId,
+        variantTitle: v.variantTitle,
+        sku: v.sku,
+        oldPrice: v.oldPrice,
+        newPrice: v.roundedPrice
+      })),
+      success: true
+    };
+
+    // Prices that break a guardrail are held for approval instead of written
+    const violations = checkPriceGuardrails(variantPrices, options.guardrails);
+    if (violations.length > 0) {
+      return {
+        result: {
+          ...result,
+          success: false,
+          held: true,
+          violations,
+          error: `Held for approval: ${violations.join('; ')}`
+        },
+        writes: null
+      };
+    }
+
+    // An approval writes the prices that were approved; prices that changed since are held again instead
+    if (options.approvedPrices) {
+      const held = options.approvedPrices.get(product.id);
+      if (!held) {
+        return { result: { ...result, success: false, error: 'No longer held for approval' }, writes: null };
+      }
+      if (!matchesHeldPrices(result.variants, held)) {
+        const changed = 'Prices changed since they were held';
+        return {
+          result: { ...result, success: false, held: true, violations: [changed], error: `Held for approval: ${changed}` },
+          writes: null
+        };
+      }
+    }
+
+    if (options.dryRun) {
+      return { result, writes: null };
     }
 
-    return result.productVariantsBulkUpdate;
+    // Values before this update, for rolling the job back
+    result.previousMetafields = product.priceMetafields || null;
+
+    // Discount metafield with the new discount amount if a discount was applied
+    const discountMetafield = discountConfig && finalPriceBreakdown.discount
+      ? {
+        ...product.configuration.discount,
+        discount_amount: finalPriceBreakdown.discount.discountAmount || 0,
+        applied_at: new Date().toISOString()
+      }
+      : null;
+    // The discount metafield's value before this update too, when it's rewritten
+    if (discountMetafield) {
+      result.previousDiscountMetafield = product.discountMetafieldValue ?? null;
+    }
+
+    return {
+      result,
+      writes: {
+        priceBreakdown: finalPriceBreakdown,
+        discountMetafield,
+        variantPrices: variantPrices.map(v => ({ variantId: v.variantId, price: v.roundedPrice }))
+      }
+    };
   }
 
   /**
    * Process a single product update
+   * With options.dryRun the prices are calculated the same way but nothing is written to Shopify
+   * With options.guardrails, prices that break a guardrail are returned as held (held, violations) and not written
    * @private
    */
-  async processProductUpdate(product, calculator, stonePricing, discountCache, logger) {
+  async processProductUpdate(product, calculator, stonePricing, discountCache, logger, options = {}) {
     try {
-      // Skip products without configuration
-      if (!product.configuration?.configured) {
-        return {
-          productId: product.id,
-          productTitle: product.title,
-          sku: product.sku || '',
-          success: false,
-          error: 'Product not configured'
-        };
-      }
-
-      // Calculate total stone cost from stones array or fall back to old stone_cost field
-      let totalStoneCost = 0;
-      if (product.configuration.stones && Array.isArray(product.configuration.stones) && product.configuration.stones.length > 0) {
-        // Sum all stoneCost values from the stones array
-        totalStoneCost = product.configuration.stones.reduce((sum, stone) => {
-          return sum + (parseFloat(stone.stoneCost) || 0);
-        }, 0);
-      } else {
-        // Fall back to old stone_cost field for backward compatibility
-        totalStoneCost = parseFloat(product.configuration.stone_cost) || 0;
-      }
-      
-      // Build config for price calculation
-      const priceConfig = {
-        metalWeight: product.configuration.metal_weight,
-        metalType: product.configuration.metal_type,
-        makingChargePercent: product.configuration.making_charge_percent,
-        labourType: product.configuration.labour_type,
-        labourValue: product.configuration.labour_value,
-        wastageType: product.configuration.wastage_type,
-        wastageValue: product.configuration.wastage_value,
-        stoneCost: totalStoneCost,
-        taxPercent: product.configuration.tax_percent,
-        stones: product.configuration.stones || [] // Include stones array for product type detection
-      };
-      
-      // Check if product has an existing discount
-      let discountConfig = null;
-      
-      if (product.configuration.discount && product.configuration.discount.enabled && product.configuration.discount.discount_id) {
-        const discountId = product.configuration.discount.discount_id;
-        
-        // Check cache first
-        if (!discountCache.has(discountId)) {
-          try {
-            // Fetch the full discount rules from discount_id
-            const discountRules = await this.getDiscountRuleById(discountId);
-            if (discountRules) {
-              // Store in cache
-              discountCache.set(discountId, discountRules);
-            }
-          } catch (error) {
-            logger?.warn(`Error fetching discount rules for product ${product.id}`, { 
-              productId: product.id, 
-              discountId, 
-              error: error.message 
-            });
-            // Continue without discount if fetching fails
-          }
-        }
-        
-        // Get discount rules from cache
-        const discountRules = discountCache.get(discountId);
-        if (discountRules) {
-          // Convert discount rules to discount config format based on applied_rule
-          const appliedRule = product.configuration.discount.applied_rule || 'gold';
-          if (appliedRule === 'gold' && discountRules.gold_rules) {
-            discountConfig = {
-              enabled: true,
-              goldRules: discountRules.gold_rules
-            };
-          } else if (appliedRule === 'diamond' && discountRules.diamond_rules) {
-            discountConfig = {
-              enabled: true,
-              diamondRules: discountRules.diamond_rules
-            };
-          } else if (appliedRule === 'silver' && discountRules.silver_rules) {
-            discountConfig = {
-              enabled: true,
-              silverRules: discountRules.silver_rules
-            };
-          }
-        }
+      const { result, writes } = await this.calculateProductUpdate(product, calculator, stonePricing, discountCache, logger, options);
+      if (!writes) {
+        return result;
       }
-      
-      // Calculate price with or without discount
-      const finalPriceBreakdown = calculator.calculatePrice(priceConfig, discountConfig, stonePricing);
-      
-      // Use finalPriceAfterDiscount if discount was applied, otherwise use finalPrice
-      const finalPrice = finalPriceBreakdown.finalPriceAfterDiscount || finalPriceBreakdown.finalPrice;
-      
-      // Round final price up to nearest integer
-      const roundedPrice = Math.ceil(finalPrice);
 
       // Update price-related metafields so frontend displays correct values
       try {
-        await this.updateProductPriceMetafields(product.id, finalPriceBreakdown);
+        await this.updateProductPriceMetafields(product.id, writes.priceBreakdown);
       } catch (metafieldError) {
         // Check if it's a throttling error - if so, we'll retry the whole product update
         const isThrottled = metafieldError.message?.includes('Throttled') || 
@@ -1180,7 +2231,7 @@ export class ShopifyAPI {
           // Wait a bit and retry the metafield update (optimized from 2000ms to 1000ms)
           await new Promise(resolve => setTimeout(resolve, 1000));
           try {
-            await this.updateProductPriceMetafields(product.id, finalPriceBreakdown);
+            await this.updateProductPriceMetafields(product.id, writes.priceBreakdown);
           } catch (retryError) {
             logger?.warn(`Failed to update metafields for product ${product.id} after retry`, {
               productId: product.id,
@@ -1198,15 +2249,9 @@ export class ShopifyAPI {
       }
       
       // Update discount metafield with new discount amount if discount was applied
-      if (discountConfig && finalPriceBreakdown.discount) {
+      if (writes.discountMetafield) {
         try {
-          const discountAmount = finalPriceBreakdown.discount.discountAmount || 0;
-          const updatedDiscountMetafield = {
-            ...product.configuration.discount,
-            discount_amount: discountAmount,
-            applied_at: new Date().toISOString()
-          };
-          await this.updateProductDiscount(product.id, updatedDiscountMetafield);
+          await this.updateProductDiscount(product.id, writes.discountMetafield);
         } catch (discountError) {
           // Check if it's a throttling error
           const isThrottled = discountError.message?.includes('Throttled') || 
@@ -1219,13 +2264,7 @@ export class ShopifyAPI {
             // Wait and retry (optimized from 2000ms to 1000ms)
             await new Promise(resolve => setTimeout(resolve, 1000));
             try {
-              const discountAmount = finalPriceBreakdown.discount.discountAmount || 0;
-              const updatedDiscountMetafield = {
-                ...product.configuration.discount,
-                discount_amount: discountAmount,
-                applied_at: new Date().toISOString()
-              };
-              await this.updateProductDiscount(product.id, updatedDiscountMetafield);
+              await this.updateProductDiscount(product.id, writes.discountMetafield);
             } catch (retryError) {
               logger?.warn(`Failed to update discount metafield for product ${product.id} after retry`, {
                 productId: product.id,
@@ -1242,65 +2281,10 @@ export class ShopifyAPI {
         }
       }
 
-      // Update variant price using productVariantsBulkUpdate
-      // This already uses graphql() which has retry logic, but we'll add extra handling here too
-      const mutation = `
-        mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-            productVariants {
-              id
-              price
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-        }
-      `;
-
-      let result;
-      let retries = 2;
-      while (retries >= 0) {
-        try {
-          result = await this.graphql(mutation, {
-            productId: product.id,
-            variants: [{
-              id: product.variantId,
-              price: roundedPrice.toString()
-            }]
-          });
-          break; // Success, exit retry loop
-        } catch (error) {
-          const isThrottled = error.message?.includes('Throttled') || 
-                             error.message?.includes('THROTTLED');
-          
-          if (isThrottled && retries > 0) {
-            logger?.warn(`Throttled while updating variant price for product ${product.id}, retrying...`, {
-              productId: product.id,
-              retriesLeft: retries
-            });
-            // Wait before retry (exponential backoff)
-            await new Promise(resolve => setTimeout(resolve, Math.pow(2, 2 - retries) * 1000));
-            retries--;
-          } else {
-            throw error; // Re-throw if not throttled or out of retries
-          }
-        }
-      }
-
-      if (result.productVariantsBulkUpdate?.userErrors?.length > 0) {
-        throw new Error(JSON.stringify(result.productVariantsBulkUpdate.userErrors));
-      }
+      // Update all variant prices in one productVariantsBulkUpdate call
+      await this.updateVariantPrices(product.id, writes.variantPrices, logger);
 
-      return {
-        productId: product.id,
-        productTitle: product.title,
-        sku: product.sku || '',
-        oldPrice: product.currentPrice,
-        newPrice: roundedPrice,
-        success: true
-      };
+      return result;
     } catch (error) {
       return {
         productId: product.id,
@@ -1313,22 +2297,17 @@ export class ShopifyAPI {
   }
 
   /**
-   * Bulk update all product prices based on new metal rates
-   * Optimized with parallel batch processing and caching
-   * @param {Object} newMetalRates - New metal rates
-   * @param {Object} calculator - Price calculator instance
-   * @param {Function} progressCallback - Optional callback for progress updates (processed, total, updates)
+   * Get every product with its configuration by paginating through all pages
    * @param {Object} logger - Optional logger instance
-   * @returns {Promise<Array>} Array of update results
+   * @returns {Promise<Array>} Products (as returned by getConfiguredProducts)
    */
-  async bulkUpdatePrices(newMetalRates, calculator, progressCallback = null, logger = null) {
-    // Fetch all products by paginating through all pages
+  async getAllConfiguredProducts(logger = null) {
     let allProducts = [];
     let cursor = null;
     let hasNextPage = true;
 
-    logger?.info('Starting bulk price update - fetching all products', {});
-    
+    logger?.info('Fetching all products', {});
+
     while (hasNextPage) {
       const result = await this.getConfiguredProducts(cursor, 50);
       allProducts = allProducts.concat(result.products);
@@ -1337,92 +2316,72 @@ export class ShopifyAPI {
     }
 
     logger?.info('Fetched all products', { totalProducts: allProducts.length });
+    return allProducts;
+  }
+
+  /**
+   * Bulk update all product prices based on new metal rates
+   * Optimized with parallel batch processing and caching
+   * @param {Object} newMetalRates - New metal rates
+   * @param {Object} calculator - Price calculator instance
+   * @param {Function} progressCallback - Optional callback for progress updates (processed, total, updates)
+   * @param {Object} logger - Optional logger instance
+   * @param {Object} options - { products, stonePricing } already fetched by the caller (e.g. only the affected products),
+   *   dryRun to calculate prices without writing them, guardrails (price guardrail settings) to hold prices that break them,
+   *   approvedPrices (Map of approved held entries) to write only prices that are still the held ones,
+   *   shouldStop() checked before each group of products to stop early (products already started finish first)
+   * @returns {Promise<Array>} Array of update results
+   */
+  async bulkUpdatePrices(newMetalRates, calculator, progressCallback = null, logger = null, options = {}) {
+    logger?.info('Starting bulk price update', {});
+
+    const allProducts = options.products || await this.getAllConfiguredProducts(logger);
 
     // Fetch stone pricing once (was being fetched 1000+ times before)
-    const stonePricing = await this.getAllStonePricing();
+    const stonePricing = options.stonePricing || await this.getAllStonePricing();
     logger?.info('Fetched stone pricing', { stoneCount: stonePricing.length });
 
-    // Pre-fetch all discount rules and populate cache
-    const discountCache = new Map();
-    try {
-      const allDiscountRules = await this.getAllDiscountRules();
-      allDiscountRules.forEach(rule => {
-        discountCache.set(rule.id, rule);
-      });
-      logger?.info('Pre-fetched all discount rules', { discountCount: allDiscountRules.length });
-    } catch (error) {
-      logger?.warn('Error pre-fetching discount rules, will fetch on-demand', { error: error.message });
-    }
+    const discountCache = await this.prefetchDiscountRules(logger);
 
     const updates = [];
     const totalProducts = allProducts.length;
-    // Optimized batch size and concurrency for better performance
-    const BATCH_SIZE = 12; // Process 12 products in parallel per batch (increased from 5)
-    const CONCURRENT_BATCHES = 2; // Process 2 batches concurrently (increased from 1)
-    
-    // Adaptive rate limiting
-    let baseDelay = 250; // Base delay between batch groups (reduced from 500ms)
-    let throttleCount = 0; // Track throttling occurrences
-
-    // Process products in batches
-    for (let i = 0; i < allProducts.length; i += BATCH_SIZE * CONCURRENT_BATCHES) {
-      // Create batches for concurrent processing
-      const batchPromises = [];
-      
-      for (let j = 0; j < CONCURRENT_BATCHES && (i + j * BATCH_SIZE) < allProducts.length; j++) {
-        const batchStart = i + j * BATCH_SIZE;
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, allProducts.length);
-        const batch = allProducts.slice(batchStart, batchEnd);
-        
-        // Process batch in parallel (all products at once)
-        const batchPromise = Promise.all(
-          batch.map(async (product) => {
-            try {
-              const result = await this.processProductUpdate(product, calculator, stonePricing, discountCache, logger);
-              return result;
-            } catch (error) {
-              return {
-                productId: product.id,
-                productTitle: product.title,
-                sku: product.sku || '',
-                success: false,
-                error: error.message
-              };
-            }
-          })
-        );
-        
-        batchPromises.push(batchPromise);
-      }
 
-      // Wait for all concurrent batches to complete
-      const batchResults = await Promise.all(batchPromises);
-      
-      // Flatten results and check for throttling
-      let batchThrottled = false;
-      for (const batchResult of batchResults) {
-        updates.push(...batchResult);
-        // Check if any product in this batch was throttled
-        if (batchResult.some(r => r.error && (r.error.includes('Throttled') || r.error.includes('THROTTLED')))) {
-          batchThrottled = true;
-        }
-      }
-
-      // Adaptive delay adjustment based on throttling
-      if (batchThrottled) {
-        throttleCount++;
-        baseDelay = Math.min(baseDelay * 1.5, 1000); // Increase delay, max 1 second
-        logger?.warn('Throttling detected, increasing delay', { 
-          newDelay: baseDelay, 
-          throttleCount 
-        });
-      } else if (throttleCount > 0 && throttleCount % 3 === 0) {
-        // Gradually decrease delay after 3 successful batches
-        baseDelay = Math.max(baseDelay * 0.9, 200); // Decrease delay, min 200ms
-        logger?.info('Reducing delay after successful batches', { newDelay: baseDelay });
+    // Each group runs as many products at once as the cost bucket can take right now (graphqlCostLimiter.js),
+    // so groups shrink while the bucket is low and the limiter paces the requests; a dry run writes nothing
+    for (let i = 0; i < allProducts.length;) {
+      if (options.shouldStop?.()) {
+        logger?.info('Bulk price update stopped', { processed: updates.length, total: totalProducts });
+        break;
       }
 
-      const processed = Math.min(i + BATCH_SIZE * CONCURRENT_BATCHES, totalProducts);
+      const groupSize = options.dryRun ? DRY_RUN_GROUP_SIZE : this.costLimiter.concurrencyFor(PRODUCT_UPDATE_COST);
+      const group = allProducts.slice(i, i + groupSize);
+
+      // Process the group in parallel (all products at once)
+      const groupResults = await Promise.all(
+        group.map(async (product) => {
+          try {
+            const result = await this.processProductUpdate(product, calculator, stonePricing, discountCache, logger, {
+              dryRun: options.dryRun === true,
+              guardrails: options.guardrails || null,
+              approvedPrices: options.approvedPrices || null
+            });
+            return result;
+          } catch (error) {
+            return {
+              productId: product.id,
+              productTitle: product.title,
+              sku: product.sku || '',
+              success: false,
+              error: error.message
+            };
+          }
+        })
+      );
+      updates.push(...groupResults);
+      i += group.length;
+
+      const processed = i;
       
       // Call progress callback if provided
       if (progressCallback) {
@@ -1434,20 +2393,259 @@ export class ShopifyAPI {
         total: totalProducts,
         percentage: Math.round((processed / totalProducts) * 100),
         successCount: updates.filter(u => u.success).length,
-        failCount: updates.filter(u => !u.success).length,
-        currentDelay: baseDelay
+        failCount: updates.filter(u => !u.success && !u.held).length,
+        heldCount: updates.filter(u => u.held).length,
+        groupSize,
+        availablePoints: Math.floor(this.costLimiter.available())
+      });
+    }
+
+    logger?.info('Bulk price update completed', {
+      total: totalProducts,
+      success: updates.filter(u => u.success).length,
+      failed: updates.filter(u => !u.success && !u.held).length,
+      held: updates.filter(u => u.held).length
+    });
+
+    return updates;
+  }
+
+  /**
+   * Pre-fetch all discount rules into a cache keyed by rule ID
+   * Rules missing from the cache are fetched on demand by calculateProductUpdate
+   * @param {Object} logger - Optional logger instance
+   * @returns {Promise<Map>} Discount cache
+   */
+  async prefetchDiscountRules(logger = null) {
+    const discountCache = new Map();
+    try {
+      const allDiscountRules = await this.getAllDiscountRules();
+      allDiscountRules.forEach(rule => {
+        discountCache.set(rule.id, rule);
       });
+      logger?.info('Pre-fetched all discount rules', { discountCount: allDiscountRules.length });
+    } catch (error) {
+      logger?.warn('Error pre-fetching discount rules, will fetch on-demand', { error: error.message });
+    }
+    return discountCache;
+  }
+
+  /**
+   * Get every product with its configuration in one bulk operation (bulkOperationRunQuery)
+   * @param {Object} logger - Optional logger instance
+   * @param {Function} onProgress - Optional, called with the bulk operation ({ status, objectCount }) while it runs
+   * @returns {Promise<Array>} Products (as returned by getConfiguredProducts)
+   */
+  async getAllConfiguredProductsBulk(logger = null, onProgress = null) {
+    const query = `
+      {
+        products {
+          edges {
+            node {
+              id
+              title
+              status
+              vendor
+              variants {
+                edges {
+                  node {
+                    id
+                    title
+                    price
+                    sku
+                    variantConfig: metafield(namespace: "jewelry_config", key: "variant_config") {
+                      value
+                    }
+                  }
+                }
+              }
+              collections {
+                edges {
+                  node {
+                    id
+                  }
+                }
+              }
+              metafields(namespace: "jewelry_config") {
+                edges {
+                  node {
+                    id
+                    key
+                    value
+                  }
+                }
+              }
+              discountMetafield: metafield(namespace: "pricing", key: "discount") {
+                id
+                value
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    logger?.info('Fetching all products with a bulk operation', {});
 
-      // Adaptive delay between batch groups
-      if (i + BATCH_SIZE * CONCURRENT_BATCHES < allProducts.length) {
-        await new Promise(resolve => setTimeout(resolve, baseDelay));
+    const records = await this.getBulkOperationRunner().runQuery(query, onProgress);
+
+    // Child lines are told apart by the type in their ID
+    const childKey = (record) => {
+      if (record.id.includes('/ProductVariant/')) return 'variants';
+      if (record.id.includes('/Collection/')) return 'collections';
+      return 'metafields';
+    };
+    const products = nestBulkRecords(records, childKey).map(product => this.parseConfiguredProduct({
+      ...product,
+      variants: { nodes: product.variants || [] },
+      collections: { nodes: product.collections || [] },
+      metafields: { nodes: product.metafields || [] }
+    }));
+
+    logger?.info('Fetched all products', { totalProducts: products.length });
+
+    return products;
+  }
+
+  /**
+   * Bulk update prices with Shopify bulk operations
+   * Prices are calculated locally like bulkUpdatePrices does, then written in two bulk mutations: the price
+   * (and discount) metafields, then the variant prices. A product fails when its variant prices weren't written;
+   * metafield errors are logged and don't fail the product
+   * Takes the same arguments and options as bulkUpdatePrices, plus options.onPhase(phase), called with
+   * 'calculating', 'writing metafields' and 'writing prices'. options.shouldStop is checked before the writes
+   * (a bulk operation can't be stopped part way); when it stops the job, only the results of products
+   * that needed no write are returned
+   * @returns {Promise<Array>} Results, as from processProductUpdate
+   */
+  async bulkOperationUpdatePrices(newMetalRates, calculator, progressCallback = null, logger = null, options = {}) {
+    logger?.info('Starting bulk operation price update', {});
+
+    const allProducts = options.products || await this.getAllConfiguredProductsBulk(logger);
+    const stonePricing = options.stonePricing || await this.getAllStonePricing();
+    const discountCache = await this.prefetchDiscountRules(logger);
+    const totalProducts = allProducts.length;
+
+    options.onPhase?.('calculating');
+    const calculated = [];
+    for (const product of allProducts) {
+      try {
+        calculated.push(await this.calculateProductUpdate(product, calculator, stonePricing, discountCache, logger, {
+          dryRun: options.dryRun === true,
+          guardrails: options.guardrails || null,
+          approvedPrices: options.approvedPrices || null
+        }));
+      } catch (error) {
+        calculated.push({
+          result: {
+            productId: product.id,
+            productTitle: product.title,
+            sku: product.sku || '',
+            success: false,
+            error: error.message
+          },
+          writes: null
+        });
       }
     }
 
-    logger?.info('Bulk price update completed', {
+    const toWrite = calculated.filter(entry => entry.writes);
+    const settled = calculated.filter(entry => !entry.writes).map(entry => entry.result);
+
+    if (toWrite.length > 0 && options.shouldStop?.()) {
+      logger?.info('Bulk operation price update stopped before writing', { total: totalProducts });
+      return settled;
+    }
+
+    if (toWrite.length > 0) {
+      const runner = this.getBulkOperationRunner();
+      // The products that needed no write are the results so far; the written ones come with the last call
+      const reportProgress = (operation) => {
+        const written = Math.min(parseInt(operation.objectCount, 10) || 0, toWrite.length);
+        progressCallback?.(settled.length + written, totalProducts, settled);
+      };
+
+      // Price and discount metafields, one metafieldsSet per product
+      options.onPhase?.('writing metafields');
+      try {
+        const metafieldResults = await runner.runMutation(
+          `mutation BulkPriceMetafields($metafields: [MetafieldsSetInput!]!) {
+            metafieldsSet(metafields: $metafields) {
+              userErrors {
+                field
+                message
+              }
+            }
+          }`,
+          toWrite.map(({ result, writes }) => ({
+            metafields: [
+              ...this.buildPriceMetafields(result.productId, writes.priceBreakdown),
+              ...(writes.discountMetafield ? [this.buildDiscountMetafield(result.productId, writes.discountMetafield)] : [])
+            ]
+          }))
+        );
+        metafieldResults.forEach((line, index) => {
+          const userErrors = line?.data?.metafieldsSet?.userErrors || [];
+          if (line?.errors || userErrors.length > 0) {
+            logger?.warn(`Failed to update metafields for product ${toWrite[index].result.productId}`, {
+              productId: toWrite[index].result.productId,
+              error: JSON.stringify(line.errors || userErrors)
+            });
+          }
+        });
+      } catch (metafieldError) {
+        // Continue with the price update even if the metafield update fails
+        logger?.warn('Bulk metafield update failed', { error: metafieldError.message });
+      }
+
+      // Variant prices, one productVariantsBulkUpdate per product
+      options.onPhase?.('writing prices');
+      const priceResults = await runner.runMutation(
+        `mutation BulkVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }`,
+        toWrite.map(({ result, writes }) => ({
+          productId: result.productId,
+          variants: writes.variantPrices.map(v => ({ id: v.variantId, price: v.price.toString() }))
+        })),
+        reportProgress
+      );
+
+      toWrite.forEach((entry, index) => {
+        const line = priceResults[index];
+        const userErrors = line?.data?.productVariantsBulkUpdate?.userErrors || [];
+        const error = !line
+          ? 'No result from the bulk operation'
+          : line.errors
+            ? JSON.stringify(line.errors)
+            : userErrors.length > 0 ? JSON.stringify(userErrors) : null;
+
+        if (error) {
+          entry.result = {
+            productId: entry.result.productId,
+            productTitle: entry.result.productTitle,
+            sku: entry.result.sku,
+            success: false,
+            error
+          };
+        }
+      });
+    }
+
+    // Settled results first, as reported while writing, so the callback only gets the written ones as new
+    const updates = [...settled, ...toWrite.map(entry => entry.result)];
+    progressCallback?.(totalProducts, totalProducts, updates);
+
+    logger?.info('Bulk operation price update completed', {
       total: totalProducts,
       success: updates.filter(u => u.success).length,
-      failed: updates.filter(u => !u.success).length
+      failed: updates.filter(u => !u.success && !u.held).length,
+      held: updates.filter(u => u.held).length
     });
 
     return updates;
@@ -1859,19 +3057,27 @@ export class ShopifyAPI {
       }
     `;
 
-    const metafields = [
-      {
-        ownerId: productId,
-        namespace: 'pricing',
-        key: 'discount',
-        type: 'json',
-        value: JSON.stringify(discountConfig)
-      }
-    ];
+    const metafields = [this.buildDiscountMetafield(productId, discountConfig)];
 
     return await this.graphql(mutation, { metafields });
   }
 
+  /**
+   * Discount metafield of a product (MetafieldsSetInput)
+   * @param {string} productId - Product ID
+   * @param {Object} discountConfig - Discount metafield value
+   * @returns {Object} Metafield input
+   */
+  buildDiscountMetafield(productId, discountConfig) {
+    return {
+      ownerId: productId,
+      namespace: 'pricing',
+      key: 'discount',
+      type: 'json',
+      value: JSON.stringify(discountConfig)
+    };
+  }
+
   /**
    * Get Shopify collections
    */
@@ -1999,11 +3205,18 @@ export class ShopifyAPI {
 
         // Recalculate price with discount
         const priceBreakdown = priceCalculator.calculatePrice(config, discountConfig, stonePricing);
-        const roundedPrice = Math.ceil(priceBreakdown.finalPriceAfterDiscount || priceBreakdown.finalPrice);
-
-        // Update product price
-        if (config.variantId) {
-          await this.updateProductPrice(productId, config.variantId, roundedPrice);
+        const variantPrices = priceCalculator.calculateVariantPrices(config, config.variants, discountConfig, stonePricing);
+        const roundedPrice = variantPrices[0]?.roundedPrice ?? priceCalculator.roundFinalPrice(
+          priceBreakdown.finalPriceAfterDiscount || priceBreakdown.finalPrice,
+          { metalType: config.metal_type, collectionIds: config.collectionIds }
+        ).price;
+
+        // Update all variant prices
+        if (variantPrices.length > 0) {
+          await this.updateVariantPrices(
+            productId,
+            variantPrices.map(v => ({ variantId: v.variantId, price: v.roundedPrice }))
+          );
         }
 
         results.push({